@@ -13,15 +13,25 @@ import { FairScheduler } from './services/FairScheduler.js';
 import { loadCommands } from './commands/index.js';
 import { registerInteractionListener } from './listeners/interactionCreate.js';
 import { registerMessageListener } from './listeners/messageCreate.js';
+import { AcknowledgementOutbox } from './services/AcknowledgementOutbox.js';
 import { ApiService } from './services/ApiService.js';
+import { DiscordRateBudget } from './services/DiscordRateBudget.js';
+import { DeliveryBatchProcessor } from './services/DeliveryBatchProcessor.js';
+import { AlertCoalescer } from './services/AlertCoalescer.js';
 import { DiscordRelaySigner } from './services/DiscordRelaySigner.js';
 import { Logger } from './services/Logger.js';
+import { MetricsServer } from './services/MetricsServer.js';
 import { ProcessHealth } from './services/ProcessHealth.js';
 import { QueueDispatcher } from './services/QueueDispatcher.js';
+import { QueueMetrics, healthGauges } from './services/QueueMetrics.js';
+import { QueuePriorityGate } from './services/QueuePriority.js';
 import { QueueWorker } from './services/QueueWorker.js';
-import { buildQueueWorkerDefinitions } from './services/QueueWorkerDefinitions.js';
+import { QUEUE_LANES, buildQueueWorkerDefinitions } from './services/QueueWorkerDefinitions.js';
+import { WarRoomLifecycle } from './services/WarRoomLifecycle.js';
+import { WarRoomRegistry } from './services/WarRoomRegistry.js';
 import { DiscordStatusService } from './services/status/DiscordStatusService.js';
 import { alertRendererRegistry } from './services/queueActions/alertRendererRegistry.js';
+import { createDryRunReportWriter } from './services/queueActions/dryRun.js';
 import { config } from './utils/config.js';
 import { validateEnv } from './utils/validateEnv.js';
 
@@ -57,6 +67,7 @@ const aggregateQueueHealth = (workers) => {
     stopped: snapshots.length > 0 && snapshots.every((snapshot) => snapshot.stopped),
     polling: snapshots.some((snapshot) => snapshot.polling),
     active_item: snapshots.some((snapshot) => snapshot.active_item),
+    in_flight: snapshots.reduce((total, snapshot) => total + (snapshot.in_flight ?? 0), 0),
     lease_healthy: leaseStates.includes(false)
       ? false
       : (leaseStates.includes(true) ? true : null),
@@ -97,6 +108,7 @@ const buildSharedConnection = (raw) => createConnectionContext({
     relayCurrentKeyId: raw.relayCurrentKeyId ?? raw.key_id,
     relayNextKeyId: raw.relayNextKeyId,
     relayNextActivatesAt: raw.relayNextActivatesAt,
+    nexusKeySet: raw.nexusKeySet ?? raw.nexus_key_set ?? null,
   },
 });
 
@@ -257,6 +269,53 @@ export const bootstrap = async () => {
     }
   }
 
+  const outbox = new AcknowledgementOutbox({
+    file: config.queue.outboxFile,
+    logger: new Logger('QueueOutbox'),
+  });
+  await outbox.load();
+  // Rooms are only tracked while lifecycle automation is on, which dry-run turns off.
+  const warRooms = new WarRoomRegistry({
+    file: config.warRooms.registryFile,
+    logger: new Logger('WarRoomRegistry'),
+  });
+  const warRoomLifecycle = new WarRoomLifecycle({
+    client,
+    registry: warRooms,
+    logger: new Logger('WarRoomLifecycle'),
+    // Rooms outlive a connection generation, so any current generation may review them.
+    resolveApiService: (entry) => {
+      if (!entry.connection_id) return baseApiService;
+      try {
+        const connection = connectionResolver.resolve({
+          applicationId: entry.application_id,
+          guildId: entry.guild_id,
+        });
+        return connection.connectionId === entry.connection_id ? serviceFactory(connection) : null;
+      } catch {
+        return null;
+      }
+    },
+    guildId: dedicatedConnection?.guildId ?? null,
+    mode: config.queue.dryRun ? 'off' : config.warRooms.autoArchive,
+    inactiveAfterMs: config.warRooms.inactiveAfterMs,
+    sweepIntervalMs: config.warRooms.sweepIntervalMs,
+  });
+  if (warRoomLifecycle.enabled) await warRooms.load();
+  // One budget for every lane and connection so bulk work is paced per guild.
+  const rateBudget = new DiscordRateBudget({ budgets: config.queue.rateBudgets });
+  // Gauges are read from the same snapshot the health file carries.
+  const metrics = config.metrics.port > 0
+    ? new QueueMetrics({ collect: () => healthGauges(processHealth.snapshot(), queueWorkers) })
+    : null;
+  const dryRun = config.queue.dryRun;
+  const reportDryRun = dryRun ? createDryRunReportWriter(config.queue.dryRunReportFile) : null;
+  if (dryRun) {
+    logger.warn('Queue dry-run mode is enabled; queue items are released without Discord side effects', {
+      reportFile: config.queue.dryRunReportFile,
+    });
+  }
+
   const manifestCapabilities = alertManifestResponse?.capabilities
     ?? alertManifestResponse?.data?.capabilities
     ?? alertManifestResponse?.manifest?.capabilities
@@ -276,6 +335,12 @@ export const bootstrap = async () => {
       guildId: connection.guildId,
       apiService: connectionApi,
       alertLaneEnabled: connectionAlertEnabled,
+      outbox: dryRun ? null : outbox,
+      dryRun,
+      reportDryRun,
+      rateBudget,
+      metrics,
+      warRooms: warRoomLifecycle.enabled ? warRooms : null,
     });
     dispatcherCache.set(key, dispatcher);
     return dispatcher;
@@ -284,12 +349,32 @@ export const bootstrap = async () => {
 
   const alertLanesEnabled = config.discord.deploymentMode === CONNECTION_MODES.OFFICIAL_SHARED
     || (alertManifestStatus.valid && manifestCapabilities.queue_lanes === true);
-  const workerDefinitions = buildQueueWorkerDefinitions({ alertLanesEnabled });
-  const queueWorkers = workerDefinitions.map(({ lane, enabled }) => new QueueWorker({
+  const workerDefinitions = buildQueueWorkerDefinitions({
+    alertLanesEnabled,
+    concurrency: config.queue.laneConcurrency,
+  });
+  // Shared so the digest lane can hold back while critical alerts are in flight.
+  const priorityGate = new QueuePriorityGate({ maxAgeMs: config.queue.priorityMaxAgeMs });
+  // Batches replace single-item claims on the alert lane only; dry-run keeps
+  // single items because a batch receipt would report real outcomes.
+  const deliveryBatches = config.queue.deliveryBatches && !dryRun
+    ? new DeliveryBatchProcessor({
+        logger: new Logger('DeliveryBatches'),
+        nexusKeySet: config.nexusApi.nexusKeySet,
+        maxItems: config.queue.deliveryBatchSize,
+        outbox,
+      })
+    : null;
+  const alertCoalescer = new AlertCoalescer({
+    logger: new Logger('AlertCoalescer'),
+    windowMs: config.queue.alertCoalesceWindowMs,
+  });
+  const queueWorkers = workerDefinitions.map(({ lane, enabled, concurrency }) => new QueueWorker({
     apiService: baseApiService,
     dispatcher: baseDispatcher,
     logger: new Logger(`QueueWorker:${lane}`),
     lane,
+    concurrency,
     enabled,
     connectionResolver: config.discord.deploymentMode === CONNECTION_MODES.OFFICIAL_SHARED ? connectionResolver : null,
     scheduler: config.discord.deploymentMode === CONNECTION_MODES.OFFICIAL_SHARED
@@ -297,12 +382,36 @@ export const bootstrap = async () => {
       : null,
     apiServiceFactory: serviceFactory,
     dispatcherFactory,
+    outbox: dryRun ? null : outbox,
+    dryRun,
+    priorityGate,
+    deliveryBatches: lane === QUEUE_LANES.ALERTS ? deliveryBatches : null,
+    alertCoalescer: lane === QUEUE_LANES.ALERTS ? alertCoalescer : null,
+    metrics,
+    scheduleHoldMs: config.queue.scheduleHoldMs,
   }));
+  // Journaled acknowledgements are only replayed through the exact connection
+  // generation that claimed them; anything else waits for redelivery or expiry.
+  const resolveOutboxApiService = (entry) => {
+    if (!entry.connection_id) return baseApiService;
+    try {
+      const connection = connectionResolver.resolve({
+        applicationId: entry.application_id,
+        guildId: entry.guild_id,
+      });
+      return connection.connectionId === entry.connection_id && connection.generation === entry.generation
+        ? serviceFactory(connection)
+        : null;
+    } catch {
+      return null;
+    }
+  };
   const statusService = new DiscordStatusService({
     client,
     connectionResolver,
     config,
     queueWorkers,
+    rateBudget,
   });
 
   const runtimeContext = {
@@ -330,7 +439,11 @@ export const bootstrap = async () => {
     intervalMs: config.processHealth.intervalMs,
     staleAfterMs: config.processHealth.staleAfterMs,
     build: config.build,
-    queueStatus: () => aggregateQueueHealth(queueWorkers),
+    queueStatus: () => ({
+      ...aggregateQueueHealth(queueWorkers),
+      outbox: outbox.getHealthSnapshot(),
+      dry_run: dryRun,
+    }),
     scopeStatus: () => ({
       guild_configured: dedicatedConnection
         ? client.guilds.cache.has(dedicatedConnection.guildId)
@@ -344,6 +457,21 @@ export const bootstrap = async () => {
   });
 
   await processHealth.start();
+  const metricsServer = metrics
+    ? new MetricsServer({
+        metrics,
+        logger: new Logger('Metrics'),
+        host: config.metrics.host,
+        port: config.metrics.port,
+      })
+    : null;
+  try {
+    await metricsServer?.start();
+  } catch (error) {
+    logger.error('Failed to start the metrics endpoint; continuing without it', {
+      errorCode: error?.code ?? 'METRICS_LISTEN_FAILED',
+    });
+  }
 
   let shutdownSignal = null;
   const shutdown = async (signal) => {
@@ -364,6 +492,8 @@ export const bootstrap = async () => {
     }
     const results = await Promise.all(queueWorkers.map((worker) => worker.stop()));
     const drained = results.every(({ drained: workerDrained }) => workerDrained);
+    await warRoomLifecycle.stop();
+    await metricsServer?.stop();
     client.destroy();
     try {
       await processHealth.stop({ signal, drained });
@@ -396,7 +526,13 @@ export const bootstrap = async () => {
         process.exit(1);
       }
 
+      if (!dryRun) {
+        void outbox.replay(resolveOutboxApiService).catch(() => {
+          logger.error('Failed to replay journaled queue acknowledgements', { errorCode: 'OUTBOX_REPLAY_FAILED' });
+        });
+      }
       queueWorkers.forEach((worker) => worker.start());
+      warRoomLifecycle.start();
       await processHealth.markReady();
       logger.info('Bot Ready', {
         deploymentMode: config.discord.deploymentMode,
@@ -14,7 +14,7 @@ export const help = Object.freeze({
   audience: 'Members',
   topic: Object.freeze(['member', 'finance']),
   examples: Object.freeze(['/accounts', '/accounts account:<account>']),
-  related: Object.freeze(['deposit', 'withdraw', 'transactions']),
+  related: Object.freeze(['deposit', 'withdraw', 'transfer', 'transactions']),
 });
 
 const render = async (interaction, context, state = {}) => {
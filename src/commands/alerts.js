@@ -26,6 +26,7 @@ const DELIVERY_MODES = [
   { name: 'Daily digest', value: 'daily' },
   { name: 'Weekly digest', value: 'weekly' },
 ];
+const BEIGE_REMINDER_LEAD_MINUTES = [5, 10, 15, 30, 60];
 const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
 const ACTIVITY_PAGE_SIZE = 5;
 
@@ -282,6 +283,53 @@ const chooseEventsMessage = (interaction, context, payload) => {
   }));
 };
 
+const beigeReminderPrompt = (interaction, context, nationId) => {
+  const selectId = context.sessions.create({
+    commandName: 'alerts',
+    userId: interaction.user.id,
+    event: 'beige-reminder-lead',
+    state: { nationId },
+    oneShot: true,
+  });
+  return safeMessage(statusMessage({
+    title: 'Beige Reminder',
+    tone: 'info',
+    description: `Nexus will send you a private Discord message before nation **#${formatNumber(nationId, { maximumFractionDigits: 0 })}** leaves beige. Choose how early.`,
+    footer: 'The reminder is saved as a personal alert in Nexus. Manage it with /alerts list.',
+    components: [new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(selectId)
+        .setPlaceholder('Remind me before the exit turn')
+        .addOptions(BEIGE_REMINDER_LEAD_MINUTES.map((minutes) => ({
+          label: `${minutes} minutes before`,
+          value: `${minutes}`,
+        }))),
+    )],
+  }));
+};
+
+const beigeReminderCreatedMessage = (created, nationId, leadMinutes) => safeMessage(statusMessage({
+  title: 'Beige Reminder Set',
+  tone: 'success',
+  description: [
+    `Nexus will message you ${leadMinutes} minutes before nation **#${formatNumber(nationId, { maximumFractionDigits: 0 })}** leaves beige.`,
+    created?.remind_at ? `**Reminder:** ${formatDiscordTime(created.remind_at)}` : null,
+  ].filter(Boolean).join('\n'),
+  footer: created?.id
+    ? `Alert #${formatNumber(created.id, { maximumFractionDigits: 0 })} · Private Discord delivery must be enabled in /alerts settings.`
+    : 'Private Discord delivery must be enabled in /alerts settings.',
+}));
+
+/** A "Remind me" button on a BEIGE_ALERT post; the button id carries only the nation id. */
+const beigeReminderButton = async (interaction, context) => {
+  const nationId = Number(context.session.state.args?.[0]);
+  if (context.session.event !== 'beige-remind' || !Number.isSafeInteger(nationId) || nationId < 1) {
+    await replyError(interaction, new TypeError('This reminder button is no longer valid.'), 'Alert Action Failed');
+    return;
+  }
+  await interaction.reply({ ...beigeReminderPrompt(interaction, context, nationId), ephemeral: true });
+};
+
 const deliveryLabel = (delivery = {}) => {
   const mode = titleCase(delivery.mode ?? 'immediate');
   if (!delivery.discord_enabled) return `${mode} · Web only`;
@@ -768,6 +816,20 @@ export const execute = async (interaction, context) => {
 export const select = async (interaction, context) => {
   await interaction.deferUpdate();
   try {
+    if (context.session?.event === 'beige-reminder-lead') {
+      const leadMinutes = Number(interaction.values?.[0]);
+      const { nationId } = context.session.state;
+      if (!BEIGE_REMINDER_LEAD_MINUTES.includes(leadMinutes)) throw new TypeError('Choose one of the listed reminder times.');
+      const created = await context.apiService.createAlert(actorFromInteraction(interaction, 'alerts'), {
+        type: 'beige_reminder',
+        target_id: nationId,
+        lead_minutes: leadMinutes,
+        delivery_mode: 'immediate',
+        discord_enabled: true,
+      });
+      await interaction.editReply(beigeReminderCreatedMessage(created, nationId, leadMinutes));
+      return;
+    }
     if (context.session?.event !== 'select-events') throw new TypeError('This alert event selector has expired.');
     const payload = context.session.state?.payload;
     const allowed = new Set(eventChoices(payload?.type).map(([, value]) => value));
@@ -784,6 +846,10 @@ export const select = async (interaction, context) => {
 };
 
 export const button = async (interaction, context) => {
+  if (context.session?.persistent) {
+    await beigeReminderButton(interaction, context);
+    return;
+  }
   const event = context.session?.event;
   if (event === 'cancel') {
     await interaction.update(safeMessage(statusMessage({
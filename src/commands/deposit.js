@@ -5,15 +5,32 @@ import {
 import {
   formatDiscordTime, statusLabel, statusMessage, truncate,
 } from '../utils/discordUi.js';
+import {
+  SCHEDULE_CADENCES, financeSchedulesMessage, handleScheduleCancel, handleScheduleCycle, scheduleFromOptions,
+} from '../utils/financeSchedules.js';
+import {
+  collectAmounts, handleResourceButton, resourcePickerPayload, showAmountModal,
+} from '../utils/resourceRequestUi.js';
 
-export const data = new SlashCommandBuilder().setName('deposit').setDescription('Create a Nexus deposit request.')
-  .addStringOption((option) => option.setName('account').setDescription('Destination account').setRequired(true).setAutocomplete(true))
+export const data = new SlashCommandBuilder().setName('deposit').setDescription('Create Nexus deposit requests.')
+  .addSubcommand((sub) => sub.setName('request').setDescription('Create a Nexus deposit request.')
+    .addStringOption((option) => option.setName('account').setDescription('Destination account').setRequired(true).setAutocomplete(true)))
+  .addSubcommand((sub) => sub.setName('schedule').setDescription('Save a recurring deposit that you confirm each cycle by DM.')
+    .addStringOption((option) => option.setName('account').setDescription('Destination account').setRequired(true).setAutocomplete(true))
+    .addStringOption((option) => option.setName('cadence').setDescription('How often Nexus creates the deposit request').setRequired(true)
+      .addChoices(...SCHEDULE_CADENCES))
+    .addStringOption((option) => option.setName('time').setDescription('Request time in UTC, such as 06:30').setMaxLength(5)))
+  .addSubcommand((sub) => sub.setName('schedules').setDescription('List and cancel your deposit schedules.'))
   .setDMPermission(false);
 
 export const help = Object.freeze({
   audience: 'Members',
   topic: Object.freeze(['member', 'finance']),
-  examples: Object.freeze(['/deposit account:<account>']),
+  examples: Object.freeze([
+    '/deposit request account:<account>',
+    '/deposit schedule account:<account> cadence:<cadence> time:<HH:MM>',
+    '/deposit schedules',
+  ]),
   related: Object.freeze(['accounts', 'withdraw', 'transactions']),
 });
 
@@ -39,7 +56,9 @@ const depositResultMessage = (result, accountId) => {
     tone: 'success',
     description: `Use deposit code \`${truncate(deposit.deposit_code, 100)}\` in your in-game bank transfer note.`,
     fields: [
-      { name: 'Destination account', value: `Account #${deposit.account_id ?? accountId}`, inline: true },
+      (deposit.account_id ?? accountId) !== undefined
+        ? { name: 'Destination account', value: `Account #${deposit.account_id ?? accountId}`, inline: true }
+        : null,
       deposit.status ? { name: 'Status', value: statusLabel(deposit.status), inline: true } : null,
       deposit.expires_at
         ? { name: 'Expires', value: formatDiscordTime(deposit.expires_at, 'F'), inline: true }
@@ -50,9 +69,36 @@ const depositResultMessage = (result, accountId) => {
   });
 };
 
+const executeSchedule = async (interaction, context) => {
+  let schedule;
+  try {
+    schedule = scheduleFromOptions(interaction.options);
+  } catch (error) {
+    await replyError(interaction, error, 'Invalid Schedule');
+    return;
+  }
+  await interaction.reply(resourcePickerPayload({
+    commandName: 'deposit',
+    interaction,
+    sessions: context.sessions,
+    account: interaction.options.getString('account', true),
+    kind: 'deposit',
+    schedule,
+  }));
+};
+
 export const execute = async (interaction, context) => {
+  const subcommand = interaction.options.getSubcommand();
+  if (subcommand === 'schedule') {
+    await executeSchedule(interaction, context);
+    return;
+  }
   await deferEphemeral(interaction);
   try {
+    if (subcommand === 'schedules') {
+      await interaction.editReply(await financeSchedulesMessage(interaction, context, 'deposit'));
+      return;
+    }
     const requestedAccount = interaction.options.getString('account', true);
     const account = await selectedAccount(interaction, context.apiService, requestedAccount);
     const accountId = `${account.id ?? requestedAccount}`;
@@ -81,7 +127,16 @@ export const execute = async (interaction, context) => {
 };
 export const autocomplete = (interaction, { apiService }) => executeAutocomplete(interaction, apiService, accountChoices);
 
+export const select = showAmountModal;
+export const modal = collectAmounts;
+
 export const button = async (interaction, context) => {
+  if (await handleScheduleCycle(interaction, context, (result) => depositResultMessage(result))) return;
+  if (await handleScheduleCancel(interaction, context)) return;
+  if (context.session.event !== 'confirm') {
+    await handleResourceButton(interaction, context);
+    return;
+  }
   await interaction.deferUpdate();
   try {
     const { accountId } = context.session.state;
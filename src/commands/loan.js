@@ -18,12 +18,23 @@ export const data = new SlashCommandBuilder().setName('loan').setDescription('Ap
   .addSubcommand((sub) => sub.setName('pay').setDescription('Make a loan payment.')
     .addStringOption((option) => option.setName('loan').setDescription('Loan').setRequired(true).setAutocomplete(true))
     .addStringOption((option) => option.setName('account').setDescription('Source account').setRequired(true).setAutocomplete(true)))
+  .addSubcommand((sub) => sub.setName('schedule').setDescription('View a loan\'s amortization schedule and preview paying it off faster.')
+    .addStringOption((option) => option.setName('loan').setDescription('Loan').setRequired(true).setAutocomplete(true))
+    .addStringOption((option) => option.setName('payment').setDescription('Preview a custom amount paid each cycle').setMaxLength(16))
+    .addBooleanOption((option) => option.setName('payoff').setDescription('Preview paying the full balance now')))
   .setDMPermission(false);
 
 export const help = Object.freeze({
   audience: 'Members',
   topic: Object.freeze(['member', 'finance']),
-  examples: Object.freeze(['/loan apply account:<account>', '/loan status', '/loan pay loan:<loan> account:<account>']),
+  examples: Object.freeze([
+    '/loan apply account:<account>',
+    '/loan status',
+    '/loan pay loan:<loan> account:<account>',
+    '/loan schedule loan:<loan>',
+    '/loan schedule loan:<loan> payment:<amount>',
+    '/loan schedule loan:<loan> payoff:true',
+  ]),
   related: Object.freeze(['accounts', 'grant', 'deposit']),
 });
 
@@ -62,8 +73,56 @@ const fieldId = (sessions, interaction) => sessions.create({
   commandName: 'loan', userId: interaction.user.id, event: 'field', oneShot: true,
 });
 
+const isAmount = (value) => /^(?:0|[1-9]\d*)(?:\.\d{1,2})?$/.test(value) && /[1-9]/.test(value);
+
+/** Query for the payoff calculator: current terms, a custom payment per cycle, or paying off now. */
+const scheduleScenario = (options) => {
+  const payment = options.getString('payment')?.trim() || undefined;
+  const payoff = options.getBoolean('payoff') ?? false;
+  if (payment && payoff) {
+    throw Object.assign(new Error('Preview either a custom payment or an early payoff, not both.'), { code: 'VALIDATION_ERROR' });
+  }
+  if (payment && !isAmount(payment)) {
+    throw Object.assign(new Error('Enter the payment as a positive decimal with no more than two decimal places.'), {
+      code: 'VALIDATION_ERROR',
+    });
+  }
+  return payment ? { payment } : payoff ? { payoff: true } : {};
+};
+
+/** Totals Nexus computed for the scenario, shown above the table. */
+const scheduleSummary = (summary, scenario) => [
+  scenario.payoff
+    ? '**Scenario:** Pay off now'
+    : scenario.payment
+      ? `**Scenario:** ${formatMoney(scenario.payment)} per cycle`
+      : '**Scenario:** Current terms',
+  summary.payoff_amount !== undefined ? `**Payoff amount:** ${formatMoney(summary.payoff_amount)}` : null,
+  summary.payoff_date ? `**Paid off:** ${formatDiscordTime(summary.payoff_date, 'D')}` : null,
+  summary.total_interest !== undefined ? `**Total interest:** ${formatMoney(summary.total_interest)}` : null,
+  summary.interest_saved !== undefined ? `**Interest saved:** ${formatMoney(summary.interest_saved)}` : null,
+].filter(Boolean).join('\n');
+
 export const execute = async (interaction, context) => {
   const subcommand = interaction.options.getSubcommand();
+  if (subcommand === 'schedule') {
+    await deferEphemeral(interaction);
+    try {
+      const loanId = interaction.options.getString('loan', true).trim();
+      const scenario = scheduleScenario(interaction.options);
+      const result = await context.apiService.getLoanSchedule(actorFromInteraction(interaction), loanId, scenario);
+      const loan = result?.loan ?? {};
+      await interaction.editReply(collectionMessage({
+        title: `Loan #${truncate(loan.id ?? loanId, 64)} Schedule`,
+        collection: normalizeCollection(Array.isArray(result?.schedule) ? result.schedule : []),
+        empty: scenario.payoff ? 'Paying the balance now leaves no scheduled payments.' : 'No scheduled payments remain.',
+        commandName: 'loan', userId: interaction.user.id, sessions: context.sessions,
+        variant: 'loan-schedule', baseUrl: context.apiService.baseUrl,
+        description: scheduleSummary(result?.summary ?? {}, scenario),
+      }));
+    } catch (error) { await replyError(interaction, error); }
+    return;
+  }
   if (subcommand === 'status') {
     await deferEphemeral(interaction);
     try {
@@ -107,7 +166,7 @@ export const execute = async (interaction, context) => {
 export const modal = async (interaction, context) => {
   const { event, state } = context.session;
   const amount = interaction.fields.getTextInputValue(state.fields.amountId).trim();
-  if (!/^(?:0|[1-9]\d*)(?:\.\d{1,2})?$/.test(amount) || !/[1-9]/.test(amount)) {
+  if (!isAmount(amount)) {
     await interaction.reply({
       ...statusMessage({
         title: 'Invalid Amount',
@@ -1,6 +1,16 @@
-import { PermissionFlagsBits, SlashCommandBuilder } from 'discord.js';
-import { actorFromInteraction } from '../utils/commandSupport.js';
-import { statusMessage } from '../utils/discordUi.js';
+import {
+  ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits, SlashCommandBuilder,
+} from 'discord.js';
+import { QUEUE_LANES } from '../services/QueueWorkerDefinitions.js';
+import { classifyQueueFailure } from '../services/queueActions/errorClassification.js';
+import {
+  actorFromInteraction, collectionMessage, deferEphemeral, normalizeCollection, replyError,
+} from '../utils/commandSupport.js';
+import {
+  escapeMarkdown, formatDiscordTime, formatNumber, statusMessage, titleCase, truncate,
+} from '../utils/discordUi.js';
+
+const LANE_CHOICES = Object.values(QUEUE_LANES).map((lane) => ({ name: titleCase(lane), value: lane }));
 
 export const data = new SlashCommandBuilder()
   .setName('nexus')
@@ -8,12 +18,39 @@ export const data = new SlashCommandBuilder()
   .addSubcommand((subcommand) => subcommand
     .setName('status')
     .setDescription('Show safe Discord, gateway, and Nexus route diagnostics.'))
+  .addSubcommandGroup((group) => group
+    .setName('queue')
+    .setDescription('Review failed Nexus queue items.')
+    .addSubcommand((subcommand) => subcommand
+      .setName('failed')
+      .setDescription('List recently failed queue items.')
+      .addStringOption((option) => option.setName('lane').setDescription('Queue lane').addChoices(...LANE_CHOICES)))
+    .addSubcommand((subcommand) => subcommand
+      .setName('inspect')
+      .setDescription('Show why a queue item failed and its redacted payload shape.')
+      .addStringOption((option) => option.setName('item').setDescription('Queue item ID').setRequired(true).setMaxLength(100)))
+    .addSubcommand((subcommand) => subcommand
+      .setName('replay')
+      .setDescription('Ask Nexus to requeue a failed item.')
+      .addStringOption((option) => option.setName('item').setDescription('Queue item ID').setRequired(true).setMaxLength(100))
+      .addStringOption((option) => option.setName('reason').setDescription('Why the item is safe to replay').setMaxLength(500)))
+    .addSubcommand((subcommand) => subcommand
+      .setName('discard')
+      .setDescription('Permanently discard a failed item.')
+      .addStringOption((option) => option.setName('item').setDescription('Queue item ID').setRequired(true).setMaxLength(100))
+      .addStringOption((option) => option.setName('reason').setDescription('Why the item is being discarded').setRequired(true).setMaxLength(500))))
   .setDMPermission(false);
 
 export const help = Object.freeze({
   audience: 'Nexus diagnostic staff and Discord server managers',
-  topic: Object.freeze(['getting-started']),
-  examples: Object.freeze(['/nexus status']),
+  topic: Object.freeze(['getting-started', 'staff']),
+  examples: Object.freeze([
+    '/nexus status',
+    '/nexus queue failed lane:<lane>',
+    '/nexus queue inspect item:<item>',
+    '/nexus queue replay item:<item> reason:<reason>',
+    '/nexus queue discard item:<item> reason:<reason>',
+  ]),
   related: Object.freeze(['ping', 'help']),
 });
 
@@ -21,17 +58,24 @@ const value = (entry, fallback = 'unknown') => (
   entry === undefined || entry === null || entry === '' ? fallback : `${entry}`
 );
 
+const renderRateBudget = (budgets = []) => budgets
+  .map((budget) => `${titleCase(budget.class)} ${value(budget.available)}/${value(budget.capacity)} (${
+    value(budget.per_second)}/s${budget.waiting > 0 ? `, ${budget.waiting} waiting` : ''})`)
+  .join(' · ');
+
 const renderStatus = (status) => {
   const gateway = status?.gateway ?? {};
   const routing = status?.routing ?? {};
   const discord = status?.discord ?? {};
   const permissions = discord.permissions?.granted ?? [];
   const provider = status?.provider ?? null;
+  const rateBudget = Array.isArray(discord.rate_budget) ? discord.rate_budget : [];
   return [
     `Gateway: **${gateway.ready ? 'ready' : 'not ready'}** (status ${value(gateway.status)})`,
     `Route mode: **${value(routing.mode)}** · connection: **${value(routing.state, 'unconfigured')}**`,
     `Guild diagnostics: **${discord.observed ? 'observed' : 'not observed'}**`,
     `Bot permissions: ${permissions.length > 0 ? permissions.join(', ') : 'none observed'}`,
+    ...(rateBudget.length > 0 ? [`Queue REST budget: ${renderRateBudget(rateBudget)}`] : []),
     ...(provider ? [
       `Nexus provider: **${provider.available ? 'available' : 'unavailable'}**${provider.version ? ` · ${provider.version}` : ''}`,
     ] : []),
@@ -68,7 +112,185 @@ const providerDiagnostics = (response) => {
   };
 };
 
-export const execute = async (interaction, { statusService, apiService, logger } = {}) => {
+const SHAPE_DEPTH = 3;
+const SHAPE_LINES = 30;
+
+const shapeType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return `array(${value.length})`;
+  return typeof value;
+};
+
+/** Describe payload keys and value types only; payload values never reach Discord. */
+const payloadShape = (value, depth = 0, prefix = '') => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return [];
+  return Object.keys(value).sort().flatMap((key) => {
+    const path = `${prefix}${/^\d+$/.test(key) ? '<id>' : key}`;
+    const nested = depth + 1 < SHAPE_DEPTH ? payloadShape(value[key], depth + 1, `${path}.`) : [];
+    return [`${path}: ${shapeType(value[key])}`, ...nested];
+  });
+};
+
+const presentFailedItem = (item) => ({
+  id: item?.id ?? null,
+  action: item?.action ?? null,
+  lane: item?.lane ?? null,
+  attempts: item?.attempts ?? null,
+  failed_at: item?.failed_at ?? item?.updated_at ?? null,
+  error_message: item?.error_message ?? null,
+  failure: classifyQueueFailure(item ?? {}),
+  payload_keys: item?.payload && typeof item.payload === 'object' && !Array.isArray(item.payload)
+    ? Object.keys(item.payload).sort().slice(0, 12)
+    : [],
+  payload_shape: payloadShape(item?.payload),
+});
+
+const queueActor = (interaction, subcommand) => ({
+  ...actorFromInteraction(interaction, 'nexus'),
+  discordAction: `nexus.queue.${subcommand}`,
+});
+
+const failureLabel = (failure) => `${titleCase(failure.kind)} · ${escapeMarkdown(failure.code)}${
+  failure.retryable ? ' · retryable' : ''}`;
+
+const shapeBlock = (lines) => {
+  if (lines.length === 0) return 'No payload recorded.';
+  const shown = lines.slice(0, SHAPE_LINES);
+  const more = lines.length - shown.length;
+  return truncate(`\`\`\`\n${shown.join('\n').replaceAll('`', "'")}${more > 0 ? `\n… ${more} more` : ''}\n\`\`\``, 1024);
+};
+
+const failedItemMessage = (item, { title = `Failed Queue Item #${item.id}`, footer, components } = {}) => statusMessage({
+  title,
+  tone: 'warning',
+  description: item.error_message ? escapeMarkdown(truncate(item.error_message, 500)) : null,
+  fields: [
+    { name: 'Action', value: escapeMarkdown(item.action ?? 'unknown'), inline: true },
+    { name: 'Lane', value: item.lane ? titleCase(item.lane) : 'unknown', inline: true },
+    item.attempts !== null ? { name: 'Attempts', value: formatNumber(item.attempts, { maximumFractionDigits: 0 }), inline: true } : null,
+    { name: 'Failure', value: failureLabel(item.failure) },
+    item.failed_at ? { name: 'Failed', value: formatDiscordTime(item.failed_at), inline: true } : null,
+    { name: 'Payload shape', value: shapeBlock(item.payload_shape) },
+  ],
+  footer,
+  components,
+});
+
+const fetchFailedItem = async (interaction, apiService, subcommand) => {
+  const response = await apiService.getFailedQueueItem(
+    queueActor(interaction, subcommand),
+    interaction.options.getString('item', true).trim(),
+  );
+  return presentFailedItem(response?.item ?? response);
+};
+
+const confirmResolution = async (interaction, context, resolution) => {
+  const item = await fetchFailedItem(interaction, context.apiService, resolution);
+  const state = {
+    item: item.id,
+    reason: interaction.options.getString('reason') ?? undefined,
+  };
+  const discard = resolution === 'discard';
+  const confirmId = context.sessions.create({
+    commandName: 'nexus', userId: interaction.user.id, event: `${resolution}-confirm`, state, oneShot: true,
+  });
+  const cancelId = context.sessions.create({
+    commandName: 'nexus', userId: interaction.user.id, event: 'cancel', state: {}, oneShot: true,
+  });
+  await interaction.editReply(failedItemMessage(item, {
+    title: discard ? `Discard Queue Item #${item.id}?` : `Replay Queue Item #${item.id}?`,
+    footer: discard
+      ? 'Discarding is permanent. Nexus will not deliver this item again.'
+      : 'Nexus requeues the item on the same lane; the bot revalidates it when claimed.',
+    components: [new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(confirmId)
+        .setLabel(discard ? 'Discard permanently' : 'Replay item')
+        .setStyle(discard ? ButtonStyle.Danger : ButtonStyle.Primary),
+      new ButtonBuilder().setCustomId(cancelId).setLabel('Cancel').setStyle(ButtonStyle.Secondary),
+    )],
+  }));
+};
+
+const executeQueue = async (interaction, context) => {
+  await deferEphemeral(interaction);
+  const subcommand = interaction.options.getSubcommand();
+  try {
+    if (typeof context.apiService?.getFailedQueueItems !== 'function') {
+      throw new Error('Nexus queue review is unavailable.');
+    }
+    if (subcommand === 'replay' || subcommand === 'discard') {
+      await confirmResolution(interaction, context, subcommand);
+      return;
+    }
+    if (subcommand === 'inspect') {
+      await interaction.editReply(failedItemMessage(
+        await fetchFailedItem(interaction, context.apiService, subcommand),
+        { footer: 'Payload values are redacted; only keys and value types are shown.' },
+      ));
+      return;
+    }
+
+    const lane = interaction.options.getString('lane') ?? undefined;
+    const collection = normalizeCollection(await context.apiService.getFailedQueueItems(
+      queueActor(interaction, subcommand),
+      { lane, limit: 25 },
+    ));
+    await interaction.editReply(collectionMessage({
+      title: lane ? `Failed Queue Items · ${titleCase(lane)}` : 'Failed Queue Items',
+      collection: { ...collection, items: collection.items.map(presentFailedItem), remote: false },
+      empty: 'No recently failed queue items.',
+      commandName: 'nexus',
+      userId: interaction.user.id,
+      sessions: context.sessions,
+      variant: 'queue-failure',
+      description: 'Use `/nexus queue inspect` for the payload shape, then replay or discard.',
+    }));
+  } catch (error) {
+    await replyError(interaction, error);
+  }
+};
+
+export const button = async (interaction, context) => {
+  if (context.session.event === 'cancel') {
+    await interaction.update(statusMessage({
+      title: 'Queue Action Cancelled',
+      tone: 'neutral',
+      description: 'The queue item was not changed.',
+    }));
+    return;
+  }
+
+  await interaction.deferUpdate();
+  try {
+    const resolution = context.session.event === 'discard-confirm' ? 'discard' : 'replay';
+    const { item, reason } = context.session.state;
+    const result = await context.apiService.resolveFailedQueueItem(
+      queueActor(interaction, resolution),
+      item,
+      resolution,
+      reason ? { reason } : {},
+    );
+    await interaction.editReply(statusMessage({
+      title: resolution === 'discard' ? 'Queue Item Discarded' : 'Queue Item Replayed',
+      tone: 'success',
+      description: escapeMarkdown(truncate(
+        result?.message ?? (resolution === 'discard'
+          ? `Queue item #${item} was permanently discarded.`
+          : `Queue item #${item} was requeued.`),
+        1000,
+      )),
+    }));
+  } catch (error) { await replyError(interaction, error); }
+};
+
+export const execute = async (interaction, context = {}) => {
+  if (interaction.options?.getSubcommandGroup?.(false) === 'queue') {
+    await executeQueue(interaction, context);
+    return;
+  }
+
+  const { statusService, apiService, logger } = context;
   if (interaction.options?.getSubcommand?.() !== 'status') {
     await interaction.reply({
       ...statusMessage({ title: 'Nexus', tone: 'warning', description: 'Use `/nexus status`.' }),
@@ -1,5 +1,8 @@
 import { SlashCommandBuilder } from 'discord.js';
-import { actorFromInteraction, collectionMessage, deferEphemeral, normalizeCollection, replyError } from '../utils/commandSupport.js';
+import {
+  actorFromInteraction, collectionMessage, deferEphemeral, errorReply, normalizeCollection, replyError,
+} from '../utils/commandSupport.js';
+import { escapeMarkdown, formatDiscordTime, statusMessage, truncate } from '../utils/discordUi.js';
 
 export const data = new SlashCommandBuilder()
   .setName('raid').setDescription('Find recommended raid targets.')
@@ -9,15 +12,40 @@ export const data = new SlashCommandBuilder()
   ))
   .addIntegerOption((option) => option.setName('limit').setDescription('Number of targets').addChoices(
     { name: '5', value: 5 }, { name: '10', value: 10 },
+  ))
+  .addIntegerOption((option) => option.setName('claim_window').setDescription('Minutes a target you claim stays reserved').addChoices(
+    { name: '30 minutes', value: 30 }, { name: '1 hour', value: 60 }, { name: '2 hours', value: 120 }, { name: '4 hours', value: 240 },
   )).setDMPermission(false);
 
 export const help = Object.freeze({
   audience: 'Members and military staff',
   topic: Object.freeze(['member', 'military', 'staff']),
-  examples: Object.freeze(['/raid', '/raid nation:<nation-id> sort:<sort> limit:<count>']),
+  examples: Object.freeze(['/raid', '/raid nation:<nation-id> sort:<sort> limit:<count>', '/raid claim_window:<minutes>']),
   related: Object.freeze(['war', 'spy', 'waraid']),
 });
 
+/**
+ * The /raid card. Claim and release buttons carry the filters and page, so the
+ * card can be redrawn in place once Nexus has recorded the change.
+ */
+const raidTargetsMessage = async (interaction, context, { filters, windowMinutes = null, page }) => {
+  const result = await context.apiService.getMyRaidAssignments(actorFromInteraction(interaction, 'raid'), filters);
+  return collectionMessage({
+    title: 'Raid Targets',
+    collection: normalizeCollection(result),
+    empty: 'No recommended targets found.',
+    commandName: 'raid',
+    userId: interaction.user.id,
+    sessions: context.sessions,
+    variant: 'raid',
+    description: `Up to ${filters.limit} targets for ${filters.nation_id ? `nation #${filters.nation_id}` : 'your linked nation'}, sorted by ${filters.sort}.`,
+    baseUrl: context.apiService.baseUrl,
+    page,
+    pageSize: 2,
+    itemActions: { windowMinutes, filters },
+  });
+};
+
 export const execute = async (interaction, context) => {
   await deferEphemeral(interaction);
   try {
@@ -26,18 +54,58 @@ export const execute = async (interaction, context) => {
       sort: interaction.options.getString('sort') ?? 'value',
       limit: interaction.options.getInteger('limit') ?? 10,
     };
-    const result = await context.apiService.getMyRaidAssignments(actorFromInteraction(interaction), filters);
-    await interaction.editReply(collectionMessage({
-      title: 'Raid Targets',
-      collection: normalizeCollection(result),
-      empty: 'No recommended targets found.',
-      commandName: 'raid',
-      userId: interaction.user.id,
-      sessions: context.sessions,
-      variant: 'raid',
-      description: `Up to ${filters.limit} targets for ${filters.nation_id ? `nation #${filters.nation_id}` : 'your linked nation'}, sorted by ${filters.sort}.`,
-      baseUrl: context.apiService.baseUrl,
-      pageSize: 2,
+    await interaction.editReply(await raidTargetsMessage(interaction, context, {
+      filters,
+      windowMinutes: interaction.options.getInteger('claim_window') ?? null,
     }));
   } catch (error) { await replyError(interaction, error); }
 };
+
+const claimResultMessage = (event, state, result) => {
+  const claim = result?.claim ?? result ?? {};
+  const target = `**${escapeMarkdown(truncate(claim.nation_name ?? state.nationName, 100, `Nation #${state.nationId}`))}**`;
+  if (event === 'release-target') {
+    return statusMessage({
+      title: 'Target Released',
+      tone: 'neutral',
+      description: `${target} is open for other members to claim.`,
+    });
+  }
+  return statusMessage({
+    title: 'Target Claimed',
+    tone: 'military',
+    description: claim.expires_at
+      ? `${target} is reserved for you until ${formatDiscordTime(claim.expires_at, 'f')} (${formatDiscordTime(claim.expires_at)}).`
+      : `${target} is reserved for you.`,
+    footer: 'Nexus releases the claim when you declare war on this target or the window lapses.',
+  });
+};
+
+/**
+ * Claim or release from the card, then redraw the card with fresh claims and
+ * controls; the outcome goes to the member as a separate ephemeral message.
+ */
+export const button = async (interaction, context) => {
+  const { event, state } = context.session;
+  await interaction.deferUpdate();
+  let outcome;
+  try {
+    if (!['claim-target', 'release-target'].includes(event) || !Number.isSafeInteger(state?.nationId)) {
+      throw Object.assign(new Error('This raid control is no longer supported.'), { code: 'STALE_STATE' });
+    }
+    const actor = actorFromInteraction(interaction, 'raid');
+    const result = event === 'claim-target'
+      ? await context.apiService.claimRaidTarget(actor, state.nationId, state.windowMinutes ? { window_minutes: state.windowMinutes } : {})
+      : await context.apiService.releaseRaidTarget(actor, state.nationId);
+    outcome = claimResultMessage(event, state, result);
+  } catch (error) {
+    outcome = errorReply(error, event === 'release-target' ? 'Release Failed' : 'Claim Failed');
+  }
+  if (state?.filters) {
+    // A failed refresh leaves the old card; the member can run /raid again.
+    await raidTargetsMessage(interaction, context, state)
+      .then((card) => interaction.editReply(card))
+      .catch(() => {});
+  }
+  await interaction.followUp({ ...outcome, ephemeral: true });
+};
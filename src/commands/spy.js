@@ -1,22 +1,139 @@
-import { SlashCommandBuilder } from 'discord.js';
-import { actorFromInteraction, collectionMessage, deferEphemeral, normalizeCollection, replyError } from '../utils/commandSupport.js';
+import {
+  ActionRowBuilder, ButtonBuilder, ButtonStyle, SlashCommandBuilder,
+} from 'discord.js';
+import {
+  actorFromInteraction, collectionMessage, deferEphemeral, executeAutocomplete, normalizeCollection, replyError,
+} from '../utils/commandSupport.js';
+import {
+  escapeMarkdown, formatMoney, formatNumber, formatPercent, markdownLink, nationUrl, statusMessage, titleCase, truncate,
+} from '../utils/discordUi.js';
+
+const SPY_OPERATIONS = Object.freeze([
+  { name: 'Gather intelligence', value: 'intel' },
+  { name: 'Terrorize civilians', value: 'terrorize' },
+  { name: 'Assassinate spies', value: 'spies' },
+  { name: 'Sabotage soldiers', value: 'soldiers' },
+  { name: 'Destroy tanks', value: 'tanks' },
+  { name: 'Destroy aircraft', value: 'aircraft' },
+  { name: 'Destroy ships', value: 'ships' },
+  { name: 'Destroy missiles', value: 'missiles' },
+  { name: 'Destroy nukes', value: 'nukes' },
+]);
+const SAFETY_LEVELS = Object.freeze({ 1: 'Quick', 2: 'Normal', 3: 'Covert' });
 
 export const data = new SlashCommandBuilder()
-  .setName('spy').setDescription('View spy operations.')
+  .setName('spy').setDescription('View and plan spy operations.')
   .addSubcommand((sub) => sub.setName('assignments').setDescription('View your spy assignments.'))
+  .addSubcommand((sub) => sub.setName('plan').setDescription('Preview a spy operation and record it against your assignment.')
+    .addIntegerOption((option) => option.setName('target').setDescription('Target nation ID').setRequired(true).setMinValue(1))
+    .addStringOption((option) => option.setName('operation').setDescription('Operation type').setRequired(true)
+      .addChoices(...SPY_OPERATIONS))
+    .addIntegerOption((option) => option.setName('safety').setDescription('Safety level').addChoices(
+      ...Object.entries(SAFETY_LEVELS).map(([value, name]) => ({ name, value: Number(value) })),
+    ))
+    .addIntegerOption((option) => option.setName('spies').setDescription('Spies to send (defaults to all available)').setMinValue(1).setMaxValue(60))
+    .addIntegerOption((option) => option.setName('assignment').setDescription('Spy assignment this operation fulfils')
+      .setMinValue(1).setAutocomplete(true)))
   .setDMPermission(false);
 
 export const help = Object.freeze({
   audience: 'Members and military staff',
   topic: Object.freeze(['member', 'military']),
-  examples: Object.freeze(['/spy assignments']),
+  examples: Object.freeze([
+    '/spy assignments',
+    '/spy plan target:<nation-id> operation:<operation>',
+    '/spy plan target:<nation-id> operation:<operation> safety:<level> spies:<count> assignment:<assignment>',
+  ]),
   related: Object.freeze(['war', 'raid', 'waraid']),
 });
 
+const assignmentChoices = async (interaction, apiService) => {
+  const query = `${interaction.options.getFocused() ?? ''}`.trim().toLowerCase();
+  const assignments = normalizeCollection(await apiService.getMySpyAssignments(actorFromInteraction(interaction, 'spy'))).items;
+  return assignments
+    .filter((assignment) => Number.isSafeInteger(Number(assignment?.id)))
+    .map((assignment) => ({
+      name: truncate(`#${assignment.id} · ${titleCase(assignment.operation ?? 'Spy operation')} → ${assignment.target?.nation_name ?? assignment.target?.name ?? 'Unknown nation'}`, 100),
+      value: Number(assignment.id),
+    }))
+    .filter((choice) => !query || choice.name.toLowerCase().includes(query))
+    .slice(0, 25);
+};
+
+export const autocomplete = (interaction, { apiService }) => executeAutocomplete(interaction, apiService, assignmentChoices);
+
+const operationLabel = (value) => SPY_OPERATIONS.find((operation) => operation.value === value)?.name ?? titleCase(value ?? 'Spy operation');
+
+const planBody = (options) => Object.fromEntries(Object.entries({
+  target_nation_id: options.getInteger('target', true),
+  operation: options.getString('operation', true),
+  safety_level: options.getInteger('safety') ?? undefined,
+  spies: options.getInteger('spies') ?? undefined,
+  assignment_id: options.getInteger('assignment') ?? undefined,
+}).filter(([, value]) => value !== undefined));
+
+/** Odds, expected kills, and cost for the planned operation, read from the Nexus preview. */
+const planFields = (preview, body) => {
+  const target = preview?.target ?? { nation_id: body.target_nation_id };
+  const safety = preview?.safety_level ?? body.safety_level;
+  const assignment = preview?.assignment ?? null;
+  return [
+    { name: 'Target', value: markdownLink(truncate(target.nation_name ?? target.name ?? `Nation #${body.target_nation_id}`, 100), nationUrl(target)) },
+    { name: 'Operation', value: operationLabel(preview?.operation ?? body.operation), inline: true },
+    { name: 'Safety', value: SAFETY_LEVELS[safety] ?? 'Nexus default', inline: true },
+    { name: 'Spies', value: formatNumber(preview?.spies ?? body.spies, { maximumFractionDigits: 0 }), inline: true },
+    { name: 'Success odds', value: formatPercent(preview?.odds ?? preview?.success_odds), inline: true },
+    { name: 'Expected kills', value: formatNumber(preview?.expected_kills, { maximumFractionDigits: 0 }), inline: true },
+    { name: 'Cost', value: formatMoney(preview?.cost), inline: true },
+    assignment?.id
+      ? { name: 'Assignment', value: `#${formatNumber(assignment.id, { maximumFractionDigits: 0 })} · ${operationLabel(assignment.operation)}` }
+      : null,
+  ];
+};
+
+const planPreviewMessage = (preview, body, confirmId, cancelId) => statusMessage({
+  title: 'Spy Operation Plan',
+  tone: 'intelligence',
+  description: 'Nexus estimates this operation against the target\'s current spies and your own.',
+  fields: planFields(preview, body),
+  footer: 'Record the plan to note it against your assignment. Nexus rechecks the estimate when you record it.',
+  components: [new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(confirmId).setLabel('Record plan').setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId(cancelId).setLabel('Discard').setStyle(ButtonStyle.Secondary),
+  )],
+});
+
+const planRecordedMessage = (result, body) => {
+  const plan = result?.plan ?? result ?? {};
+  return statusMessage({
+    title: 'Spy Plan Recorded',
+    tone: 'success',
+    description: [
+      `Plan **#${formatNumber(plan.id, { maximumFractionDigits: 0 })}** — ${escapeMarkdown(operationLabel(plan.operation ?? body.operation))} against ${escapeMarkdown(plan.target?.nation_name ?? `nation #${body.target_nation_id}`)}.`,
+      'Paste the in-game result in this server after running it and Nexus links the report to this plan.',
+    ].join('\n'),
+    fields: planFields(plan, body),
+  });
+};
+
 export const execute = async (interaction, context) => {
   await deferEphemeral(interaction);
   try {
-    const result = await context.apiService.getMySpyAssignments(actorFromInteraction(interaction));
+    const actor = actorFromInteraction(interaction);
+    if (interaction.options.getSubcommand() === 'plan') {
+      const body = planBody(interaction.options);
+      const preview = await context.apiService.previewSpyOperation(actor, body);
+      const confirmId = context.sessions.create({
+        commandName: 'spy', userId: interaction.user.id, event: 'plan-confirm', state: { body }, oneShot: true,
+      });
+      const cancelId = context.sessions.create({
+        commandName: 'spy', userId: interaction.user.id, event: 'plan-cancel', state: {}, oneShot: true,
+      });
+      await interaction.editReply(planPreviewMessage(preview?.preview ?? preview, body, confirmId, cancelId));
+      return;
+    }
+
+    const result = await context.apiService.getMySpyAssignments(actor);
     await interaction.editReply(collectionMessage({
       title: 'Spy Assignments',
       collection: normalizeCollection(result),
@@ -31,3 +148,26 @@ export const execute = async (interaction, context) => {
     }));
   } catch (error) { await replyError(interaction, error); }
 };
+
+export const button = async (interaction, context) => {
+  if (context.session.event === 'plan-cancel') {
+    await interaction.update(statusMessage({
+      title: 'Spy Plan Discarded',
+      tone: 'neutral',
+      description: 'No spy plan was recorded.',
+    }));
+    return;
+  }
+
+  await interaction.deferUpdate();
+  try {
+    const body = context.session.state?.body;
+    if (context.session.event !== 'plan-confirm' || !body) {
+      throw Object.assign(new Error('This spy control is no longer supported.'), { code: 'STALE_STATE' });
+    }
+    const result = await context.apiService.createSpyPlan(actorFromInteraction(interaction, 'spy'), body);
+    await interaction.editReply(planRecordedMessage(result, body));
+  } catch (error) {
+    await replyError(interaction, error, 'Spy Plan Not Recorded');
+  }
+};
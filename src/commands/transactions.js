@@ -1,12 +1,20 @@
-import { SlashCommandBuilder } from 'discord.js';
+import {
+  ActionRowBuilder, AttachmentBuilder, ButtonBuilder, ButtonStyle, SlashCommandBuilder,
+} from 'discord.js';
 import {
   accountChoices, actorFromInteraction, collectionMessage, deferEphemeral,
   executeAutocomplete, normalizeCollection, replyError,
 } from '../utils/commandSupport.js';
-import { titleCase, truncate } from '../utils/discordUi.js';
+import { csvAttachment } from '../utils/csv.js';
+import {
+  formatNumber, formatResources, pluralize, statusMessage, titleCase, truncate,
+} from '../utils/discordUi.js';
+import { RESOURCE_KEYS } from '../utils/resourceRequestUi.js';
 
 const TYPES = ['all', 'deposit', 'withdrawal', 'internal', 'member-transfer'];
 const STATUSES = ['all', 'pending', 'completed', 'failed', 'needs-attention'];
+const EXPORT_PAGE_SIZE = 100;
+const EXPORT_MAX_PAGES = 50;
 
 export const data = new SlashCommandBuilder()
   .setName('transactions')
@@ -22,36 +30,154 @@ export const data = new SlashCommandBuilder()
     STATUSES.forEach((value) => option.addChoices({ name: value, value }));
     return option;
   })
+  .addStringOption((option) => option.setName('from').setDescription('First day, as YYYY-MM-DD (UTC)').setMinLength(10).setMaxLength(10))
+  .addStringOption((option) => option.setName('to').setDescription('Last day, as YYYY-MM-DD (UTC)').setMinLength(10).setMaxLength(10))
+  .addStringOption((option) => option.setName('resource').setDescription('Only transactions that move this resource')
+    .addChoices(...RESOURCE_KEYS.map((value) => ({ name: value, value }))))
   .setDMPermission(false);
 
 export const help = Object.freeze({
   audience: 'Members',
   topic: Object.freeze(['member', 'finance']),
-  examples: Object.freeze(['/transactions account:<account> type:<type> status:<status>']),
-  related: Object.freeze(['accounts', 'deposit', 'withdraw']),
+  examples: Object.freeze([
+    '/transactions account:<account> type:<type> status:<status>',
+    '/transactions account:<account> from:<YYYY-MM-DD> to:<YYYY-MM-DD> resource:<resource>',
+  ]),
+  related: Object.freeze(['accounts', 'deposit', 'withdraw', 'transfer']),
 });
 
-const render = async (interaction, context, state = {}) => {
-  const filters = {
-    account: state.account ?? interaction.options?.getString?.('account'),
-    type: state.type ?? interaction.options?.getString?.('type') ?? 'all',
-    status: state.status ?? interaction.options?.getString?.('status') ?? 'all',
-    page: state.page ?? 1,
-  };
-  const result = await context.apiService.getMyTransactions(actorFromInteraction(interaction), filters);
-  return interaction.editReply(collectionMessage({
-    title: 'Transactions', collection: normalizeCollection(result), empty: 'No matching transactions.',
-    commandName: 'transactions', userId: interaction.user.id, sessions: context.sessions, state: filters,
+const invalidFilter = (message) => Object.assign(new Error(message), { code: 'VALIDATION_ERROR' });
+
+const dateOption = (options, name) => {
+  const value = options.getString(name)?.trim();
+  if (!value) return undefined;
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+  if (!date || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    throw invalidFilter(`\`${name}\` must be a date such as 2026-07-01.`);
+  }
+  return value;
+};
+
+/** Filters from the command options. Absent dates and resource are left out of the query. */
+const optionFilters = (options) => {
+  const filters = Object.fromEntries(Object.entries({
+    account: options.getString('account'),
+    type: options.getString('type') ?? 'all',
+    status: options.getString('status') ?? 'all',
+    from: dateOption(options, 'from'),
+    to: dateOption(options, 'to'),
+    resource: options.getString('resource') ?? undefined,
+  }).filter(([, value]) => value !== undefined));
+  if (filters.from && filters.to && filters.from > filters.to) throw invalidFilter('`from` must be on or before `to`.');
+  return filters;
+};
+
+const filterSummary = (filters) => [
+  `Account #${truncate(filters.account, 64)}`,
+  `Type: ${titleCase(filters.type)}`,
+  `Status: ${titleCase(filters.status)}`,
+  filters.from || filters.to ? `Dates: ${filters.from ?? 'start'} to ${filters.to ?? 'today'}` : null,
+  filters.resource ? `Resource: ${titleCase(filters.resource)}` : null,
+].filter(Boolean).join(' · ');
+
+/** Net change per resource over the filtered range, as computed by Nexus. */
+const totalsText = (totals) => (totals && typeof totals === 'object' && !Array.isArray(totals)
+  ? `**Range totals**\n${formatResources(totals)}`
+  : null);
+
+const exportRow = (interaction, context, filters) => new ActionRowBuilder().addComponents(
+  ...[['csv', 'Export CSV'], ['json', 'Export JSON']].map(([format, label]) => new ButtonBuilder()
+    .setCustomId(context.sessions.create({
+      commandName: 'transactions', userId: interaction.user.id, event: 'export', state: { ...filters, format },
+    }))
+    .setLabel(label)
+    .setStyle(ButtonStyle.Secondary)),
+);
+
+const render = async (interaction, context, state = null) => {
+  const { page = 1, ...filters } = state ?? optionFilters(interaction.options);
+  const result = await context.apiService.getMyTransactions(actorFromInteraction(interaction), { ...filters, page });
+  const collection = normalizeCollection(result);
+  const message = collectionMessage({
+    title: 'Transactions', collection, empty: 'No matching transactions.',
+    commandName: 'transactions', userId: interaction.user.id, sessions: context.sessions, state: { ...filters, page },
     variant: 'transaction', baseUrl: context.apiService.baseUrl,
-    description: `Account #${truncate(filters.account, 64)} · Type: ${titleCase(filters.type)} · Status: ${titleCase(filters.status)}`,
-  }));
+    description: [filterSummary(filters), totalsText(result?.totals)].filter(Boolean).join('\n'),
+  });
+  if (collection.items.length && context.sessions) message.components.push(exportRow(interaction, context, filters));
+  return interaction.editReply(message);
 };
+
+const EXPORT_COLUMNS = Object.freeze([
+  { header: 'id', value: (row) => row.id },
+  { header: 'created_at', value: (row) => row.created_at },
+  { header: 'type', value: (row) => row.type },
+  { header: 'direction', value: (row) => row.direction },
+  { header: 'status', value: (row) => row.status },
+  ...RESOURCE_KEYS.map((key) => ({ header: key, value: (row) => row.resources?.[key] ?? 0 })),
+  { header: 'note', value: (row) => row.note ?? row.pending_reason },
+]);
+
+/**
+ * Every transaction matching the filters, read page by page. Stops after
+ * EXPORT_MAX_PAGES pages so one export cannot run unbounded.
+ */
+const exportTransactions = async (interaction, context, filters) => {
+  const actor = actorFromInteraction(interaction, 'transactions');
+  const items = [];
+  let totals = null;
+  let pages = 1;
+  for (let page = 1; page <= Math.min(pages, EXPORT_MAX_PAGES); page += 1) {
+    const result = await context.apiService.getMyTransactions(actor, { ...filters, page, per_page: EXPORT_PAGE_SIZE });
+    const collection = normalizeCollection(result);
+    items.push(...collection.items);
+    totals ??= result?.totals ?? null;
+    pages = collection.pages;
+  }
+  return { items, totals, truncated: pages > EXPORT_MAX_PAGES };
+};
+
+const exportFile = (format, filters, { items, totals, truncated }) => {
+  if (format === 'csv') return csvAttachment('transactions.csv', EXPORT_COLUMNS, items);
+  const document = { filters, exported_at: new Date().toISOString(), truncated, totals, transactions: items };
+  return new AttachmentBuilder(Buffer.from(`${JSON.stringify(document, null, 2)}\n`, 'utf8'), {
+    name: 'transactions.json',
+    description: `${items.length} ${pluralize(items.length, 'row')}`,
+  });
+};
+
+const handleExport = async (interaction, context) => {
+  await deferEphemeral(interaction);
+  try {
+    const { format, ...filters } = context.session.state;
+    const exported = await exportTransactions(interaction, context, filters);
+    await interaction.editReply({
+      ...statusMessage({
+        title: 'Transactions Exported',
+        tone: 'finance',
+        description: [
+          `${formatNumber(exported.items.length, { maximumFractionDigits: 0 })} ${pluralize(exported.items.length, 'transaction')} · ${filterSummary(filters)}`,
+          exported.truncated
+            ? `Only the first ${formatNumber(EXPORT_MAX_PAGES * EXPORT_PAGE_SIZE, { maximumFractionDigits: 0 })} transactions are included. Narrow the date range to export the rest.`
+            : null,
+          totalsText(exported.totals),
+        ].filter(Boolean).join('\n'),
+      }),
+      files: [exportFile(format === 'json' ? 'json' : 'csv', filters, exported)],
+    });
+  } catch (error) { await replyError(interaction, error, 'Export Failed'); }
+};
+
 export const execute = async (interaction, context) => {
   await deferEphemeral(interaction);
   try { await render(interaction, context); } catch (error) { await replyError(interaction, error); }
 };
 export const autocomplete = (interaction, { apiService }) => executeAutocomplete(interaction, apiService);
 export const button = async (interaction, context) => {
+  if (context.session.event === 'export') {
+    await handleExport(interaction, context);
+    return;
+  }
   await interaction.deferUpdate();
   try { await render(interaction, context, context.session.state); } catch (error) { await replyError(interaction, error); }
 };
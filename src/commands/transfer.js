@@ -0,0 +1,40 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { accountChoices, executeAutocomplete, replyError } from '../utils/commandSupport.js';
+import {
+  collectAmounts, handleResourceButton, handleTransferDecision, resourcePickerPayload, showAmountModal,
+} from '../utils/resourceRequestUi.js';
+
+export const data = new SlashCommandBuilder().setName('transfer').setDescription('Move funds between Nexus accounts.')
+  .addStringOption((option) => option.setName('from').setDescription('Source account').setRequired(true).setAutocomplete(true))
+  .addStringOption((option) => option.setName('to').setDescription('Destination account, yours or another member\'s account ID')
+    .setRequired(true).setAutocomplete(true).setMaxLength(64))
+  .setDMPermission(false);
+
+export const help = Object.freeze({
+  audience: 'Members',
+  topic: Object.freeze(['member', 'finance']),
+  examples: Object.freeze(['/transfer from:<account> to:<account>']),
+  related: Object.freeze(['accounts', 'transactions', 'withdraw']),
+});
+
+export const execute = async (interaction, { sessions }) => {
+  const account = interaction.options.getString('from', true);
+  const destination = interaction.options.getString('to', true).trim();
+  if (destination === account) {
+    await replyError(interaction, Object.assign(
+      new Error('Choose a destination account that differs from the source account.'),
+      { code: 'VALIDATION_ERROR' },
+    ));
+    return;
+  }
+  await interaction.reply(resourcePickerPayload({
+    commandName: 'transfer', interaction, sessions, account, destination, kind: 'transfer',
+  }));
+};
+export const autocomplete = (interaction, { apiService }) => executeAutocomplete(interaction, apiService, accountChoices);
+export const select = showAmountModal;
+export const modal = collectAmounts;
+export const button = async (interaction, context) => {
+  if (await handleTransferDecision(interaction, context)) return;
+  await handleResourceButton(interaction, context);
+};
@@ -7,9 +7,11 @@ import {
   normalizeCollection, replyError, summarizeItem,
 } from '../utils/commandSupport.js';
 import {
-  buildEmbed, buildPlainMessages, escapeMarkdown, formatDiscordTime, formatMilitary,
-  formatNumber, markdownLink, statusLabel, statusMessage, titleCase, truncate,
+  READINESS_GAPS, buildEmbed, buildPlainMessages, escapeMarkdown, formatDiscordTime, formatMilitary,
+  formatMoney, formatNumber, markdownLink, statusLabel, statusMessage, titleCase, truncate,
 } from '../utils/discordUi.js';
+import { csvAttachment } from '../utils/csv.js';
+import { COUNTER_SIGNUP_RESPONSES, counterSignups, withCounterSignupField } from '../utils/warCounterRooms.js';
 
 export const data = new SlashCommandBuilder().setName('war').setDescription('View active wars and war guidance.')
   .addSubcommand((sub) => sub.setName('active').setDescription('View your active wars.'))
@@ -17,21 +19,38 @@ export const data = new SlashCommandBuilder().setName('war').setDescription('Vie
   .addSubcommand((sub) => sub.setName('readiness').setDescription('View a Nexus Milcom-v2 readiness snapshot.')
     .addStringOption((option) => option.setName('nation').setDescription('Nation; defaults to your linked nation.')
       .setAutocomplete(true)))
+  .addSubcommand((sub) => sub.setName('roster').setDescription('Staff: alliance readiness roster grouped by gap, with a CSV export.')
+    .addStringOption((option) => option.setName('gap').setDescription('Only show members with this gap').addChoices(
+      { name: 'Missing units', value: 'missing_units' },
+      { name: 'Low MAPs', value: 'low_maps' },
+      { name: 'No war slots', value: 'no_slots' },
+    ))
+    .addStringOption((option) => option.setName('sort').setDescription('Order within each gap group').addChoices(
+      { name: 'score', value: 'score' }, { name: 'cities', value: 'cities' }, { name: 'name', value: 'name' },
+    )))
   .addSubcommand((sub) => sub.setName('room').setDescription('View an actor-safe Milcom-v2 war-room summary.')
     .addIntegerOption((option) => option.setName('objective').setDescription('Milcom-v2 objective ID')
       .setRequired(true).setMinValue(1)))
   .addSubcommand((sub) => sub.setName('counter').setDescription('Get counter guidance for a nation.')
     .addIntegerOption((option) => option.setName('nation').setDescription('Nation ID').setRequired(true).setMinValue(1)))
-  .addSubcommand((sub) => sub.setName('simulate').setDescription('View a war simulation summary.')
-    .addStringOption((option) => option.setName('war').setDescription('War').setRequired(true).setAutocomplete(true)))
+  .addSubcommand((sub) => sub.setName('simulate').setDescription('View a war simulation summary or compare attack plans.')
+    .addStringOption((option) => option.setName('war').setDescription('War').setRequired(true).setAutocomplete(true))
+    .addStringOption((option) => option.setName('plan_a').setDescription('Attack sequence to compare, e.g. ground,ground,air')
+      .setMaxLength(60))
+    .addStringOption((option) => option.setName('plan_b').setDescription('Second attack sequence to compare')
+      .setMaxLength(60))
+    .addStringOption((option) => option.setName('plan_c').setDescription('Optional third attack sequence')
+      .setMaxLength(60)))
   .setDMPermission(false);
 
 export const help = Object.freeze({
   audience: 'Members and military staff',
   topic: Object.freeze(['member', 'military']),
   examples: Object.freeze([
-    '/war active', '/war assignments', '/war readiness', '/war room objective:<objective-id>',
+    '/war active', '/war assignments', '/war readiness', '/war roster gap:<gap> sort:<sort>',
+    '/war room objective:<objective-id>',
     '/war counter nation:<nation-id>', '/war simulate war:<war>',
+    '/war simulate war:<war> plan_a:ground,ground,air plan_b:air,air,air',
   ]),
   related: Object.freeze(['raid', 'spy', 'waraid']),
 });
@@ -239,6 +258,163 @@ const assignmentResponseConfirmation = (interaction, context, preview) => {
   });
 };
 
+const ATTACK_TYPES = new Set(['ground', 'air', 'naval', 'missile']);
+const MAX_PLAN_ATTACKS = 6;
+const PLAN_OPTIONS = ['plan_a', 'plan_b', 'plan_c'];
+const PLAN_LABELS = ['A', 'B', 'C'];
+
+const invalidSimulationPlan = (message) => Object.assign(new Error(message), { code: 'VALIDATION_ERROR' });
+
+/** Attack sequences from the plan options, in option order; empty when none were given. */
+const simulationPlans = (interaction) => {
+  const plans = PLAN_OPTIONS
+    .map((name) => interaction.options.getString(name))
+    .filter((value) => value !== null && value.trim() !== '')
+    .map((value) => value.toLowerCase().split(/[\s,>]+/).filter(Boolean));
+  for (const attacks of plans) {
+    if (!attacks.length || attacks.length > MAX_PLAN_ATTACKS || attacks.some((attack) => !ATTACK_TYPES.has(attack))) {
+      throw invalidSimulationPlan(`Each plan is 1 to ${MAX_PLAN_ATTACKS} attacks from ground, air, naval, and missile, separated by commas.`);
+    }
+  }
+  if (plans.length === 1) throw invalidSimulationPlan('Choose at least two plans to compare.');
+  return plans;
+};
+
+const numberOrNull = (value) => {
+  const number = Number(value);
+  return value !== undefined && value !== null && value !== '' && Number.isFinite(number) ? number : null;
+};
+
+/** Compact, session-safe copy of a Nexus comparison; plans line up with the requested sequences. */
+const normalizeComparison = (result, plans) => {
+  const outcomes = Array.isArray(result?.plans) ? result.plans : [];
+  return {
+    war: truncate(result?.war?.label ?? result?.war?.name, 120, 'Selected war'),
+    plans: plans.map((attacks, index) => {
+      const outcome = outcomes[index] ?? {};
+      const loot = outcome.loot && typeof outcome.loot === 'object' ? outcome.loot.money : outcome.loot;
+      return {
+        label: PLAN_LABELS[index],
+        attacks,
+        infrastructure: numberOrNull(outcome.infrastructure_damage),
+        loot: numberOrNull(loot),
+        resistance: numberOrNull(outcome.resistance_change),
+        attackerLosses: outcome.unit_losses?.attacker ?? null,
+        defenderLosses: outcome.unit_losses?.defender ?? null,
+      };
+    }),
+  };
+};
+
+const signedDelta = (value, baseline, format) => {
+  if (value === null || baseline === null || value === baseline) return '';
+  return ` (${value > baseline ? '+' : '−'}${format(Math.abs(value - baseline))})`;
+};
+
+const simulationComparisonMessage = (comparison, baselineIndex, interaction, context) => {
+  const baseline = comparison.plans[baselineIndex];
+  const whole = (value) => formatNumber(value, { maximumFractionDigits: 0 });
+  const fields = comparison.plans.map((plan, index) => {
+    const isBaseline = index === baselineIndex;
+    const delta = (key, format) => (isBaseline ? '' : signedDelta(plan[key], baseline[key], format));
+    return {
+      name: `${isBaseline ? '⭐ ' : ''}Plan ${plan.label}${isBaseline ? ' · baseline' : ''}`,
+      inline: true,
+      value: [
+        `**Attacks:** ${plan.attacks.map(titleCase).join(' → ')}`,
+        `**Infra damage:** ${whole(plan.infrastructure)}${delta('infrastructure', whole)}`,
+        `**Loot:** ${formatMoney(plan.loot)}${delta('loot', formatMoney)}`,
+        `**Resistance:** ${formatNumber(plan.resistance, { maximumFractionDigits: 1 })}${delta('resistance', (value) => formatNumber(value, { maximumFractionDigits: 1 }))}`,
+        `**Your losses:** ${formatMilitary(plan.attackerLosses) ?? 'None reported'}`,
+        `**Their losses:** ${formatMilitary(plan.defenderLosses) ?? 'None reported'}`,
+      ].join('\n'),
+    };
+  });
+  const controls = new ActionRowBuilder().addComponents(comparison.plans.map((plan, index) => new ButtonBuilder()
+    .setCustomId(context.sessions.create({
+      commandName: 'war', userId: interaction.user.id,
+      event: 'simulation-baseline', state: { comparison, baselineIndex: index }, oneShot: true,
+    }))
+    .setLabel(`Compare against Plan ${plan.label}`)
+    .setStyle(index === baselineIndex ? ButtonStyle.Primary : ButtonStyle.Secondary)
+    .setDisabled(index === baselineIndex)));
+  return {
+    embeds: [buildEmbed({
+      title: 'War Simulation Comparison',
+      tone: 'military',
+      description: `${escapeMarkdown(comparison.war)}\nDifferences are shown against Plan ${baseline.label}.`,
+      fields,
+      footer: 'Simulation results are estimates. Verify the live war state before acting.',
+      timestamp: true,
+    })],
+    components: [controls],
+  };
+};
+
+const ROSTER_UNITS = ['soldiers', 'tanks', 'aircraft', 'ships', 'missiles', 'nukes'];
+const rosterNumber = (value) => (value !== null && value !== undefined && Number.isFinite(Number(value)) ? Number(value) : -1);
+const rosterName = (member) => `${member?.nation_name ?? ''}`;
+const ROSTER_SORTS = Object.freeze({
+  score: (a, b) => rosterNumber(b.score) - rosterNumber(a.score),
+  cities: (a, b) => rosterNumber(b.cities) - rosterNumber(a.cities) || rosterNumber(b.score) - rosterNumber(a.score),
+  name: (a, b) => rosterName(a).localeCompare(rosterName(b)),
+});
+
+/** The member's known gaps, in READINESS_GAPS order. */
+const memberGaps = (member) => Object.keys(READINESS_GAPS)
+  .filter((gap) => Array.isArray(member?.gaps) && member.gaps.includes(gap));
+
+/** Index of the member's first gap in READINESS_GAPS order; ready members sort last. */
+const rosterGroup = (member) => {
+  const [first] = memberGaps(member);
+  return first ? Object.keys(READINESS_GAPS).indexOf(first) : Object.keys(READINESS_GAPS).length;
+};
+
+const ROSTER_CSV_COLUMNS = [
+  { header: 'nation_id', value: (member) => member.nation_id },
+  { header: 'nation_name', value: (member) => member.nation_name },
+  { header: 'leader_name', value: (member) => member.leader_name },
+  { header: 'discord_id', value: (member) => member.discord_id },
+  { header: 'gaps', value: (member) => memberGaps(member).map((gap) => READINESS_GAPS[gap]) },
+  { header: 'score', value: (member) => member.score },
+  { header: 'cities', value: (member) => member.cities },
+  { header: 'maps', value: (member) => member.maps },
+  { header: 'free_slots', value: (member) => member.free_slots },
+  ...ROSTER_UNITS.map((unit) => ({ header: unit, value: (member) => member.military?.[unit] })),
+  ...ROSTER_UNITS.slice(0, 4).map((unit) => ({ header: `missing_${unit}`, value: (member) => member.missing_units?.[unit] })),
+];
+
+const rosterMessage = (result, interaction, context) => {
+  const members = normalizeCollection(result?.members ?? result).items.filter((member) => member && typeof member === 'object');
+  const gap = interaction.options.getString('gap');
+  const sort = interaction.options.getString('sort') ?? 'score';
+  const shown = members
+    .filter((member) => !gap || memberGaps(member).includes(gap))
+    .sort((a, b) => rosterGroup(a) - rosterGroup(b) || ROSTER_SORTS[sort](a, b));
+  const counts = Object.entries(READINESS_GAPS).map(([key, label]) => (
+    `**${label}:** ${formatNumber(members.filter((member) => memberGaps(member).includes(key)).length, { maximumFractionDigits: 0 })}`
+  ));
+  counts.push(`**Ready:** ${formatNumber(members.filter((member) => memberGaps(member).length === 0).length, { maximumFractionDigits: 0 })}`);
+  const message = collectionMessage({
+    title: gap ? `Readiness Roster · ${READINESS_GAPS[gap]}` : 'Readiness Roster',
+    collection: normalizeCollection(shown),
+    empty: gap ? 'No members have this readiness gap.' : 'Nexus returned no roster members.',
+    commandName: 'war',
+    userId: interaction.user.id,
+    sessions: context.sessions,
+    variant: 'readiness',
+    description: [
+      counts.join(' · '),
+      `Grouped by first gap, then sorted by ${sort}. The attached CSV holds all ${formatNumber(members.length, { maximumFractionDigits: 0 })} members.`,
+    ].join('\n'),
+    baseUrl: context.apiService.baseUrl,
+    pageSize: 5,
+  });
+  return members.length
+    ? { ...message, files: [csvAttachment('readiness-roster.csv', ROSTER_CSV_COLUMNS, members)] }
+    : message;
+};
+
 const readinessMessage = (readiness) => {
   const nation = readiness?.nation ?? {};
   const slots = readiness?.offensive_slots ?? {};
@@ -355,6 +531,11 @@ export const execute = async (interaction, context) => {
       await interaction.editReply(readinessMessage(result));
       return;
     }
+    if (subcommand === 'roster') {
+      const result = await context.apiService.getMilcomReadinessRoster(actor);
+      await interaction.editReply(rosterMessage(result, interaction, context));
+      return;
+    }
     if (subcommand === 'room') {
       const result = await context.apiService.getMilcomWarRoom(
         actor,
@@ -380,7 +561,14 @@ export const execute = async (interaction, context) => {
       return;
     }
     if (subcommand === 'simulate') {
-      const result = await context.apiService.getWarSimulation(actor, interaction.options.getString('war', true));
+      const warToken = interaction.options.getString('war', true);
+      const plans = simulationPlans(interaction);
+      if (plans.length) {
+        const result = await context.apiService.compareWarSimulations(actor, warToken, plans);
+        await interaction.editReply(simulationComparisonMessage(normalizeComparison(result, plans), 0, interaction, context));
+        return;
+      }
+      const result = await context.apiService.getWarSimulation(actor, warToken);
       const summary = typeof result?.summary === 'string'
         ? escapeMarkdown(truncate(result.summary, 6_000))
         : summarizeItem(result);
@@ -434,8 +622,93 @@ export const modal = async (interaction, context) => {
   } catch (error) { await replyError(interaction, error); }
 };
 
+const invalidSignupControl = () => Object.assign(
+  new Error('This war room control is no longer valid. Ask staff to check the counter in Nexus.'),
+  { code: 'VALIDATION_ERROR' },
+);
+
+const counterRecord = (response) => response?.data?.counter ?? response?.counter ?? null;
+
+const signupConfirmation = (response, counterId) => ({
+  joined: {
+    title: 'Joined Counter',
+    description: `Nexus added you to war counter #${counterId}. Declare on the target, then press **I've declared**.`,
+  },
+  left: {
+    title: 'Left Counter',
+    description: `Nexus removed you from war counter #${counterId} and freed your slot.`,
+  },
+  declared: {
+    title: 'Declaration Recorded',
+    description: `Nexus recorded that you declared for war counter #${counterId}.`,
+  },
+})[response];
+
+/**
+ * Join, leave, or "I've declared" from a war room's opening post. Nexus records
+ * the response for the clicking member and owns the slot limit; the bot only
+ * turns away joins it can already see would overflow, then refreshes the
+ * roster on the post.
+ */
+const counterSignupButton = async (interaction, context) => {
+  const response = COUNTER_SIGNUP_RESPONSES[context.session.event];
+  const counterId = Number(context.session.state.args?.[0]);
+  if (!response || !Number.isSafeInteger(counterId) || counterId < 1) {
+    await replyError(interaction, invalidSignupControl());
+    return;
+  }
+  await deferEphemeral(interaction);
+  try {
+    if (response === 'joined') {
+      const { members, slotLimit } = counterSignups(counterRecord(await context.apiService.getWarCounter(counterId)));
+      const signedUp = members.some((member) => `${member.discord_id ?? ''}`.trim() === interaction.user.id);
+      if (!signedUp && slotLimit && members.length >= slotLimit) {
+        await interaction.editReply(statusMessage({
+          title: 'Counter Full',
+          tone: 'warning',
+          description: `All ${formatNumber(slotLimit, { maximumFractionDigits: 0 })} slots on war counter #${counterId} are taken. Try again if someone leaves.`,
+        }));
+        return;
+      }
+    }
+
+    const result = await context.apiService.respondToWarAssignment(
+      actorFromInteraction(interaction, 'war'),
+      'counter',
+      counterId,
+      { response },
+    );
+    const counter = counterRecord(result) ?? counterRecord(await context.apiService.getWarCounter(counterId));
+    const [embed, ...rest] = interaction.message?.embeds ?? [];
+    if (counter && embed) {
+      await interaction.message.edit({ embeds: [withCounterSignupField(embed, counterSignups(counter)), ...rest] })
+        .catch((error) => {
+          context.logger?.warn('Failed to refresh war room sign-ups', {
+            warCounterId: counterId,
+            channelId: interaction.channelId ?? null,
+            errorMessage: error?.message ?? String(error),
+          });
+        });
+    }
+    await interaction.editReply(statusMessage({ ...signupConfirmation(response, counterId), tone: 'success' }));
+  } catch (error) { await replyError(interaction, error); }
+};
+
 export const button = async (interaction, context) => {
+  if (context.session.persistent) {
+    await counterSignupButton(interaction, context);
+    return;
+  }
   const event = context.session.event;
+  if (event === 'simulation-baseline') {
+    const { comparison, baselineIndex } = context.session.state;
+    if (!Array.isArray(comparison?.plans) || !comparison.plans[baselineIndex]) {
+      await replyError(interaction, invalidSimulationPlan('This comparison expired. Run /war simulate again.'));
+      return;
+    }
+    await interaction.update(simulationComparisonMessage(comparison, baselineIndex, interaction, context));
+    return;
+  }
   const id = Number(context.session.state.assignmentId);
   if (!Number.isSafeInteger(id) || id < 1) {
     await replyError(interaction, invalidAssignmentControl());
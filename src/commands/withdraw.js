@@ -1,27 +1,80 @@
 import { SlashCommandBuilder } from 'discord.js';
-import { accountChoices, executeAutocomplete } from '../utils/commandSupport.js';
 import {
-  collectAmounts, handleResourceButton, handleWithdrawalDecision, resourcePickerPayload, showAmountModal,
+  accountChoices, actorFromInteraction, deferEphemeral, executeAutocomplete, normalizeCollection, replyError,
+} from '../utils/commandSupport.js';
+import {
+  SCHEDULE_CADENCES, financeSchedulesMessage, handleScheduleCancel, handleScheduleCycle, scheduleFromOptions,
+} from '../utils/financeSchedules.js';
+import {
+  applyPreset, collectAmounts, handleResourceButton, handleWithdrawalDecision, presetChoices, resourcePickerPayload,
+  savePreset, showAmountModal, withdrawalResultMessage,
 } from '../utils/resourceRequestUi.js';
 
-export const data = new SlashCommandBuilder().setName('withdraw').setDescription('Create and confirm a Nexus withdrawal.')
-  .addStringOption((option) => option.setName('account').setDescription('Source account').setRequired(true).setAutocomplete(true))
+export const data = new SlashCommandBuilder().setName('withdraw').setDescription('Create and confirm Nexus withdrawals.')
+  .addSubcommand((sub) => sub.setName('request').setDescription('Create and confirm a Nexus withdrawal.')
+    .addStringOption((option) => option.setName('account').setDescription('Source account').setRequired(true).setAutocomplete(true)))
+  .addSubcommand((sub) => sub.setName('schedule').setDescription('Save a recurring withdrawal that you confirm each cycle by DM.')
+    .addStringOption((option) => option.setName('account').setDescription('Source account').setRequired(true).setAutocomplete(true))
+    .addStringOption((option) => option.setName('cadence').setDescription('How often Nexus drafts the withdrawal').setRequired(true)
+      .addChoices(...SCHEDULE_CADENCES))
+    .addStringOption((option) => option.setName('time').setDescription('Draft time in UTC, such as 06:30').setMaxLength(5)))
+  .addSubcommand((sub) => sub.setName('schedules').setDescription('List and cancel your withdrawal schedules.'))
   .setDMPermission(false);
 
 export const help = Object.freeze({
   audience: 'Members',
   topic: Object.freeze(['member', 'finance']),
-  examples: Object.freeze(['/withdraw account:<account>']),
+  examples: Object.freeze([
+    '/withdraw request account:<account>',
+    '/withdraw schedule account:<account> cadence:<cadence> time:<HH:MM>',
+    '/withdraw schedules',
+  ]),
   related: Object.freeze(['accounts', 'deposit', 'transactions']),
 });
 
-export const execute = (interaction, { sessions }) => interaction.reply(resourcePickerPayload({
-  commandName: 'withdraw', interaction, sessions, account: interaction.options.getString('account', true), kind: 'withdrawal',
-}));
+/** Saved presets for the picker. A failed lookup only hides the preset menu. */
+const loadPresets = async (interaction, context) => {
+  try {
+    const result = await context.apiService.getMyWithdrawalPresets(actorFromInteraction(interaction));
+    return presetChoices(normalizeCollection(result?.presets ?? result).items);
+  } catch (error) {
+    context.logger?.warn?.('Withdrawal presets unavailable for /withdraw', { errorCode: error?.code ?? null });
+    return [];
+  }
+};
+
+export const execute = async (interaction, context) => {
+  await deferEphemeral(interaction);
+  try {
+    const subcommand = interaction.options.getSubcommand();
+    if (subcommand === 'schedules') {
+      await interaction.editReply(await financeSchedulesMessage(interaction, context, 'withdrawal'));
+      return;
+    }
+    const schedule = subcommand === 'schedule' ? scheduleFromOptions(interaction.options) : undefined;
+    await interaction.editReply(resourcePickerPayload({
+      commandName: 'withdraw',
+      interaction,
+      sessions: context.sessions,
+      account: interaction.options.getString('account', true),
+      kind: 'withdrawal',
+      schedule,
+      presets: await loadPresets(interaction, context),
+    }));
+  } catch (error) { await replyError(interaction, error); }
+};
 export const autocomplete = (interaction, { apiService }) => executeAutocomplete(interaction, apiService, accountChoices);
-export const select = showAmountModal;
-export const modal = collectAmounts;
+export const select = async (interaction, context) => {
+  if (await applyPreset(interaction, context)) return;
+  await showAmountModal(interaction, context);
+};
+export const modal = async (interaction, context) => {
+  if (await savePreset(interaction, context)) return;
+  await collectAmounts(interaction, context);
+};
 export const button = async (interaction, context) => {
+  if (await handleScheduleCycle(interaction, context, (result) => withdrawalResultMessage(result, true))) return;
+  if (await handleScheduleCancel(interaction, context)) return;
   if (await handleWithdrawalDecision(interaction, context)) return;
   await handleResourceButton(interaction, context);
 };
@@ -3,6 +3,7 @@ import { InteractionSessionStore } from '../services/InteractionSessionStore.js'
 import { COLLECTION_PAGE_EVENT, collectionPageMessage } from '../utils/commandSupport.js';
 import { config } from '../utils/config.js';
 import { statusMessage } from '../utils/discordUi.js';
+import { persistentControlGuildId, resolvePersistentControl } from '../utils/persistentControls.js';
 
 const interactionKinds = (interaction) => ({
   autocomplete: interaction.isAutocomplete?.(),
@@ -57,21 +58,24 @@ export const registerInteractionListener = (
     const kinds = interactionKinds(interaction);
     if (!Object.values(kinds).some(Boolean)) return;
 
+    const dmGuildId = !interaction.guildId && kinds.button ? persistentControlGuildId(interaction.customId) : null;
     let connection = null;
     if (resolver) {
       try {
         const contextCommand = kinds.context
           ? commands.get(interaction.commandName)?.connectionCommandName ?? null
           : null;
-        connection = resolver.resolveInteraction(interaction, {
-          applicationId,
-          commandName: kinds.chat || kinds.autocomplete ? interaction.commandName : contextCommand,
-        });
+        connection = dmGuildId
+          ? resolver.resolve({ applicationId, guildId: dmGuildId })
+          : resolver.resolveInteraction(interaction, {
+              applicationId,
+              commandName: kinds.chat || kinds.autocomplete ? interaction.commandName : contextCommand,
+            });
       } catch (error) {
         await resolutionFailure(interaction, kinds, logger, error);
         return;
       }
-    } else if (!guildId || interaction.guildId !== guildId) {
+    } else if (!guildId || (interaction.guildId ?? dmGuildId) !== guildId) {
       logger.warn('Ignored interaction outside the configured guild', {
         command: interaction.commandName ?? null,
         guildId: interaction.guildId ?? null,
@@ -108,9 +112,10 @@ export const registerInteractionListener = (
     let commandName = interaction.commandName;
     let handler = kinds.autocomplete ? 'autocomplete' : 'execute';
     if (kinds.button || kinds.select || kinds.modal) {
-      session = connection
+      session = (connection
         ? sessions.resolve(interaction.customId, interaction.user?.id, connection)
-        : sessions.resolve(interaction.customId, interaction.user?.id);
+        : sessions.resolve(interaction.customId, interaction.user?.id))
+        ?? resolvePersistentControl(interaction.customId);
       commandName = session?.commandName;
       handler = kinds.button ? 'button' : kinds.select ? 'select' : 'modal';
       if (!session) {
@@ -168,6 +173,7 @@ export const registerInteractionListener = (
 
     try {
       interaction.nexusCommandName = commandName;
+      if (dmGuildId) interaction.nexusGuildId = dmGuildId;
       if (connection) interaction.nexusConnectionContext = connection;
       await command[handler](interaction, {
         logger,
@@ -5,8 +5,27 @@ import {
 } from '../utils/applicationChannels.js';
 import { config } from '../utils/config.js';
 import { markdownLink, statusMessage } from '../utils/discordUi.js';
+import { transcriptMessage } from '../utils/messageTranscripts.js';
+import { parseSpyOperationReport } from '../utils/spyOperationReports.js';
 
 export const APPLICATION_CHANNEL_REGEX = LEGACY_APPLICATION_CHANNEL_REGEX;
+const SPY_REPORTS = Object.freeze({
+  intel: {
+    label: 'intel report',
+    title: 'Intel Report',
+    send: 'sendIntelReport',
+    path: '/defense/intel',
+    link: 'Open the intelligence dashboard',
+  },
+  operation: {
+    label: 'spy operation report',
+    title: 'Spy Operation',
+    send: 'sendSpyOperationReport',
+    path: '/defense/spy-operations',
+    link: 'Open spy operations',
+  },
+});
+
 export const INTEL_REPORT_REGEX = /^(?:\s*)[A-Za-z]{0,3}\s*successfully gather(?:ed)? intelligence about .+?The operation cost you \$[0-9,]+\.[0-9]{2} and \d+ of your spies were captured and executed\.?(?:\s*)$/is;
 
 /**
@@ -55,20 +74,22 @@ export const registerMessageListener = (
     const content = typeof message.content === 'string' ? message.content : '';
 
     if (content && INTEL_REPORT_REGEX.test(content)) {
-      await handleIntelReport(message, content, scopedApiService, logger, connection);
+      await handleSpyReport(message, SPY_REPORTS.intel, { report: content }, scopedApiService, logger, connection);
+    } else if (content) {
+      const operation = parseSpyOperationReport(content);
+      if (operation) {
+        await handleSpyReport(message, SPY_REPORTS.operation, { report: content, ...operation }, scopedApiService, logger, connection);
+      }
     }
 
     if (!parseApplicationChannelIdentity(message.channel)) return;
     // Application transcripts are deliberately text-only. Attachments remain in Discord.
-    if (content.trim().length === 0) return;
+    const entry = transcriptMessage(message);
+    if (!entry) return;
 
     const payload = {
       discord_channel_id: message.channelId,
-      discord_message_id: message.id,
-      discord_user_id: message.author?.id ?? 'unknown',
-      discord_username: message.author?.tag ?? message.author?.username ?? 'unknown',
-      content,
-      sent_at: Math.floor(message.createdTimestamp / 1000),
+      ...entry,
       ...(connection ? {
         connection_id: connection.connectionId,
         generation: connection.generation,
@@ -93,15 +114,19 @@ export const registerMessageListener = (
   });
 };
 
-async function handleIntelReport(message, content, apiService, logger, connection) {
+/** Forward a pasted intel or spy operation result to Nexus and confirm it in the channel. */
+async function handleSpyReport(message, kind, record, apiService, logger, connection) {
   if (!apiService) {
-    logger.warn('ApiService missing; unable to forward intel report.');
+    logger.warn(`ApiService missing; unable to forward ${kind.label}.`);
     return;
   }
 
+  // The author lets Nexus link the report to their open `/spy plan` against the same target.
   const payload = {
-    report: content,
+    ...record,
     source: 'discord',
+    discord_user_id: message.author?.id ?? null,
+    discord_message_id: message.id ?? null,
     ...(connection ? {
       connection_id: connection.connectionId,
       generation: connection.generation,
@@ -111,25 +136,29 @@ async function handleIntelReport(message, content, apiService, logger, connectio
   };
 
   try {
-    await apiService.sendIntelReport(payload);
+    const result = await apiService[kind.send](payload);
 
     const baseUrl = apiService.baseUrl ?? config.nexusApi.baseUrl;
-    const intelUrl = new URL('/defense/intel', baseUrl).toString();
+    const pageUrl = new URL(kind.path, baseUrl).toString();
+    const planId = Number(result?.spy_plan?.id ?? result?.spy_plan_id);
     await message.reply({
       ...statusMessage({
-        title: 'Intel Report Saved',
+        title: `${kind.title} Saved`,
         tone: 'success',
-        description: `${markdownLink('Open the intelligence dashboard', intelUrl)} to review the report.`,
+        description: [
+          `${markdownLink(kind.link, pageUrl)} to review the report.`,
+          Number.isSafeInteger(planId) && planId > 0 ? `Linked to spy plan **#${planId}**.` : null,
+        ].filter(Boolean).join('\n'),
       }),
       allowedMentions: { parse: [], repliedUser: false },
     }).catch((error) => {
-      logger.warn('Failed to send intel confirmation message', {
+      logger.warn(`Failed to send ${kind.label} confirmation message`, {
         errorMessage: error?.message ?? String(error),
       });
     });
   } catch (error) {
     const { status, data } = error?.response ?? {};
-    logger.warn('Failed to submit intel report to Nexus', {
+    logger.warn(`Failed to submit ${kind.label} to Nexus`, {
       channelId: message.channelId,
       messageId: message.id,
       status: status ?? null,
@@ -138,7 +167,7 @@ async function handleIntelReport(message, content, apiService, logger, connectio
     });
     await message.reply({
       ...statusMessage({
-        title: 'Intel Report Not Saved',
+        title: `${kind.title} Not Saved`,
         tone: 'danger',
         description: 'Nexus could not save that report. Try posting it again in a moment.',
       }),
@@ -0,0 +1,199 @@
+import fs from 'node:fs/promises';
+import { writeHealthSnapshot } from './ProcessHealth.js';
+
+export const OUTBOX_SCHEMA_VERSION = 1;
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const LOCAL_SCOPE = 'local';
+
+/** Journal key for one queue item, scoped to its connection in the shared runtime. */
+export const outboxKey = (queueId, connectionId = null) => {
+  const id = `${queueId ?? ''}`.trim();
+  if (!id) return null;
+  return `${`${connectionId ?? ''}`.trim().toLowerCase() || LOCAL_SCOPE}:${id}`;
+};
+
+const copyOutcome = (outcome = {}) => {
+  const copy = {};
+  if (outcome.result !== undefined) copy.result = outcome.result;
+  if (outcome.error_code !== undefined) copy.error_code = outcome.error_code;
+  if (outcome.error_message !== undefined) copy.error_message = outcome.error_message;
+  return copy;
+};
+
+const isEntry = (entry) => entry
+  && typeof entry === 'object'
+  && typeof entry.key === 'string'
+  && typeof entry.queue_id === 'string'
+  && typeof entry.lease_token === 'string'
+  && (entry.status === 'complete' || entry.status === 'failed')
+  && Number.isFinite(Date.parse(entry.recorded_at ?? ''));
+
+/**
+ * Local durable journal of queue outcomes whose Discord side effect already
+ * happened. An entry is written before Nexus is acknowledged and removed once
+ * Nexus accepts the acknowledgement, so a crash or Nexus outage can neither
+ * lose the outcome nor cause the side effect to run twice on redelivery.
+ * Delivery-batch items are journaled the same way until their receipt is
+ * accepted, but only for dedupe; they are never replayed as acknowledgements.
+ */
+export class AcknowledgementOutbox {
+  constructor({
+    file,
+    logger,
+    maxEntries = DEFAULT_MAX_ENTRIES,
+    maxAgeMs = DEFAULT_MAX_AGE_MS,
+    now = () => new Date(),
+    writeJournal = writeHealthSnapshot,
+    readJournal = (journalFile) => fs.readFile(journalFile, 'utf8'),
+  }) {
+    this.file = file;
+    this.logger = logger;
+    this.maxEntries = Math.max(1, Number(maxEntries) || DEFAULT_MAX_ENTRIES);
+    this.maxAgeMs = Math.max(1, Number(maxAgeMs) || DEFAULT_MAX_AGE_MS);
+    this.now = now;
+    this.writeJournal = writeJournal;
+    this.readJournal = readJournal;
+    this.entries = new Map();
+    this.writeChain = Promise.resolve();
+  }
+
+  /** Load the journal from disk; a missing or unreadable journal starts empty. */
+  async load() {
+    let raw;
+    try {
+      raw = await this.readJournal(this.file);
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        this.logger.error('Failed to read queue acknowledgement outbox', { errorCode: error?.code ?? 'OUTBOX_READ_FAILED' });
+      }
+      return this.entries.size;
+    }
+
+    try {
+      const parsed = JSON.parse(raw);
+      if (parsed?.schema_version !== OUTBOX_SCHEMA_VERSION || !Array.isArray(parsed.entries)) {
+        throw new TypeError('Unsupported outbox journal.');
+      }
+      this.entries = new Map(parsed.entries.filter(isEntry).map((entry) => [entry.key, entry]));
+    } catch {
+      this.logger.error('Ignoring malformed queue acknowledgement outbox', { errorCode: 'OUTBOX_MALFORMED' });
+      this.entries = new Map();
+    }
+    this.#prune();
+    return this.entries.size;
+  }
+
+  /** Return the journaled outcome for a redelivered queue item, if any. */
+  lookup(queueId, connectionId = null) {
+    const key = outboxKey(queueId, connectionId);
+    return key ? this.entries.get(key) ?? null : null;
+  }
+
+  /** Durably record an outcome before it is acknowledged. */
+  async record({ item, status, outcome, connection = null, lane = null }) {
+    const key = outboxKey(item?.id, connection?.connectionId);
+    if (!key || typeof item?.lease_token !== 'string') return null;
+
+    const entry = {
+      key,
+      queue_id: `${item.id}`,
+      lease_token: item.lease_token,
+      action: item.action ?? null,
+      lane,
+      status,
+      outcome: copyOutcome(outcome),
+      connection_id: connection?.connectionId ?? null,
+      application_id: connection?.applicationId ?? null,
+      guild_id: connection?.guildId ?? null,
+      generation: connection?.generation ?? null,
+      recorded_at: this.now().toISOString(),
+      replay_rejected: false,
+      // Batched deliveries are answered by a signed receipt, never replayed.
+      ...(item.batch_id ? { batch_id: `${item.batch_id}`, dedupe_key: item.dedupe_key ?? null } : {}),
+    };
+    this.entries.set(key, entry);
+    this.#prune();
+    await this.#persist();
+    return entry;
+  }
+
+  /** Forget an outcome once Nexus has accepted its acknowledgement. */
+  async markAcknowledged(queueId, connectionId = null) {
+    const key = outboxKey(queueId, connectionId);
+    if (!key || !this.entries.delete(key)) return false;
+    await this.#persist();
+    return true;
+  }
+
+  pending() {
+    return [...this.entries.values()];
+  }
+
+  getHealthSnapshot() {
+    const entries = this.pending();
+    return {
+      pending: entries.filter((entry) => !entry.replay_rejected && !entry.batch_id).length,
+      journaled: entries.length,
+    };
+  }
+
+  /**
+   * Re-send acknowledgements left behind by an earlier process. A rejected
+   * lease keeps the entry so a redelivery is reported without re-executing.
+   * @param {(entry: object) => any} resolveApiService returns the API service for an entry, or null
+   */
+  async replay(resolveApiService) {
+    const summary = { acknowledged: 0, rejected: 0, deferred: 0 };
+    for (const entry of this.pending()) {
+      if (entry.replay_rejected || entry.batch_id) continue;
+
+      const apiService = resolveApiService(entry);
+      if (!apiService?.updateDiscordQueueStatus) {
+        summary.deferred += 1;
+        continue;
+      }
+
+      try {
+        await apiService.updateDiscordQueueStatus(entry.queue_id, entry.status, entry.lease_token, entry.outcome);
+        this.entries.delete(entry.key);
+        summary.acknowledged += 1;
+      } catch (error) {
+        if (error?.response?.status === 409) {
+          entry.replay_rejected = true;
+          summary.rejected += 1;
+        } else {
+          summary.deferred += 1;
+        }
+      }
+    }
+
+    if (summary.acknowledged > 0 || summary.rejected > 0) {
+      await this.#persist().catch(() => {
+        this.logger.error('Failed to write queue acknowledgement outbox', { errorCode: 'OUTBOX_WRITE_FAILED' });
+      });
+    }
+    this.logger.info('Replayed journaled queue acknowledgements', summary);
+    return summary;
+  }
+
+  #prune() {
+    const oldest = this.now().getTime() - this.maxAgeMs;
+    for (const [key, entry] of this.entries) {
+      if (Date.parse(entry.recorded_at) < oldest) this.entries.delete(key);
+    }
+    const overflow = this.entries.size - this.maxEntries;
+    if (overflow > 0) {
+      [...this.entries.keys()].slice(0, overflow).forEach((key) => this.entries.delete(key));
+    }
+  }
+
+  #persist() {
+    const snapshot = { schema_version: OUTBOX_SCHEMA_VERSION, entries: this.pending() };
+    this.writeChain = this.writeChain
+      .catch(() => undefined)
+      .then(() => this.writeJournal(this.file, snapshot));
+
+    return this.writeChain;
+  }
+}
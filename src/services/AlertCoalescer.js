@@ -0,0 +1,97 @@
+import { MAX_COALESCED_ALERTS } from './queueActions/alertDelivery.js';
+
+const MAX_WINDOW_MS = 30_000;
+
+/**
+ * Holds alert-lane items for a short window so items that share a dispatcher
+ * coalesce key are sent as one Discord message. Each held item keeps its own
+ * lease and acknowledgement; the promise returned by `hold` settles with that
+ * item's dispatch result once its group is flushed.
+ */
+export class AlertCoalescer {
+  constructor({ logger, windowMs = 0, maxGroupSize = MAX_COALESCED_ALERTS } = {}) {
+    this.logger = logger;
+    const parsedWindow = Number(windowMs);
+    this.windowMs = Number.isInteger(parsedWindow) && parsedWindow > 0 ? Math.min(parsedWindow, MAX_WINDOW_MS) : 0;
+    this.maxGroupSize = Math.min(Math.max(Number.parseInt(maxGroupSize, 10) || 1, 1), MAX_COALESCED_ALERTS);
+    this.groups = new Map();
+  }
+
+  get enabled() {
+    return this.windowMs > 0;
+  }
+
+  /**
+   * @param {string} key coalesce key, already scoped to the item's connection
+   * @param {{ item: object, execution: object, dispatcher: object }} entry
+   * @returns {Promise<object>} the item's dispatch result
+   */
+  hold(key, { item, execution, dispatcher }) {
+    let group = this.groups.get(key);
+    if (!group) {
+      group = { dispatcher, entries: [], timer: null };
+      group.timer = setTimeout(() => void this.#flush(key, group), this.windowMs);
+      group.timer.unref?.();
+      this.groups.set(key, group);
+    }
+    const held = new Promise((resolve) => {
+      group.entries.push({ item, execution, resolve });
+    });
+    if (group.entries.length >= this.maxGroupSize) void this.#flush(key, group);
+    return held;
+  }
+
+  /** Send every held group now, e.g. when no further items can join them. */
+  flushAll() {
+    for (const [key, group] of this.groups) void this.#flush(key, group);
+  }
+
+  getHealthSnapshot() {
+    return {
+      window_ms: this.windowMs,
+      groups: this.groups.size,
+      held: [...this.groups.values()].reduce((total, group) => total + group.entries.length, 0),
+    };
+  }
+
+  async #flush(key, group) {
+    if (this.groups.get(key) !== group) return;
+    this.groups.delete(key);
+    clearTimeout(group.timer);
+
+    const live = [];
+    for (const entry of group.entries) {
+      if (entry.execution?.canContinue && !entry.execution.canContinue()) {
+        entry.resolve({ success: false, reason: 'lease_lost' });
+      } else {
+        live.push(entry);
+      }
+    }
+    if (live.length === 0) return;
+
+    const execution = {
+      ...live[0].execution,
+      canContinue: () => live.every((entry) => !entry.execution?.canContinue || entry.execution.canContinue()),
+    };
+    let results;
+    try {
+      results = live.length === 1
+        ? [await group.dispatcher.dispatch(live[0].item, live[0].execution)]
+        : await group.dispatcher.dispatchCoalesced(live.map((entry) => entry.item), execution);
+    } catch (error) {
+      this.logger.error('Queue dispatcher threw unexpectedly', {
+        queueIds: live.map((entry) => entry.item?.id ?? null),
+        action: live[0].item?.action ?? null,
+        errorCode: error?.code ?? null,
+      });
+      results = [];
+    }
+    if (live.length > 1) {
+      this.logger.info('Coalesced alert deliveries into one message', {
+        queueIds: live.map((entry) => entry.item?.id ?? null),
+        count: live.length,
+      });
+    }
+    live.forEach((entry, index) => entry.resolve(results[index] ?? { success: false, reason: 'dispatcher_error' }));
+  }
+}
@@ -9,6 +9,7 @@ import {
 import {
   normalizePathQuery,
 } from './connection/relayContracts.js';
+import { DELIVERY_RECEIPT_ROUTE } from './connection/deliveryBatches.js';
 import { V2_SERVICE_PROOF_ACTIONS } from './connection/Capabilities.js';
 
 export const RetryMode = Object.freeze({
@@ -302,12 +303,62 @@ export class ApiService {
     });
   }
 
+  createTransferDraft(actor, payload) {
+    return this.#requestDiscord('me/transfers/drafts', { method: 'post', actor, data: payload });
+  }
+
+  confirmTransfer(actor, intentToken) {
+    return this.#requestDiscord(`me/transfers/${encodeURIComponent(intentToken)}/confirm`, {
+      method: 'post', actor, data: {},
+    });
+  }
+
+  cancelTransfer(actor, intentToken) {
+    return this.#requestDiscord(`me/transfers/${encodeURIComponent(intentToken)}/cancel`, {
+      method: 'post', actor, data: {},
+    });
+  }
+
+  getMyWithdrawalPresets(actor) {
+    return this.#requestDiscord('me/withdrawal-presets', { actor, retryMode: RetryMode.SAFE });
+  }
+
+  createWithdrawalPreset(actor, payload) {
+    return this.#requestDiscord('me/withdrawal-presets', { method: 'post', actor, data: payload });
+  }
+
+  getMyFinanceSchedules(actor, params = {}) {
+    return this.#requestDiscord('me/finance-schedules', {
+      actor,
+      params: selectQueryParams(params, ['type']),
+      retryMode: RetryMode.SAFE,
+    });
+  }
+
+  createFinanceSchedule(actor, payload) {
+    return this.#requestDiscord('me/finance-schedules', { method: 'post', actor, data: payload });
+  }
+
+  cancelFinanceSchedule(actor, scheduleId) {
+    return this.#requestDiscord(`me/finance-schedules/${encodeURIComponent(scheduleId)}`, {
+      method: 'delete', actor, retryMode: RetryMode.IDEMPOTENT,
+    });
+  }
+
+  /** Confirm the draft Nexus created for one cycle of a recurring withdrawal or deposit. */
+  confirmFinanceScheduleCycle(actor, scheduleId, cycleId) {
+    return this.#requestDiscord(
+      `me/finance-schedules/${encodeURIComponent(scheduleId)}/cycles/${encodeURIComponent(cycleId)}/confirm`,
+      { method: 'post', actor, data: {} },
+    );
+  }
+
   getMyTransactions(actor, params = {}) {
     const account = params.account;
     if (!account) throw new TypeError('An opaque account token is required.');
     return this.#requestDiscord(`me/accounts/${encodeURIComponent(account)}/transactions`, {
       actor,
-      params: selectQueryParams(params, ['type', 'status', 'page', 'per_page']),
+      params: selectQueryParams(params, ['type', 'status', 'from', 'to', 'resource', 'page', 'per_page']),
       retryMode: RetryMode.SAFE,
     });
   }
@@ -364,6 +415,14 @@ export class ApiService {
     return this.#requestDiscord('me/loans', { actor, retryMode: RetryMode.SAFE });
   }
 
+  getLoanSchedule(actor, loanId, params = {}) {
+    return this.#requestDiscord(`me/loans/${encodeURIComponent(loanId)}/schedule`, {
+      actor,
+      params: selectQueryParams(params, ['payment', 'payoff']),
+      retryMode: RetryMode.SAFE,
+    });
+  }
+
   previewLoanPayment(actor, payload) {
     return this.#requestDiscord('me/loan-payments/preview', { method: 'post', actor, data: payload });
   }
@@ -412,6 +471,18 @@ export class ApiService {
     });
   }
 
+  claimRaidTarget(actor, nationId, payload = {}) {
+    return this.#requestDiscord(`me/raids/${encodeURIComponent(nationId)}/claim`, {
+      method: 'post', actor, data: payload,
+    });
+  }
+
+  releaseRaidTarget(actor, nationId) {
+    return this.#requestDiscord(`me/raids/${encodeURIComponent(nationId)}/claim`, {
+      method: 'delete', actor, retryMode: RetryMode.IDEMPOTENT,
+    });
+  }
+
   getMyWarAssignments(actor) {
     return this.#requestDiscord('me/war-assignments', { actor, retryMode: RetryMode.SAFE });
   }
@@ -439,6 +510,15 @@ export class ApiService {
     });
   }
 
+  /** Simulate two or three attack sequences against the same war for side-by-side comparison. */
+  compareWarSimulations(actor, warToken, plans) {
+    return this.#requestDiscord(`me/wars/${encodeURIComponent(warToken)}/simulation/compare`, {
+      actor,
+      params: { plans: plans.map((attacks) => attacks.join(',')).join(';') },
+      retryMode: RetryMode.SAFE,
+    });
+  }
+
   getMilcomAssignments(actor) {
     return this.#requestDiscord('milcom/assignments', { actor, retryMode: RetryMode.SAFE });
   }
@@ -463,6 +543,10 @@ export class ApiService {
     });
   }
 
+  getMilcomReadinessRoster(actor) {
+    return this.#requestDiscord('milcom/readiness/roster', { actor, retryMode: RetryMode.SAFE });
+  }
+
   getMilcomWarRoom(actor, objectiveId) {
     return this.#requestDiscord(`milcom/war-rooms/${encodeURIComponent(objectiveId)}`, {
       actor, retryMode: RetryMode.SAFE,
@@ -473,6 +557,18 @@ export class ApiService {
     return this.#requestDiscord('me/spy-assignments', { actor, retryMode: RetryMode.SAFE });
   }
 
+  previewSpyOperation(actor, params = {}) {
+    return this.#requestDiscord('me/spy-plans/preview', {
+      actor,
+      params: selectQueryParams(params, ['target_nation_id', 'operation', 'safety_level', 'spies', 'assignment_id']),
+      retryMode: RetryMode.SAFE,
+    });
+  }
+
+  createSpyPlan(actor, payload) {
+    return this.#requestDiscord('me/spy-plans', { method: 'post', actor, data: payload });
+  }
+
   getMyAuditFindings(actor) {
     return this.#requestDiscord('me/audits', { actor, retryMode: RetryMode.SAFE });
   }
@@ -553,6 +649,35 @@ export class ApiService {
     );
   }
 
+  /** List recently failed queue items for staff review; Nexus redacts payload values. */
+  getFailedQueueItems(actor, params = {}) {
+    return this.#requestDiscord('staff/queue/failed', {
+      actor,
+      params: selectQueryParams(params, ['lane', 'action', 'limit']),
+      retryMode: RetryMode.SAFE,
+    });
+  }
+
+  getFailedQueueItem(actor, id) {
+    if (`${id ?? ''}`.trim() === '') throw new TypeError('A queue item identifier is required.');
+    return this.#requestDiscord(`staff/queue/failed/${encodeURIComponent(id)}`, {
+      actor, retryMode: RetryMode.SAFE,
+    });
+  }
+
+  /** Ask Nexus to requeue a failed item or discard it permanently. */
+  resolveFailedQueueItem(actor, id, resolution, payload = {}) {
+    if (!['replay', 'discard'].includes(resolution)) {
+      throw new TypeError('Queue item resolution must be replay or discard.');
+    }
+    if (`${id ?? ''}`.trim() === '') throw new TypeError('A queue item identifier is required.');
+    return this.#requestDiscord(`staff/queue/failed/${encodeURIComponent(id)}/${encodeURIComponent(resolution)}`, {
+      method: 'post',
+      actor,
+      data: payload,
+    });
+  }
+
   /** Return the minimal Nexus identity projection for a Discord user. */
   getDirectoryDiscordUser(actor, discordUserId) {
     if (!/^\d{17,20}$/.test(`${discordUserId ?? ''}`)) {
@@ -708,41 +833,24 @@ export class ApiService {
     });
   }
 
-  /** Claim one queue item with an idempotent request identifier and explicit v2 binding. */
+  /**
+   * Claim one queue item with an idempotent request identifier and explicit v2
+   * binding. `priorityBands` asks Nexus to hand out the most urgent band first;
+   * `maxAgeMs` serves any item older than its band's bound ahead of that order.
+   */
   async claimDiscordQueue(
     workerId,
     requestId,
     lane,
     guildId = this.connectionContext?.guildId ?? null,
     connectionContext = this.connectionContext,
+    { priorityBands = null, maxAgeMs = null } = {},
   ) {
-    const normalizedLane = typeof lane === 'string' ? lane.trim() : '';
-    if (!normalizedLane) {
-      throw new TypeError('Discord queue claims require a non-empty queue lane.');
-    }
-    const context = assertV2ConnectionContext(connectionContext);
-    if (`${guildId ?? ''}`.trim() !== context.guildId) {
-      throw new TypeError('Discord queue claim guild must match the relay-v2 connection context.');
-    }
-    if (this.connectionContext && (
-      context.connectionId !== this.connectionContext.connectionId
-      || Number(context.generation) !== Number(this.connectionContext.generation)
-      || context.applicationId !== this.connectionContext.applicationId
-      || context.guildId !== this.connectionContext.guildId
-    )) {
-      throw new TypeError('Discord queue claim context does not match the configured relay connection.');
-    }
-    const endpointUrl = new URL('/api/v1/discord/queue/claim', this.baseUrl).toString();
-    const data = {
-      worker_id: workerId,
-      request_id: requestId,
-      lanes: [normalizedLane],
-      guild_id: context.guildId,
-      connection_id: context.connectionId,
-      generation: context.generation,
-      application_id: context.applicationId,
-    };
+    const { context, data } = this.#claimRequest(workerId, requestId, lane, guildId, connectionContext);
+    if (Array.isArray(priorityBands) && priorityBands.length > 0) data.priority_bands = [...priorityBands];
+    if (maxAgeMs && Object.keys(maxAgeMs).length > 0) data.max_age_ms = { ...maxAgeMs };
 
+    const endpointUrl = new URL('/api/v1/discord/queue/claim', this.baseUrl).toString();
     const options = {
       method: 'post',
       url: endpointUrl,
@@ -754,6 +862,43 @@ export class ApiService {
     return response;
   }
 
+  /**
+   * Claim a signed delivery-batch-v1 document with its route endorsement. The
+   * caller verifies both signatures before executing any delivery.
+   */
+  async claimDiscordDeliveryBatch(
+    workerId,
+    requestId,
+    lane,
+    guildId = this.connectionContext?.guildId ?? null,
+    connectionContext = this.connectionContext,
+    { maxItems = 100 } = {},
+  ) {
+    const { data } = this.#claimRequest(workerId, requestId, lane, guildId, connectionContext);
+    data.max_items = Math.min(Math.max(Number.parseInt(maxItems, 10) || 1, 1), 100);
+
+    const endpointUrl = new URL('/api/v1/discord/delivery/batches/claim', this.baseUrl).toString();
+    const options = {
+      method: 'post',
+      url: endpointUrl,
+      data,
+      headers: this.#serviceRelayHeaders('delivery.batch.claim', { method: 'post', url: endpointUrl, data }),
+    };
+    return this.request(options, RetryMode.IDEMPOTENT);
+  }
+
+  /** Submit the single signed receipt for a delivery batch; identical resubmissions are harmless. */
+  async submitDeliveryReceipt(receipt) {
+    if (receipt?.contract !== 'delivery-receipt' || typeof receipt?.signature?.value !== 'string') {
+      throw new TypeError('Delivery receipts must be signed delivery-receipt documents.');
+    }
+
+    const endpointUrl = new URL(DELIVERY_RECEIPT_ROUTE.path_template, this.baseUrl).toString();
+    const options = { method: 'post', url: endpointUrl, data: receipt };
+    options.headers = this.#serviceRelayHeaders('delivery.receipt', options);
+    return this.request(options, RetryMode.IDEMPOTENT);
+  }
+
   /** Renew an active queue lease. */
   async renewDiscordQueueLease(id, leaseToken) {
     const endpointUrl = new URL(
@@ -770,6 +915,28 @@ export class ApiService {
     return this.request(options, RetryMode.IDEMPOTENT);
   }
 
+  /**
+   * Return a leased item to its lane without an outcome so another claim can
+   * process it; `retry_after_ms` asks Nexus to hold it back for that long.
+   */
+  async releaseDiscordQueueLease(id, leaseToken, { reason = null, retryAfterMs = null } = {}) {
+    if (typeof leaseToken !== 'string' || leaseToken.trim() === '') {
+      throw new TypeError('Discord queue releases require a lease token.');
+    }
+
+    const endpointUrl = new URL(
+      `/api/v1/discord/queue/${encodeURIComponent(id)}/release`,
+      this.baseUrl,
+    ).toString();
+
+    const data = { lease_token: leaseToken };
+    if (reason) data.reason = reason;
+    if (Number.isInteger(retryAfterMs) && retryAfterMs > 0) data.retry_after_ms = retryAfterMs;
+    const options = { method: 'post', url: endpointUrl, data };
+    options.headers = this.#serviceRelayHeaders('queue.release', options);
+    return this.request(options, RetryMode.IDEMPOTENT);
+  }
+
   /** Persist an action-specific durable checkpoint. */
   async checkpointDiscordQueue(id, leaseToken, result) {
     const endpointUrl = new URL(
@@ -1068,10 +1235,32 @@ export class ApiService {
     return this.request(options, RetryMode.IDEMPOTENT);
   }
 
+  /**
+   * Upload the text transcript of a war room before it is archived.
+   * @param {{ source: { type: string, id: number }, discord_channel_id: string, messages: object[], truncated: boolean }} payload transcript payload; Nexus links it to the counter or objective
+   * @returns {Promise<any>} Nexus response
+   */
+  async uploadWarRoomTranscript(payload) {
+    const endpointUrl = new URL('/api/v1/discord/war-rooms/transcripts', this.baseUrl).toString();
+    const options = {
+      method: 'post',
+      url: endpointUrl,
+      data: payload,
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+        ...this.#serviceRelayHeaders('war-rooms.transcript', {
+          method: 'post', url: endpointUrl, data: payload,
+        }),
+      },
+    };
+    return this.request(options, RetryMode.IDEMPOTENT);
+  }
+
   /**
    * Submit an intel report captured from Discord to Nexus.
-   * @param {{ report: string, source?: string }} payload intel payload containing the raw in-game text
-   * @returns {Promise<any>} Nexus response with parsed intel details
+   * @param {{ report: string, source?: string, discord_user_id?: string, discord_message_id?: string }} payload
+   *   intel payload containing the raw in-game text and the Discord author who posted it
+   * @returns {Promise<any>} Nexus response with parsed intel details and any linked `spy_plan`
    */
   async sendIntelReport(payload) {
     const endpointUrl = new URL('/api/v1/discord/intel', this.baseUrl).toString();
@@ -1089,6 +1278,28 @@ export class ApiService {
     return this.request(options, RetryMode.IDEMPOTENT);
   }
 
+  /**
+   * Submit a pasted spy operation result, parsed into a typed record, to Nexus.
+   * @param {{ report: string, operation: string, outcome: 'success'|'failure', target_nation_name: string }} payload
+   *   record from `parseSpyOperationReport` plus the raw text and the Discord author who posted it
+   * @returns {Promise<any>} Nexus response with the saved operation and any linked `spy_plan`
+   */
+  async sendSpyOperationReport(payload) {
+    const endpointUrl = new URL('/api/v1/discord/spy-operations', this.baseUrl).toString();
+    const options = {
+      method: 'post',
+      url: endpointUrl,
+      data: payload,
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+        ...this.#serviceRelayHeaders('spy-operations.report', {
+          method: 'post', url: endpointUrl, data: payload,
+        }),
+      },
+    };
+    return this.request(options, RetryMode.IDEMPOTENT);
+  }
+
   async #delay(durationMs) {
     await this.sleep(durationMs);
   }
@@ -1097,6 +1308,37 @@ export class ApiService {
     return this.relaySigner?.protocolVersion === 2 && Boolean(this.connectionContext?.connectionId);
   }
 
+  #claimRequest(workerId, requestId, lane, guildId, connectionContext) {
+    const normalizedLane = typeof lane === 'string' ? lane.trim() : '';
+    if (!normalizedLane) {
+      throw new TypeError('Discord queue claims require a non-empty queue lane.');
+    }
+    const context = assertV2ConnectionContext(connectionContext);
+    if (`${guildId ?? ''}`.trim() !== context.guildId) {
+      throw new TypeError('Discord queue claim guild must match the relay-v2 connection context.');
+    }
+    if (this.connectionContext && (
+      context.connectionId !== this.connectionContext.connectionId
+      || Number(context.generation) !== Number(this.connectionContext.generation)
+      || context.applicationId !== this.connectionContext.applicationId
+      || context.guildId !== this.connectionContext.guildId
+    )) {
+      throw new TypeError('Discord queue claim context does not match the configured relay connection.');
+    }
+    return {
+      context,
+      data: {
+        worker_id: workerId,
+        request_id: requestId,
+        lanes: [normalizedLane],
+        guild_id: context.guildId,
+        connection_id: context.connectionId,
+        generation: context.generation,
+        application_id: context.applicationId,
+      },
+    };
+  }
+
   #assertQueueBinding(response, connectionContext) {
     const item = response?.data?.item
       ?? (response?.data?.connection_id ? response.data : null)
@@ -0,0 +1,216 @@
+import {
+  deliveryPrecheck,
+  deliveryReceiptItem,
+  deliveryReceiptState,
+  verifyDeliveryBatch,
+} from './connection/deliveryBatches.js';
+import { scopedDedupeKey } from './runtime/RuntimeContext.js';
+import { deliverAfter } from './queueActions/support.js';
+
+const DEDUPE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MAX_REMEMBERED = 5000;
+
+/**
+ * Executes claimed delivery-batch-v1 documents. A batch is verified against
+ * its route endorsement before any delivery runs; each delivery is then
+ * dispatched in order and the outcomes are returned to Nexus as one signed
+ * delivery-receipt-v1 document. Delivered items are remembered for the dedupe
+ * window, and journaled in the acknowledgement outbox until the receipt is
+ * accepted, so a redelivered batch reports them as `duplicate` instead of
+ * repeating the Discord side effect, even after a restart. Deliveries that
+ * need an ordering key or a future `deliver_after` are rejected: a batch runs
+ * in one short lease and cannot wait for earlier work or a delivery time.
+ */
+export class DeliveryBatchProcessor {
+  constructor({ logger, nexusKeySet = null, maxItems = 100, clock = Date.now, outbox = null } = {}) {
+    this.logger = logger;
+    this.nexusKeySet = nexusKeySet;
+    this.maxItems = Math.min(Math.max(Number.parseInt(maxItems, 10) || 100, 1), 100);
+    this.clock = clock;
+    this.outbox = outbox;
+    this.delivered = new Map();
+  }
+
+  /** Nexus key set for a connection: its own published set, then the configured one. */
+  keySetFor(connection) {
+    return connection?.serviceOptions?.nexusKeySet ?? this.nexusKeySet;
+  }
+
+  /**
+   * @param {{ batch: object, endorsement: object }} claimed signed documents from the claim response
+   * @param {{ apiService: object, connection: object, dispatch: (item: object) => Promise<object>, canContinue: () => boolean, orderingKey?: (item: object) => string|null }} context
+   * @returns {Promise<{ verified: boolean, reason?: string, state?: string, submitted?: boolean }>}
+   */
+  async process({ batch, endorsement }, {
+    apiService, connection, dispatch, canContinue, orderingKey = () => null,
+  }) {
+    this.#prune();
+    const verification = verifyDeliveryBatch(batch, endorsement, {
+      keySet: this.keySetFor(connection),
+      connection,
+      now: this.clock(),
+    });
+    if (!verification.valid) {
+      this.logger.error('Refusing delivery batch that failed verification', {
+        batchId: typeof batch?.batch_id === 'string' ? batch.batch_id : null,
+        connectionId: connection?.connectionId ?? null,
+        errorCode: verification.reason,
+      });
+      return { verified: false, reason: verification.reason };
+    }
+
+    const items = [];
+    const journaled = [];
+    for (const delivery of batch.deliveries) {
+      items.push(await this.#deliver(delivery, endorsement, {
+        connection, dispatch, canContinue, orderingKey, batch, journaled,
+      }));
+    }
+    const receipt = apiService.relaySigner.createDeliveryReceipt(batch, {
+      items,
+      state: deliveryReceiptState(items),
+    });
+
+    let submitted = false;
+    try {
+      await apiService.submitDeliveryReceipt(receipt);
+      submitted = true;
+      await this.#clearJournal(journaled, connection);
+    } catch (error) {
+      this.logger.error('Failed to submit delivery receipt; Nexus will redeliver the batch', {
+        batchId: batch.batch_id,
+        receiptId: receipt.receipt_id,
+        httpStatus: error?.response?.status ?? null,
+        errorCode: error?.code ?? null,
+      });
+    }
+    return { verified: true, state: receipt.state, submitted };
+  }
+
+  getHealthSnapshot() {
+    return { remembered_deliveries: this.delivered.size };
+  }
+
+  async #deliver(delivery, endorsement, {
+    connection, dispatch, canContinue, orderingKey, batch, journaled,
+  }) {
+    const processedAt = () => new Date(this.clock()).toISOString();
+    const rejected = deliveryPrecheck(delivery, endorsement, { now: this.clock(), processedAt: processedAt() });
+    if (rejected) return rejected;
+
+    const dedupeKey = scopedDedupeKey({
+      connectionId: connection.connectionId,
+      generation: connection.generation,
+      dedupeKey: `${delivery.delivery_id}:${delivery.dedupe_key}`,
+    });
+    const entry = this.outbox?.lookup(delivery.delivery_id, connection.connectionId);
+    if (this.delivered.has(dedupeKey)
+      || (entry?.batch_id && entry.status === 'complete' && entry.dedupe_key === delivery.dedupe_key)) {
+      return {
+        delivery_id: delivery.delivery_id,
+        dedupe_key: delivery.dedupe_key,
+        state: 'duplicate',
+        processed_at: processedAt(),
+      };
+    }
+
+    const queueItem = {
+      id: delivery.delivery_id,
+      action: delivery.action,
+      payload: delivery.payload,
+      attempts: delivery.attempt,
+      lease_token: batch.lease.token,
+      leased_until: batch.lease.expires_at,
+    };
+    let ordered = typeof delivery.ordering_key === 'string' && delivery.ordering_key.trim() !== '';
+    try {
+      ordered ||= Boolean(orderingKey(queueItem));
+    } catch {
+      ordered = true;
+    }
+    const deliverAt = deliverAfter(delivery.payload);
+    if (ordered || deliverAt > this.clock()) {
+      this.logger.warn('Rejecting batched delivery that needs ordering or a later delivery time', {
+        batchId: batch.batch_id,
+        deliveryId: delivery.delivery_id,
+        action: delivery.action,
+      });
+      return {
+        delivery_id: delivery.delivery_id,
+        dedupe_key: delivery.dedupe_key,
+        state: 'rejected',
+        processed_at: processedAt(),
+        error_code: 'invalid_delivery',
+        error_message: 'Ordered or scheduled deliveries must be sent as single queue items.',
+      };
+    }
+    if (!canContinue()) {
+      return deliveryReceiptItem(delivery, { success: false, reason: 'lease_lost' }, { processedAt: processedAt() });
+    }
+
+    let dispatchResult;
+    try {
+      dispatchResult = await dispatch(queueItem);
+    } catch (error) {
+      this.logger.error('Queue dispatcher threw unexpectedly', {
+        batchId: batch.batch_id,
+        deliveryId: delivery.delivery_id,
+        action: delivery.action,
+        errorCode: error?.code ?? null,
+      });
+      dispatchResult = { success: false, reason: 'dispatcher_error' };
+    }
+    const item = deliveryReceiptItem(delivery, dispatchResult, { processedAt: processedAt() });
+    if (item.state === 'delivered') {
+      this.#remember(dedupeKey);
+      if (await this.#journal(queueItem, delivery, item, connection, batch)) journaled.push(delivery.delivery_id);
+    }
+    return item;
+  }
+
+  /** Durably record a delivered item before the receipt reports it. */
+  async #journal(queueItem, delivery, receiptItem, connection, batch) {
+    if (!this.outbox) return false;
+    try {
+      await this.outbox.record({
+        item: { ...queueItem, dedupe_key: delivery.dedupe_key, batch_id: batch.batch_id },
+        status: 'complete',
+        outcome: { result: receiptItem },
+        connection,
+        lane: 'alerts',
+      });
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to journal batched delivery before its receipt', {
+        batchId: batch.batch_id,
+        deliveryId: delivery.delivery_id,
+        errorCode: error?.code ?? 'OUTBOX_WRITE_FAILED',
+      });
+      return false;
+    }
+  }
+
+  async #clearJournal(deliveryIds, connection) {
+    for (const deliveryId of deliveryIds) {
+      await this.outbox.markAcknowledged(deliveryId, connection.connectionId).catch(() => {
+        this.logger.error('Failed to clear receipted delivery from the outbox', {
+          deliveryId,
+          errorCode: 'OUTBOX_WRITE_FAILED',
+        });
+      });
+    }
+  }
+
+  #remember(key) {
+    this.delivered.set(key, this.clock());
+    const overflow = this.delivered.size - MAX_REMEMBERED;
+    if (overflow > 0) [...this.delivered.keys()].slice(0, overflow).forEach((staleKey) => this.delivered.delete(staleKey));
+  }
+
+  #prune() {
+    const oldest = this.clock() - DEDUPE_WINDOW_MS;
+    for (const [key, recordedAt] of this.delivered) {
+      if (recordedAt < oldest) this.delivered.delete(key);
+    }
+  }
+}
@@ -0,0 +1,129 @@
+export const RATE_CLASSES = Object.freeze({
+  DEFAULT: 'default',
+  BULK_ROLES: 'bulk_roles',
+});
+
+// Discord's bot-wide limit. discord.js already paces each route, such as a
+// member's role edits, from the bucket Discord reports in its rate-limit
+// headers, so the defaults only share this limit out: a fifth for light
+// actions, two fifths for role syncs, and the rest for interactions.
+const DISCORD_GLOBAL_PER_SECOND = 50;
+
+const DEFAULT_BUDGETS = Object.freeze({
+  [RATE_CLASSES.DEFAULT]: Object.freeze({ capacity: 20, perSecond: DISCORD_GLOBAL_PER_SECOND / 5 }),
+  [RATE_CLASSES.BULK_ROLES]: Object.freeze({ capacity: 40, perSecond: (DISCORD_GLOBAL_PER_SECOND * 2) / 5 }),
+});
+
+const MAX_CAPACITY = 1000;
+const MAX_PER_SECOND = 100;
+
+const positive = (value, fallback, max) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.min(parsed, max) : fallback;
+};
+
+/** Merge `{ "<class>": { "capacity": n, "per_second": n } }` overrides onto the defaults. */
+export const resolveRateBudgets = (overrides = {}) => {
+  const budgets = {};
+  const classes = new Set([...Object.keys(DEFAULT_BUDGETS), ...Object.keys(overrides ?? {})]);
+  for (const rateClass of classes) {
+    const fallback = DEFAULT_BUDGETS[rateClass] ?? DEFAULT_BUDGETS[RATE_CLASSES.DEFAULT];
+    const override = overrides?.[rateClass] ?? {};
+    budgets[rateClass] = {
+      capacity: Math.floor(positive(override.capacity, fallback.capacity, MAX_CAPACITY)) || 1,
+      perSecond: positive(override.per_second ?? override.perSecond, fallback.perSecond, MAX_PER_SECOND),
+    };
+  }
+  return budgets;
+};
+
+const yieldToEventLoop = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Token buckets for queue-driven Discord REST calls, one per guild and action
+ * class. A single instance is shared by every queue worker lane so bulk role
+ * work in one guild cannot use the bot's whole REST allowance and starve the
+ * interactive commands and lighter queue actions in that guild.
+ */
+export class DiscordRateBudget {
+  constructor({
+    budgets = {},
+    clock = Date.now,
+    sleep = (durationMs) => new Promise((resolve) => setTimeout(resolve, durationMs)),
+  } = {}) {
+    this.budgets = resolveRateBudgets(budgets);
+    this.clock = clock;
+    this.sleep = sleep;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Wait until one call is allowed, then spend it. Every call yields to the
+   * event loop so interactions are handled between a bulk action's batches.
+   */
+  async acquire(guildId, rateClass = RATE_CLASSES.DEFAULT) {
+    const bucket = this.#bucket(guildId, rateClass);
+    bucket.waiting += 1;
+    try {
+      for (;;) {
+        this.#refill(bucket);
+        if (bucket.available >= 1) {
+          bucket.available -= 1;
+          bucket.granted += 1;
+          break;
+        }
+        const waitMs = Math.max(1, Math.ceil(((1 - bucket.available) / bucket.perSecond) * 1000));
+        bucket.throttledMs += waitMs;
+        await this.sleep(waitMs);
+      }
+    } finally {
+      bucket.waiting -= 1;
+    }
+    await yieldToEventLoop();
+  }
+
+  /** Current budget for one guild; classes that were never used are reported full. */
+  snapshot(guildId) {
+    const key = `${guildId ?? ''}`.trim();
+    return Object.entries(this.budgets).map(([rateClass, budget]) => {
+      const bucket = this.buckets.get(`${key}:${rateClass}`);
+      if (bucket) this.#refill(bucket);
+      return {
+        class: rateClass,
+        available: bucket ? Math.floor(bucket.available) : budget.capacity,
+        capacity: budget.capacity,
+        per_second: budget.perSecond,
+        waiting: bucket?.waiting ?? 0,
+        granted: bucket?.granted ?? 0,
+        throttled_ms: bucket?.throttledMs ?? 0,
+      };
+    });
+  }
+
+  #bucket(guildId, rateClass) {
+    const budgetClass = Object.hasOwn(this.budgets, rateClass) ? rateClass : RATE_CLASSES.DEFAULT;
+    const key = `${`${guildId ?? ''}`.trim()}:${budgetClass}`;
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      const budget = this.budgets[budgetClass];
+      bucket = {
+        capacity: budget.capacity,
+        perSecond: budget.perSecond,
+        available: budget.capacity,
+        updatedAt: this.clock(),
+        waiting: 0,
+        granted: 0,
+        throttledMs: 0,
+      };
+      this.buckets.set(key, bucket);
+    }
+    return bucket;
+  }
+
+  #refill(bucket) {
+    const now = this.clock();
+    const elapsedMs = Math.max(0, now - bucket.updatedAt);
+    bucket.available = Math.min(bucket.capacity, bucket.available + (elapsedMs / 1000) * bucket.perSecond);
+    bucket.updatedAt = now;
+  }
+}
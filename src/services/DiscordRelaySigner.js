@@ -245,6 +245,46 @@ export class DiscordRelaySigner {
     return signDocument(document, current.privateKey);
   }
 
+  /** Sign one delivery-receipt-v1 document for a verified, leased delivery batch. */
+  createDeliveryReceipt(batch, {
+    items,
+    state,
+    receiptId = this.randomUUID(),
+    idempotencyKey = this.randomUUID(),
+    receivedAt = null,
+  }) {
+    if (batch?.connection_id !== this.connectionId
+      || batch?.app_id !== this.appId
+      || batch?.guild_id !== this.guildId
+      || batch?.generation !== this.generation) {
+      throw new TypeError('Delivery receipts must use the batch binding of this relay.');
+    }
+    if (!Array.isArray(items) || items.length === 0 || items.length > 100) {
+      throw new TypeError('Delivery receipts require between 1 and 100 items.');
+    }
+    const key = this.#activeKey();
+    const document = {
+      contract: 'delivery-receipt',
+      contract_version: 1,
+      issuer: 'discord-relay',
+      audience: 'nexus',
+      key_scope: this.keyScope,
+      connection_id: this.connectionId,
+      app_id: this.appId,
+      guild_id: this.guildId,
+      generation: this.generation,
+      key_id: key.keyId,
+      batch_id: validateUuid(batch.batch_id, 'Delivery batch id'),
+      receipt_id: validateUuid(receiptId, 'Delivery receipt id'),
+      idempotency_key: validateUuid(idempotencyKey, 'Delivery receipt idempotencyKey'),
+      lease_token: batch.lease.token,
+      state,
+      received_at: compactTimestamp(receivedAt ? new Date(receivedAt) : new Date(this.clock())),
+      items: items.map((item) => ({ ...item })),
+    };
+    return signDocument(document, key.privateKey);
+  }
+
   #v2Document(type, actor, request) {
     const key = this.#activeKey();
     const issued = request.issuedAt ? new Date(request.issuedAt) : new Date(this.clock());
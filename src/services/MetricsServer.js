@@ -0,0 +1,67 @@
+import http from 'node:http';
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Optional local HTTP listener for `GET /metrics`. It binds to loopback unless
+ * configured otherwise and serves nothing but the rendered metrics.
+ */
+export class MetricsServer {
+  constructor({ metrics, logger, host = '127.0.0.1', port }) {
+    this.metrics = metrics;
+    this.logger = logger;
+    this.host = host;
+    this.port = port;
+    this.server = null;
+  }
+
+  async start() {
+    const server = http.createServer((request, response) => this.#handle(request, response));
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.port, this.host, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+    server.unref();
+    this.server = server;
+    const address = server.address();
+    this.logger.info('Metrics endpoint listening', { host: address.address, port: address.port });
+    return address;
+  }
+
+  async stop() {
+    const server = this.server;
+    this.server = null;
+    if (!server) return;
+    await new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections?.();
+    });
+  }
+
+  #handle(request, response) {
+    const { pathname } = new URL(request.url ?? '/', 'http://metrics.local');
+    if (pathname !== '/metrics') {
+      response.writeHead(404, { 'content-type': 'text/plain; charset=utf-8' }).end('Not found\n');
+      return;
+    }
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      response.writeHead(405, { allow: 'GET, HEAD', 'content-type': 'text/plain; charset=utf-8' })
+        .end('Method not allowed\n');
+      return;
+    }
+
+    let body;
+    try {
+      body = this.metrics.render();
+    } catch (error) {
+      this.logger.error('Failed to render metrics', { errorCode: error?.code ?? 'METRICS_RENDER_FAILED' });
+      response.writeHead(500, { 'content-type': 'text/plain; charset=utf-8' }).end('Metrics unavailable\n');
+      return;
+    }
+    response.writeHead(200, { 'content-type': CONTENT_TYPE, 'cache-control': 'no-store' });
+    response.end(request.method === 'HEAD' ? undefined : body);
+  }
+}
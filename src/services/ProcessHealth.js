@@ -93,7 +93,8 @@ export class ProcessHealth {
     await this.#publish();
   }
 
-  #snapshot() {
+  /** The document the health file carries; also read by the metrics endpoint. */
+  snapshot() {
     return {
       schema_version: HEALTH_SCHEMA_VERSION,
       service: SERVICE_NAME,
@@ -114,7 +115,7 @@ export class ProcessHealth {
   }
 
   #publish() {
-    const snapshot = this.#snapshot();
+    const snapshot = this.snapshot();
     this.writeChain = this.writeChain
       .catch(() => undefined)
       .then(() => this.writeSnapshot(this.healthFile, snapshot));
@@ -1,22 +1,138 @@
 import { queueActions } from './queueActions/index.js';
 import { QueueActionRuntime } from './queueActions/runtime.js';
+import { DryRunRecorder } from './queueActions/dryRun.js';
+import { deliverAfter } from './queueActions/support.js';
 
-/** Stable registry/entrypoint for Nexus queue actions. */
+/**
+ * Stable registry/entrypoint for Nexus queue actions. In dry-run mode every
+ * action still validates and renders, but side effects are only reported.
+ */
 export class QueueDispatcher {
-  constructor({ client, logger, guildId, apiService = null, alertLaneEnabled = true }) {
+  constructor({
+    client,
+    logger,
+    guildId,
+    apiService = null,
+    alertLaneEnabled = true,
+    outbox = null,
+    dryRun = false,
+    reportDryRun = null,
+    rateBudget = null,
+    metrics = null,
+    warRooms = null,
+  }) {
     this.logger = logger;
     this.actions = queueActions;
     this.alertLaneEnabled = alertLaneEnabled;
-    this.runtime = new QueueActionRuntime({ client, logger, guildId, apiService });
+    this.outbox = outbox;
+    this.dryRun = Boolean(dryRun);
+    this.reportDryRun = reportDryRun;
+    this.runtime = new QueueActionRuntime({
+      client, logger, guildId, apiService, rateBudget, metrics, warRooms,
+    });
+  }
+
+  /**
+   * Ordering key for actions that must not run concurrently for the same source.
+   * @param {any} command queue item returned by Nexus
+   * @returns {string|null} key shared by items that must run in claim order
+   */
+  orderingKey(command) {
+    const action = this.actions[command?.action];
+    if (typeof action?.orderingKey !== 'function') return null;
+    return action.orderingKey(command?.payload) ?? null;
+  }
+
+  /**
+   * Key shared by queue items whose side effects may be merged into one.
+   * @param {any} command queue item returned by Nexus
+   * @returns {string|null} key shared by items that may be coalesced
+   */
+  coalesceKey(command) {
+    const action = this.actions[command?.action];
+    if (typeof action?.coalesceKey !== 'function' || typeof action.executeCoalesced !== 'function') return null;
+    return action.coalesceKey(command?.payload) ?? null;
+  }
+
+  /**
+   * Execute items sharing a coalesce key as one side effect. Journaled and
+   * invalid items, and every item in dry-run mode, still go through `dispatch`
+   * one by one.
+   * @param {any[]} commands queue items with the same coalesce key
+   * @param {{ canContinue?: () => boolean }} execution lease-aware context covering every item
+   * @returns {Promise<object[]>} one dispatch result per command, in order
+   */
+  async dispatchCoalesced(commands, execution = {}) {
+    const action = this.actions[commands[0]?.action];
+    const results = new Array(commands.length);
+    const merged = [];
+    for (const [index, command] of commands.entries()) {
+      const mergeable = !this.dryRun
+        && this.alertLaneEnabled
+        && command?.action === commands[0].action
+        && typeof action?.executeCoalesced === 'function'
+        && !this.outbox?.lookup(command?.id, execution?.connectionId ?? null)
+        && deliverAfter(command?.payload) !== undefined
+        && action.validate(command?.payload)?.valid;
+      if (mergeable) merged.push(index);
+      else results[index] = await this.dispatch(command, execution);
+    }
+    if (merged.length === 0) return results;
+
+    const runtime = this.runtime.forExecution(execution, { rateClass: action.rateClass, action: commands[0].action });
+    let outcomes;
+    if (!runtime.canContinue()) {
+      outcomes = merged.map(() => ({ success: false, reason: 'lease_lost' }));
+    } else {
+      try {
+        outcomes = await action.executeCoalesced(merged.map((index) => commands[index]), runtime);
+      } catch (error) {
+        this.logger.error(`Unhandled error while processing coalesced ${commands[0].action}`, error?.message ?? error);
+        outcomes = merged.map(() => ({ success: false, reason: 'handler_error' }));
+      }
+    }
+    merged.forEach((index, position) => {
+      results[index] = outcomes[position] ?? { success: false, reason: 'handler_error' };
+    });
+    return results;
   }
 
   /**
    * Validate and execute one queue action.
    * @param {any} command queue item returned by Nexus
    * @param {{ canContinue?: () => boolean }} execution lease-aware execution context
-   * @returns {Promise<{ success: boolean, reason?: string }>}
+   * @returns {Promise<{ success: boolean, reason?: string, journaled?: boolean, dry_run?: object }>}
    */
   async dispatch(command, execution = {}) {
+    if (!this.dryRun) return this.#dispatch(command, execution);
+
+    const recorder = new DryRunRecorder();
+    const outcome = await this.#dispatch(command, execution, recorder);
+    const report = {
+      queue_id: command?.id ?? null,
+      action: command?.action ?? null,
+      attempts: command?.attempts ?? null,
+      outcome: {
+        success: Boolean(outcome?.success),
+        ...(outcome?.reason !== undefined ? { reason: outcome.reason } : {}),
+        ...(outcome?.result !== undefined ? { result: outcome.result } : {}),
+      },
+      effects: recorder.effects,
+    };
+    this.logger.info(`Dry-run ${report.action ?? 'queue item'} would perform ${report.effects.length} side effect(s)`, {
+      commandId: report.queue_id,
+      success: report.outcome.success,
+      reason: report.outcome.reason ?? null,
+    });
+    try {
+      await this.reportDryRun?.(report);
+    } catch (error) {
+      this.logger.error('Failed to write queue dry-run report', { errorCode: error?.code ?? 'DRY_RUN_REPORT_FAILED' });
+    }
+    return { ...outcome, dry_run: report };
+  }
+
+  async #dispatch(command, execution, recorder = null) {
     const actionName = command?.action;
     if (!actionName || typeof actionName !== 'string') {
       this.logger.warn('Queue item is missing an action', command?.id ?? 'unknown');
@@ -29,6 +145,22 @@ export class QueueDispatcher {
       return { success: false, reason: 'unsupported_action' };
     }
 
+    const journaled = !recorder && this.outbox?.lookup(command?.id, execution?.connectionId ?? null);
+    if (journaled) {
+      this.logger.info(`Skipping ${actionName}; its outcome is already journaled`, {
+        commandId: command?.id ?? null,
+        status: journaled.status,
+      });
+      return {
+        success: journaled.status === 'complete',
+        ...(journaled.outcome?.result !== undefined ? { result: journaled.outcome.result } : {}),
+        ...(journaled.status === 'failed'
+          ? { reason: journaled.outcome?.error_code ?? 'journaled_failure', message: journaled.outcome?.error_message }
+          : {}),
+        journaled: true,
+      };
+    }
+
     if (actionName === 'ALERT_DELIVERY_V1' && !this.alertLaneEnabled) {
       this.logger.error('Refusing alert-lane work because the renderer manifest is not verified', {
         commandId: command?.id ?? null,
@@ -48,7 +180,9 @@ export class QueueDispatcher {
       };
     }
 
-    const validation = action.validate(command?.payload);
+    const validation = deliverAfter(command?.payload) === undefined
+      ? { valid: false, reason: 'invalid_deliver_after' }
+      : action.validate(command?.payload);
     if (!validation?.valid) {
       this.logger.warn(`Invalid ${actionName} queue payload`, {
         commandId: command?.id ?? null,
@@ -72,7 +206,10 @@ export class QueueDispatcher {
       return { success: false, reason: validation?.reason ?? 'invalid_payload' };
     }
 
-    const runtime = this.runtime.forExecution(execution);
+    const runtimeOptions = { rateClass: action.rateClass, action: actionName };
+    const runtime = recorder
+      ? this.runtime.forDryRun(execution, recorder, runtimeOptions)
+      : this.runtime.forExecution(execution, runtimeOptions);
     if (!runtime.canContinue()) {
       return { success: false, reason: 'lease_lost' };
     }
@@ -0,0 +1,155 @@
+const DURATION_BUCKETS = Object.freeze([0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]);
+
+/** Every metric the bot exposes; samples for anything else are refused. */
+export const METRIC_DEFINITIONS = Object.freeze({
+  nexus_queue_claims_total: { type: 'counter', help: 'Queue claim requests by lane and outcome.' },
+  nexus_queue_lease_renewals_total: { type: 'counter', help: 'Queue lease renewals by lane and outcome.' },
+  nexus_queue_checkpoints_total: { type: 'counter', help: 'Durable queue checkpoint calls by action and outcome.' },
+  nexus_queue_outcomes_total: {
+    type: 'counter',
+    help: 'Finished queue items by lane, action, status, and failure classification.',
+  },
+  nexus_queue_item_duration_seconds: { type: 'histogram', help: 'Time from claim to acknowledgement per queue item.' },
+  nexus_discord_rest_duration_seconds: {
+    type: 'histogram',
+    help: 'Discord REST calls made by queue actions, by rate class and outcome.',
+  },
+  nexus_process_status: { type: 'gauge', help: 'Current process health status (1 for the active status).' },
+  nexus_queue_in_flight: { type: 'gauge', help: 'Queue items currently in flight per lane.' },
+  nexus_queue_concurrency: { type: 'gauge', help: 'Configured in-flight limit per lane.' },
+  nexus_queue_backoff_attempts: { type: 'gauge', help: 'Consecutive failed claims per lane.' },
+  nexus_queue_lease_healthy: { type: 'gauge', help: 'Whether every in-flight lease in the lane is healthy.' },
+  nexus_queue_outbox_pending: { type: 'gauge', help: 'Journaled outcomes still awaiting acknowledgement.' },
+  nexus_queue_scheduler_deficit: { type: 'gauge', help: 'Fair scheduler deficit per lane and connection.' },
+});
+
+const ACTION_LABEL_PATTERN = /^[A-Z][A-Z0-9_]{0,63}$/;
+
+/** Queue actions come from Nexus; anything that is not a plain action name is grouped. */
+export const actionLabel = (action) => (ACTION_LABEL_PATTERN.test(`${action ?? ''}`) ? action : 'unknown');
+
+const escapeLabel = (value) => `${value}`.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const labelText = (labels) => {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const seriesKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+/**
+ * In-process counters and histograms for queue work, rendered in the
+ * Prometheus text exposition format. Gauges are not stored: `collect` returns
+ * them at scrape time from the health snapshots the process already builds.
+ */
+export class QueueMetrics {
+  constructor({ collect = () => [], clock = () => performance.now() } = {}) {
+    this.collect = collect;
+    this.clock = clock;
+    this.series = new Map(Object.keys(METRIC_DEFINITIONS).map((name) => [name, new Map()]));
+  }
+
+  increment(name, labels = {}, value = 1) {
+    const entry = this.#entry(name, 'counter', labels, () => ({ labels: { ...labels }, value: 0 }));
+    entry.value += value;
+  }
+
+  observe(name, labels = {}, seconds = 0) {
+    const entry = this.#entry(name, 'histogram', labels, () => ({
+      labels: { ...labels },
+      buckets: DURATION_BUCKETS.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    DURATION_BUCKETS.forEach((bound, index) => {
+      if (seconds <= bound) entry.buckets[index] += 1;
+    });
+    entry.sum += seconds;
+    entry.count += 1;
+  }
+
+  /** Run `operation`, observing its duration with an `outcome` of `ok` or `error`. */
+  async time(name, labels, operation) {
+    const startedAt = this.clock();
+    let outcome = 'error';
+    try {
+      const result = await operation();
+      outcome = 'ok';
+      return result;
+    } finally {
+      this.observe(name, { ...labels, outcome }, Math.max(0, this.clock() - startedAt) / 1000);
+    }
+  }
+
+  render() {
+    const gauges = new Map();
+    for (const sample of this.collect() ?? []) {
+      if (METRIC_DEFINITIONS[sample?.name]?.type !== 'gauge' || !Number.isFinite(Number(sample.value))) continue;
+      if (!gauges.has(sample.name)) gauges.set(sample.name, []);
+      gauges.get(sample.name).push(sample);
+    }
+
+    const lines = [];
+    for (const [name, definition] of Object.entries(METRIC_DEFINITIONS)) {
+      const samples = definition.type === 'gauge' ? gauges.get(name) ?? [] : [...this.series.get(name).values()];
+      if (samples.length === 0) continue;
+      lines.push(`# HELP ${name} ${definition.help}`, `# TYPE ${name} ${definition.type}`);
+      for (const sample of samples) {
+        if (definition.type !== 'histogram') {
+          lines.push(`${name}${labelText(sample.labels ?? {})} ${Number(sample.value)}`);
+          continue;
+        }
+        DURATION_BUCKETS.forEach((bound, index) => {
+          lines.push(`${name}_bucket${labelText({ ...sample.labels, le: bound })} ${sample.buckets[index]}`);
+        });
+        lines.push(
+          `${name}_bucket${labelText({ ...sample.labels, le: '+Inf' })} ${sample.count}`,
+          `${name}_sum${labelText(sample.labels)} ${sample.sum}`,
+          `${name}_count${labelText(sample.labels)} ${sample.count}`,
+        );
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  #entry(name, type, labels, create) {
+    if (METRIC_DEFINITIONS[name]?.type !== type) throw new TypeError(`Unknown ${type} metric: ${name}`);
+    const series = this.series.get(name);
+    const key = seriesKey(labels);
+    if (!series.has(key)) series.set(key, create());
+    return series.get(key);
+  }
+}
+
+/**
+ * Gauge samples from a ProcessHealth snapshot plus each worker's fair
+ * scheduler, so the endpoint and the health file never disagree.
+ */
+export const healthGauges = (health, workers = []) => {
+  const samples = [{ name: 'nexus_process_status', labels: { status: health?.status ?? 'unknown' }, value: 1 }];
+  for (const worker of health?.queue?.workers ?? []) {
+    const labels = { lane: worker.lane };
+    samples.push(
+      { name: 'nexus_queue_in_flight', labels, value: worker.in_flight },
+      { name: 'nexus_queue_concurrency', labels, value: worker.concurrency },
+      { name: 'nexus_queue_backoff_attempts', labels, value: worker.backoff_attempts },
+    );
+    if (typeof worker.lease_healthy === 'boolean') {
+      samples.push({ name: 'nexus_queue_lease_healthy', labels, value: worker.lease_healthy ? 1 : 0 });
+    }
+  }
+  if (health?.queue?.outbox) {
+    samples.push({ name: 'nexus_queue_outbox_pending', labels: {}, value: health.queue.outbox.pending });
+  }
+  for (const worker of workers) {
+    for (const entry of worker.scheduler?.snapshot?.() ?? []) {
+      samples.push({
+        name: 'nexus_queue_scheduler_deficit',
+        labels: { lane: worker.lane, connection_id: entry.connection_id },
+        value: entry.deficit,
+      });
+    }
+  }
+  return samples;
+};
@@ -0,0 +1,134 @@
+import { QUEUE_LANES } from './QueueWorkerDefinitions.js';
+
+export const PRIORITY_BANDS = Object.freeze({
+  CRITICAL: 'critical',
+  HIGH: 'high',
+  NORMAL: 'normal',
+  LOW: 'low',
+});
+
+/** Claim order, most urgent first. */
+export const PRIORITY_BAND_ORDER = Object.freeze([
+  PRIORITY_BANDS.CRITICAL,
+  PRIORITY_BANDS.HIGH,
+  PRIORITY_BANDS.NORMAL,
+  PRIORITY_BANDS.LOW,
+]);
+
+// Only the bands that can be starved carry a maximum age.
+const DEFAULT_MAX_AGE_MS = Object.freeze({
+  [PRIORITY_BANDS.NORMAL]: 10 * 60 * 1000,
+  [PRIORITY_BANDS.LOW]: 30 * 60 * 1000,
+});
+const MIN_MAX_AGE_MS = 1000;
+const MAX_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const PRIORITY_ALIASES = new Map([
+  ['critical', PRIORITY_BANDS.CRITICAL],
+  ['urgent', PRIORITY_BANDS.CRITICAL],
+  ['high', PRIORITY_BANDS.HIGH],
+  ['normal', PRIORITY_BANDS.NORMAL],
+  ['medium', PRIORITY_BANDS.NORMAL],
+  ['default', PRIORITY_BANDS.NORMAL],
+  ['low', PRIORITY_BANDS.LOW],
+  ['digest', PRIORITY_BANDS.LOW],
+]);
+
+const SEVERITY_ALIASES = new Map([
+  ['critical', PRIORITY_BANDS.CRITICAL],
+  ['emergency', PRIORITY_BANDS.CRITICAL],
+  ['high', PRIORITY_BANDS.HIGH],
+  ['error', PRIORITY_BANDS.HIGH],
+  ['warning', PRIORITY_BANDS.NORMAL],
+  ['medium', PRIORITY_BANDS.NORMAL],
+  ['info', PRIORITY_BANDS.NORMAL],
+  ['low', PRIORITY_BANDS.LOW],
+]);
+
+const rank = (band) => PRIORITY_BAND_ORDER.indexOf(band);
+const alias = (aliases, value) => (typeof value === 'string' ? aliases.get(value.trim().toLowerCase()) : null) ?? null;
+
+/** Band a lane's items fall into when they carry no priority of their own. */
+export const laneBand = (lane) => (lane === QUEUE_LANES.DIGESTS ? PRIORITY_BANDS.LOW : PRIORITY_BANDS.NORMAL);
+
+/**
+ * Band for a claimed item: an explicit Nexus `priority_band`, otherwise the more
+ * urgent of the payload's `priority` and `severity`, otherwise the lane default.
+ */
+export const priorityBand = (item, lane) => {
+  const explicit = alias(PRIORITY_ALIASES, item?.priority_band);
+  if (explicit) return explicit;
+  const candidates = [
+    alias(PRIORITY_ALIASES, item?.payload?.priority),
+    alias(SEVERITY_ALIASES, item?.payload?.severity),
+  ].filter(Boolean);
+  if (candidates.length === 0) return laneBand(lane);
+  return candidates.reduce((best, band) => (rank(band) < rank(best) ? band : best));
+};
+
+/** Merge `{ "<band>": ms }` starvation bounds onto the defaults. */
+export const resolvePriorityMaxAges = (overrides = {}) => {
+  const maxAges = { ...DEFAULT_MAX_AGE_MS };
+  for (const band of PRIORITY_BAND_ORDER) {
+    const parsed = Number(overrides?.[band]);
+    if (Number.isInteger(parsed) && parsed > 0) {
+      maxAges[band] = Math.min(Math.max(parsed, MIN_MAX_AGE_MS), MAX_MAX_AGE_MS);
+    }
+  }
+  return maxAges;
+};
+
+/**
+ * Shared across every queue worker lane. Tracks which bands are in flight so a
+ * low-priority lane holds back its claims while critical work is running, but
+ * never for longer than that band's maximum age.
+ */
+export class QueuePriorityGate {
+  constructor({ maxAgeMs = {}, clock = Date.now } = {}) {
+    this.maxAgeMs = resolvePriorityMaxAges(maxAgeMs);
+    this.clock = clock;
+    this.inFlight = new Map(PRIORITY_BAND_ORDER.map((band) => [band, 0]));
+    this.deferredSince = new Map();
+  }
+
+  /** Claim body fields: bands in claim order plus their starvation bounds. */
+  claimOptions(bands = PRIORITY_BAND_ORDER) {
+    return { priorityBands: [...bands], maxAgeMs: { ...this.maxAgeMs } };
+  }
+
+  /** Count one in-flight item; the returned function releases it exactly once. */
+  begin(band) {
+    const key = this.inFlight.has(band) ? band : PRIORITY_BANDS.NORMAL;
+    this.inFlight.set(key, this.inFlight.get(key) + 1);
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.inFlight.set(key, Math.max(0, this.inFlight.get(key) - 1));
+    };
+  }
+
+  /** Whether a low-priority lane should skip this claim for critical work. */
+  shouldDefer(lane) {
+    if (laneBand(lane) !== PRIORITY_BANDS.LOW || this.inFlight.get(PRIORITY_BANDS.CRITICAL) === 0) {
+      this.deferredSince.delete(lane);
+      return false;
+    }
+    const now = this.clock();
+    const since = this.deferredSince.get(lane) ?? now;
+    if (now - since >= this.maxAgeMs[PRIORITY_BANDS.LOW]) {
+      this.deferredSince.delete(lane);
+      return false;
+    }
+    this.deferredSince.set(lane, since);
+    return true;
+  }
+
+  snapshot() {
+    return PRIORITY_BAND_ORDER.map((band) => ({
+      band,
+      in_flight: this.inFlight.get(band),
+      max_age_ms: this.maxAgeMs[band] ?? null,
+    }));
+  }
+}
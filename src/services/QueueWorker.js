@@ -1,12 +1,29 @@
 import { randomUUID } from 'node:crypto';
 import { createQueueExecutionContext } from './runtime/RuntimeContext.js';
 import { FairScheduler } from './FairScheduler.js';
+import { MAX_LANE_CONCURRENCY } from './QueueWorkerDefinitions.js';
+import { PRIORITY_BANDS, priorityBand } from './QueuePriority.js';
+import { actionLabel } from './QueueMetrics.js';
+import { classifyQueueFailure } from './queueActions/errorClassification.js';
+import { deliverAfter } from './queueActions/support.js';
 
 const DEFAULT_LEASE_MS = 5 * 60 * 1000;
 
 /**
- * Claims and processes one leased Nexus queue item at a time.
- * A new claim is never made while the prior item is awaiting acknowledgement.
+ * Claims and processes leased Nexus queue items for one lane.
+ * At most `concurrency` items are in flight; each keeps its own lease renewal
+ * and acknowledgement, and items sharing an ordering key run in claim order.
+ * A new claim is never made while the lane is at capacity, except that with a
+ * priority gate one extra claim restricted to the critical band may preempt a
+ * full lane that has no critical work in flight. In dry-run mode each item is
+ * released back to Nexus unacknowledged after dispatch. With a delivery batch
+ * processor the lane claims signed delivery batches instead of single items
+ * and answers each with one signed receipt. With an alert coalescer, items
+ * that share a coalesce key are held briefly, outside the concurrency limit,
+ * and sent as one message when the window closes or the group fills. Items
+ * whose payload carries a future `deliver_after` are held until that moment
+ * when it is close and the lane has a spare slot, and otherwise released back
+ * to Nexus with a retry-after.
  */
 export class QueueWorker {
   constructor({
@@ -21,11 +38,19 @@ export class QueueWorker {
     workerId = randomUUID(),
     createRequestId = randomUUID,
     lane = 'side_effects',
+    concurrency = 1,
     enabled = true,
     connectionResolver = null,
     scheduler = null,
     apiServiceFactory = null,
     dispatcherFactory = null,
+    outbox = null,
+    dryRun = false,
+    priorityGate = null,
+    deliveryBatches = null,
+    alertCoalescer = null,
+    metrics = null,
+    scheduleHoldMs = 60 * 1000,
   }) {
     this.apiService = apiService;
     this.dispatcher = dispatcher;
@@ -43,11 +68,19 @@ export class QueueWorker {
       throw new TypeError('Queue workers require an explicit queue lane.');
     }
     this.lane = normalizedLane;
+    this.concurrency = Math.min(Math.max(Number.parseInt(concurrency, 10) || 1, 1), MAX_LANE_CONCURRENCY);
     this.enabled = enabled;
     this.connectionResolver = connectionResolver;
     this.scheduler = scheduler ?? (connectionResolver ? new FairScheduler() : null);
     this.apiServiceFactory = apiServiceFactory;
     this.dispatcherFactory = dispatcherFactory;
+    this.outbox = outbox;
+    this.dryRun = Boolean(dryRun);
+    this.priorityGate = priorityGate;
+    this.deliveryBatches = deliveryBatches;
+    this.alertCoalescer = alertCoalescer?.enabled ? alertCoalescer : null;
+    this.metrics = metrics;
+    this.scheduleHoldMs = Math.max(0, Number(scheduleHoldMs) || 0);
 
     this.pollTimer = null;
     this.polling = false;
@@ -55,12 +88,9 @@ export class QueueWorker {
     this.backoffAttempts = 0;
     this.started = false;
     this.stopped = false;
-    this.currentWork = null;
-    this.activeLease = null;
-    this.leaseTimer = null;
-    this.leaseRenewalPromise = null;
-    this.activeApiService = this.apiService;
-    this.activeConnection = null;
+    this.inFlight = new Map();
+    this.orderingTails = new Map();
+    this.coalescing = 0;
   }
 
   start() {
@@ -78,20 +108,23 @@ export class QueueWorker {
   }
 
   getHealthSnapshot() {
+    const leases = [...this.inFlight.values()].map((work) => work.lease).filter(Boolean);
     return {
       started: this.started,
       stopped: this.stopped,
       polling: this.polling,
-      active_item: Boolean(this.currentWork),
-      lease_healthy: this.activeLease ? Boolean(this.activeLease.healthy) : null,
+      active_item: this.inFlight.size > 0,
+      in_flight: this.inFlight.size,
+      concurrency: this.concurrency,
+      lease_healthy: leases.length > 0 ? leases.every((lease) => Boolean(lease.healthy)) : null,
       backoff_attempts: this.backoffAttempts,
     };
   }
 
-  /** Stop new claims and drain only while the current lease remains safe to use. */
+  /** Stop new claims and drain only while every in-flight lease remains safe to use. */
   async stop({ timeoutMs } = {}) {
     if (this.stopped) {
-      return { drained: !(this.currentWork ?? this.pollPromise) };
+      return { drained: this.inFlight.size === 0 && !this.pollPromise };
     }
 
     this.stopped = true;
@@ -99,14 +132,23 @@ export class QueueWorker {
       clearTimeout(this.pollTimer);
       this.pollTimer = null;
     }
-    this.#stopLeaseRenewal();
+    for (const work of this.inFlight.values()) {
+      this.#stopLeaseRenewal(work);
+      work.wake?.();
+    }
+    this.alertCoalescer?.flushAll();
 
-    const drainingWork = this.currentWork ?? this.pollPromise;
-    if (!drainingWork) {
+    if (this.inFlight.size === 0 && !this.pollPromise) {
       this.logger.info('Queue worker stopped', { workerId: this.workerId, drained: true });
       return { drained: true };
     }
 
+    // A claim that is still in flight may add one more item before it settles.
+    const pollPromise = this.pollPromise;
+    const drainingWork = (async () => {
+      await pollPromise?.catch(() => undefined);
+      await Promise.allSettled([...this.inFlight.values()].map((work) => work.promise));
+    })();
     const drainTimeoutMs = timeoutMs ?? this.#shutdownDrainTimeoutMs();
     let timeout;
     const drained = await Promise.race([
@@ -123,7 +165,15 @@ export class QueueWorker {
 
   async #poll() {
     this.pollTimer = null;
-    if (this.stopped || this.polling) {
+    if (this.stopped || this.polling || !this.#canClaim()) {
+      return;
+    }
+    if (this.#hasCapacity() && this.priorityGate?.shouldDefer(this.lane)) {
+      this.logger.debug('Deferring low-priority claim while critical queue work is in flight', {
+        workerId: this.workerId,
+        lane: this.lane,
+      });
+      this.#scheduleNextPoll(this.pollIntervalMs);
       return;
     }
 
@@ -132,10 +182,13 @@ export class QueueWorker {
 
     try {
       const requestId = this.createRequestId();
-      const claim = await this.#claim(requestId);
+      const claim = await this.#claim(requestId, this.#claimOptions());
       const response = claim.response;
-      const item = response?.data?.item ?? response?.data ?? response?.item ?? null;
+      const item = this.deliveryBatches
+        ? this.#batchItem(response)
+        : response?.data?.item ?? response?.data ?? response?.item ?? null;
       this.#resetBackoff();
+      this.metrics?.increment('nexus_queue_claims_total', { lane: this.lane, outcome: item ? 'item' : 'empty' });
 
       if (!item) {
         this.logger.debug('No leased Discord command available', {
@@ -144,11 +197,11 @@ export class QueueWorker {
           claimRequestId: requestId,
         });
       } else {
-        this.currentWork = this.#processItem(item, requestId, claim);
-        await this.currentWork;
+        this.#track(item, requestId, claim);
         nextDelay = 0;
       }
     } catch (error) {
+      this.metrics?.increment('nexus_queue_claims_total', { lane: this.lane, outcome: 'error' });
       this.#increaseBackoff();
       nextDelay = this.currentPollIntervalMs;
       this.logger.warn('Failed to claim Nexus Discord queue item', {
@@ -158,21 +211,139 @@ export class QueueWorker {
         errorCode: error?.code ?? null,
       });
     } finally {
-      this.currentWork = null;
       this.polling = false;
+      // At capacity, the next poll is scheduled when an in-flight item settles.
       this.#scheduleNextPoll(nextDelay);
     }
   }
 
-  async #claim(requestId) {
+  /** In-flight items that hold a concurrency slot; alerts waiting in a coalesce window do not. */
+  #activeCount() {
+    return this.inFlight.size - this.coalescing;
+  }
+
+  #hasCapacity() {
+    return this.#activeCount() < this.concurrency;
+  }
+
+  /** A full lane may take one critical item when none of its in-flight work is critical. */
+  #canPreempt() {
+    return Boolean(this.priorityGate)
+      && this.#activeCount() === this.concurrency
+      && ![...this.inFlight.values()].some((work) => work.band === PRIORITY_BANDS.CRITICAL);
+  }
+
+  #canClaim() {
+    return this.#hasCapacity() || this.#canPreempt();
+  }
+
+  #claimOptions() {
+    if (!this.priorityGate) return undefined;
+    return this.#hasCapacity()
+      ? this.priorityGate.claimOptions()
+      : this.priorityGate.claimOptions([PRIORITY_BANDS.CRITICAL]);
+  }
+
+  /** Register a claimed item as in flight and chain it behind earlier work with the same ordering key. */
+  #track(item, claimRequestId, claim) {
+    const trackingKey = item?.id ?? Symbol('malformed-claim');
+    const orderingKey = this.#orderingKey(item, claim);
+    const previous = orderingKey ? this.orderingTails.get(orderingKey) : null;
+    const band = this.priorityGate ? priorityBand(item, this.lane) : null;
+    const work = {
+      item,
+      band,
+      claimRequestId,
+      apiService: claim.apiService ?? this.apiService,
+      connection: claim.connection ?? null,
+      lease: null,
+      leaseTimer: null,
+      leaseRenewalPromise: null,
+      promise: null,
+    };
+
+    this.inFlight.set(trackingKey, work);
+    const releaseBand = this.priorityGate?.begin(band);
+    work.promise = this.#processItem(work, previous).finally(() => {
+      releaseBand?.();
+      this.inFlight.delete(trackingKey);
+      if (orderingKey && this.orderingTails.get(orderingKey) === work.promise) {
+        this.orderingTails.delete(orderingKey);
+      }
+      // A full lane may still be polling for critical work on the idle interval.
+      if (this.priorityGate && this.pollTimer && this.backoffAttempts === 0) {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+      }
+      this.#scheduleNextPoll(0);
+    });
+    if (orderingKey) this.orderingTails.set(orderingKey, work.promise);
+    return work;
+  }
+
+  /** Present a claimed delivery batch as one leased item so it shares tracking and shutdown draining. */
+  #batchItem(response) {
+    const claimed = response?.data ?? response ?? null;
+    const batch = claimed?.batch ?? null;
+    if (!batch) return null;
+    return {
+      id: batch.batch_id ?? null,
+      action: 'DELIVERY_BATCH_V1',
+      lease_token: batch.lease?.token ?? null,
+      leased_until: batch.lease?.expires_at ?? null,
+      connection_id: batch.connection_id,
+      app_id: batch.app_id,
+      guild_id: batch.guild_id,
+      generation: batch.generation,
+      delivery_batch: { batch, endorsement: claimed.endorsement ?? null },
+    };
+  }
+
+  /** Action-derived ordering key, falling back to an explicit Nexus `ordering_key`. */
+  #orderingKey(item, claim) {
+    if (!item?.id || !item?.lease_token) return null;
+    let key = null;
+    try {
+      const dispatcher = this.dispatcherFactory?.(claim.connection ?? null) ?? this.dispatcher;
+      key = dispatcher?.orderingKey?.(item) ?? null;
+    } catch {
+      key = null;
+    }
+    key ??= item.ordering_key ?? null;
+    if (typeof key !== 'string' || key.trim() === '') return null;
+    return claim.connection ? `${claim.connection.connectionId}:${key.trim()}` : key.trim();
+  }
+
+  #claimFrom(apiService, requestId, guildId, connectionContext, claimOptions) {
+    if (this.deliveryBatches) {
+      return apiService.claimDiscordDeliveryBatch(
+        this.workerId,
+        requestId,
+        this.lane,
+        guildId,
+        connectionContext,
+        { maxItems: this.deliveryBatches.maxItems },
+      );
+    }
+    return apiService.claimDiscordQueue(
+      this.workerId,
+      requestId,
+      this.lane,
+      guildId,
+      connectionContext,
+      claimOptions,
+    );
+  }
+
+  async #claim(requestId, claimOptions) {
     if (!this.connectionResolver) {
       return {
-        response: await this.apiService.claimDiscordQueue(
-          this.workerId,
+        response: await this.#claimFrom(
+          this.apiService,
           requestId,
-          this.lane,
           this.apiService?.relaySigner?.guildId ?? null,
           this.apiService?.connectionContext ?? null,
+          claimOptions,
         ),
         apiService: this.apiService,
         connection: null,
@@ -194,19 +365,14 @@ export class QueueWorker {
       throw new Error('No API service is configured for the resolved connection.');
     }
     return {
-      response: await apiService.claimDiscordQueue(
-        this.workerId,
-        requestId,
-        this.lane,
-        connection.guildId,
-        connection,
-      ),
+      response: await this.#claimFrom(apiService, requestId, connection.guildId, connection, claimOptions),
       apiService,
       connection,
     };
   }
 
-  async #processItem(item, claimRequestId, claim = {}) {
+  async #processItem(work, previous = null) {
+    const { item, claimRequestId } = work;
     if (!item?.id || !item?.lease_token) {
       this.logger.error('Claim response missing queue id or lease token', {
         workerId: this.workerId,
@@ -217,7 +383,7 @@ export class QueueWorker {
     }
 
     const startedAt = Date.now();
-    let connection = claim.connection;
+    let connection = work.connection;
     if (this.connectionResolver) {
       try {
         connection = this.connectionResolver.resolveDelivery(item);
@@ -231,37 +397,37 @@ export class QueueWorker {
         return;
       }
     }
-    const apiService = claim.apiService ?? this.apiService;
+    const apiService = work.apiService;
     const dispatcher = this.dispatcherFactory?.(connection) ?? this.dispatcher;
-    this.activeApiService = apiService;
-    this.activeConnection = connection;
-    this.activeLease = {
+    work.connection = connection;
+    work.lease = {
       id: item.id,
       token: item.lease_token,
       healthy: true,
       renewable: false,
       expiresAt: this.#parseLeaseExpiry(item.leased_until),
     };
-    this.#startLeaseRenewal(item, claimRequestId);
+    if (item.delivery_batch) {
+      await this.#processBatch(work, dispatcher, startedAt);
+      return;
+    }
+    this.#startLeaseRenewal(work);
+
+    if (previous) {
+      this.logger.debug('Waiting for earlier queue item with the same ordering key', {
+        workerId: this.workerId,
+        lane: this.lane,
+        claimRequestId,
+        queueId: item.id,
+        action: item.action ?? null,
+      });
+      await previous.catch(() => undefined);
+    }
+    if (!await this.#awaitDeliveryTime(work, startedAt)) return;
 
     let dispatchResult;
     try {
-      const execution = connection
-        ? createQueueExecutionContext({
-            connection,
-            item,
-            workerId: this.workerId,
-            claimRequestId,
-            canContinue: () => Boolean(this.activeLease?.healthy)
-              && this.#hasAcknowledgementTime()
-              && this.#connectionIsCurrent(connection),
-          })
-        : {
-            canContinue: () => Boolean(this.activeLease?.healthy) && this.#hasAcknowledgementTime(),
-            workerId: this.workerId,
-            claimRequestId,
-          };
-      dispatchResult = await dispatcher.dispatch(item, execution);
+      dispatchResult = await this.#dispatch(work, dispatcher);
     } catch (error) {
       this.logger.error('Queue dispatcher threw unexpectedly', {
         workerId: this.workerId,
@@ -275,13 +441,48 @@ export class QueueWorker {
 
     if (connection && !this.#connectionIsCurrent(connection)) {
       dispatchResult = { success: false, reason: 'connection_revoked' };
-    } else if (!this.activeLease?.healthy) {
+    } else if (!work.lease.healthy) {
       dispatchResult = { success: false, reason: 'lease_lost' };
     }
 
+    if (this.dryRun) {
+      const released = await this.#release(item, apiService);
+      this.#stopLeaseRenewal(work);
+      this.#recordOutcome(item, 'dry_run', dispatchResult, startedAt);
+      this.logger.info('Released dry-run queue item without acknowledgement', {
+        workerId: this.workerId,
+        lane: this.lane,
+        claimRequestId,
+        queueId: item.id,
+        action: item.action ?? null,
+        wouldSucceed: Boolean(dispatchResult?.success),
+        durationMs: Date.now() - startedAt,
+        released,
+      });
+      return;
+    }
+
     const status = dispatchResult?.success ? 'complete' : 'failed';
-    const acknowledged = await this.#acknowledge(item, status, dispatchResult, apiService);
-    this.#stopLeaseRenewal();
+    const outcomeDetails = {};
+    if (dispatchResult?.result !== undefined) outcomeDetails.result = dispatchResult.result;
+    if (status === 'failed') {
+      outcomeDetails.error_code = dispatchResult?.reason ?? undefined;
+      outcomeDetails.error_message = dispatchResult?.message ?? undefined;
+    }
+    // Completed side effects are journaled before Nexus hears about them.
+    const journaled = status === 'complete' && await this.#journal(work, status, outcomeDetails);
+    const acknowledged = await this.#acknowledge(item, status, outcomeDetails, apiService, work.lease);
+    if (acknowledged && journaled) {
+      await this.outbox.markAcknowledged(item.id, connection?.connectionId).catch(() => {
+        this.logger.error('Failed to clear acknowledged queue outcome from the outbox', {
+          workerId: this.workerId,
+          queueId: item.id,
+          errorCode: 'OUTBOX_WRITE_FAILED',
+        });
+      });
+    }
+    this.#stopLeaseRenewal(work);
+    this.#recordOutcome(item, status, dispatchResult, startedAt);
 
     this.logger.info('Finished leased queue item', {
       workerId: this.workerId,
@@ -290,28 +491,196 @@ export class QueueWorker {
       queueId: item.id,
       action: item.action ?? null,
       attempt: item.attempts ?? null,
-      leaseExpiresAt: new Date(this.activeLease?.expiresAt ?? Date.now()).toISOString(),
+      leaseExpiresAt: new Date(work.lease.expiresAt ?? Date.now()).toISOString(),
       durationMs: Date.now() - startedAt,
       outcome: status,
       acknowledged,
     });
-    this.activeLease = null;
-    this.activeConnection = null;
-    this.activeApiService = this.apiService;
   }
 
-  async #acknowledge(item, status, dispatchResult, apiService = this.activeApiService) {
+  /** Dispatch now, or hold the item for its coalesce group when it has one. */
+  #dispatch(work, dispatcher) {
+    const { item, connection } = work;
+    const execution = this.#execution(work, item);
+    let key = null;
+    try {
+      key = this.alertCoalescer ? dispatcher.coalesceKey?.(item) ?? null : null;
+    } catch {
+      key = null;
+    }
+    if (!key) return dispatcher.dispatch(item, execution);
+
+    // Held alerts give up their slot so the lane can claim the next item that may join
+    // the group. At most one full group is held; past that the groups are sent now.
+    this.coalescing += 1;
+    const held = this.alertCoalescer.hold(
+      connection ? `${connection.connectionId}:${connection.generation}:${key}` : key,
+      { item, execution, dispatcher },
+    ).finally(() => {
+      this.coalescing -= 1;
+    });
+    if (this.coalescing >= this.alertCoalescer.maxGroupSize) {
+      this.alertCoalescer.flushAll();
+    } else {
+      this.#scheduleNextPoll(0);
+    }
+    return held;
+  }
+
+  /**
+   * Hold an item whose `deliver_after` is within the hold window while the
+   * lane still has a free slot for other work; release anything else back to
+   * Nexus so it returns when, or shortly before, it is due. Dry-run mode
+   * reports scheduled items immediately.
+   * @returns {Promise<boolean>} whether the item should be dispatched now
+   */
+  async #awaitDeliveryTime(work, startedAt) {
+    const { item, claimRequestId } = work;
+    const deliverAt = deliverAfter(item.payload);
+    if (!deliverAt || this.dryRun || deliverAt <= Date.now()) return true;
+
+    const near = deliverAt - Date.now() <= this.scheduleHoldMs;
+    if (near && !this.stopped && this.#hasCapacity()) {
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, deliverAt - Date.now());
+        work.wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      work.wake = null;
+      if (!this.stopped || deliverAt <= Date.now()) return true;
+    }
+
+    // A near item comes back when due; a distant one half a hold window early so the remainder is held precisely.
+    const earlyMs = near ? 0 : Math.floor(this.scheduleHoldMs / 2);
+    const retryAfterMs = Math.max(deliverAt - Date.now() - earlyMs, 1000);
+    let released = true;
+    try {
+      await work.apiService.releaseDiscordQueueLease(item.id, item.lease_token, { reason: 'scheduled', retryAfterMs });
+    } catch (error) {
+      released = false;
+      this.logger.warn('Unable to release scheduled queue item; it returns to the lane when its lease expires', {
+        workerId: this.workerId,
+        queueId: item.id,
+        httpStatus: error?.response?.status ?? null,
+        errorCode: error?.code ?? null,
+      });
+    }
+    this.#stopLeaseRenewal(work);
+    this.#recordOutcome(item, 'scheduled', { success: true }, startedAt);
+    this.logger.info('Released scheduled queue item until its delivery time', {
+      workerId: this.workerId,
+      lane: this.lane,
+      claimRequestId,
+      queueId: item.id,
+      action: item.action ?? null,
+      deliverAfter: new Date(deliverAt).toISOString(),
+      retryAfterMs,
+      released,
+    });
+    return false;
+  }
+
+  #execution(work, item) {
+    const { connection, claimRequestId } = work;
+    return connection
+      ? createQueueExecutionContext({
+          connection,
+          item,
+          workerId: this.workerId,
+          claimRequestId,
+          canContinue: () => Boolean(work.lease?.healthy)
+            && this.#hasAcknowledgementTime(work.lease)
+            && this.#connectionIsCurrent(connection),
+        })
+      : {
+          canContinue: () => Boolean(work.lease?.healthy) && this.#hasAcknowledgementTime(work.lease),
+          workerId: this.workerId,
+          claimRequestId,
+        };
+  }
+
+  /** Batch leases are short and never renewed; deliveries stop once the receipt deadline nears. */
+  async #processBatch(work, dispatcher, startedAt) {
+    const { item, claimRequestId } = work;
+    const connection = work.connection ?? work.apiService?.connectionContext ?? null;
+    const outcome = await this.deliveryBatches.process(item.delivery_batch, {
+      apiService: work.apiService,
+      connection,
+      dispatch: (delivery) => dispatcher.dispatch(delivery, this.#execution(work, delivery)),
+      orderingKey: (delivery) => dispatcher.orderingKey?.(delivery) ?? null,
+      canContinue: () => this.#hasAcknowledgementTime(work.lease)
+        && (!work.connection || this.#connectionIsCurrent(work.connection)),
+    });
+    this.#recordOutcome(item, outcome.verified ? outcome.state : 'unverified', { success: outcome.verified }, startedAt);
+
+    this.logger.info('Finished delivery batch', {
+      workerId: this.workerId,
+      lane: this.lane,
+      claimRequestId,
+      batchId: item.id,
+      deliveries: item.delivery_batch.batch?.deliveries?.length ?? null,
+      leaseExpiresAt: new Date(work.lease.expiresAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      verified: outcome.verified,
+      outcome: outcome.state ?? outcome.reason ?? null,
+      acknowledged: Boolean(outcome.submitted),
+    });
+  }
+
+  #recordOutcome(item, status, dispatchResult, startedAt) {
+    if (!this.metrics) return;
+    const action = actionLabel(item.action);
+    const classification = dispatchResult?.success
+      ? 'none'
+      : classifyQueueFailure({ error_code: dispatchResult?.reason, result: dispatchResult?.result }).kind;
+    this.metrics.increment('nexus_queue_outcomes_total', { lane: this.lane, action, status, classification });
+    this.metrics.observe('nexus_queue_item_duration_seconds', { lane: this.lane, action }, (Date.now() - startedAt) / 1000);
+  }
+
+  async #journal(work, status, outcomeDetails) {
+    if (!this.outbox) return false;
+    try {
+      await this.outbox.record({
+        item: work.item,
+        status,
+        outcome: outcomeDetails,
+        connection: work.connection,
+        lane: this.lane,
+      });
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to journal queue outcome before acknowledgement', {
+        workerId: this.workerId,
+        queueId: work.item.id,
+        errorCode: error?.code ?? 'OUTBOX_WRITE_FAILED',
+      });
+      return false;
+    }
+  }
+
+  async #release(item, apiService) {
+    try {
+      await apiService.releaseDiscordQueueLease(item.id, item.lease_token, { reason: 'dry_run' });
+      return true;
+    } catch (error) {
+      this.logger.warn('Unable to release dry-run queue item; it returns to the lane when its lease expires', {
+        workerId: this.workerId,
+        queueId: item.id,
+        httpStatus: error?.response?.status ?? null,
+        errorCode: error?.code ?? null,
+      });
+      return false;
+    }
+  }
+
+  async #acknowledge(item, status, outcomeDetails, apiService, lease) {
     let attempt = 0;
 
-    while (this.#hasAcknowledgementTime()) {
+    while (this.#hasAcknowledgementTime(lease)) {
       attempt += 1;
       try {
-        const outcomeDetails = {};
-        if (dispatchResult?.result !== undefined) outcomeDetails.result = dispatchResult.result;
-        if (status === 'failed') {
-          outcomeDetails.error_code = dispatchResult?.reason ?? undefined;
-          outcomeDetails.error_message = dispatchResult?.message ?? undefined;
-        }
         await apiService.updateDiscordQueueStatus(item.id, status, item.lease_token, outcomeDetails);
         return true;
       } catch (error) {
@@ -327,7 +696,7 @@ export class QueueWorker {
         const delay = Math.min(
           this.acknowledgementBackoffMs * 2 ** (attempt - 1),
           10_000,
-          Math.max((this.activeLease?.expiresAt ?? Date.now()) - Date.now() - this.leaseSafetyMs, 0),
+          Math.max((lease?.expiresAt ?? Date.now()) - Date.now() - this.leaseSafetyMs, 0),
         );
         if (delay <= 0) {
           break;
@@ -354,65 +723,69 @@ export class QueueWorker {
     return false;
   }
 
-  #startLeaseRenewal(item, claimRequestId) {
-    this.#stopLeaseRenewal();
+  #startLeaseRenewal(work) {
+    this.#stopLeaseRenewal(work);
 
     if (this.stopped) {
       return;
     }
 
-    this.activeLease.renewable = true;
-    this.leaseTimer = setInterval(() => {
-      if (!this.activeLease || this.leaseRenewalPromise) {
+    const lease = work.lease;
+    lease.renewable = true;
+    work.leaseTimer = setInterval(() => {
+      if (!lease.renewable || work.leaseRenewalPromise) {
         return;
       }
 
-      const activeLease = this.activeLease;
-      const renewalPromise = this.#renewLease(item, claimRequestId, activeLease);
-      this.leaseRenewalPromise = renewalPromise;
+      const renewalPromise = this.#renewLease(work, lease);
+      work.leaseRenewalPromise = renewalPromise;
       const clearRenewalPromise = () => {
-        if (this.leaseRenewalPromise === renewalPromise) {
-          this.leaseRenewalPromise = null;
+        if (work.leaseRenewalPromise === renewalPromise) {
+          work.leaseRenewalPromise = null;
         }
       };
       void renewalPromise.then(clearRenewalPromise, clearRenewalPromise);
     }, this.leaseRenewIntervalMs);
-    this.leaseTimer.unref?.();
+    work.leaseTimer.unref?.();
   }
 
-  async #renewLease(item, claimRequestId, activeLease) {
-    if (this.activeConnection && !this.#connectionIsCurrent(this.activeConnection)) {
-      activeLease.healthy = false;
+  async #renewLease(work, lease) {
+    const { item, claimRequestId } = work;
+    if (work.connection && !this.#connectionIsCurrent(work.connection)) {
+      lease.healthy = false;
+      this.metrics?.increment('nexus_queue_lease_renewals_total', { lane: this.lane, outcome: 'revoked' });
       this.logger.error('Queue connection was revoked; no further workflow steps will start', {
         workerId: this.workerId,
         claimRequestId,
         queueId: item.id,
         errorCode: 'CONNECTION_REVOKED',
       });
-      this.#stopLeaseRenewal();
+      this.#stopLeaseRenewal(work);
       return;
     }
 
     try {
-      const response = await this.activeApiService.renewDiscordQueueLease(item.id, item.lease_token);
-      if (this.activeLease !== activeLease || !activeLease.renewable) {
+      const response = await work.apiService.renewDiscordQueueLease(item.id, item.lease_token);
+      if (work.lease !== lease || !lease.renewable) {
         return;
       }
 
       const renewedUntil = response?.data?.leased_until ?? response?.leased_until;
-      activeLease.expiresAt = this.#parseLeaseExpiry(renewedUntil);
+      lease.expiresAt = this.#parseLeaseExpiry(renewedUntil);
+      this.metrics?.increment('nexus_queue_lease_renewals_total', { lane: this.lane, outcome: 'renewed' });
       this.logger.debug('Renewed queue lease', {
         workerId: this.workerId,
         claimRequestId,
         queueId: item.id,
-        leaseExpiresAt: new Date(activeLease.expiresAt).toISOString(),
+        leaseExpiresAt: new Date(lease.expiresAt).toISOString(),
       });
     } catch (error) {
-      if (this.activeLease !== activeLease || !activeLease.renewable) {
+      if (work.lease !== lease || !lease.renewable) {
         return;
       }
 
-      activeLease.healthy = false;
+      lease.healthy = false;
+      this.metrics?.increment('nexus_queue_lease_renewals_total', { lane: this.lane, outcome: 'failed' });
       this.logger.error('Queue lease renewal failed; no further workflow steps will start', {
         workerId: this.workerId,
         claimRequestId,
@@ -420,20 +793,20 @@ export class QueueWorker {
         status: error?.response?.status ?? null,
         errorCode: error?.code ?? null,
       });
-      this.#stopLeaseRenewal();
+      this.#stopLeaseRenewal(work);
     }
   }
 
-  #stopLeaseRenewal() {
-    if (this.activeLease) {
-      this.activeLease.renewable = false;
+  #stopLeaseRenewal(work) {
+    if (work.lease) {
+      work.lease.renewable = false;
     }
 
-    if (this.leaseTimer) {
-      clearInterval(this.leaseTimer);
-      this.leaseTimer = null;
+    if (work.leaseTimer) {
+      clearInterval(work.leaseTimer);
+      work.leaseTimer = null;
     }
-    this.leaseRenewalPromise = null;
+    work.leaseRenewalPromise = null;
   }
 
   #parseLeaseExpiry(value) {
@@ -441,8 +814,8 @@ export class QueueWorker {
     return Number.isNaN(parsed) ? Date.now() + DEFAULT_LEASE_MS : parsed;
   }
 
-  #hasAcknowledgementTime() {
-    return Date.now() < (this.activeLease?.expiresAt ?? 0) - this.leaseSafetyMs;
+  #hasAcknowledgementTime(lease) {
+    return Date.now() < (lease?.expiresAt ?? 0) - this.leaseSafetyMs;
   }
 
   #connectionIsCurrent(connection) {
@@ -461,8 +834,11 @@ export class QueueWorker {
 
   #shutdownDrainTimeoutMs() {
     const now = Date.now();
-    const leaseExpiresAt = Number.isFinite(this.activeLease?.expiresAt)
-      ? this.activeLease.expiresAt
+    const leaseExpiries = [...this.inFlight.values()]
+      .map((work) => work.lease?.expiresAt)
+      .filter((expiresAt) => Number.isFinite(expiresAt));
+    const leaseExpiresAt = leaseExpiries.length > 0
+      ? Math.min(...leaseExpiries)
       : now + DEFAULT_LEASE_MS;
 
     return Math.max(
@@ -472,7 +848,7 @@ export class QueueWorker {
   }
 
   #scheduleNextPoll(delay = this.currentPollIntervalMs) {
-    if (this.stopped || this.pollTimer) {
+    if (this.stopped || this.pollTimer || this.polling || !this.#canClaim()) {
       return;
     }
 
@@ -4,8 +4,16 @@ export const QUEUE_LANES = Object.freeze({
   DIGESTS: 'digests',
 });
 
-export const buildQueueWorkerDefinitions = ({ alertLanesEnabled = false } = {}) => [
+export const MAX_LANE_CONCURRENCY = 32;
+
+/** Per-lane in-flight item limit; unset or invalid values keep the lane single-item. */
+export const laneConcurrency = (laneConcurrencyConfig, lane) => {
+  const parsed = Number(laneConcurrencyConfig?.[lane]);
+  return Number.isInteger(parsed) && parsed > 0 ? Math.min(parsed, MAX_LANE_CONCURRENCY) : 1;
+};
+
+export const buildQueueWorkerDefinitions = ({ alertLanesEnabled = false, concurrency = {} } = {}) => [
   { lane: QUEUE_LANES.SIDE_EFFECTS, enabled: true },
   { lane: QUEUE_LANES.ALERTS, enabled: Boolean(alertLanesEnabled) },
   { lane: QUEUE_LANES.DIGESTS, enabled: Boolean(alertLanesEnabled) },
-];
+].map((definition) => ({ ...definition, concurrency: laneConcurrency(concurrency, definition.lane) }));
@@ -0,0 +1,329 @@
+import { isDiscordSnowflake } from '../utils/boundaryValidators.js';
+import { buildEmbed, formatDiscordTime, formatNumber } from '../utils/discordUi.js';
+import { resolvePersistentControl } from '../utils/persistentControls.js';
+import { archiveWarCounterRoom } from '../utils/warCounterRooms.js';
+import { resolvePersistedRoomRecord } from './queueActions/warRoomArchive.js';
+
+export const WAR_ROOM_AUTO_ARCHIVE_MODES = Object.freeze({
+  OFF: 'off',
+  PROPOSE: 'propose',
+  ARCHIVE: 'archive',
+});
+
+const DEFAULT_INACTIVE_AFTER_MS = 48 * 60 * 60 * 1000;
+const DEFAULT_SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+const DISCORD_EPOCH = 1_420_070_400_000n;
+const SUMMARY_MESSAGE_LIMIT = 100;
+const MAX_LISTED_PARTICIPANTS = 10;
+const ENDED_STATUSES = new Set(['archived', 'cancelled', 'closed', 'completed', 'ended', 'expired', 'resolved']);
+const UNKNOWN_CHANNEL_CODES = new Set([10003, 50001]);
+
+/** Creation time of a Discord snowflake, in epoch milliseconds. */
+export const snowflakeTime = (id) => (
+  isDiscordSnowflake(id) ? Number((BigInt(`${id}`.trim()) >> 22n) + DISCORD_EPOCH) : null
+);
+
+/** Whether the Nexus counter or objective behind a room reports its war as over. */
+/** Whether Nexus has closed the counter or objective itself, not just its war. */
+export const warRoomSourceClosed = (record) => (
+  ENDED_STATUSES.has(`${record?.status ?? ''}`.trim().toLowerCase()) || Boolean(record?.archived_at)
+);
+
+export const warRoomSourceEnded = (record, now = Date.now()) => {
+  const status = `${record?.war?.status ?? record?.status ?? ''}`.trim().toLowerCase();
+  if (ENDED_STATUSES.has(status)) return true;
+  const endedAt = Date.parse(record?.war?.ended_at ?? record?.ended_at ?? record?.war?.expires_at ?? record?.expires_at ?? '');
+  return Number.isFinite(endedAt) && endedAt <= now;
+};
+
+const parseMode = (value) => (
+  Object.values(WAR_ROOM_AUTO_ARCHIVE_MODES).includes(value) ? value : WAR_ROOM_AUTO_ARCHIVE_MODES.OFF
+);
+
+/** War counter id behind a room's starter post, read from its signup controls. */
+const starterCounterId = (message) => {
+  for (const row of message?.components ?? []) {
+    for (const component of row?.components ?? []) {
+      const control = resolvePersistentControl(component?.customId ?? component?.custom_id);
+      if (control?.commandName !== 'war' || control.event !== 'room-join') continue;
+      const counterId = Number(control.state.args[0]);
+      if (Number.isInteger(counterId) && counterId > 0) return counterId;
+    }
+  }
+  return null;
+};
+
+const sourceLabel = (entry) => (
+  entry.source_type === 'milcom_objective' ? `Milcom objective #${entry.source_id}` : `War counter #${entry.source_id}`
+);
+
+/**
+ * Periodically reviews the rooms in a WarRoomRegistry. A room whose war has
+ * ended, or that has been quiet for `inactiveAfterMs`, gets one summary post;
+ * in `archive` mode the thread is then archived and locked, in `propose` mode
+ * staff are asked to close it. Rooms archived elsewhere drop out of the registry.
+ */
+export class WarRoomLifecycle {
+  constructor({
+    client,
+    registry,
+    logger,
+    resolveApiService,
+    guildId = null,
+    mode = WAR_ROOM_AUTO_ARCHIVE_MODES.OFF,
+    inactiveAfterMs = DEFAULT_INACTIVE_AFTER_MS,
+    sweepIntervalMs = DEFAULT_SWEEP_INTERVAL_MS,
+    now = () => Date.now(),
+    setIntervalFn = setInterval,
+    clearIntervalFn = clearInterval,
+  }) {
+    this.client = client;
+    this.registry = registry;
+    this.logger = logger;
+    this.resolveApiService = resolveApiService;
+    this.guildId = guildId;
+    this.mode = parseMode(mode);
+    this.inactiveAfterMs = Math.max(60_000, Number(inactiveAfterMs) || DEFAULT_INACTIVE_AFTER_MS);
+    this.sweepIntervalMs = Math.max(60_000, Number(sweepIntervalMs) || DEFAULT_SWEEP_INTERVAL_MS);
+    this.now = now;
+    this.setIntervalFn = setIntervalFn;
+    this.clearIntervalFn = clearIntervalFn;
+    this.timer = null;
+    this.sweeping = null;
+    this.backfilled = false;
+  }
+
+  get enabled() {
+    return this.mode !== WAR_ROOM_AUTO_ARCHIVE_MODES.OFF;
+  }
+
+  start() {
+    if (!this.enabled || this.timer) return;
+    if (!this.backfilled) {
+      this.backfilled = true;
+      void this.backfill().catch(() => {
+        this.logger.error('War room backfill failed', { errorCode: 'WAR_ROOM_BACKFILL_FAILED' });
+      });
+    }
+    this.timer = this.setIntervalFn(() => {
+      void this.sweep().catch(() => {
+        this.logger.error('War room lifecycle sweep failed', { errorCode: 'WAR_ROOM_SWEEP_FAILED' });
+      });
+    }, this.sweepIntervalMs);
+    this.timer?.unref?.();
+  }
+
+  async stop() {
+    if (this.timer) this.clearIntervalFn(this.timer);
+    this.timer = null;
+    await this.sweeping?.catch(() => undefined);
+  }
+
+  /**
+   * Track open war-counter rooms the bot created before the registry existed.
+   * Only the configured guild's bot-owned active threads are read, and a room
+   * is recognized by the counter signup controls on its starter post. Milcom
+   * objective rooms carry no such marker and are tracked only when created.
+   * @returns {Promise<number>} rooms added to the registry
+   */
+  async backfill() {
+    const guild = isDiscordSnowflake(this.guildId) ? this.client.guilds?.cache?.get(this.guildId) : null;
+    if (!guild?.channels?.fetchActiveThreads) return 0;
+    const tracked = new Set(this.registry.list().map((entry) => entry.channel_id));
+    const { threads } = await guild.channels.fetchActiveThreads();
+    let added = 0;
+    for (const thread of threads.values()) {
+      if (tracked.has(thread.id) || thread.locked || thread.ownerId !== this.client.user?.id) continue;
+      let starter;
+      try {
+        starter = await thread.fetchStarterMessage();
+      } catch {
+        continue;
+      }
+      const counterId = starterCounterId(starter);
+      if (!counterId) continue;
+      const entry = await this.registry.track({
+        channelId: thread.id,
+        sourceType: 'war_counter',
+        sourceId: counterId,
+        createdAt: thread.createdTimestamp ?? snowflakeTime(thread.id),
+      });
+      if (entry) added += 1;
+    }
+    if (added) this.logger.info('Tracked existing war counter rooms', { added });
+    return added;
+  }
+
+  /** Review every tracked room once; overlapping calls share one sweep. */
+  sweep() {
+    this.sweeping ??= this.#sweep().finally(() => {
+      this.sweeping = null;
+    });
+    return this.sweeping;
+  }
+
+  async #sweep() {
+    const summary = { open: 0, proposed: 0, archived: 0, removed: 0, deferred: 0 };
+    for (const entry of this.registry.list()) {
+      let outcome;
+      try {
+        outcome = await this.#review(entry);
+      } catch (error) {
+        this.logger.warn('Failed to review war room', {
+          channelId: entry.channel_id,
+          connectionId: entry.connection_id,
+          errorMessage: error?.message ?? String(error),
+        });
+        outcome = 'deferred';
+      }
+      summary[outcome] += 1;
+    }
+    if (summary.proposed + summary.archived + summary.removed + summary.deferred > 0) {
+      this.logger.info('Reviewed tracked war rooms', { mode: this.mode, ...summary });
+    }
+    return summary;
+  }
+
+  async #review(entry) {
+    const apiService = this.resolveApiService(entry);
+    const guildId = entry.guild_id ?? this.guildId;
+    if (!apiService || !isDiscordSnowflake(guildId)) return 'deferred';
+
+    let thread = this.client.channels.cache.get(entry.channel_id) ?? null;
+    if (!thread) {
+      try {
+        thread = await this.client.channels.fetch(entry.channel_id);
+      } catch (error) {
+        if (!UNKNOWN_CHANNEL_CODES.has(error?.code) && error?.status !== 404) return 'deferred';
+        thread = null;
+      }
+    }
+    if (!thread?.isThread?.() || `${thread.guildId ?? thread.guild?.id ?? ''}` !== guildId
+      || (thread.archived && thread.locked)) {
+      await this.registry.untrack(entry.channel_id, entry.connection_id);
+      return 'removed';
+    }
+
+    const now = this.now();
+    const reason = await this.#closeReason(entry, thread, apiService, now);
+    // Archiving the thread never closes the source in Nexus, so only rooms
+    // whose counter or objective Nexus has already closed are archived.
+    const archiving = this.mode === WAR_ROOM_AUTO_ARCHIVE_MODES.ARCHIVE && reason === 'source_closed';
+    if (!reason) {
+      if (entry.proposed_at) await this.registry.markProposed(entry.key, null);
+      return 'open';
+    }
+
+    if (!entry.proposed_at) {
+      const sent = await thread.send({
+        embeds: [await this.#summaryEmbed(entry, thread, reason, archiving)],
+        allowedMentions: { parse: [] },
+      });
+      // The summary becomes the thread's last message, so the proposal is
+      // stamped with its time rather than `now`; otherwise it reads as activity.
+      const proposedAt = sent?.createdTimestamp ?? snowflakeTime(sent?.id) ?? now;
+      await this.registry.markProposed(entry.key, new Date(Math.max(proposedAt, now)).toISOString());
+    }
+    if (!archiving) return 'proposed';
+
+    const result = await archiveWarCounterRoom({
+      client: this.client,
+      logger: this.logger,
+      channelId: entry.channel_id,
+      guildId,
+      reason: 'Nexus war room lifecycle: closed in Nexus',
+      logContext: {
+        sourceType: entry.source_type,
+        sourceId: entry.source_id,
+        connectionId: entry.connection_id,
+        lifecycleReason: reason,
+      },
+    });
+    if (!result.success) return 'deferred';
+    await this.registry.untrack(entry.channel_id, entry.connection_id);
+    return 'archived';
+  }
+
+  /**
+   * `source_closed` when Nexus has closed the counter or objective,
+   * `war_ended` when it reports the war over, `inactive` when nobody has
+   * posted for the configured period (or since the summary post), else null.
+   */
+  async #closeReason(entry, thread, apiService, now) {
+    const lookup = entry.source_type === 'milcom_objective' ? apiService.getMilcomObjective : apiService.getWarCounter;
+    if (lookup) {
+      try {
+        const record = resolvePersistedRoomRecord(await lookup.call(apiService, entry.source_id));
+        if (warRoomSourceClosed(record)) return 'source_closed';
+        if (warRoomSourceEnded(record, now)) return 'war_ended';
+      } catch (error) {
+        this.logger.warn('War room lifecycle could not look up its Nexus source', {
+          sourceType: entry.source_type,
+          sourceId: entry.source_id,
+          status: error?.response?.status ?? null,
+        });
+      }
+    }
+
+    const lastMessageAt = snowflakeTime(thread.lastMessageId);
+    const proposedAt = Date.parse(entry.proposed_at ?? '');
+    if (Number.isFinite(proposedAt)) return lastMessageAt > proposedAt ? null : 'inactive';
+    const lastActivity = Math.max(lastMessageAt ?? 0, Date.parse(entry.created_at));
+    return now - lastActivity >= this.inactiveAfterMs ? 'inactive' : null;
+  }
+
+  async #summaryEmbed(entry, thread, reason, archiving) {
+    let messages = [];
+    try {
+      messages = [...(await thread.messages.fetch({ limit: SUMMARY_MESSAGE_LIMIT })).values()];
+    } catch {
+      messages = [];
+    }
+    const posts = new Map();
+    for (const message of messages) {
+      if (message?.author?.bot || !message?.author?.id) continue;
+      posts.set(message.author.id, (posts.get(message.author.id) ?? 0) + 1);
+    }
+    const participants = [...posts.entries()].sort(([, a], [, b]) => b - a).map(([userId]) => `<@${userId}>`);
+    const listed = participants.slice(0, MAX_LISTED_PARTICIPANTS).join(', ');
+    const overflow = participants.length - MAX_LISTED_PARTICIPANTS;
+    const lastActivity = snowflakeTime(thread.lastMessageId) ?? Date.parse(entry.created_at);
+    const nextStep = archiving
+      ? 'This thread is being archived and locked.'
+      : [
+          entry.source_type === 'war_counter'
+            ? `Staff can close it with \`/archivecounter war_counter_id:${entry.source_id}\`.`
+            : 'Staff can close the objective in Nexus, which archives this thread.',
+          reason === 'inactive' ? 'Posting here keeps the room open.' : null,
+        ].filter(Boolean).join(' ');
+
+    return buildEmbed({
+      title: archiving ? '🗄️ War Room Archived' : '🗄️ War Room Ready to Archive',
+      tone: 'neutral',
+      description: [
+        {
+          source_closed: `Nexus has closed the ${entry.source_type === 'milcom_objective' ? 'objective' : 'war counter'} linked to this room.`,
+          war_ended: 'Nexus reports that the war linked to this room has ended.',
+        }[reason] ?? `Nobody has posted here since ${formatDiscordTime(lastActivity)}.`,
+        nextStep,
+      ].join('\n'),
+      fields: [
+        { name: 'Source', value: sourceLabel(entry), inline: true },
+        { name: 'Opened', value: formatDiscordTime(entry.created_at), inline: true },
+        { name: 'Last activity', value: formatDiscordTime(lastActivity), inline: true },
+        {
+          name: 'Messages',
+          value: formatNumber(thread.totalMessageSent ?? thread.messageCount ?? messages.length, { maximumFractionDigits: 0 }),
+          inline: true,
+        },
+        {
+          name: 'Recent participants',
+          value: participants.length
+            ? `${listed}${overflow > 0 ? ` and ${overflow} more` : ''}`
+            : 'No member messages in the room.',
+        },
+      ],
+      timestamp: true,
+    });
+  }
+}
@@ -0,0 +1,151 @@
+import fs from 'node:fs/promises';
+import { writeHealthSnapshot } from './ProcessHealth.js';
+import { isDiscordSnowflake } from '../utils/boundaryValidators.js';
+
+export const WAR_ROOM_REGISTRY_SCHEMA_VERSION = 1;
+const DEFAULT_MAX_ENTRIES = 1000;
+const LOCAL_SCOPE = 'local';
+const SOURCE_TYPES = new Set(['war_counter', 'milcom_objective']);
+
+/** Registry key for one room thread, scoped to its connection in the shared runtime. */
+export const warRoomKey = (channelId, connectionId = null) => {
+  const id = `${channelId ?? ''}`.trim();
+  if (!isDiscordSnowflake(id)) return null;
+  return `${`${connectionId ?? ''}`.trim().toLowerCase() || LOCAL_SCOPE}:${id}`;
+};
+
+const isEntry = (entry) => entry
+  && typeof entry === 'object'
+  && typeof entry.key === 'string'
+  && isDiscordSnowflake(entry.channel_id)
+  && SOURCE_TYPES.has(entry.source_type)
+  && Number.isInteger(entry.source_id)
+  && Number.isFinite(Date.parse(entry.created_at ?? ''));
+
+/**
+ * Local record of the open war-counter and milcom objective rooms this bot
+ * created, so the lifecycle sweep can find them again after a restart. Rooms
+ * are tracked when `WAR_ROOM_CREATE` succeeds or the startup backfill finds
+ * them, and forgotten once archived.
+ */
+export class WarRoomRegistry {
+  constructor({
+    file,
+    logger,
+    maxEntries = DEFAULT_MAX_ENTRIES,
+    now = () => new Date(),
+    writeRegistry = writeHealthSnapshot,
+    readRegistry = (registryFile) => fs.readFile(registryFile, 'utf8'),
+  }) {
+    this.file = file;
+    this.logger = logger;
+    this.maxEntries = Math.max(1, Number(maxEntries) || DEFAULT_MAX_ENTRIES);
+    this.now = now;
+    this.writeRegistry = writeRegistry;
+    this.readRegistry = readRegistry;
+    this.entries = new Map();
+    this.writeChain = Promise.resolve();
+  }
+
+  /** Load the registry from disk; a missing or unreadable file starts empty. */
+  async load() {
+    let raw;
+    try {
+      raw = await this.readRegistry(this.file);
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        this.logger.error('Failed to read war room registry', { errorCode: error?.code ?? 'WAR_ROOM_REGISTRY_READ_FAILED' });
+      }
+      return this.entries.size;
+    }
+
+    try {
+      const parsed = JSON.parse(raw);
+      if (parsed?.schema_version !== WAR_ROOM_REGISTRY_SCHEMA_VERSION || !Array.isArray(parsed.entries)) {
+        throw new TypeError('Unsupported war room registry.');
+      }
+      this.entries = new Map(parsed.entries.filter(isEntry).map((entry) => [entry.key, entry]));
+    } catch {
+      this.logger.error('Ignoring malformed war room registry', { errorCode: 'WAR_ROOM_REGISTRY_MALFORMED' });
+      this.entries = new Map();
+    }
+    return this.entries.size;
+  }
+
+  /**
+   * Start tracking a room. Re-tracking an open room keeps its original
+   * creation time so a redelivered create does not reset the inactivity clock.
+   * `createdAt` (epoch ms) backdates a room that existed before it was tracked.
+   */
+  async track({ channelId, sourceType, sourceId, connection = null, createdAt = null }) {
+    const key = warRoomKey(channelId, connection?.connectionId);
+    const normalizedSourceId = Number(sourceId);
+    if (!key || !SOURCE_TYPES.has(sourceType) || !Number.isInteger(normalizedSourceId) || normalizedSourceId <= 0) {
+      return null;
+    }
+
+    const existing = this.entries.get(key);
+    const entry = {
+      key,
+      channel_id: `${channelId}`.trim(),
+      source_type: sourceType,
+      source_id: normalizedSourceId,
+      connection_id: connection?.connectionId ?? null,
+      application_id: connection?.applicationId ?? null,
+      guild_id: connection?.guildId ?? null,
+      generation: connection?.generation ?? null,
+      created_at: existing?.created_at
+        ?? (Number.isFinite(createdAt) ? new Date(createdAt) : this.now()).toISOString(),
+      proposed_at: existing?.proposed_at ?? null,
+    };
+    this.entries.set(key, entry);
+    this.#prune();
+    await this.#persist();
+    return entry;
+  }
+
+  /** Remember that archival was proposed in the room, or clear it with `null`. */
+  async markProposed(key, proposedAt = this.now().toISOString()) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.proposed_at === proposedAt) return false;
+    entry.proposed_at = proposedAt;
+    await this.#persist();
+    return true;
+  }
+
+  /** Stop tracking a room once it is archived or no longer exists. */
+  async untrack(channelId, connectionId = null) {
+    const key = warRoomKey(channelId, connectionId);
+    if (!key || !this.entries.delete(key)) return false;
+    await this.#persist();
+    return true;
+  }
+
+  list() {
+    return [...this.entries.values()];
+  }
+
+  getHealthSnapshot() {
+    const entries = this.list();
+    return {
+      tracked: entries.length,
+      proposed: entries.filter((entry) => entry.proposed_at).length,
+    };
+  }
+
+  #prune() {
+    const overflow = this.entries.size - this.maxEntries;
+    if (overflow > 0) {
+      [...this.entries.keys()].slice(0, overflow).forEach((key) => this.entries.delete(key));
+    }
+  }
+
+  #persist() {
+    const snapshot = { schema_version: WAR_ROOM_REGISTRY_SCHEMA_VERSION, entries: this.list() };
+    this.writeChain = this.writeChain
+      .catch(() => undefined)
+      .then(() => this.writeRegistry(this.file, snapshot));
+
+    return this.writeChain;
+  }
+}
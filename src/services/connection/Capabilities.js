@@ -15,14 +15,19 @@ export const V2_SERVICE_PROOF_ACTIONS = Object.freeze([
   'queue.claim',
   'queue.lease',
   'queue.checkpoint',
+  'queue.release',
   'queue.acknowledge',
+  'delivery.batch.claim',
+  'delivery.receipt',
   'alerts.manifest',
   'war-counters.show',
   'war-counters.attach-channel',
   'milcom.objectives.show',
   'milcom.objectives.attach-room',
+  'war-rooms.transcript',
   'applications.message',
   'intel.report',
+  'spy-operations.report',
 ]);
 
 /** The registry is the source of truth; future queue action integrations appear automatically. */
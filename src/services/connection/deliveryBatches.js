@@ -0,0 +1,174 @@
+import { selectKeyFromSet, verifySignedContract } from './relayContracts.js';
+import { classifyQueueFailure } from '../queueActions/errorClassification.js';
+
+const NEXUS_KEY_SCOPE = 'nexus->discord-relay';
+const SNOWFLAKE_PATTERN = /^\d{17,20}$/;
+const MAX_BATCH_ITEMS = 100;
+const MAX_DELIVERY_ATTEMPTS = 8;
+const MAX_LIFETIME_MS = 300_000;
+const DEFAULT_RETRY_AFTER_SECONDS = 30;
+const MAX_RETRY_AFTER_SECONDS = 300;
+
+/** The one route a delivery-batch endorsement may authorize: receipt submission. */
+export const DELIVERY_RECEIPT_ROUTE = Object.freeze({
+  method: 'POST',
+  path_template: '/api/v1/discord/delivery/receipts',
+});
+
+const lifetimeMs = (document, expiresAt = document?.expires_at) => (
+  Date.parse(expiresAt ?? '') - Date.parse(document?.issued_at ?? '')
+);
+
+const verifyNexusDocument = (document, keySet, expected, now) => {
+  const key = selectKeyFromSet(keySet, document?.key_id);
+  if (!key?.public_key) return { valid: false, reason: 'unknown_nexus_key' };
+  return verifySignedContract(document, key.public_key, {
+    expected: {
+      issuer: 'nexus',
+      audience: 'discord-relay',
+      key_scope: NEXUS_KEY_SCOPE,
+      ...expected,
+    },
+    now,
+  });
+};
+
+/**
+ * Verify a leased delivery batch and the route endorsement it arrived with.
+ * Both must be signed by the connection's `nexus->discord-relay` key set and
+ * bound to the same connection, app, guild, and generation; the endorsement
+ * must allow the receipt route, and the lease must end within the batch.
+ */
+export const verifyDeliveryBatch = (batch, endorsement, { keySet, connection, now = Date.now() } = {}) => {
+  if (keySet?.scope !== NEXUS_KEY_SCOPE) return { valid: false, reason: 'unknown_nexus_key' };
+  const binding = {
+    connection_id: connection?.connectionId,
+    app_id: connection?.applicationId,
+    guild_id: connection?.guildId,
+    generation: connection?.generation,
+  };
+  if (Object.values(binding).some((value) => value === undefined || value === null)) {
+    return { valid: false, reason: 'missing_binding' };
+  }
+
+  const endorsed = verifyNexusDocument(endorsement, keySet, {
+    contract: 'route-endorsement',
+    contract_version: 1,
+    effect: 'allow',
+    ...binding,
+  }, now);
+  if (!endorsed.valid) return { valid: false, reason: `endorsement_${endorsed.reason}` };
+  if (lifetimeMs(endorsement) > MAX_LIFETIME_MS) return { valid: false, reason: 'endorsement_lifetime' };
+  if (endorsement.route_template?.method !== DELIVERY_RECEIPT_ROUTE.method
+    || endorsement.route_template?.path_template !== DELIVERY_RECEIPT_ROUTE.path_template) {
+    return { valid: false, reason: 'endorsement_route' };
+  }
+
+  const verified = verifyNexusDocument(batch, keySet, {
+    contract: 'delivery-batch',
+    contract_version: 1,
+    state: 'leased',
+    ...binding,
+  }, now);
+  if (!verified.valid) return { valid: false, reason: `batch_${verified.reason}` };
+
+  const leaseExpiresAt = Date.parse(batch.lease?.expires_at ?? '');
+  if (typeof batch.lease?.token !== 'string' || batch.lease.token === ''
+    || !Number.isFinite(leaseExpiresAt)
+    || leaseExpiresAt > Date.parse(batch.expires_at)
+    || lifetimeMs(batch, batch.lease.expires_at) > MAX_LIFETIME_MS) {
+    return { valid: false, reason: 'invalid_lease' };
+  }
+  if (!Array.isArray(batch.deliveries) || batch.deliveries.length === 0
+    || batch.deliveries.length > MAX_BATCH_ITEMS) {
+    return { valid: false, reason: 'invalid_deliveries' };
+  }
+  const ids = batch.deliveries.map((delivery) => delivery?.delivery_id);
+  if (new Set(ids).size !== ids.length) return { valid: false, reason: 'duplicate_delivery' };
+  return { valid: true, batch, endorsement };
+};
+
+const receiptItem = (delivery, processedAt, state, details = {}) => ({
+  delivery_id: delivery.delivery_id,
+  dedupe_key: delivery.dedupe_key,
+  state,
+  processed_at: processedAt,
+  ...details,
+});
+
+/** Receipt item for a delivery that must not run at all, or null when it may run. */
+export const deliveryPrecheck = (delivery, endorsement, { now = Date.now(), processedAt } = {}) => {
+  if (!delivery || typeof delivery !== 'object'
+    || typeof delivery.delivery_id !== 'string'
+    || typeof delivery.dedupe_key !== 'string'
+    || !Number.isInteger(delivery.attempt)
+    || delivery.attempt < 1
+    || delivery.attempt > MAX_DELIVERY_ATTEMPTS
+    || !delivery.payload || typeof delivery.payload !== 'object') {
+    return receiptItem(delivery ?? {}, processedAt, 'rejected', { error_code: 'invalid_delivery' });
+  }
+  if (delivery.route_id !== endorsement.capability) {
+    return receiptItem(delivery, processedAt, 'rejected', { error_code: 'unsupported_route' });
+  }
+  const expiresAt = Date.parse(delivery.expires_at ?? '');
+  if (!Number.isFinite(expiresAt) || expiresAt <= now) {
+    return receiptItem(delivery, processedAt, 'expired', { error_code: 'expired' });
+  }
+  return null;
+};
+
+const DISCORD_ERROR_CODES = new Map([
+  ['rate_limited', 'discord_rate_limited'],
+  ['network_error', 'discord_timeout'],
+  ['discord_unavailable', 'discord_unavailable'],
+  ['missing_permissions', 'discord_forbidden'],
+  ['dm_closed', 'discord_forbidden'],
+  ['foreign_guild', 'discord_forbidden'],
+  ['unsupported_action', 'unsupported_route'],
+  ['lease_lost', 'invalid_lease'],
+  ['handler_error', 'internal_error'],
+  ['dispatcher_error', 'internal_error'],
+]);
+
+const retryAfterSeconds = (result) => {
+  const milliseconds = Number(result?.retry_after_ms);
+  if (!Number.isFinite(milliseconds) || milliseconds <= 0) return DEFAULT_RETRY_AFTER_SECONDS;
+  return Math.min(Math.max(Math.ceil(milliseconds / 1000), 1), MAX_RETRY_AFTER_SECONDS);
+};
+
+/** Translate one dispatcher outcome into a delivery-receipt-v1 item. */
+export const deliveryReceiptItem = (delivery, dispatchResult, { processedAt } = {}) => {
+  const result = dispatchResult?.result ?? {};
+  if (dispatchResult?.success && (result.delivery === undefined || result.delivery === 'delivered')) {
+    const messageId = result.provider_message_id ?? result.message_id ?? null;
+    return receiptItem(delivery, processedAt, 'delivered', SNOWFLAKE_PATTERN.test(`${messageId ?? ''}`)
+      ? { discord_message_id: messageId }
+      : {});
+  }
+  if (dispatchResult?.success && result.delivery === 'duplicate') {
+    return receiptItem(delivery, processedAt, 'duplicate');
+  }
+
+  const failure = classifyQueueFailure({
+    error_code: dispatchResult?.success ? result.error_code : dispatchResult?.reason,
+    result,
+  });
+  if (failure.kind === 'validation' || result.delivery === 'quarantined') {
+    return receiptItem(delivery, processedAt, 'rejected', { error_code: 'invalid_delivery' });
+  }
+  const errorCode = DISCORD_ERROR_CODES.get(failure.code) ?? 'discord_api_error';
+  if (!dispatchResult?.success && (failure.retryable || result.retryable === true)) {
+    return receiptItem(delivery, processedAt, 'retryable', {
+      error_code: errorCode,
+      retry_after_seconds: retryAfterSeconds(result),
+    });
+  }
+  return receiptItem(delivery, processedAt, 'rejected', { error_code: errorCode });
+};
+
+/** Overall receipt state: every item terminal-successful, none, or some. */
+export const deliveryReceiptState = (items) => {
+  const succeeded = items.filter((item) => item.state === 'delivered' || item.state === 'duplicate').length;
+  if (succeeded === items.length) return 'accepted';
+  return succeeded === 0 ? 'rejected' : 'partial';
+};
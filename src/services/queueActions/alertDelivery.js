@@ -8,8 +8,10 @@ import {
   alertRendererRegistry,
   isSafeRelativePath,
   isSupportedAlertEvent,
+  normalizeAlertEventLabel,
   resolveRelativeNexusLink,
 } from './alertRendererRegistry.js';
+import { buildEmbed, truncate } from '../../utils/discordUi.js';
 
 const DESTINATION_TYPES = new Set(['dm', 'channel']);
 const TOP_LEVEL_FIELDS = new Set([
@@ -18,6 +20,7 @@ const TOP_LEVEL_FIELDS = new Set([
   'contract_version',
   'data',
   'deep_link_path',
+  'deliver_after',
   'delivery_id',
   'destination',
   'event_key',
@@ -105,7 +108,7 @@ export const validate = (payload) => {
   if (payload.is_test === undefined) return { valid: false, reason: 'missing_test_flag' };
   if (typeof payload.is_test !== 'boolean') return { valid: false, reason: 'invalid_test_flag' };
   if (!isSafeRelativePath(payload.deep_link_path)) return { valid: false, reason: 'invalid_deep_link_path' };
-  if (!validDate(payload.occurred_at, true) || !validDate(payload.observed_at)) {
+  if (!validDate(payload.occurred_at, true) || !validDate(payload.observed_at) || !validDate(payload.deliver_after)) {
     return { valid: false, reason: 'invalid_alert_timestamp' };
   }
   if (!validMetadata(payload.batch_id) || !validMetadata(payload.occurrence_id)
@@ -183,27 +186,56 @@ const resolution = async (runtime, method, id) => {
 export const quarantineOnInvalid = true;
 export const lane = 'alerts';
 
-export const execute = async (command, runtime) => {
+/** Most alerts a coalesced message may combine; one embed field each. */
+export const MAX_COALESCED_ALERTS = 10;
+const COALESCED_FIELD_BUDGET = 5000;
+const DIGEST_TEMPLATE_KEY = 'digest.v1';
+
+/** Event keys share a family when they differ only in their final segment. */
+const eventFamily = (eventKey) => eventKey.split('.').slice(0, -1).join('.') || eventKey;
+
+/**
+ * Key shared by alerts that may be merged into one Discord message: same
+ * destination, template, test flag, and event family. Digests and invalid
+ * payloads are never coalesced.
+ * @param {any} payload ALERT_DELIVERY_V1 payload
+ * @returns {string|null}
+ */
+export const coalesceKey = (payload) => {
+  if (!validate(payload).valid || payload.template_key === DIGEST_TEMPLATE_KEY) return null;
+  const { userId, channelId } = destinationIds(payload.destination);
+  return [
+    payload.destination.type,
+    userId ?? channelId,
+    payload.template_key,
+    payload.is_test ? 'test' : 'live',
+    eventFamily(payload.event_key),
+  ].join(':');
+};
+
+/** Per-alert checks and rendering; returns a final outcome or the rendered message. */
+const prepare = (command, runtime) => {
   const payload = command?.payload;
   const validation = validate(payload);
   if (!validation.valid) {
-    return terminalReceipt(validationReceipt(payload, validation.reason));
+    return { outcome: terminalReceipt(validationReceipt(payload, validation.reason)) };
   }
-  if (!runtime.canContinue()) return { success: false, reason: 'lease_lost' };
+  if (!runtime.canContinue()) return { outcome: { success: false, reason: 'lease_lost' } };
 
   const deepLink = resolveRelativeNexusLink(runtime.apiService?.baseUrl, payload.deep_link_path);
-  if (!deepLink) return terminalReceipt(validationReceipt(payload, 'invalid_deep_link_path'));
+  if (!deepLink) return { outcome: terminalReceipt(validationReceipt(payload, 'invalid_deep_link_path')) };
 
-  const destination = payload.destination;
-  const destinationIdsValue = destinationIds(destination);
-  if (destination.type === 'channel' && destinationIdsValue.guildId !== runtime.guildId) {
-    return terminalReceipt(canonicalReceipt({
-      deliveryId: payload.delivery_id,
-      delivery: 'undeliverable',
-      guildId: destinationIdsValue.guildId,
-      channelId: destinationIdsValue.channelId,
-      errorCode: 'foreign_guild',
-    }));
+  const destinationIdsValue = destinationIds(payload.destination);
+  if (payload.destination.type === 'channel' && destinationIdsValue.guildId !== runtime.guildId) {
+    return {
+      outcome: terminalReceipt(canonicalReceipt({
+        deliveryId: payload.delivery_id,
+        delivery: 'undeliverable',
+        guildId: destinationIdsValue.guildId,
+        channelId: destinationIdsValue.channelId,
+        errorCode: 'foreign_guild',
+      })),
+    };
   }
 
   const rendererContext = {
@@ -218,9 +250,8 @@ export const execute = async (command, runtime) => {
       payload.data?.remaining_items_path ?? payload.deep_link_path,
     ),
   };
-  let message;
   try {
-    message = alertRendererRegistry.render(payload.template_key, rendererContext);
+    return { command, payload, message: alertRendererRegistry.render(payload.template_key, rendererContext) };
   } catch (error) {
     runtime.logger.error('Alert renderer failed', {
       commandId: command?.id ?? null,
@@ -228,13 +259,57 @@ export const execute = async (command, runtime) => {
       templateKey: payload.template_key,
       errorCode: error?.code ?? null,
     });
-    return terminalReceipt(validationReceipt(payload, 'invalid_payload'));
+    return { outcome: terminalReceipt(validationReceipt(payload, 'invalid_payload')) };
   }
+};
+
+/** One embed with a field per alert, newest timestamp, and the first alert's title and colour. */
+const coalescedMessage = (prepared) => {
+  const rendered = prepared.map(({ message }) => message.embeds?.[0]?.data ?? {});
+  const valueBudget = Math.floor(COALESCED_FIELD_BUDGET / prepared.length);
+  const embed = buildEmbed({
+    title: `${rendered[0].title ?? 'Nexus Alert'} (${prepared.length} updates)`,
+    description: `${prepared.length} related alerts arrived together and were combined into this message.`,
+    color: rendered[0].color,
+    fields: prepared.map(({ payload }, index) => ({
+      name: `${index + 1}. ${normalizeAlertEventLabel(payload.event_key)}`,
+      value: truncate(rendered[index].description ?? '—', valueBudget),
+      inline: false,
+    })),
+  });
+  const latest = Math.max(...prepared.map(({ payload }) => Date.parse(payload.occurred_at)).filter(Number.isFinite));
+  if (Number.isFinite(latest)) embed.setTimestamp(new Date(latest));
+  return { embeds: [embed] };
+};
+
+/**
+ * Deliver one or more alerts for the same destination as a single Discord
+ * message. Every prepared alert shares the send's outcome; alerts that fail
+ * their own checks keep their individual receipts.
+ */
+const deliver = async (commands, runtime) => {
+  const outcomes = new Array(commands.length);
+  const prepared = [];
+  commands.forEach((command, index) => {
+    const entry = prepare(command, runtime);
+    if (entry.outcome) outcomes[index] = entry.outcome;
+    else prepared.push({ ...entry, index });
+  });
+  if (prepared.length === 0) return outcomes;
 
+  const settle = (build) => {
+    for (const entry of prepared) outcomes[entry.index] = build(entry.payload.delivery_id);
+    return outcomes;
+  };
+  const deliveryIds = prepared.map(({ payload }) => payload.delivery_id);
+  const coalesced = prepared.length > 1;
+  const destination = prepared[0].payload.destination;
+  const destinationIdsValue = destinationIds(destination);
+  const message = coalesced ? coalescedMessage(prepared) : prepared[0].message;
   message.allowedMentions = {
     parse: [],
     users: [],
-    roles: payload.allowed_role_ids ?? [],
+    roles: [...new Set(prepared.flatMap(({ payload }) => payload.allowed_role_ids ?? []))],
     repliedUser: false,
   };
 
@@ -249,20 +324,20 @@ export const execute = async (command, runtime) => {
     target = result.value;
     resolutionError = result.error;
     if (target && target.guildId !== runtime.guildId) {
-      return terminalReceipt(canonicalReceipt({
-        deliveryId: payload.delivery_id,
+      return settle((deliveryId) => terminalReceipt(canonicalReceipt({
+        deliveryId,
         delivery: 'undeliverable',
         guildId: target.guildId ?? destinationIdsValue.guildId,
         channelId: destinationIdsValue.channelId,
         errorCode: 'foreign_guild',
-      }));
+      })));
     }
   }
 
   if (!target) {
     const receipt = resolutionError
       ? alertErrorReceipt(resolutionError, {
-          deliveryId: payload.delivery_id,
+          deliveryId: deliveryIds[0],
           guildId: destinationIdsValue.guildId,
           channelId: destinationIdsValue.channelId,
           fallback: destination.type === 'dm' ? 'recipient_unavailable' : 'channel_not_found',
@@ -274,46 +349,53 @@ export const execute = async (command, runtime) => {
           error_code: destination.type === 'dm' ? 'recipient_unavailable' : 'channel_not_found',
           retryable: false,
         };
-    const publicReceipt = canonicalReceipt({
-      deliveryId: payload.delivery_id,
-      delivery: isRetryableAlertClassification(receipt.classification) ? 'failed' : 'undeliverable',
-      guildId: receipt.guild_id,
-      channelId: receipt.channel_id,
-      errorCode: receipt.error_code,
-      retryable: receipt.retryable,
-      retryAfter: receipt.retry_after_ms,
+    const retryable = isRetryableAlertClassification(receipt.classification);
+    return settle((deliveryId) => {
+      const publicReceipt = canonicalReceipt({
+        deliveryId,
+        delivery: retryable ? 'failed' : 'undeliverable',
+        guildId: receipt.guild_id,
+        channelId: receipt.channel_id,
+        errorCode: receipt.error_code,
+        retryable: receipt.retryable,
+        retryAfter: receipt.retry_after_ms,
+      });
+      return retryable ? retryableReceipt(publicReceipt) : terminalReceipt(publicReceipt);
     });
-    return isRetryableAlertClassification(receipt.classification)
-      ? retryableReceipt(publicReceipt)
-      : terminalReceipt(publicReceipt);
   }
 
   if (destination.type === 'channel' && !target.isTextBased?.()) {
-    return terminalReceipt(canonicalReceipt({
-      deliveryId: payload.delivery_id,
+    return settle((deliveryId) => terminalReceipt(canonicalReceipt({
+      deliveryId,
       delivery: 'undeliverable',
       guildId: destinationIdsValue.guildId,
       channelId: destinationIdsValue.channelId,
       errorCode: 'channel_not_found',
-    }));
+    })));
   }
 
+  // A coalesced send is keyed by every delivery it carries so a retry reuses the nonce.
+  const command = coalesced ? { id: `coalesced:${deliveryIds.join(',')}` } : prepared[0].command;
   try {
-    if (!runtime.canContinue()) return { success: false, reason: 'lease_lost' };
+    if (!runtime.canContinue()) return settle(() => ({ success: false, reason: 'lease_lost' }));
     const sent = destination.type === 'dm'
       ? await runtime.sendDirectMessage(target, command, 'alert-delivery', message, 'send alert delivery')
       : await runtime.send(target, command, 'alert-delivery', message, 'send alert delivery');
     const ids = resolvedIds(destination, sent);
-    return terminalReceipt(canonicalReceipt({
-      deliveryId: payload.delivery_id,
-      delivery: 'delivered',
-      guildId: ids.guild_id,
-      channelId: ids.channel_id,
-      providerMessageId: ids.message_id,
-    }));
+    return settle((deliveryId) => {
+      const receipt = canonicalReceipt({
+        deliveryId,
+        delivery: 'delivered',
+        guildId: ids.guild_id,
+        channelId: ids.channel_id,
+        providerMessageId: ids.message_id,
+      });
+      if (coalesced) receipt.coalesced_delivery_ids = deliveryIds;
+      return terminalReceipt(receipt);
+    });
   } catch (error) {
     const receipt = alertErrorReceipt(error, {
-      deliveryId: payload.delivery_id,
+      deliveryId: deliveryIds[0],
       guildId: destinationIdsValue.guildId,
       channelId: destinationIdsValue.channelId,
       fallback: destination.type === 'dm' ? 'recipient_unavailable' : 'discord_unavailable',
@@ -321,15 +403,32 @@ export const execute = async (command, runtime) => {
     if (receipt.classification === 'recipient_unavailable' && retryAfterMs(error) === null) {
       receipt.retryable = false;
     }
-    const publicReceipt = canonicalReceipt({
-      deliveryId: payload.delivery_id,
-      delivery: receipt.retryable ? 'failed' : 'undeliverable',
-      guildId: receipt.guild_id,
-      channelId: receipt.channel_id,
-      errorCode: receipt.error_code,
-      retryable: receipt.retryable,
-      retryAfter: receipt.retry_after_ms,
+    return settle((deliveryId) => {
+      const publicReceipt = canonicalReceipt({
+        deliveryId,
+        delivery: receipt.retryable ? 'failed' : 'undeliverable',
+        guildId: receipt.guild_id,
+        channelId: receipt.channel_id,
+        errorCode: receipt.error_code,
+        retryable: receipt.retryable,
+        retryAfter: receipt.retry_after_ms,
+      });
+      return receipt.retryable ? retryableReceipt(publicReceipt) : terminalReceipt(publicReceipt);
     });
-    return receipt.retryable ? retryableReceipt(publicReceipt) : terminalReceipt(publicReceipt);
   }
 };
+
+export const execute = async (command, runtime) => (await deliver([command], runtime))[0];
+
+/**
+ * Deliver alerts that share a `coalesceKey` as one message. Each result is the
+ * receipt for the command at the same index; delivered receipts carry the
+ * merged message id and `coalesced_delivery_ids`.
+ */
+export const executeCoalesced = async (commands, runtime) => {
+  const outcomes = [];
+  for (let start = 0; start < commands.length; start += MAX_COALESCED_ALERTS) {
+    outcomes.push(...await deliver(commands.slice(start, start + MAX_COALESCED_ALERTS), runtime));
+  }
+  return outcomes;
+};
@@ -22,7 +22,7 @@ export const execute = async (command, runtime) => {
 
   let member;
   try {
-    member = await guild.members.fetch(discordId);
+    member = await runtime.fetchWithDiscordRetry(() => guild.members.fetch(discordId), 'fetch ALLIANCE_ROLE_REMOVAL member');
   } catch (error) {
     runtime.logger.warn('ALLIANCE_ROLE_REMOVAL unable to fetch member', {
       commandId: command?.id,
@@ -63,7 +63,11 @@ export const execute = async (command, runtime) => {
     );
     if (!runtime.canContinue()) return { success: false, reason: 'lease_lost' };
 
-    const refreshed = await guild.members.fetch(discordId);
+    const refreshed = await runtime.verifyWithDiscordRetry(
+      () => guild.members.fetch(discordId),
+      'refresh ALLIANCE_ROLE_REMOVAL member',
+      () => ({ roles: { cache: new Map(uneditableRoles.map((role) => [role.id, role])) } }),
+    );
     const remainingEditable = Array.from(refreshed.roles.cache.values?.() ?? [])
       .filter((role) => role.id !== guild.id && role.editable !== false && !role.managed)
       .map((role) => role.id);
@@ -6,6 +6,8 @@ import {
 } from '../../utils/applicationChannels.js';
 
 const TOP_LEVEL_KEYS = ['contract_version', 'installation', 'application', 'desired'];
+// The dispatcher checks the shared scheduled-send field before validation.
+const OPTIONAL_TOP_LEVEL_KEYS = ['deliver_after'];
 const INSTALLATION_KEYS = ['application_id', 'guild_id', 'connection_id', 'generation'];
 const APPLICATION_KEYS = ['id', 'state', 'discord_user_id', 'nation_id', 'revision'];
 const DESIRED_KEYS = ['channel', 'roles', 'notifications'];
@@ -178,7 +180,7 @@ const validateNotifications = (notifications) => {
 };
 
 export const validate = (payload) => {
-  if (!hasOnlyKeys(payload, TOP_LEVEL_KEYS)) return invalid('invalid_payload');
+  if (!hasOnlyKeys(payload, TOP_LEVEL_KEYS, OPTIONAL_TOP_LEVEL_KEYS)) return invalid('invalid_payload');
   if (payload.contract_version !== 1) return invalid('invalid_contract_version');
 
   if (!hasOnlyKeys(payload.installation, INSTALLATION_KEYS)
@@ -405,12 +407,12 @@ const collectionValues = (collection) => {
 
 const channelGuildId = (channel) => `${channel?.guildId ?? channel?.guild?.id ?? ''}`.trim();
 
-const listGuildChannels = async (guild) => {
+const listGuildChannels = async (guild, runtime) => {
   if (typeof guild?.channels?.fetch !== 'function') {
     return { channels: null, error: new Error('Guild channel collection listing is unavailable.') };
   }
   try {
-    const collection = await guild.channels.fetch();
+    const collection = await fetchWithDiscordRetry(runtime, () => guild.channels.fetch(), 'list guild channels');
     if (!collection || (!Array.isArray(collection)
       && typeof collection.values !== 'function'
       && typeof collection !== 'object')) {
@@ -441,7 +443,7 @@ const resolveGuildChannel = async (guild, runtime, channelId) => {
 
   if (typeof guild?.channels?.fetch === 'function') {
     try {
-      const fetched = await guild.channels.fetch(channelId);
+      const fetched = await fetchWithDiscordRetry(runtime, () => guild.channels.fetch(channelId), 'fetch application interview channel');
       return { channel: fetched ?? null, error: null, unknown: !fetched };
     } catch (error) {
       return { channel: null, error, unknown: isUnknownChannel(error) };
@@ -496,6 +498,18 @@ const withDiscordRetry = (runtime, operation, label) => {
   return operation();
 };
 
+const fetchWithDiscordRetry = (runtime, operation, label) => {
+  if (typeof runtime?.fetchWithDiscordRetry === 'function') return runtime.fetchWithDiscordRetry(operation, label);
+  return operation();
+};
+
+const applyWithDiscordRetry = (runtime, operation, label, simulate) => {
+  if (typeof runtime?.applyWithDiscordRetry === 'function') {
+    return runtime.applyWithDiscordRetry(operation, label, simulate);
+  }
+  return withDiscordRetry(runtime, operation, label);
+};
+
 const createPermissionOverwrites = (guild, payload) => {
   const everyoneId = guild?.roles?.everyone?.id ?? guild.id;
   const grantPermissions = [
@@ -557,7 +571,7 @@ const ensureChannel = async (command, runtime, guild, payload, accumulated) => {
   );
   if (!expectedTopic) return { failure: failure('invalid_channel_topic') };
 
-  const listed = await listGuildChannels(guild);
+  const listed = await listGuildChannels(guild, runtime);
   if (listed.error) {
     const classified = classifyError(listed.error, 'channel_collection_unavailable');
     return { failure: failure(classified.reason, { retryable: classified.retryable }) };
@@ -592,7 +606,12 @@ const ensureChannel = async (command, runtime, guild, payload, accumulated) => {
 
   let channel;
   try {
-    channel = await withDiscordRetry(runtime, () => guild.channels.create(options), 'create application interview channel');
+    channel = await applyWithDiscordRetry(
+      runtime,
+      () => guild.channels.create(options),
+      'create application interview channel',
+      (id) => ({ ...options, id, guildId: guild.id, parentId: options.parent ?? null }),
+    );
   } catch (error) {
     const classified = classifyError(error, 'channel_creation_failed');
     return { failure: failure(classified.reason, { retryable: classified.retryable }) };
@@ -622,11 +641,11 @@ const ensureChannel = async (command, runtime, guild, payload, accumulated) => {
   return { channel };
 };
 
-const resolveRole = async (guild, roleId) => {
+const resolveRole = async (runtime, guild, roleId) => {
   const cached = collectionGet(guild?.roles?.cache, roleId);
   if (cached !== undefined) return cached;
   if (typeof guild?.roles?.fetch !== 'function') return null;
-  return guild.roles.fetch(roleId);
+  return fetchWithDiscordRetry(runtime, () => guild.roles.fetch(roleId), 'fetch application role');
 };
 
 const roleIsEditable = (role, guildId) => role
@@ -649,7 +668,11 @@ const syncRoles = async (command, runtime, guild, payload, accumulated) => {
 
   let member;
   try {
-    member = await guild.members.fetch(payload.application.discord_user_id.trim());
+    member = await fetchWithDiscordRetry(
+      runtime,
+      () => guild.members.fetch(payload.application.discord_user_id.trim()),
+      'fetch application member',
+    );
   } catch (error) {
     const classified = classifyError(error, 'member_unavailable');
     return failure(classified.reason === 'missing_discord_permission' ? classified.reason : 'member_unavailable', {
@@ -668,7 +691,7 @@ const syncRoles = async (command, runtime, guild, payload, accumulated) => {
   for (const roleId of roleIds) {
     let role;
     try {
-      role = await resolveRole(guild, roleId);
+      role = await resolveRole(runtime, guild, roleId);
     } catch (error) {
       const classified = classifyError(error, 'role_fetch_failed');
       return failure(classified.reason === 'missing_discord_permission' ? classified.reason : 'role_fetch_failed', {
@@ -886,7 +909,7 @@ const deleteAuthoritativeChannel = async (command, runtime, guild, payload, accu
       payload.application.nation_id,
     );
     if (!expectedTopic) return failure('invalid_channel_topic');
-    const listed = await listGuildChannels(guild);
+    const listed = await listGuildChannels(guild, runtime);
     if (listed.error) {
       const classified = classifyError(listed.error, 'channel_collection_unavailable');
       return failure(classified.reason, { retryable: classified.retryable });
@@ -1,10 +1,15 @@
-import { isDiscordSnowflake } from '../../utils/boundaryValidators.js';
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { isDiscordSnowflake, toPositiveInteger } from '../../utils/boundaryValidators.js';
 import {
   buildEmbed,
   escapeMarkdown,
   markdownLink,
   safeUrl,
 } from '../../utils/discordUi.js';
+import { persistentCustomId } from '../../utils/persistentControls.js';
+
+const MAX_REMINDER_BUTTONS = 25;
+const REMINDER_BUTTONS_PER_ROW = 5;
 
 export const validate = (payload) => {
   if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
@@ -67,15 +72,16 @@ export const execute = async (command, context) => {
     if (Array.isArray(payload.nations) && payload.nations.length > 0) {
       const messages = buildBeigeTurnMessages(command);
 
-      for (const [index, content] of messages.entries()) {
+      for (const [index, { content, nations }] of messages.entries()) {
         if (context.canContinue && !context.canContinue()) {
           return { success: false, reason: 'lease_lost' };
         }
+        const components = buildReminderRows(nations);
         await context.send(
           channel,
           command,
           `beige-turn-${index}`,
-          { content },
+          { content, ...(components.length ? { components } : {}) },
           'send BEIGE_ALERT turn-summary message',
         );
       }
@@ -93,11 +99,12 @@ export const execute = async (command, context) => {
     if (payload.nation && typeof payload.nation === 'object' && !Array.isArray(payload.nation)) {
       if (!context.canContinue()) return { success: false, reason: 'lease_lost' };
       const embed = buildBeigeExitEmbed(command);
+      const components = buildReminderRows([payload.nation]);
       await context.send(
         channel,
         command,
         'beige-exit',
-        { embeds: [embed] },
+        { embeds: [embed], ...(components.length ? { components } : {}) },
         'send BEIGE_ALERT single-exit embed',
       );
 
@@ -128,7 +135,8 @@ function buildBeigeTurnMessages(command) {
   const count = payload.nation_count ?? nations.length;
   const blocks = nations.map((nation, index) => formatBeigeNationBlock(nation, index));
 
-  return paginateDiscordBlocks(
+  let offset = 0;
+  const pages = paginateDiscordBlocks(
     blocks,
     (part, totalParts) => buildBeigeTurnHeader({
       eventLabel,
@@ -139,6 +147,31 @@ function buildBeigeTurnMessages(command) {
       totalParts,
     }),
   );
+  return pages.map(({ content, blockCount }) => {
+    const pageNations = nations.slice(offset, offset + blockCount);
+    offset += blockCount;
+    return { content, nations: pageNations };
+  });
+}
+
+/**
+ * "Remind me" buttons for nations still in beige. The reminder itself is a
+ * personal Nexus alert, so the buttons only carry the nation id.
+ */
+function buildReminderRows(nations) {
+  const buttons = nations
+    .filter((nation) => Number(nation?.beige_turns) > 0 && toPositiveInteger(nation?.id))
+    .slice(0, MAX_REMINDER_BUTTONS)
+    .map((nation) => new ButtonBuilder()
+      .setCustomId(persistentCustomId('alerts', 'beige-remind', toPositiveInteger(nation.id)))
+      .setLabel(`⏰ ${formatLabel(nation.nation_name, `Nation #${toPositiveInteger(nation.id)}`, 70)}`)
+      .setStyle(ButtonStyle.Secondary));
+
+  const rows = [];
+  for (let index = 0; index < buttons.length; index += REMINDER_BUTTONS_PER_ROW) {
+    rows.push(new ActionRowBuilder().addComponents(buttons.slice(index, index + REMINDER_BUTTONS_PER_ROW)));
+  }
+  return rows;
 }
 
 function buildBeigeExitEmbed(command) {
@@ -297,10 +330,10 @@ function paginateDiscordBlocks(blocks, buildHeader, maxLength = 2000) {
     }
 
     if (pages.length === expectedParts) {
-      return pages.map((pageBlocks, index) => composeDiscordPage(
-        buildHeader(index + 1, pages.length),
-        pageBlocks,
-      ));
+      return pages.map((pageBlocks, index) => ({
+        content: composeDiscordPage(buildHeader(index + 1, pages.length), pageBlocks),
+        blockCount: pageBlocks.length,
+      }));
     }
 
     expectedParts = pages.length;
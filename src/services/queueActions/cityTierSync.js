@@ -1,4 +1,5 @@
 import { isDiscordSnowflake } from '../../utils/boundaryValidators.js';
+import { RATE_CLASSES } from '../DiscordRateBudget.js';
 import { invalid, valid } from './support.js';
 
 const MAX_BUCKET_SIZE = 100;
@@ -64,6 +65,8 @@ export const validate = (payload) => {
   return valid();
 };
 
+export const rateClass = RATE_CLASSES.BULK_ROLES;
+
 export const execute = async (command, runtime) => {
   const payload = command.payload;
   const guild = await runtime.resolveGuild();
@@ -74,11 +77,11 @@ export const execute = async (command, runtime) => {
   let guildRoles;
   let guildMembers;
   try {
-    guildRoles = await runtime.withDiscordRetry(
+    guildRoles = await runtime.fetchWithDiscordRetry(
       () => guild.roles.fetch(),
       'fetch CITY_TIER_SYNC guild roles',
     );
-    guildMembers = await runtime.withDiscordRetry(
+    guildMembers = await runtime.fetchWithDiscordRetry(
       () => guild.members.fetch(),
       'fetch CITY_TIER_SYNC guild members',
     );
@@ -0,0 +1,86 @@
+import fs from 'node:fs/promises';
+
+/**
+ * ApiService methods that change Nexus state. Dry-run records these instead of
+ * sending them; every other method, including POST-based previews, is a read
+ * and passes through so later steps see real data.
+ */
+export const NEXUS_WRITE_METHODS = Object.freeze(new Set([
+  'acknowledgeAuditFinding', 'archiveWarCounter', 'attachMilcomObjectiveRoom', 'attachWarCounterChannel',
+  'cancelBlockadeReliefRequest', 'cancelFinanceSchedule', 'cancelTransfer', 'cancelWithdrawal',
+  'checkpointDiscordQueue', 'claimBlockadeReliefRequest', 'claimDiscordDeliveryBatch', 'claimDiscordQueue',
+  'claimRaidTarget', 'confirmAccountLink', 'confirmApplication', 'confirmCityGrantRequest',
+  'confirmFinanceScheduleCycle', 'confirmGrantApplication', 'confirmLoanApplication', 'confirmLoanPayment',
+  'confirmMemberProfileSync', 'confirmMilcomAssignmentResponse', 'confirmPrimaryOffshoreSweep',
+  'confirmRebuildRequest', 'confirmTransfer', 'confirmWarAidRequest', 'confirmWithdrawal', 'createAlert',
+  'createBlockadeReliefRequest', 'createDepositRequest', 'createFinanceSchedule', 'createSpyPlan',
+  'createTransferDraft', 'createWarAidDraft', 'createWithdrawalDraft', 'createWithdrawalPreset', 'decideStaffApplication',
+  'deleteAlert', 'logApplicationMessage', 'releaseDiscordQueueLease', 'releaseRaidTarget', 'renewDiscordQueueLease',
+  'resolveFailedQueueItem', 'respondToWarAssignment', 'reviewWarAidDraft', 'sendIntelReport', 'sendSpyOperationReport',
+  'setAlertActivityRead', 'snoozeAuditFinding', 'submitDeliveryReceipt', 'testAlert', 'testAlertDraft', 'updateAlert',
+  'updateAlertSettings', 'updateAlertStatus', 'updateDiscordQueueStatus', 'uploadWarRoomTranscript',
+]));
+
+const snapshot = (value) => {
+  try {
+    return JSON.parse(JSON.stringify(value ?? null));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Collects the side effects one queue item would have performed in dry-run
+ * mode. Placeholder results stand in for Discord objects so an action can keep
+ * rendering later steps; their ids are deterministic per item to keep two
+ * releases' reports diffable.
+ */
+export class DryRunRecorder {
+  constructor() {
+    this.effects = [];
+  }
+
+  record(effect) {
+    this.effects.push(snapshot(effect));
+    return { id: `dry-run:${this.effects.length}`, dryRun: true, success: true };
+  }
+
+  /** Snowflake-shaped stand-in for an object the last recorded change would have created. */
+  placeholderSnowflake() {
+    return `${this.effects.length}`.padStart(18, '0');
+  }
+
+  /** Nexus writes are recorded instead of sent; reads pass through. */
+  wrapApiService(apiService) {
+    if (!apiService) return apiService;
+    return new Proxy(apiService, {
+      get: (target, property, receiver) => {
+        const value = Reflect.get(target, property, receiver);
+        if (typeof value !== 'function') return value;
+        if (NEXUS_WRITE_METHODS.has(property)) return async () => this.#recordWrite(String(property));
+        if (property !== 'request') return value.bind(target);
+        // The raw escape hatch is only a read when it is a GET.
+        return (options, ...rest) => {
+          const method = `${options?.method ?? 'get'}`.toLowerCase();
+          return method === 'get' ? value.call(target, options, ...rest) : this.#recordWrite(`request:${method}`);
+        };
+      },
+    });
+  }
+
+  async #recordWrite(method) {
+    this.record({ type: 'nexus_write', method });
+    return { success: true, dry_run: true };
+  }
+}
+
+/** Append each dry-run report as one JSON line so two releases can be diffed. */
+export const createDryRunReportWriter = (file, { appendFile = fs.appendFile } = {}) => {
+  let chain = Promise.resolve();
+  return (report) => {
+    chain = chain
+      .catch(() => undefined)
+      .then(() => appendFile(file, `${JSON.stringify(report)}\n`, { mode: 0o600 }));
+    return chain;
+  };
+};
@@ -116,3 +116,36 @@ export const ALERT_ERROR_CLASSIFICATIONS = Object.freeze([
   'network_error',
   'invalid_payload',
 ]);
+
+const QUEUE_RUNTIME_FAILURES = new Set([
+  'invalid_action',
+  'unsupported_action',
+  'lease_lost',
+  'handler_error',
+  'journaled_failure',
+  'alert_manifest_mismatch',
+]);
+
+const RETRYABLE_QUEUE_RUNTIME_FAILURES = new Set(['lease_lost', 'handler_error']);
+
+const VALIDATION_REASON_PATTERN = /^(invalid|missing|unsupported|unsafe|duplicate)_/;
+
+/**
+ * Group a failed queue item's outcome for staff review. Alert receipts carry a
+ * Discord classification; other actions report a validation or handler reason.
+ */
+export const classifyQueueFailure = ({ error_code: errorCode = null, result = null } = {}) => {
+  const classification = result?.classification ?? result?.error_code ?? null;
+  if (ALERT_ERROR_CLASSIFICATIONS.includes(classification) && classification !== 'invalid_payload') {
+    return { kind: 'delivery', code: classification, retryable: isRetryableAlertClassification(classification) };
+  }
+
+  const code = typeof errorCode === 'string' && errorCode.trim() !== ''
+    ? errorCode.trim().toLowerCase()
+    : classification ?? 'unknown';
+  if (QUEUE_RUNTIME_FAILURES.has(code)) {
+    return { kind: 'runtime', code, retryable: RETRYABLE_QUEUE_RUNTIME_FAILURES.has(code) };
+  }
+  if (VALIDATION_REASON_PATTERN.test(code)) return { kind: 'validation', code, retryable: false };
+  return { kind: 'execution', code, retryable: isRetryableAlertClassification(code) };
+};
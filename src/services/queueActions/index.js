@@ -10,6 +10,7 @@ import * as privateNotification from './privateNotification.js';
 import * as warAlert from './warAlert.js';
 import * as warRoomArchive from './warRoomArchive.js';
 import * as warRoomCreate from './warRoomCreate.js';
+import * as warRoomStatus from './warRoomStatus.js';
 
 export const queueActions = Object.freeze({
   ALERT_DELIVERY_V1: alertDelivery,
@@ -23,5 +24,6 @@ export const queueActions = Object.freeze({
   CITY_TIER_SYNC: cityTierSync,
   WAR_ROOM_CREATE: warRoomCreate,
   WAR_ROOM_ARCHIVE: warRoomArchive,
+  WAR_ROOM_STATUS: warRoomStatus,
   PRIVATE_NOTIFICATION: privateNotification,
 });
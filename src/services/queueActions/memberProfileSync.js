@@ -1,6 +1,9 @@
 import { isDiscordSnowflake, isUuid } from '../../utils/boundaryValidators.js';
+import { RATE_CLASSES } from '../DiscordRateBudget.js';
 
 const TOP_LEVEL_KEYS = ['contract_version', 'installation', 'member', 'desired'];
+// The dispatcher checks the shared scheduled-send field before validation.
+const OPTIONAL_TOP_LEVEL_KEYS = ['deliver_after'];
 const INSTALLATION_KEYS = ['application_id', 'guild_id', 'connection_id', 'generation'];
 const MEMBER_KEYS = ['discord_user_id', 'nexus_user_id', 'nation_id', 'profile_revision'];
 const DESIRED_KEYS = ['nickname', 'roles'];
@@ -62,7 +65,7 @@ const validateRoles = (roles) => {
 };
 
 export const validate = (payload) => {
-  if (!hasOnlyKeys(payload, TOP_LEVEL_KEYS)) return invalid('invalid_payload');
+  if (!hasOnlyKeys(payload, TOP_LEVEL_KEYS, OPTIONAL_TOP_LEVEL_KEYS)) return invalid('invalid_payload');
   if (payload.contract_version !== 1) return invalid('invalid_contract_version');
   if (!hasOnlyKeys(payload.installation, INSTALLATION_KEYS)
     || !isDiscordSnowflake(payload.installation.application_id)
@@ -293,11 +296,11 @@ const collectionValues = (collection) => {
   return isObject(collection) ? Object.values(collection) : [];
 };
 
-const resolveRole = async (guild, roleId) => {
+const resolveRole = async (runtime, guild, roleId) => {
   const cached = collectionGet(guild?.roles?.cache, roleId);
   if (cached !== undefined) return cached;
   if (typeof guild?.roles?.fetch !== 'function') return null;
-  return guild.roles.fetch(roleId);
+  return runtime.fetchWithDiscordRetry(() => guild.roles.fetch(roleId), 'fetch MEMBER_PROFILE_SYNC role');
 };
 
 const roleIsEditable = (role, guildId) => role
@@ -321,6 +324,8 @@ const mutate = async (runtime, operation, label, fallbackReason) => {
   }
 };
 
+export const rateClass = RATE_CLASSES.BULK_ROLES;
+
 export const execute = async (command, runtime) => {
   const payload = command?.payload;
   const validation = validate(payload);
@@ -348,7 +353,10 @@ export const execute = async (command, runtime) => {
 
   let member;
   try {
-    member = await guild.members.fetch(payload.member.discord_user_id.trim());
+    member = await runtime.fetchWithDiscordRetry(
+      () => guild.members.fetch(payload.member.discord_user_id.trim()),
+      'fetch MEMBER_PROFILE_SYNC member',
+    );
   } catch (error) {
     const classified = classifyError(error, 'member_unavailable');
     return failure(classified.reason, { retryable: classified.retryable });
@@ -373,7 +381,7 @@ export const execute = async (command, runtime) => {
   for (const roleId of [...adds, ...removes]) {
     let role;
     try {
-      role = await resolveRole(guild, roleId);
+      role = await resolveRole(runtime, guild, roleId);
     } catch (error) {
       const classified = classifyError(error, 'role_fetch_failed');
       return failure(classified.reason, { retryable: classified.retryable });
@@ -479,7 +487,15 @@ export const execute = async (command, runtime) => {
   }
   let refreshed;
   try {
-    refreshed = await guild.members.fetch(payload.member.discord_user_id.trim());
+    refreshed = await runtime.verifyWithDiscordRetry(
+      () => guild.members.fetch(payload.member.discord_user_id.trim()),
+      'refresh MEMBER_PROFILE_SYNC member',
+      () => ({
+        id: member.id,
+        nickname: member.nickname,
+        roles: { cache: new Map([...current].map((roleId) => [roleId, { id: roleId }])) },
+      }),
+    );
   } catch (error) {
     const classified = classifyError(error, 'member_refresh_failed');
     return failure(classified.reason, {
@@ -1,3 +1,4 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
 import { isDiscordSnowflake } from '../../utils/boundaryValidators.js';
 import {
   buildEmbed,
@@ -10,6 +11,7 @@ import {
   statusTone,
   titleCase,
 } from '../../utils/discordUi.js';
+import { persistentCustomId } from '../../utils/persistentControls.js';
 
 const EVENT_TEMPLATES = Object.freeze([
   { prefix: 'grant_', title: 'Grant Update', label: 'grant request', tone: 'finance' },
@@ -21,8 +23,16 @@ const EVENT_TEMPLATES = Object.freeze([
   { prefix: 'audit_', title: 'Audit Findings Need Attention', label: 'audit findings', tone: 'warning' },
   { prefix: 'watchlist_', title: 'Watchlist Alert', label: 'watchlist', tone: 'warning' },
   { prefix: 'blockade_relief_', title: 'Blockade Relief', label: 'blockade relief request', tone: 'military' },
+  { prefix: 'finance_schedule_', title: 'Scheduled Transfer Ready', label: 'finance schedule', tone: 'finance' },
 ]);
 
+// Only a freshly drafted cycle can be confirmed; failed or skipped cycles cannot.
+const SCHEDULE_CYCLE_READY_EVENT = 'finance_schedule_cycle_ready';
+const SCHEDULE_CONTROLS = Object.freeze({
+  withdrawal_schedule: { commandName: 'withdraw', label: 'Confirm withdrawal' },
+  deposit_schedule: { commandName: 'deposit', label: 'Create deposit code' },
+});
+
 const safeScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value)
   && `${value}`.length <= 200 && !/[\r\n]/.test(`${value}`);
 const templateFor = (eventType) => EVENT_TEMPLATES.find(({ prefix }) => eventType.startsWith(prefix));
@@ -50,6 +60,24 @@ const summaryLines = (summary, excluded = []) => Object.entries(summary)
   .slice(0, 5)
   .map(([key, value]) => `**${SUMMARY_LABELS[key] ?? escapeMarkdown(titleCase(key))}:** ${summaryValue(key, value)}`);
 
+/**
+ * Confirm button for a cycle a finance schedule drafted. It is a persistent
+ * control carrying the server id, since DM interactions have no guild.
+ */
+const scheduleCycleComponents = (payload, guildId) => {
+  if (payload.event_type !== SCHEDULE_CYCLE_READY_EVENT) return [];
+  const control = SCHEDULE_CONTROLS[payload.subject.type];
+  const scheduleId = `${payload.subject.id}`;
+  const cycleId = `${payload.summary.cycle_id ?? ''}`;
+  if (!control || !isDiscordSnowflake(guildId) || !/^[1-9]\d{0,15}$/.test(scheduleId) || !/^[1-9]\d{0,15}$/.test(cycleId)) {
+    return [];
+  }
+  return [new ActionRowBuilder().addComponents(new ButtonBuilder()
+    .setCustomId(persistentCustomId(control.commandName, 'cycle-confirm', guildId, scheduleId, cycleId))
+    .setLabel(control.label)
+    .setStyle(ButtonStyle.Success))];
+};
+
 const auditDescription = (payload, label, deepLink) => {
   const rawCount = Number(payload.summary.finding_count);
   const count = Number.isInteger(rawCount) && rawCount >= 0 ? rawCount : null;
@@ -130,6 +158,7 @@ export const execute = async (command, runtime) => {
   if (!Number.isNaN(occurredAt.getTime())) embed.setTimestamp(occurredAt);
   const message = {
     embeds: [embed],
+    components: scheduleCycleComponents(payload, runtime.guildId),
     allowedMentions: { parse: [], repliedUser: false },
   };
   try {
@@ -1,18 +1,90 @@
 import { createHash } from 'node:crypto';
 import { isDiscordSnowflake } from '../../utils/boundaryValidators.js';
+import { RATE_CLASSES } from '../DiscordRateBudget.js';
+import { actionLabel } from '../QueueMetrics.js';
+
+/** Count durable checkpoint calls; every other API call passes straight through. */
+const countCheckpoints = (apiService, metrics, action) => new Proxy(apiService, {
+  get: (target, property) => {
+    const value = Reflect.get(target, property);
+    if (typeof value !== 'function') return value;
+    if (property !== 'checkpointDiscordQueue') return value.bind(target);
+    return async (...args) => {
+      const labels = { action: actionLabel(action) };
+      try {
+        const result = await value.apply(target, args);
+        metrics.increment('nexus_queue_checkpoints_total', { ...labels, outcome: 'ok' });
+        return result;
+      } catch (error) {
+        metrics.increment('nexus_queue_checkpoints_total', { ...labels, outcome: 'error' });
+        throw error;
+      }
+    };
+  },
+});
 
 /** Shared Discord mechanics for queue action modules. */
 export class QueueActionRuntime {
-  constructor({ client, logger, guildId, apiService = null }) {
+  constructor({
+    client, logger, guildId, apiService = null, rateBudget = null, metrics = null, warRooms = null,
+  }) {
     this.client = client;
     this.logger = logger;
     this.guildId = guildId;
     this.apiService = apiService;
+    this.rateBudget = rateBudget;
+    this.metrics = metrics;
+    this.warRooms = warRooms;
+    this.rateClass = RATE_CLASSES.DEFAULT;
   }
 
-  forExecution(execution = {}) {
+  forExecution(execution = {}, { rateClass = RATE_CLASSES.DEFAULT, action = null } = {}) {
     const scoped = Object.create(this);
     scoped.execution = execution;
+    scoped.rateClass = rateClass;
+    if (this.metrics && this.apiService) scoped.apiService = countCheckpoints(this.apiService, this.metrics, action);
+    return scoped;
+  }
+
+  /**
+   * Scoped runtime for dry-run mode: Discord reads still happen, but sends,
+   * thread creation, and every other `withDiscordRetry` change are recorded.
+   * Changes and read-backs that later steps depend on return the simulated
+   * state their caller supplies, so the report follows the real path.
+   */
+  forDryRun(execution = {}, recorder, options = {}) {
+    const scoped = this.forExecution(execution, options);
+    scoped.dryRun = recorder;
+    scoped.warRooms = null;
+    scoped.apiService = recorder.wrapApiService(this.apiService);
+    scoped.withDiscordRetry = async (_operation, label) => recorder.record({ type: 'discord_change', label });
+    scoped.applyWithDiscordRetry = async (_operation, label, simulate) => {
+      recorder.record({ type: 'discord_change', label });
+      return simulate(recorder.placeholderSnowflake());
+    };
+    scoped.verifyWithDiscordRetry = async (_operation, _label, expected) => expected();
+    scoped.send = async (channel, command, stepKey, payload, label) => recorder.record({
+      type: 'message',
+      label,
+      channel_id: channel?.id ?? null,
+      step: stepKey,
+      payload: scoped.messagePayload(command, stepKey, payload),
+    });
+    scoped.sendDirectMessage = async (user, command, stepKey, payload, label) => recorder.record({
+      type: 'direct_message',
+      label,
+      user_id: user?.id ?? null,
+      step: stepKey,
+      payload: scoped.messagePayload(command, stepKey, payload),
+    });
+    scoped.createForumThread = async (forum, command, stepKey, options, label) => recorder.record({
+      type: 'thread',
+      label,
+      channel_id: forum?.id ?? null,
+      step: stepKey,
+      name: options?.name ?? null,
+      payload: scoped.messagePayload(command, stepKey, options?.message ?? {}),
+    });
     return scoped;
   }
 
@@ -31,7 +103,7 @@ export class QueueActionRuntime {
     }
 
     try {
-      const fetched = await this.client.channels.fetch(channelId);
+      const fetched = await this.fetchWithDiscordRetry(() => this.client.channels.fetch(channelId), 'fetch channel');
       return fetched?.isTextBased?.() && fetched.guildId === this.guildId ? fetched : null;
     } catch (error) {
       this.logger.warn('Channel fetch failed or inaccessible', {
@@ -58,7 +130,7 @@ export class QueueActionRuntime {
     }
 
     try {
-      const fetched = await this.client.channels.fetch(channelId);
+      const fetched = await this.fetchWithDiscordRetry(() => this.client.channels.fetch(channelId), 'fetch channel');
       if (fetched?.guildId !== this.guildId) return { value: null, error: null };
       return { value: fetched, error: null };
     } catch (error) {
@@ -82,7 +154,7 @@ export class QueueActionRuntime {
     }
 
     try {
-      return (await this.client.guilds.fetch(this.guildId)) ?? null;
+      return (await this.fetchWithDiscordRetry(() => this.client.guilds.fetch(this.guildId), 'fetch guild')) ?? null;
     } catch (error) {
       this.logger.warn('Guild fetch failed or inaccessible', {
         guildId: this.guildId,
@@ -148,10 +220,34 @@ export class QueueActionRuntime {
     };
   }
 
+  /** Read-only Discord calls; dry-run mode still performs these. */
+  async fetchWithDiscordRetry(operation, label) {
+    return QueueActionRuntime.prototype.withDiscordRetry.call(this, operation, label);
+  }
+
+  /**
+   * A Discord change whose result later steps read. In dry-run mode the
+   * change is recorded and `simulate(placeholderId)` stands in for its result.
+   */
+  async applyWithDiscordRetry(operation, label, _simulate) {
+    return this.withDiscordRetry(operation, label);
+  }
+
+  /**
+   * Read Discord state back after a change to confirm it took effect. In
+   * dry-run mode nothing changed, so `expected()` stands in for the read.
+   */
+  async verifyWithDiscordRetry(operation, label, _expected) {
+    return this.fetchWithDiscordRetry(operation, label);
+  }
+
   async withDiscordRetry(operation, label, maxAttempts = 3) {
     for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+      await this.rateBudget?.acquire(this.guildId, this.rateClass);
       try {
-        return await operation();
+        return this.metrics
+          ? await this.metrics.time('nexus_discord_rest_duration_seconds', { rate_class: this.rateClass }, operation)
+          : await operation();
       } catch (error) {
         const retryAfterSeconds = Number(
           error?.retry_after ?? error?.rawError?.retry_after ?? error?.data?.retry_after ?? NaN,
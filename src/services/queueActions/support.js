@@ -1,6 +1,29 @@
 export const valid = () => ({ valid: true });
 export const invalid = (reason) => ({ valid: false, reason });
 
+/**
+ * Ordering key shared by war-room lifecycle actions so create and archive for
+ * one Nexus source never run concurrently or out of claim order.
+ */
+export const warRoomOrderingKey = (payload) => {
+  const type = `${payload?.source?.type ?? ''}`.trim().toLowerCase();
+  const id = `${payload?.source?.id ?? ''}`.trim();
+  if ((type === 'war_counter' || type === 'milcom_objective') && id) return `war_room:${type}:${id}`;
+  const channelId = `${payload?.discord_channel_id ?? ''}`.trim();
+  return channelId ? `war_room:channel:${channelId}` : null;
+};
+
+/**
+ * Optional scheduled-send time shared by every action payload: `null` when
+ * absent, `undefined` when present but not a valid timestamp.
+ */
+export const deliverAfter = (payload) => {
+  const value = payload?.deliver_after;
+  if (value === undefined || value === null) return null;
+  const at = typeof value === 'string' ? Date.parse(value) : Number.NaN;
+  return Number.isFinite(at) ? at : undefined;
+};
+
 export const parseDate = (input) => {
   if (!input) return null;
   const date = input instanceof Date ? input : new Date(input);
@@ -3,8 +3,14 @@ import {
   isDiscordSnowflake,
   toPositiveInteger,
 } from '../../utils/boundaryValidators.js';
+import { transcriptMessage } from '../../utils/messageTranscripts.js';
 import { archiveWarCounterRoom } from '../../utils/warCounterRooms.js';
-import { invalid, valid } from './support.js';
+import { invalid, valid, warRoomOrderingKey } from './support.js';
+
+const TRANSCRIPT_PAGE_SIZE = 100;
+const MAX_TRANSCRIPT_MESSAGES = 1000;
+// Leaves room for the envelope under ApiService's request size limit.
+const MAX_TRANSCRIPT_BYTES = 200_000;
 
 const sourceType = (source) => `${source?.type ?? ''}`.trim().toLowerCase();
 const isWarCounterSource = (source) => sourceType(source) === 'war_counter';
@@ -36,9 +42,15 @@ export const validate = (payload) => {
       !isBoundedString(payload.archive.title_prefix, { minLength: 1, maxLength: 100 })
     ) return invalid('invalid_title_prefix');
   }
+  if (payload.archive?.transcript !== undefined) {
+    if (typeof payload.archive.transcript !== 'boolean') return invalid('invalid_transcript_option');
+    if (payload.archive.transcript && !isPersistedSource(source)) return invalid('missing_transcript_source');
+  }
   return valid();
 };
 
+export const orderingKey = warRoomOrderingKey;
+
 export const execute = async (command, runtime) => {
   const payload = command.payload;
   const source = payload.source ?? {};
@@ -111,6 +123,12 @@ export const execute = async (command, runtime) => {
     return { success: false, reason: channelId ? 'invalid_channel' : 'missing_channel' };
   }
 
+  let transcript = null;
+  if (payload.archive?.transcript === true) {
+    transcript = await exportTranscript(command, runtime, channelId);
+    if (transcript.reason) return { success: false, reason: transcript.reason };
+  }
+
   if (!runtime.canContinue()) return { success: false, reason: 'lease_lost' };
   const archiveResult = await archiveWarCounterRoom({
     client: runtime.client,
@@ -125,12 +143,129 @@ export const execute = async (command, runtime) => {
       sourceType: source?.type ?? null,
       sourceId: source?.id ?? null,
     },
+    change: (operation, label) => runtime.withDiscordRetry(operation, label),
+    fetch: (operation, label) => runtime.fetchWithDiscordRetry(operation, label),
   });
 
-  return archiveResult.success ? { success: true } : { success: false, reason: archiveResult.reason };
+  if (!archiveResult.success) return { success: false, reason: archiveResult.reason };
+  await untrackRoom(runtime, channelId);
+  return transcript ? { success: true, result: { transcript } } : { success: true };
 };
 
-function resolvePersistedRoomRecord(response) {
+/**
+ * Upload the room's text transcript to Nexus before the thread is locked. A
+ * checkpoint keeps a retried archive from uploading the transcript again, and
+ * the queue item's idempotency key lets Nexus drop a repeat if the checkpoint
+ * never landed.
+ */
+async function exportTranscript(command, runtime, channelId) {
+  if (command?.result?.transcript_uploaded === true) return { uploaded: true, resumed: true };
+  if (!runtime.apiService?.uploadWarRoomTranscript) return { reason: 'transcript_upload_unavailable' };
+
+  const channel = await runtime.resolveChannel(channelId);
+  if (!channel?.isThread?.()) return { reason: channel ? 'not_thread' : 'channel_unavailable' };
+
+  let collected;
+  try {
+    collected = await collectTranscript(runtime, channel);
+  } catch (error) {
+    runtime.logger.warn('WAR_ROOM_ARCHIVE could not read the room transcript', {
+      commandId: command?.id,
+      channelId,
+      errorMessage: error?.message ?? String(error),
+    });
+    return { reason: 'transcript_read_failed' };
+  }
+
+  const source = command.payload.source;
+  const execution = runtime.execution ?? {};
+  if (!runtime.canContinue()) return { reason: 'lease_lost' };
+  try {
+    await runtime.apiService.uploadWarRoomTranscript({
+      source: { type: sourceType(source), id: toPositiveInteger(source.id) },
+      discord_channel_id: channelId,
+      discord_thread_name: typeof channel.name === 'string' ? channel.name : null,
+      messages: collected.messages,
+      message_count: collected.messages.length,
+      truncated: collected.truncated,
+      collected_at: new Date().toISOString(),
+      idempotency_key: `war-room-transcript:${command.id}`,
+      ...(execution.connectionId ? {
+        connection_id: execution.connectionId,
+        generation: execution.generation,
+        app_id: execution.applicationId,
+        guild_id: execution.guildId,
+      } : {}),
+    });
+  } catch (error) {
+    runtime.logger.warn('WAR_ROOM_ARCHIVE transcript upload failed; leaving the room open for retry', {
+      commandId: command?.id,
+      channelId,
+      status: error?.response?.status ?? null,
+    });
+    return { reason: 'transcript_upload_failed' };
+  }
+
+  if (runtime.apiService.checkpointDiscordQueue && command?.lease_token) {
+    try {
+      await runtime.apiService.checkpointDiscordQueue(command.id, command.lease_token, { transcript_uploaded: true });
+    } catch (error) {
+      runtime.logger.warn('WAR_ROOM_ARCHIVE transcript checkpoint failed; leaving the room open for retry', {
+        commandId: command?.id,
+        channelId,
+        status: error?.response?.status ?? null,
+      });
+      return { reason: 'checkpoint_failed' };
+    }
+  }
+  runtime.logger.info('Uploaded WAR_ROOM_ARCHIVE transcript', {
+    commandId: command?.id,
+    channelId,
+    messageCount: collected.messages.length,
+    truncated: collected.truncated,
+  });
+  return { uploaded: true, message_count: collected.messages.length, truncated: collected.truncated };
+}
+
+/**
+ * Read the room under the text-only transcript policy and keep the most recent
+ * messages that fit the count and size caps, oldest first. `truncated` reports
+ * that earlier messages were left out.
+ */
+async function collectTranscript(runtime, channel) {
+  const fetched = [];
+  let before = null;
+  let exhausted = false;
+  while (fetched.length < MAX_TRANSCRIPT_MESSAGES) {
+    const page = await runtime.fetchWithDiscordRetry(
+      () => channel.messages.fetch({ limit: TRANSCRIPT_PAGE_SIZE, ...(before ? { before } : {}) }),
+      'fetch war room transcript page',
+    );
+    const messages = [...(page?.values?.() ?? [])];
+    fetched.push(...messages);
+    if (messages.length < TRANSCRIPT_PAGE_SIZE) {
+      exhausted = true;
+      break;
+    }
+    before = messages.at(-1).id;
+  }
+
+  const entries = fetched
+    .sort((left, right) => left.createdTimestamp - right.createdTimestamp)
+    .map(transcriptMessage)
+    .filter(Boolean);
+  const messages = [];
+  let bytes = 0;
+  for (const entry of entries.reverse()) {
+    bytes += Buffer.byteLength(JSON.stringify(entry));
+    if (bytes > MAX_TRANSCRIPT_BYTES) break;
+    messages.unshift(entry);
+  }
+  return { messages, truncated: !exhausted || messages.length < entries.length };
+}
+
+/** Unwrap the counter or objective record from a Nexus lookup response. */
+export function resolvePersistedRoomRecord(response) {
   return response?.data?.objective ??
     response?.data?.counter ??
     response?.data ??
@@ -138,3 +273,11 @@ function resolvePersistedRoomRecord(response) {
     response?.counter ??
     response;
 }
+
+async function untrackRoom(runtime, channelId) {
+  try {
+    await runtime.warRooms?.untrack(channelId, runtime.execution?.connectionId ?? null);
+  } catch {
+    runtime.logger.warn('Failed to forget archived war room', { channelId, errorCode: 'WAR_ROOM_REGISTRY_WRITE_FAILED' });
+  }
+}
@@ -11,11 +11,17 @@ import {
   safeUrl,
   truncate,
 } from '../../utils/discordUi.js';
+import {
+  buildCounterSignupComponents,
+  buildCounterSignupField,
+  counterSignups,
+} from '../../utils/warCounterRooms.js';
 import {
   formatNumber,
   invalid,
   parseDate,
   valid,
+  warRoomOrderingKey,
 } from './support.js';
 import { extractUserSnowflakes } from './runtime.js';
 
@@ -68,6 +74,9 @@ export const validate = (payload) => {
   if (payload.assigned_members !== undefined && !Array.isArray(payload.assigned_members)) {
     return invalid('invalid_assigned_members');
   }
+  if (payload.slot_limit !== undefined && payload.slot_limit !== null && !toPositiveInteger(payload.slot_limit)) {
+    return invalid('invalid_slot_limit');
+  }
   if (payload.forum_tag_ids !== undefined) {
     if (
       !Array.isArray(payload.forum_tag_ids) ||
@@ -88,6 +97,8 @@ export const validate = (payload) => {
   return valid();
 };
 
+export const orderingKey = warRoomOrderingKey;
+
 export const execute = async (command, runtime) => {
   const payload = command.payload;
   const forumChannelId = `${payload.forum_channel_id ?? payload.channel_id}`.trim();
@@ -151,6 +162,9 @@ export const execute = async (command, runtime) => {
           message: {
             content: starterLines.join('\n'),
             embeds: [buildWarRoomEmbed(command)],
+            ...(isWarCounterSource(payload.source)
+              ? { components: buildCounterSignupComponents(toPositiveInteger(payload.source.id)) }
+              : {}),
             allowedMentions: strictUserMentions(starterLines.join('\n')),
           },
         },
@@ -244,6 +258,7 @@ export const execute = async (command, runtime) => {
       );
     }
 
+    await trackWarRoom(runtime, payload.source, thread.id);
     runtime.logger.info('Delivered WAR_ROOM_CREATE thread', {
       commandId: command?.id,
       forumChannelId,
@@ -262,6 +277,23 @@ export const execute = async (command, runtime) => {
   }
 };
 
+async function trackWarRoom(runtime, source, threadId) {
+  if (!runtime.warRooms || !(isWarCounterSource(source) || isMilcomObjectiveSource(source))) return;
+  try {
+    await runtime.warRooms.track({
+      channelId: threadId,
+      sourceType: sourceType(source),
+      sourceId: toPositiveInteger(source.id),
+      connection: runtime.execution?.connectionId ? runtime.execution : null,
+    });
+  } catch {
+    runtime.logger.warn('Failed to track WAR_ROOM_CREATE thread for lifecycle automation', {
+      threadId,
+      errorCode: 'WAR_ROOM_REGISTRY_WRITE_FAILED',
+    });
+  }
+}
+
 async function attachWarCounterChannel(runtime, warCounterId, discordChannelId, commandId) {
   const normalizedCounterId = toPositiveInteger(warCounterId);
   if (!normalizedCounterId || !isDiscordSnowflake(discordChannelId) || !runtime.apiService?.attachWarCounterChannel) {
@@ -490,6 +522,7 @@ function buildWarRoomEmbed(command) {
       },
       { name: 'Military', value: formatMilitaryBrief(target.military) },
       actionLinks.length ? { name: 'Links', value: actionLinks.join(' · ') } : null,
+      isWarCounterSource(payload.source) ? buildCounterSignupField(counterSignups(payload)) : null,
     ],
     url: nationProfile,
   }).setTimestamp(createdAt);
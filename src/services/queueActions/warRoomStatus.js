@@ -0,0 +1,230 @@
+import {
+  isBoundedString,
+  isDiscordSnowflake,
+  toPositiveInteger,
+} from '../../utils/boundaryValidators.js';
+import {
+  buildEmbed,
+  escapeMarkdown,
+  formatDiscordTime,
+  formatNumber,
+  titleCase,
+  truncate,
+} from '../../utils/discordUi.js';
+import { invalid, parseDate, valid, warRoomOrderingKey } from './support.js';
+
+export const BOARD_FOOTER_PREFIX = 'Live status board';
+const MAX_WARS = 25;
+const MAX_ASSIGNED_MEMBERS = 100;
+const MAX_RENDERED_WARS = 8;
+const MAX_RENDERED_MEMBERS = 15;
+const REVISION_PATTERN = /revision (\d+)/;
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const sourceType = (source) => `${source?.type ?? ''}`.trim().toLowerCase();
+const isPersistedSource = (source) => ['war_counter', 'milcom_objective'].includes(sourceType(source));
+const whole = (value) => formatNumber(value, { maximumFractionDigits: 0 });
+const name = (value, fallback) => escapeMarkdown(truncate(value, 80, fallback));
+
+export const validate = (payload) => {
+  if (!isObject(payload)) return invalid('invalid_payload');
+  if (payload.discord_channel_id === undefined || payload.discord_channel_id === null) return invalid('missing_channel');
+  if (!isDiscordSnowflake(payload.discord_channel_id)) return invalid('invalid_channel');
+  if (payload.source !== undefined) {
+    if (!isObject(payload.source)) return invalid('invalid_source');
+    if (isPersistedSource(payload.source) && !toPositiveInteger(payload.source.id)) return invalid('invalid_source_id');
+  }
+  if (payload.status_message_id !== undefined && !isDiscordSnowflake(payload.status_message_id)) {
+    return invalid('invalid_status_message');
+  }
+  if (payload.revision !== undefined && !(Number.isSafeInteger(payload.revision) && payload.revision >= 0)) {
+    return invalid('invalid_revision');
+  }
+  if (payload.updated_at !== undefined && !parseDate(payload.updated_at)) return invalid('invalid_updated_at');
+  if (payload.status !== undefined && !isBoundedString(payload.status, { minLength: 1, maxLength: 40 })) {
+    return invalid('invalid_status');
+  }
+  if (payload.target !== undefined && !isObject(payload.target)) return invalid('invalid_target');
+  if (payload.progress !== undefined && !isObject(payload.progress)) return invalid('invalid_progress');
+  if (payload.wars !== undefined && (!Array.isArray(payload.wars) || payload.wars.length > MAX_WARS || !payload.wars.every(isObject))) {
+    return invalid('invalid_wars');
+  }
+  if (payload.assigned_members !== undefined) {
+    if (
+      !Array.isArray(payload.assigned_members) ||
+      payload.assigned_members.length > MAX_ASSIGNED_MEMBERS ||
+      !payload.assigned_members.every((member) => isObject(member)
+        && (member.discord_id === undefined || member.discord_id === null || isDiscordSnowflake(member.discord_id)))
+    ) return invalid('invalid_assigned_members');
+  }
+  return valid();
+};
+
+export const orderingKey = warRoomOrderingKey;
+
+export const execute = async (command, runtime) => {
+  const payload = command.payload;
+  const channelId = payload.discord_channel_id.trim();
+  const thread = await runtime.resolveChannel(channelId);
+  if (!thread?.isThread?.()) {
+    runtime.logger.warn('WAR_ROOM_STATUS room is missing, inaccessible, or not a thread', {
+      commandId: command?.id,
+      channelId,
+    });
+    return { success: false, reason: thread ? 'not_thread' : 'channel_unavailable' };
+  }
+  if (thread.archived && thread.locked) {
+    runtime.logger.info('Skipping WAR_ROOM_STATUS for an archived room', { commandId: command?.id, channelId });
+    return { success: true, result: { status_message_id: null, skipped: 'room_archived' } };
+  }
+
+  const board = buildStatusBoard(payload);
+  try {
+    const existing = await findStatusBoard(command, runtime, thread);
+    const revision = existing ? boardRevision(existing) : null;
+    if (existing && revision !== null && Number.isInteger(payload.revision) && payload.revision < revision) {
+      runtime.logger.info('Skipping stale WAR_ROOM_STATUS revision', {
+        commandId: command?.id,
+        channelId,
+        revision: payload.revision,
+        boardRevision: revision,
+      });
+      return { success: true, result: { status_message_id: existing.id, skipped: 'stale_revision' } };
+    }
+
+    if (!runtime.canContinue()) return { success: false, reason: 'lease_lost' };
+    if (thread.archived) {
+      await runtime.withDiscordRetry(() => thread.setArchived(false, 'Nexus war room status update'), 'unarchive war room');
+    }
+
+    let message = existing;
+    if (message) {
+      await runtime.withDiscordRetry(() => message.edit(board), 'edit WAR_ROOM_STATUS board');
+    } else {
+      message = await runtime.send(thread, command, 'status-board', board, 'send WAR_ROOM_STATUS board');
+      if (isDiscordSnowflake(message?.id) && runtime.apiService?.checkpointDiscordQueue && command?.lease_token) {
+        try {
+          await runtime.apiService.checkpointDiscordQueue(command.id, command.lease_token, {
+            status_message_id: message.id,
+          });
+        } catch {
+          runtime.logger.warn('WAR_ROOM_STATUS board was posted but its checkpoint failed', {
+            commandId: command?.id,
+            messageId: message.id,
+          });
+        }
+      }
+    }
+
+    if (message && !message.pinned && typeof message.pin === 'function') {
+      if (!runtime.canContinue()) return { success: false, reason: 'lease_lost' };
+      await runtime.withDiscordRetry(() => message.pin('Nexus war room status board'), 'pin WAR_ROOM_STATUS board');
+    }
+
+    runtime.logger.info(existing ? 'Updated WAR_ROOM_STATUS board' : 'Posted WAR_ROOM_STATUS board', {
+      commandId: command?.id,
+      channelId,
+      messageId: message?.id ?? null,
+      revision: payload.revision ?? null,
+    });
+    return {
+      success: true,
+      result: { status_message_id: isDiscordSnowflake(message?.id) ? message.id : null, revision: payload.revision ?? null },
+    };
+  } catch (error) {
+    runtime.logger.error('Failed to update WAR_ROOM_STATUS board in Discord', {
+      commandId: command?.id,
+      channelId,
+      errorMessage: error?.message ?? String(error),
+    });
+    return { success: false, reason: 'discord_send_failed' };
+  }
+};
+
+/**
+ * Find the room's board: the id Nexus sent, then a checkpoint from an earlier
+ * attempt, then any pinned board this bot posted.
+ */
+async function findStatusBoard(command, runtime, thread) {
+  const botId = runtime.client.user?.id ?? null;
+  const isBoard = (message) => Boolean(message)
+    && (!botId || message.author?.id === botId)
+    && `${message.embeds?.[0]?.footer?.text ?? ''}`.startsWith(BOARD_FOOTER_PREFIX);
+
+  const knownIds = [command.payload.status_message_id, command?.result?.status_message_id]
+    .filter((id, index, ids) => isDiscordSnowflake(id) && ids.indexOf(id) === index);
+  for (const messageId of knownIds) {
+    try {
+      const message = await runtime.fetchWithDiscordRetry(
+        () => thread.messages.fetch(messageId),
+        'fetch WAR_ROOM_STATUS board',
+      );
+      if (isBoard(message)) return message;
+    } catch {
+      // A deleted board is replaced below.
+    }
+  }
+
+  const pins = await runtime.fetchWithDiscordRetry(() => thread.messages.fetchPins(), 'fetch war room pins');
+  return (pins?.items ?? []).map((pin) => pin.message).find(isBoard) ?? null;
+}
+
+function boardRevision(message) {
+  const match = REVISION_PATTERN.exec(`${message.embeds?.[0]?.footer?.text ?? ''}`);
+  return match ? Number(match[1]) : null;
+}
+
+export function buildStatusBoard(payload) {
+  const target = payload.target ?? {};
+  const wars = Array.isArray(payload.wars) ? payload.wars : [];
+  const members = Array.isArray(payload.assigned_members) ? payload.assigned_members : [];
+  const updatedAt = parseDate(payload.updated_at) ?? new Date();
+
+  const beige = Number(target.beige_turns);
+  const targetLines = [
+    `**${name(target.nation_name, 'Unknown nation')}** — ${name(target.leader_name, 'Unknown leader')}`,
+    Number.isFinite(beige) && beige > 0 ? `**Beige:** ${whole(beige)} turns` : '**Beige:** Not on beige',
+    target.beige_ends_at ? `**Beige ends:** ${formatDiscordTime(target.beige_ends_at)}` : null,
+  ];
+
+  const warLines = wars.slice(0, MAX_RENDERED_WARS).map((war) => [
+    `**${name(war?.attacker?.nation_name, 'Attacker')}** vs **${name(war?.defender?.nation_name, 'Defender')}**`,
+    `Resistance ${whole(war?.attacker_resistance)}/${whole(war?.defender_resistance)}`,
+    `MAPs ${whole(war?.attacker_maps)}/${whole(war?.defender_maps)}`,
+    `${whole(war?.turns_left)} turns left`,
+  ].join(' · '));
+  if (wars.length > MAX_RENDERED_WARS) warLines.push(`…and ${wars.length - MAX_RENDERED_WARS} more`);
+
+  const memberLines = members.slice(0, MAX_RENDERED_MEMBERS).map((member) => {
+    const mention = isDiscordSnowflake(member?.discord_id) ? ` (<@${member.discord_id.trim()}>)` : '';
+    return `• ${name(member?.nation_name, 'Unknown nation')}${mention} — ${escapeMarkdown(titleCase(truncate(member?.status, 40, 'pending')))}`;
+  });
+  if (members.length > MAX_RENDERED_MEMBERS) memberLines.push(`…and ${members.length - MAX_RENDERED_MEMBERS} more`);
+
+  const progress = payload.progress ?? {};
+  const declared = Number(progress.declared);
+  const required = Number(progress.required ?? progress.assigned);
+  const progressLine = Number.isFinite(declared) && Number.isFinite(required) && required > 0
+    ? `${whole(declared)} of ${whole(required)} declared (${Math.min(100, Math.round((declared / required) * 100))}%)`
+    : null;
+
+  const embed = buildEmbed({
+    title: `📋 War Room Status — ${truncate(target.nation_name, 120, 'Unknown nation')}`,
+    tone: 'military',
+    description: [
+      `**Status:** ${escapeMarkdown(titleCase(truncate(payload.status, 40, 'active')))}`,
+      `**Updated:** ${formatDiscordTime(updatedAt)}`,
+    ].join('\n'),
+    fields: [
+      { name: 'Target', value: targetLines.filter(Boolean).join('\n') },
+      { name: 'Wars', value: warLines.length ? warLines.join('\n') : 'No active wars reported.' },
+      progressLine ? { name: 'Counter progress', value: progressLine } : null,
+      { name: 'Assigned members', value: memberLines.length ? memberLines.join('\n') : 'No members assigned.' },
+    ],
+    footer: Number.isInteger(payload.revision)
+      ? `${BOARD_FOOTER_PREFIX} · revision ${payload.revision}`
+      : BOARD_FOOTER_PREFIX,
+  }).setTimestamp(updatedAt);
+
+  return { embeds: [embed], allowedMentions: { parse: [] } };
+}
@@ -40,11 +40,14 @@ const redact = (value, seen = new WeakSet()) => {
 
 /** Read-only bot observations for /nexus status; never returns credentials or message content. */
 export class DiscordStatusService {
-  constructor({ client, connectionResolver, config = {}, queueWorkers = [], now = Date.now } = {}) {
+  constructor({
+    client, connectionResolver, config = {}, queueWorkers = [], rateBudget = null, now = Date.now,
+  } = {}) {
     this.client = client;
     this.connectionResolver = connectionResolver;
     this.config = config;
     this.queueWorkers = queueWorkers;
+    this.rateBudget = rateBudget;
     this.now = now;
   }
 
@@ -70,6 +73,7 @@ export class DiscordStatusService {
       discord: {
         observed: Boolean(guild),
         permissions: observedPermissions(guild),
+        rate_budget: guildId && this.rateBudget ? this.rateBudget.snapshot(guildId) : [],
       },
       routing: this.connectionResolver?.diagnostics?.({ guildId }) ?? {
         mode: this.config?.discord?.deploymentMode ?? 'unknown',
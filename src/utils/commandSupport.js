@@ -6,6 +6,7 @@ import {
 import {
   buildEmbed,
   buildPlainMessage,
+  collectionItemAction,
   pluralize,
   renderCollectionItem,
   variantConfig,
@@ -25,7 +26,7 @@ export const actorFromInteraction = (interaction, command = null) => {
   const connection = interaction.nexusConnectionContext;
   return {
     discordUserId: interaction.user.id,
-    discordGuildId: interaction.guildId,
+    discordGuildId: interaction.guildId ?? interaction.nexusGuildId ?? null,
     discordInteractionId: interaction.id,
     discordCommand: rootCommand,
     discordAction: action,
@@ -54,6 +55,8 @@ export const errorMessage = (error) => {
     VERIFICATION_TOKEN_INVALID: 'This verification code is invalid or has already been used.',
     VERIFICATION_INTENT_STALE: 'This verification code changed or was already used after the preview.',
     NEXUS_ACCOUNT_DISABLED: 'This Nexus account is disabled and cannot be linked.',
+    COUNTER_FULL: 'Every slot on this war counter is taken.',
+    RAID_TARGET_CLAIMED: 'Another member has already claimed this target.',
   };
   const detail = typeof error?.message === 'string' && error.message.length <= 300 ? error.message : null;
   if (code === 'VALIDATION_ERROR' && detail) return detail;
@@ -82,21 +85,25 @@ const errorGuidance = (error) => {
     VERIFICATION_TOKEN_INVALID: 'Copy a current verification code from your Nexus account settings.',
     VERIFICATION_INTENT_STALE: 'Get a fresh verification code from Nexus and run /verify again.',
     NEXUS_ACCOUNT_DISABLED: 'Contact a Nexus administrator.',
+    COUNTER_FULL: 'Try again if a member leaves the counter.',
+    RAID_TARGET_CLAIMED: 'Pick another target, or run /raid again after the claim ends.',
   }[`${error?.code ?? ''}`.toUpperCase()]
     ?? 'Try the command again. If this keeps happening, contact a Nexus administrator.');
 };
 
+export const errorReply = (error, title = 'Request Failed') => ({
+  embeds: [buildEmbed({
+    title,
+    tone: 'danger',
+    description: errorMessage(error),
+    footer: errorGuidance(error),
+  })],
+  components: [],
+  ephemeral: true,
+});
+
 export const replyError = async (interaction, error, title = 'Request Failed') => {
-  const payload = {
-    embeds: [buildEmbed({
-      title,
-      tone: 'danger',
-      description: errorMessage(error),
-      footer: errorGuidance(error),
-    })],
-    components: [],
-    ephemeral: true,
-  };
+  const payload = errorReply(error, title);
   if (interaction.deferred || interaction.replied) return interaction.editReply(payload);
   return interaction.reply(payload);
 };
@@ -160,6 +167,7 @@ export const collectionMessage = ({
   page: requestedPage,
   pageSize: requestedPageSize,
   noun: requestedNoun,
+  itemActions = null,
 }) => {
   const config = variantConfig(variant);
   const noun = requestedNoun ?? config.noun;
@@ -200,6 +208,7 @@ export const collectionMessage = ({
       baseUrl,
       pageSize,
       noun,
+      itemActions,
     };
     const previousEvent = isRemote ? event : COLLECTION_PAGE_EVENT;
     const nextEvent = isRemote ? event : COLLECTION_PAGE_EVENT;
@@ -222,6 +231,25 @@ export const collectionMessage = ({
         .setDisabled(page >= pages),
     ));
   }
+  if (itemActions && sessions) {
+    const buttons = pageItems
+      .map((item, index) => collectionItemAction(variant, item, start + index, { userId }))
+      .filter(Boolean)
+      .map((action) => new ButtonBuilder()
+        .setCustomId(sessions.create({
+          commandName,
+          userId,
+          event: action.event,
+          state: { ...itemActions, ...action.state, page },
+          oneShot: true,
+        }))
+        .setLabel(action.label)
+        .setStyle(action.style)
+        .setDisabled(Boolean(action.disabled)));
+    for (let index = 0; index < buttons.length && components.length < 5; index += 5) {
+      components.push(new ActionRowBuilder().addComponents(buttons.slice(index, index + 5)));
+    }
+  }
   if (config.presentation === 'plain') {
     return buildPlainMessage({
       title,
@@ -39,6 +39,8 @@ const parseJsonValue = (value, fallback = null) => {
   }
 };
 
+const processHealthFile = process.env.PROCESS_HEALTH_FILE || path.resolve(process.cwd(), 'data/process-health.json');
+
 const deploymentMode = parseMode(
   process.env.BOT_DEPLOYMENT_MODE
     ?? process.env.DISCORD_DEPLOYMENT_MODE
@@ -74,6 +76,7 @@ export const config = {
     relayNextKeyId: process.env.NEXUS_DISCORD_RELAY_NEXT_KEY_ID ?? '',
     relayNextPrivateKey: process.env.NEXUS_DISCORD_RELAY_NEXT_PRIVATE_KEY ?? '',
     capabilities: parseJsonObject(process.env.NEXUS_DISCORD_CAPABILITIES_JSON),
+    nexusKeySet: parseJsonValue(process.env.NEXUS_DISCORD_NEXUS_KEY_SET_JSON, null),
   },
   shared: {
     connectionsFile: process.env.DISCORD_CONNECTIONS_FILE ?? '',
@@ -81,8 +84,31 @@ export const config = {
     refreshIntervalMs: positiveInteger(process.env.DISCORD_CONNECTION_REFRESH_MS, 30_000),
     schedulerQuantum: positiveInteger(process.env.DISCORD_SCHEDULER_QUANTUM, 1),
   },
+  queue: {
+    laneConcurrency: parseJsonObject(process.env.QUEUE_LANE_CONCURRENCY_JSON),
+    rateBudgets: parseJsonObject(process.env.QUEUE_RATE_BUDGET_JSON),
+    priorityMaxAgeMs: parseJsonObject(process.env.QUEUE_PRIORITY_MAX_AGE_JSON),
+    deliveryBatches: process.env.QUEUE_DELIVERY_BATCHES === 'true',
+    deliveryBatchSize: positiveInteger(process.env.QUEUE_DELIVERY_BATCH_SIZE, 100),
+    alertCoalesceWindowMs: positiveInteger(process.env.QUEUE_ALERT_COALESCE_WINDOW_MS, 0),
+    scheduleHoldMs: positiveInteger(process.env.QUEUE_SCHEDULE_HOLD_MS, 60_000),
+    outboxFile: process.env.QUEUE_OUTBOX_FILE || path.join(path.dirname(processHealthFile), 'queue-outbox.json'),
+    dryRun: process.env.QUEUE_DRY_RUN === 'true',
+    dryRunReportFile: process.env.QUEUE_DRY_RUN_REPORT_FILE
+      || path.join(path.dirname(processHealthFile), 'queue-dry-run.jsonl'),
+  },
+  warRooms: {
+    autoArchive: `${process.env.WAR_ROOM_AUTO_ARCHIVE ?? ''}`.trim().toLowerCase() || 'off',
+    inactiveAfterMs: positiveInteger(process.env.WAR_ROOM_INACTIVE_AFTER_MS, 48 * 60 * 60 * 1000),
+    sweepIntervalMs: positiveInteger(process.env.WAR_ROOM_SWEEP_INTERVAL_MS, 15 * 60 * 1000),
+    registryFile: process.env.WAR_ROOM_REGISTRY_FILE || path.join(path.dirname(processHealthFile), 'war-rooms.json'),
+  },
+  metrics: {
+    port: positiveInteger(process.env.METRICS_PORT, 0),
+    host: process.env.METRICS_HOST || '127.0.0.1',
+  },
   processHealth: {
-    file: process.env.PROCESS_HEALTH_FILE || path.resolve(process.cwd(), 'data/process-health.json'),
+    file: processHealthFile,
     intervalMs: positiveInteger(process.env.PROCESS_HEALTH_INTERVAL_MS, 15_000),
     staleAfterMs: positiveInteger(process.env.PROCESS_HEALTH_STALE_AFTER_MS, 45_000),
   },
@@ -0,0 +1,31 @@
+import { AttachmentBuilder } from 'discord.js';
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * One CSV cell. Text that a spreadsheet would read as a formula is prefixed
+ * with an apostrophe, since nation and account names are player-controlled.
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = Array.isArray(value) ? value.join('; ') : `${value}`;
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+/**
+ * RFC 4180 CSV text with a header row.
+ * @param {{ header: string, value: (row: any) => unknown }[]} columns
+ * @param {any[]} rows
+ * @returns {string}
+ */
+export const csvDocument = (columns, rows) => [
+  columns.map((column) => csvCell(column.header)).join(','),
+  ...rows.map((row) => columns.map((column) => csvCell(column.value(row))).join(',')),
+].join('\r\n').concat('\r\n');
+
+/** Discord attachment holding a CSV document. */
+export const csvAttachment = (name, columns, rows) => new AttachmentBuilder(
+  Buffer.from(csvDocument(columns, rows), 'utf8'),
+  { name, description: `${rows.length} row${rows.length === 1 ? '' : 's'}` },
+);
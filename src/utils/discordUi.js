@@ -1,4 +1,4 @@
-import { EmbedBuilder } from 'discord.js';
+import { ButtonStyle, EmbedBuilder } from 'discord.js';
 
 export const UI_COLORS = Object.freeze({
   info: 0x5865f2,
@@ -69,9 +69,13 @@ const VARIANTS = Object.freeze({
   application: { color: 'info', noun: 'application', pageSize: 4 },
   audit: { color: 'warning', noun: 'finding', pageSize: 3 },
   blockade: { color: 'military', noun: 'request', pageSize: 3 },
+  'finance-schedule': { color: 'finance', noun: 'schedule', pageSize: 4 },
   'grant-program': { color: 'finance', noun: 'program', pageSize: 3 },
   loan: { color: 'finance', noun: 'loan', pageSize: 3 },
+  'loan-schedule': { color: 'finance', noun: 'payment', pageSize: 6 },
+  'queue-failure': { color: 'warning', noun: 'failed item', pageSize: 4 },
   raid: { color: 'military', noun: 'target', pageSize: 2, presentation: 'plain' },
+  readiness: { color: 'military', noun: 'member', pageSize: 5 },
   request: { color: 'info', noun: 'request', pageSize: 4 },
   spy: { color: 'intelligence', noun: 'assignment', pageSize: 3 },
   transaction: { color: 'finance', noun: 'transaction', pageSize: 4 },
@@ -265,6 +269,26 @@ const itemLink = (label, url) => {
   return href ? markdownLink(label, href) : null;
 };
 
+const raidTargetId = (item) => {
+  const id = Number(item.nation_id ?? item.id);
+  return Number.isSafeInteger(id) && id > 0 ? id : null;
+};
+
+const activeRaidClaim = (claim) => {
+  if (!claim || typeof claim !== 'object' || !claim.claimed_by) return null;
+  const expiresAt = Date.parse(claim.expires_at ?? '');
+  return Number.isFinite(expiresAt) && expiresAt <= Date.now() ? null : claim;
+};
+
+const raidClaimLine = (value) => {
+  const claim = activeRaidClaim(value);
+  if (!claim) return null;
+  const claimer = claim.claimed_by;
+  const mention = /^\d{17,20}$/.test(`${claimer.discord_id ?? ''}`) ? ` (<@${claimer.discord_id}>)` : '';
+  const until = claim.expires_at ? ` until ${formatDiscordTime(claim.expires_at)}` : '';
+  return `**Claimed by:** ${escapeMarkdown(truncate(nationName(claimer), 80))}${mention}${until}`;
+};
+
 const renderRaid = (item, index) => {
   const name = truncate(nationName(item), 100);
   const leader = isPresent(item.leader_name) ? ` — ${escapeMarkdown(truncate(item.leader_name, 100))}` : '';
@@ -283,12 +307,37 @@ const renderRaid = (item, index) => {
       isPresent(item.last_beige_value ?? item.last_beige) ? `**Last beige:** ${formatMoney(item.last_beige_value ?? item.last_beige)}` : null,
     ]),
     isPresent(item.last_active) ? `**Last active:** ${formatDiscordTime(item.last_active)}` : null,
+    raidClaimLine(item.claim),
     military ? `**Military**\n${military}` : null,
     loot && typeof loot === 'object' ? `**Loot estimate**\n${formatResources(loot)}` : null,
   ];
   return field(heading, lines);
 };
 
+export const READINESS_GAPS = Object.freeze({
+  missing_units: 'Missing units',
+  low_maps: 'Low MAPs',
+  no_slots: 'No war slots',
+});
+
+const renderReadiness = (item, index) => {
+  const gaps = Object.keys(READINESS_GAPS).filter((gap) => Array.isArray(item.gaps) && item.gaps.includes(gap));
+  const missing = item.missing_units && typeof item.missing_units === 'object'
+    ? formatMilitary(item.missing_units)
+    : null;
+  const mention = /^\d{17,20}$/.test(`${item.discord_id ?? ''}`) ? ` · <@${item.discord_id}>` : '';
+  return field(`${index + 1}. ${truncate(nationName(item), 100)}`, [
+    `${gaps.length ? `! ${gaps.map((gap) => READINESS_GAPS[gap]).join(' · ')}` : '✓ Ready'}${mention}`,
+    compactParts([
+      isPresent(item.cities) ? `**Cities:** ${formatNumber(item.cities, { maximumFractionDigits: 0 })}` : null,
+      isPresent(item.score) ? `**Score:** ${formatNumber(item.score)}` : null,
+      isPresent(item.maps) ? `**MAPs:** ${formatNumber(item.maps, { maximumFractionDigits: 0 })}` : null,
+      isPresent(item.free_slots) ? `**Free slots:** ${formatNumber(item.free_slots, { maximumFractionDigits: 0 })}` : null,
+    ]),
+    missing ? `**Missing units**\n${missing}` : null,
+  ]);
+};
+
 const renderAccount = (item, index) => {
   const status = item.frozen ? '○ Frozen' : '● Available';
   return field(`${index + 1}. ${escapeMarkdown(item.name ?? item.label ?? `Account #${item.id ?? index + 1}`)}`, [
@@ -309,6 +358,16 @@ const renderTransaction = (item, index) => {
   ]);
 };
 
+const renderFinanceSchedule = (item, index) => {
+  const cadence = item.time ? `${titleCase(item.cadence ?? 'Recurring')} at ${escapeMarkdown(item.time)} UTC` : titleCase(item.cadence ?? 'Recurring');
+  return field(`${index + 1}. ${titleCase(item.type ?? 'Finance')} schedule${isPresent(item.id) ? ` #${item.id}` : ''}`, [
+    compactParts([item.active === false ? '○ Paused' : '● Active', cadence]),
+    isPresent(item.account_id) ? `**Account:** ${escapeMarkdown(item.account_name ?? `Account #${item.account_id}`)}` : null,
+    formatResources(item.resources),
+    item.next_run_at ? `**Next draft:** ${formatDiscordTime(item.next_run_at)}` : null,
+  ]);
+};
+
 const requestTitle = (item, index) => `${titleCase(item.type ?? 'Request')} #${item.id ?? index + 1}`;
 
 const renderRequest = (item, index, context) => {
@@ -356,6 +415,18 @@ const renderLoan = (item, index, context) => {
   ]);
 };
 
+const renderLoanSchedule = (item, index) => field(`Payment ${item.number ?? index + 1}${item.paid ? ' · Paid' : ''}`, [
+  item.due_date ? `**Due:** ${formatDiscordTime(item.due_date, 'D')}` : null,
+  compactParts([
+    isPresent(item.payment) ? `**Payment:** ${formatMoney(item.payment)}` : null,
+    isPresent(item.principal) ? `**Principal:** ${formatMoney(item.principal)}` : null,
+  ]),
+  compactParts([
+    isPresent(item.interest) ? `**Interest:** ${formatMoney(item.interest)}` : null,
+    isPresent(item.remaining) ? `**Remaining:** ${formatMoney(item.remaining)}` : null,
+  ]),
+], true);
+
 const renderApplication = (item, index, context) => {
   const deepLink = resolveDeepLink(context.baseUrl, item.deep_link_path ?? item.url);
   const identity = item.leader_name ?? item.discord_username ?? `Application #${item.id ?? index + 1}`;
@@ -466,6 +537,23 @@ const renderAlert = (item, index, context) => {
   ]);
 };
 
+const renderQueueFailure = (item, index) => {
+  const failure = item.failure ?? {};
+  return field(`${index + 1}. ${escapeMarkdown(item.action ?? 'Queue item')}${isPresent(item.id) ? ` · #${item.id}` : ''}`, [
+    compactParts([
+      item.lane ? `**Lane:** ${titleCase(item.lane)}` : null,
+      isPresent(item.attempts) ? `**Attempts:** ${formatNumber(item.attempts, { maximumFractionDigits: 0 })}` : null,
+    ]),
+    failure.code
+      ? `**${titleCase(failure.kind ?? 'failure')}:** ${escapeMarkdown(failure.code)}${failure.retryable ? ' · retryable' : ''}`
+      : null,
+    item.failed_at ? `**Failed:** ${formatDiscordTime(item.failed_at)}` : null,
+    Array.isArray(item.payload_keys) && item.payload_keys.length > 0
+      ? `**Payload keys:** ${escapeMarkdown(item.payload_keys.join(', '))}`
+      : null,
+  ]);
+};
+
 const GENERIC_KEYS = [
   'status', 'type', 'account_name', 'amount', 'remaining_balance', 'eligible', 'cities', 'score',
   'estimated_value', 'turns_left', 'created_at', 'updated_at', 'target', 'reason',
@@ -498,9 +586,13 @@ const RENDERERS = Object.freeze({
   application: renderApplication,
   audit: renderAudit,
   blockade: renderBlockade,
+  'finance-schedule': renderFinanceSchedule,
   'grant-program': renderGrantProgram,
   loan: renderLoan,
+  'loan-schedule': renderLoanSchedule,
+  'queue-failure': renderQueueFailure,
   raid: renderRaid,
+  readiness: renderReadiness,
   request: renderRequest,
   spy: renderSpy,
   transaction: renderTransaction,
@@ -510,8 +602,42 @@ const RENDERERS = Object.freeze({
   generic: renderGeneric,
 });
 
+/**
+ * Claim or release a raid target; a target another member holds gets a
+ * disabled button so the card still shows it is taken.
+ */
+const raidItemAction = (item, index, context) => {
+  const nationId = raidTargetId(item);
+  if (!nationId) return null;
+  const name = truncate(nationName(item), 60);
+  const claim = activeRaidClaim(item.claim);
+  const state = { nationId, nationName: name };
+  if (!claim) return { event: 'claim-target', label: `Claim ${index + 1}. ${name}`, style: ButtonStyle.Primary, state };
+  if (`${claim.claimed_by.discord_id ?? ''}` === `${context.userId ?? ''}`) {
+    return { event: 'release-target', label: `Release ${index + 1}. ${name}`, style: ButtonStyle.Secondary, state };
+  }
+  return { event: 'claim-target', label: `${index + 1}. Claimed`, style: ButtonStyle.Secondary, state, disabled: true };
+};
+
+const financeScheduleItemAction = (item, index) => (Number.isSafeInteger(Number(item.id)) && Number(item.id) > 0
+  ? { event: 'schedule-cancel', label: `Cancel ${index + 1}. #${item.id}`, style: ButtonStyle.Danger, state: { scheduleId: Number(item.id) } }
+  : null);
+
+const ITEM_ACTIONS = Object.freeze({
+  'finance-schedule': financeScheduleItemAction,
+  raid: raidItemAction,
+});
+
 export const variantConfig = (variant = 'generic') => VARIANTS[variant] ?? VARIANTS.generic;
 
+/**
+ * Button for one collection item, as `{ event, label, style, state, disabled? }`,
+ * or null when the variant has no per-item action or the item cannot take one.
+ */
+export const collectionItemAction = (variant, item, index, context = {}) => (
+  item && typeof item === 'object' ? ITEM_ACTIONS[variant]?.(item, index, context) ?? null : null
+);
+
 export const renderCollectionItem = (variant, item, index, context = {}) => {
   const renderer = RENDERERS[variant] ?? RENDERERS.generic;
   return renderer(item, index, context);
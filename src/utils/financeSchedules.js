@@ -0,0 +1,112 @@
+import { actorFromInteraction, collectionMessage, normalizeCollection, replyError } from './commandSupport.js';
+import {
+  escapeMarkdown, formatDiscordTime, formatResources, statusMessage, titleCase, truncate,
+} from './discordUi.js';
+
+export const SCHEDULE_CADENCES = Object.freeze([
+  { name: 'Daily', value: 'daily' },
+  { name: 'Weekly', value: 'weekly' },
+]);
+
+const scheduleLabel = (kind) => (kind === 'deposit' ? 'Deposit' : 'Withdrawal');
+const isRecordId = (value) => /^[1-9]\d{0,15}$/.test(`${value ?? ''}`);
+
+/**
+ * Normalized `HH:MM` UTC run time, or null when the member leaves the time to
+ * Nexus.
+ */
+const scheduleTime = (value) => {
+  if (value === null || value === undefined || `${value}`.trim() === '') return null;
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(`${value}`.trim());
+  if (!match) {
+    throw Object.assign(new Error('Schedule time must be a 24-hour UTC time such as 06:30.'), { code: 'VALIDATION_ERROR' });
+  }
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+};
+
+/** Schedule fields from the `cadence` and `time` options of a schedule subcommand. */
+export const scheduleFromOptions = (options) => {
+  const time = scheduleTime(options.getString('time'));
+  return { cadence: options.getString('cadence', true), ...(time ? { time } : {}) };
+};
+
+/** Cadence text for draft and review embeds. */
+export const scheduleCadenceLabel = (schedule) => (schedule?.time
+  ? `${titleCase(schedule.cadence ?? 'recurring')} at ${escapeMarkdown(schedule.time)} UTC`
+  : titleCase(schedule?.cadence ?? 'recurring'));
+
+export const scheduleSavedMessage = (result, state) => {
+  const schedule = result?.schedule ?? result ?? {};
+  return statusMessage({
+    title: `${scheduleLabel(state.kind)} Schedule Saved`,
+    tone: 'success',
+    description: `Nexus creates a ${state.kind === 'deposit' ? 'deposit request' : 'withdrawal draft'} each cycle and sends you a direct message to confirm it.`,
+    fields: [
+      isRecordId(schedule.id) ? { name: 'Schedule', value: `#${schedule.id}`, inline: true } : null,
+      { name: 'Cadence', value: scheduleCadenceLabel({ ...state.schedule, ...schedule }), inline: true },
+      {
+        name: state.kind === 'withdrawal' ? 'Source account' : 'Destination account',
+        value: `Account #${truncate(schedule.account_id ?? state.account, 64)}`,
+        inline: true,
+      },
+      { name: 'Resources', value: formatResources(schedule.resources ?? state.amounts) },
+      schedule.next_run_at ? { name: 'Next draft', value: formatDiscordTime(schedule.next_run_at), inline: true } : null,
+    ],
+    footer: `Use the schedules subcommand to review or cancel ${state.kind === 'deposit' ? 'deposit' : 'withdrawal'} schedules.`,
+  });
+};
+
+export const financeSchedulesMessage = async (interaction, context, kind) => {
+  const result = await context.apiService.getMyFinanceSchedules(actorFromInteraction(interaction), { type: kind });
+  return collectionMessage({
+    title: `${scheduleLabel(kind)} Schedules`,
+    collection: normalizeCollection(result?.schedules ?? result),
+    empty: `You have no ${kind} schedules.`,
+    commandName: interaction.commandName,
+    userId: interaction.user.id,
+    sessions: context.sessions,
+    variant: 'finance-schedule',
+    description: `Recurring ${kind === 'deposit' ? 'deposits' : 'withdrawals'} Nexus drafts for you to confirm by direct message.`,
+    itemActions: { kind },
+  });
+};
+
+export const handleScheduleCancel = async (interaction, context) => {
+  if (context.session.event !== 'schedule-cancel') return false;
+  await interaction.deferReply({ ephemeral: true });
+  try {
+    const { scheduleId, kind } = context.session.state ?? {};
+    if (!isRecordId(scheduleId)) {
+      throw Object.assign(new Error('This schedule control is no longer supported.'), { code: 'STALE_STATE' });
+    }
+    await context.apiService.cancelFinanceSchedule(actorFromInteraction(interaction), scheduleId);
+    await interaction.editReply(statusMessage({
+      title: 'Schedule Cancelled',
+      tone: 'neutral',
+      description: `${scheduleLabel(kind)} schedule **#${scheduleId}** is cancelled. Drafts it already created are unchanged.`,
+    }));
+  } catch (error) { await replyError(interaction, error, 'Schedule Not Cancelled'); }
+  return true;
+};
+
+/**
+ * Confirm one scheduled cycle from the button Nexus sends by direct message.
+ * The button is a persistent control whose arguments are the server id, the
+ * schedule id, and the cycle id; `render` turns the Nexus result into the
+ * message that replaces the DM.
+ */
+export const handleScheduleCycle = async (interaction, context, render) => {
+  if (context.session.event !== 'cycle-confirm') return false;
+  await interaction.deferUpdate();
+  try {
+    const [, scheduleId, cycleId] = context.session.state?.args ?? [];
+    if (!context.session.persistent || !isRecordId(scheduleId) || !isRecordId(cycleId)) {
+      throw Object.assign(new Error('This schedule control is no longer supported.'), { code: 'STALE_STATE' });
+    }
+    const result = await context.apiService.confirmFinanceScheduleCycle(
+      actorFromInteraction(interaction), Number(scheduleId), Number(cycleId),
+    );
+    await interaction.editReply(render(result));
+  } catch (error) { await replyError(interaction, error, 'Scheduled Transfer Not Confirmed'); }
+  return true;
+};
@@ -0,0 +1,19 @@
+/**
+ * Transcript entry for one Discord message, or null when the message falls
+ * outside the text-only transcript policy. Bot and webhook messages and
+ * messages without text are skipped; attachments always remain in Discord.
+ * @param {import('discord.js').Message} message
+ * @returns {{ discord_message_id: string, discord_user_id: string, discord_username: string, content: string, sent_at: number }|null}
+ */
+export const transcriptMessage = (message) => {
+  if (!message || message.author?.bot || message.webhookId) return null;
+  const content = typeof message.content === 'string' ? message.content : '';
+  if (content.trim().length === 0) return null;
+  return {
+    discord_message_id: message.id,
+    discord_user_id: message.author?.id ?? 'unknown',
+    discord_username: message.author?.tag ?? message.author?.username ?? 'unknown',
+    content,
+    sent_at: Math.floor(message.createdTimestamp / 1000),
+  };
+};
@@ -0,0 +1,49 @@
+const CUSTOM_ID_PREFIX = 'nxp';
+const SEGMENT_PATTERN = /^[a-z0-9_-]{1,40}$/;
+const MAX_CUSTOM_ID_LENGTH = 100;
+
+/**
+ * Custom id for a control on a message the bot posts for everyone, such as a
+ * war room's opening post. Unlike session controls these carry their state in
+ * the id itself, never expire, and are not bound to one user, so handlers must
+ * authorize the clicking member through Nexus.
+ * @param {string} commandName command module whose `button` handler runs
+ * @param {string} event handler event name
+ * @param {...(string|number)} args short lowercase arguments, such as record ids
+ * @returns {string}
+ */
+export const persistentCustomId = (commandName, event, ...args) => {
+  const segments = [commandName, event, ...args].map((segment) => `${segment}`);
+  if (!segments.every((segment) => SEGMENT_PATTERN.test(segment))) {
+    throw new TypeError('Persistent control segments must be short lowercase identifiers.');
+  }
+  const customId = [CUSTOM_ID_PREFIX, ...segments].join(':');
+  if (customId.length > MAX_CUSTOM_ID_LENGTH) throw new TypeError('Persistent control id is too long.');
+  return customId;
+};
+
+/**
+ * Server a persistent control belongs to when it was sent by direct message,
+ * or null. Interactions from DMs have no guild, so those controls carry the
+ * server id as their first argument.
+ * @param {string} customId
+ * @returns {string|null}
+ */
+export const persistentControlGuildId = (customId) => {
+  const guildId = resolvePersistentControl(customId)?.state.args[0];
+  return /^\d{17,20}$/.test(guildId ?? '') ? guildId : null;
+};
+
+/**
+ * Session-shaped view of a persistent control id, or null when the id is not
+ * one. `state.args` holds the id's arguments as strings.
+ * @param {string} customId
+ * @returns {{ commandName: string, event: string, state: { args: string[] }, persistent: true }|null}
+ */
+export const resolvePersistentControl = (customId) => {
+  if (typeof customId !== 'string' || customId.length > MAX_CUSTOM_ID_LENGTH) return null;
+  const [prefix, commandName, event, ...args] = customId.split(':');
+  if (prefix !== CUSTOM_ID_PREFIX || !commandName || !event) return null;
+  if (![commandName, event, ...args].every((segment) => SEGMENT_PATTERN.test(segment))) return null;
+  return { commandName, event, state: { args }, persistent: true };
+};
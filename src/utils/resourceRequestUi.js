@@ -3,8 +3,9 @@ import {
   StringSelectMenuBuilder, StringSelectMenuOptionBuilder, TextInputBuilder, TextInputStyle,
 } from 'discord.js';
 import { actorFromInteraction, replyError } from './commandSupport.js';
+import { scheduleCadenceLabel, scheduleSavedMessage } from './financeSchedules.js';
 import {
-  buildEmbed, formatDiscordTime, formatResources, resolveDeepLink, statusLabel, statusMessage, truncate,
+  buildEmbed, escapeMarkdown, formatDiscordTime, formatResources, resolveDeepLink, statusLabel, statusMessage, truncate,
 } from './discordUi.js';
 
 export const RESOURCE_KEYS = Object.freeze([
@@ -19,12 +20,45 @@ const createId = (sessions, commandName, interaction, event, state = {}, oneShot
   commandName, userId: interaction.user.id, event, state, oneShot,
 });
 
-const requestLabel = (kind) => (kind === 'deposit' ? 'Deposit' : kind === 'war-aid' ? 'War Aid' : 'Withdrawal');
+const presetAmounts = (resources) => Object.fromEntries(RESOURCE_KEYS
+  .map((key) => [key, `${resources?.[key] ?? ''}`])
+  .filter(([, value]) => isDecimalString(value)));
+
+/**
+ * Saved withdrawal presets as picker choices. Presets stay in session state
+ * with only their positive amounts, so picking one never reaches Nexus until
+ * the usual draft is created.
+ * @param {object[]} presets Nexus preset records
+ * @returns {{ id: string, name: string, amounts: Record<string, string> }[]}
+ */
+export const presetChoices = (presets) => presets
+  .filter((preset) => /^[1-9]\d{0,15}$/.test(`${preset?.id ?? ''}`) && Object.keys(presetAmounts(preset.resources)).length)
+  .slice(0, 25)
+  .map((preset) => ({
+    id: `${preset.id}`,
+    name: truncate(preset.name, 100, `Preset #${preset.id}`),
+    amounts: presetAmounts(preset.resources),
+  }));
+
+const REQUEST_LABELS = Object.freeze({ deposit: 'Deposit', 'war-aid': 'War Aid', transfer: 'Transfer' });
+const requestLabel = (kind) => REQUEST_LABELS[kind] ?? 'Withdrawal';
 const accountLabel = (account) => `Account #${truncate(account, 64)}`;
 
-export const resourcePickerPayload = ({ commandName, interaction, sessions, account, kind, note, amounts = {}, backendToken }) => {
+/** Account fields for a draft; transfers show both ends. */
+const accountFields = ({ kind, account, destination }) => [
+  {
+    name: ['withdrawal', 'transfer'].includes(kind) ? 'Source account' : 'Destination account',
+    value: accountLabel(account),
+    inline: true,
+  },
+  kind === 'transfer' ? { name: 'Destination account', value: accountLabel(destination), inline: true } : null,
+];
+
+export const resourcePickerPayload = ({
+  commandName, interaction, sessions, account, destination, kind, note, amounts = {}, backendToken, schedule, presets = [],
+}) => {
   const selectId = createId(sessions, commandName, interaction, 'resources-selected', {
-    account, kind, note, amounts, backendToken,
+    account, destination, kind, note, amounts, backendToken, schedule, presets,
   }, true);
   const select = new StringSelectMenuBuilder()
     .setCustomId(selectId)
@@ -35,13 +69,14 @@ export const resourcePickerPayload = ({ commandName, interaction, sessions, acco
       .setValue(resource)
       .setDefault(Boolean(amounts[resource]))));
   const embed = buildEmbed({
-    title: `${requestLabel(kind)} Resource Draft`,
+    title: `${requestLabel(kind)} ${schedule ? 'Schedule' : 'Resource'} Draft`,
     tone: 'info',
     description: kind === 'war-aid'
       ? 'Choose up to five resources, then enter positive whole-number amounts. Nexus validates eligibility before submission.'
       : 'Choose up to five resources, then enter positive amounts with up to two decimal places. Nexus validates balances and limits.',
     fields: [
-      { name: kind === 'withdrawal' ? 'Source account' : 'Destination account', value: accountLabel(account), inline: true },
+      ...accountFields({ kind, account, destination }),
+      schedule ? { name: 'Schedule', value: scheduleCadenceLabel(schedule), inline: true } : null,
       note ? { name: 'Note', value: truncate(note, 500) } : null,
       Object.keys(amounts).length
         ? { name: 'Current draft', value: formatResources(amounts) }
@@ -49,11 +84,26 @@ export const resourcePickerPayload = ({ commandName, interaction, sessions, acco
     ],
     footer: 'Select resources to continue. You can return here before the request is submitted.',
   });
-  return { embeds: [embed], components: [new ActionRowBuilder().addComponents(select)], ephemeral: true };
+  const components = [new ActionRowBuilder().addComponents(select)];
+  if (presets.length) {
+    const presetId = createId(sessions, commandName, interaction, 'preset-selected', {
+      account, destination, kind, note, backendToken, schedule, presets,
+    }, true);
+    components.push(new ActionRowBuilder().addComponents(new StringSelectMenuBuilder()
+      .setCustomId(presetId)
+      .setPlaceholder('Or start from a saved preset')
+      .addOptions(presets.map((preset) => new StringSelectMenuOptionBuilder()
+        .setLabel(preset.name)
+        .setValue(preset.id)
+        .setDescription(truncate(Object.keys(preset.amounts).join(', '), 100))))));
+  }
+  return { embeds: [embed], components, ephemeral: true };
 };
 
 export const showAmountModal = async (interaction, context) => {
-  const { account, kind, note, amounts = {}, backendToken } = context.session.state;
+  const {
+    account, destination, kind, note, amounts = {}, backendToken, schedule, presets,
+  } = context.session.state;
   const fields = {};
   const selectedAmounts = Object.fromEntries(interaction.values
     .filter((resource) => amounts[resource] !== undefined)
@@ -72,7 +122,7 @@ export const showAmountModal = async (interaction, context) => {
       .setValue(selectedAmounts[resource] ?? ''));
   });
   const modalId = createId(context.sessions, context.session.commandName, interaction, 'amounts-submitted', {
-    account, kind, note, amounts: selectedAmounts, backendToken, fields,
+    account, destination, kind, note, amounts: selectedAmounts, backendToken, schedule, presets, fields,
   }, true);
   await interaction.showModal(new ModalBuilder()
     .setCustomId(modalId)
@@ -84,17 +134,20 @@ const reviewPayload = ({ interaction, context, state }) => {
   const editId = createId(context.sessions, context.session.commandName, interaction, 'edit-resources', state);
   const reviewId = createId(context.sessions, context.session.commandName, interaction, 'review', state, true);
   const cancelId = createId(context.sessions, context.session.commandName, interaction, 'cancel-local', state, true);
+  const presetSaveId = state.kind === 'withdrawal'
+    ? createId(context.sessions, context.session.commandName, interaction, 'preset-save', state, true)
+    : null;
   return {
     embeds: [buildEmbed({
-      title: `Review ${requestLabel(state.kind)} Draft`,
+      title: `Review ${requestLabel(state.kind)} ${state.schedule ? 'Schedule' : 'Draft'}`,
       tone: 'warning',
-      description: 'Check the account and amounts before asking Nexus to validate the draft.',
+      description: state.schedule
+        ? 'Check the account, cadence, and amounts before saving the schedule. Nexus validates each cycle when it creates the draft.'
+        : 'Check the account and amounts before asking Nexus to validate the draft.',
       fields: [
-        {
-          name: state.kind === 'withdrawal' ? 'Source account' : 'Destination account',
-          value: accountLabel(state.account),
-          inline: true,
-        },
+        ...accountFields(state),
+        state.schedule ? { name: 'Schedule', value: scheduleCadenceLabel(state.schedule), inline: true } : null,
+        state.preset ? { name: 'Preset', value: escapeMarkdown(state.preset), inline: true } : null,
         state.note ? { name: 'Note', value: truncate(state.note, 500) } : null,
         { name: 'Resources', value: formatResources(state.amounts) },
       ],
@@ -102,12 +155,74 @@ const reviewPayload = ({ interaction, context, state }) => {
     })],
     components: [new ActionRowBuilder().addComponents(
       new ButtonBuilder().setCustomId(editId).setLabel('Add or change resources').setStyle(ButtonStyle.Secondary),
-      new ButtonBuilder().setCustomId(reviewId).setLabel('Review').setStyle(ButtonStyle.Primary),
+      new ButtonBuilder().setCustomId(reviewId).setLabel(state.schedule ? 'Save schedule' : 'Review').setStyle(ButtonStyle.Primary),
       new ButtonBuilder().setCustomId(cancelId).setLabel('Cancel').setStyle(ButtonStyle.Secondary),
+      ...(presetSaveId
+        ? [new ButtonBuilder().setCustomId(presetSaveId).setLabel('Save as preset').setStyle(ButtonStyle.Secondary)]
+        : []),
     )],
   };
 };
 
+/** Pre-fill the review step from a saved preset chosen in the picker. */
+export const applyPreset = async (interaction, context) => {
+  if (context.session.event !== 'preset-selected') return false;
+  const { state } = context.session;
+  const preset = state.presets?.find((entry) => entry.id === interaction.values?.[0]);
+  if (!preset) {
+    await interaction.update(statusMessage({
+      title: 'Preset Unavailable',
+      tone: 'warning',
+      description: 'That preset is no longer available. Run the command again to load your current presets.',
+    }));
+    return true;
+  }
+  await interaction.update(reviewPayload({
+    interaction, context, state: { ...state, amounts: preset.amounts, preset: preset.name },
+  }));
+  return true;
+};
+
+const presetNameModal = (interaction, context) => {
+  const nameId = createId(context.sessions, context.session.commandName, interaction, 'preset-name-field');
+  const modalId = createId(context.sessions, context.session.commandName, interaction, 'preset-named', {
+    amounts: context.session.state.amounts, nameId,
+  }, true);
+  return new ModalBuilder()
+    .setCustomId(modalId)
+    .setTitle('Save withdrawal preset')
+    .addComponents(new ActionRowBuilder().addComponents(new TextInputBuilder()
+      .setCustomId(nameId)
+      .setLabel('Preset name')
+      .setPlaceholder('For example: war kit')
+      .setStyle(TextInputStyle.Short)
+      .setRequired(true)
+      .setMaxLength(40)));
+};
+
+/** Save the reviewed amounts as a named preset from the preset-name modal. */
+export const savePreset = async (interaction, context) => {
+  if (context.session.event !== 'preset-named') return false;
+  const { amounts, nameId } = context.session.state;
+  const name = interaction.fields.getTextInputValue(nameId).trim();
+  await interaction.deferReply({ ephemeral: true });
+  try {
+    if (!name) throw Object.assign(new Error('Give the preset a name.'), { code: 'VALIDATION_ERROR' });
+    const result = await context.apiService.createWithdrawalPreset(actorFromInteraction(interaction), {
+      name,
+      resources: Object.fromEntries(RESOURCE_KEYS.map((key) => [key, amounts[key] ?? '0'])),
+    });
+    const preset = result?.preset ?? result ?? {};
+    await interaction.editReply(statusMessage({
+      title: 'Preset Saved',
+      tone: 'success',
+      description: `**${escapeMarkdown(truncate(preset.name ?? name, 100))}** appears in the resource picker the next time you run \`/withdraw\`.`,
+      fields: [{ name: 'Resources', value: formatResources(preset.resources ?? amounts) }],
+    }));
+  } catch (error) { await replyError(interaction, error, 'Preset Not Saved'); }
+  return true;
+};
+
 export const collectAmounts = async (interaction, context) => {
   const state = context.session.state;
   const amounts = {};
@@ -129,6 +244,50 @@ export const collectAmounts = async (interaction, context) => {
   await interaction.reply({ ...reviewPayload({ interaction, context, state: { ...state, amounts } }), ephemeral: true });
 };
 
+const transferConfirmation = async (interaction, context, actor, state) => {
+  const resources = Object.fromEntries(RESOURCE_KEYS.map((key) => [key, state.amounts[key] ?? '0']));
+  const draft = await context.apiService.createTransferDraft(actor, {
+    from_account_id: Number(state.account), to_account_id: Number(state.destination), resources,
+  });
+  const intentToken = `${draft?.transfer?.id ?? ''}`;
+  if (!intentToken) throw new TypeError('Transfer draft response is missing an opaque intent token.');
+  const decisionState = {
+    intentToken,
+    account: draft?.transfer?.from_account_id ?? state.account,
+    destination: draft?.transfer?.to_account_id ?? state.destination,
+    amounts: draft?.transfer?.resources ?? resources,
+  };
+  const confirmId = createId(context.sessions, context.session.commandName, interaction, 'confirm-transfer', decisionState, true);
+  const cancelId = createId(context.sessions, context.session.commandName, interaction, 'cancel-transfer', decisionState, true);
+  return {
+    embeds: [buildEmbed({
+      title: 'Confirm Transfer',
+      tone: 'warning',
+      description: draft?.review?.requires_approval
+        ? 'Nexus validated this transfer. It exceeds an automatic transfer limit and will enter staff review after confirmation.'
+        : 'Nexus validated this transfer. Confirm or cancel.',
+      fields: [
+        ...accountFields({ kind: 'transfer', ...decisionState }),
+        draft?.transfer?.destination_owner
+          ? { name: 'Recipient', value: truncate(draft.transfer.destination_owner, 100), inline: true }
+          : null,
+        { name: 'Validated resources', value: formatResources(decisionState.amounts) },
+        draft?.review?.pending_reason
+          ? { name: 'Staff review reason', value: truncate(draft.review.pending_reason, 500) }
+          : null,
+        draft?.transfer?.expires_at
+          ? { name: 'Draft expires', value: formatDiscordTime(draft.transfer.expires_at), inline: true }
+          : null,
+      ],
+      footer: 'These normalized amounts came from the Nexus transfer draft.',
+    })],
+    components: [new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(confirmId).setLabel('Confirm').setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(cancelId).setLabel('Cancel').setStyle(ButtonStyle.Secondary),
+    )],
+  };
+};
+
 export const handleResourceButton = async (interaction, context) => {
   const { event, state } = context.session;
   if (event === 'edit-resources') {
@@ -137,6 +296,10 @@ export const handleResourceButton = async (interaction, context) => {
     }));
     return;
   }
+  if (event === 'preset-save') {
+    await interaction.showModal(presetNameModal(interaction, context));
+    return;
+  }
   if (event === 'cancel-local') {
     await interaction.update(statusMessage({
       title: `${requestLabel(state.kind)} Draft Cancelled`,
@@ -150,6 +313,20 @@ export const handleResourceButton = async (interaction, context) => {
   await interaction.deferUpdate();
   try {
     const actor = actorFromInteraction(interaction);
+    if (state.schedule) {
+      const result = await context.apiService.createFinanceSchedule(actor, {
+        type: state.kind,
+        account_id: Number(state.account),
+        ...state.schedule,
+        resources: Object.fromEntries(RESOURCE_KEYS.map((key) => [key, state.amounts[key] ?? '0'])),
+      });
+      await interaction.editReply(scheduleSavedMessage(result, state));
+      return;
+    }
+    if (state.kind === 'transfer') {
+      await interaction.editReply(await transferConfirmation(interaction, context, actor, state));
+      return;
+    }
     if (state.kind === 'war-aid') {
       const resources = Object.fromEntries(RESOURCE_KEYS.map((key) => [key, state.amounts[key] ?? '0']));
       const draft = await context.apiService.createWarAidDraft(actor, {
@@ -269,47 +446,105 @@ export const handleWarAidDecision = async (interaction, context) => {
   return true;
 };
 
+/** Result of confirming or cancelling a withdrawal, from the Nexus response. */
+export const withdrawalResultMessage = (result, confirmed, state = {}) => {
+  const withdrawal = result?.withdrawal ?? {};
+  const transaction = result?.transaction ?? {};
+  const authoritativeResources = transaction?.resources ?? withdrawal?.resources ?? state.amounts;
+  const authoritativeAccount = withdrawal?.account_id ?? state.account;
+  const status = transaction?.status ?? withdrawal?.status;
+  return statusMessage({
+    title: confirmed ? 'Withdrawal Submitted' : 'Withdrawal Cancelled',
+    tone: confirmed ? 'success' : 'neutral',
+    description: truncate(
+      result?.message ?? (confirmed
+        ? 'Nexus accepted the withdrawal for processing.'
+        : 'The withdrawal draft was cancelled before funds were sent.'),
+      1200,
+    ),
+    fields: [
+      authoritativeAccount !== undefined
+        ? { name: 'Source account', value: accountLabel(authoritativeAccount), inline: true }
+        : null,
+      transaction?.id !== undefined
+        ? { name: 'Transaction', value: `#${transaction.id}`, inline: true }
+        : null,
+      status ? { name: 'Status', value: statusLabel(status), inline: true } : null,
+      authoritativeResources
+        ? { name: confirmed ? 'Submitted resources' : 'Cancelled resources', value: formatResources(authoritativeResources) }
+        : null,
+      transaction?.created_at
+        ? { name: 'Submitted', value: formatDiscordTime(transaction.created_at), inline: true }
+        : null,
+      !confirmed && withdrawal?.canceled_at
+        ? { name: 'Cancelled', value: formatDiscordTime(withdrawal.canceled_at), inline: true }
+        : null,
+    ],
+    timestamp: true,
+  });
+};
+
 export const handleWithdrawalDecision = async (interaction, context) => {
   if (!['confirm', 'cancel'].includes(context.session.event)) return false;
   await interaction.deferUpdate();
   try {
     const actor = actorFromInteraction(interaction);
-    const result = context.session.event === 'confirm'
+    const confirmed = context.session.event === 'confirm';
+    const result = confirmed
       ? await context.apiService.confirmWithdrawal(actor, context.session.state.intentToken)
       : await context.apiService.cancelWithdrawal(actor, context.session.state.intentToken);
-    const confirmed = context.session.event === 'confirm';
-    const withdrawal = result?.withdrawal ?? {};
+    await interaction.editReply(withdrawalResultMessage(result, confirmed, context.session.state));
+  } catch (error) { await replyError(interaction, error); }
+  return true;
+};
+
+/**
+ * Confirm or cancel a transfer draft. A confirmed transfer links to its
+ * account's `/transactions` list, filtered to the transaction's type.
+ */
+export const handleTransferDecision = async (interaction, context) => {
+  if (!['confirm-transfer', 'cancel-transfer'].includes(context.session.event)) return false;
+  await interaction.deferUpdate();
+  try {
+    const { state } = context.session;
+    const actor = actorFromInteraction(interaction);
+    const confirmed = context.session.event === 'confirm-transfer';
+    const result = confirmed
+      ? await context.apiService.confirmTransfer(actor, state.intentToken)
+      : await context.apiService.cancelTransfer(actor, state.intentToken);
+    const transfer = result?.transfer ?? {};
     const transaction = result?.transaction ?? {};
-    const authoritativeResources = transaction?.resources ?? withdrawal?.resources ?? context.session.state.amounts;
-    const authoritativeAccount = withdrawal?.account_id ?? context.session.state.account;
-    const status = transaction?.status ?? withdrawal?.status;
+    const account = transfer.from_account_id ?? state.account;
+    const status = transaction.status ?? transfer.status;
+    // /transactions looks accounts up by the token the member picked, not Nexus's id.
+    const transactionsId = confirmed && transaction.id !== undefined
+      ? createId(context.sessions, 'transactions', interaction, 'view', {
+        account: `${state.account}`,
+        type: ['internal', 'member-transfer'].includes(transaction.type) ? transaction.type : 'all',
+        status: 'all',
+        page: 1,
+      })
+      : null;
     await interaction.editReply(statusMessage({
-      title: confirmed ? 'Withdrawal Submitted' : 'Withdrawal Cancelled',
+      title: confirmed ? 'Transfer Submitted' : 'Transfer Cancelled',
       tone: confirmed ? 'success' : 'neutral',
       description: truncate(
         result?.message ?? (confirmed
-          ? 'Nexus accepted the withdrawal for processing.'
-          : 'The withdrawal draft was cancelled before funds were sent.'),
+          ? 'Nexus accepted the transfer for processing.'
+          : 'The transfer draft was cancelled before funds moved.'),
         1200,
       ),
       fields: [
-        authoritativeAccount !== undefined
-          ? { name: 'Source account', value: accountLabel(authoritativeAccount), inline: true }
-          : null,
-        transaction?.id !== undefined
-          ? { name: 'Transaction', value: `#${transaction.id}`, inline: true }
-          : null,
+        ...accountFields({ kind: 'transfer', account, destination: transfer.to_account_id ?? state.destination }),
+        transaction.id !== undefined ? { name: 'Transaction', value: `#${transaction.id}`, inline: true } : null,
         status ? { name: 'Status', value: statusLabel(status), inline: true } : null,
-        authoritativeResources
-          ? { name: confirmed ? 'Submitted resources' : 'Cancelled resources', value: formatResources(authoritativeResources) }
-          : null,
-        transaction?.created_at
-          ? { name: 'Submitted', value: formatDiscordTime(transaction.created_at), inline: true }
-          : null,
-        !confirmed && withdrawal?.canceled_at
-          ? { name: 'Cancelled', value: formatDiscordTime(withdrawal.canceled_at), inline: true }
-          : null,
+        { name: confirmed ? 'Transferred resources' : 'Cancelled resources', value: formatResources(transaction.resources ?? transfer.resources ?? state.amounts) },
       ],
+      components: transactionsId
+        ? [new ActionRowBuilder().addComponents(
+          new ButtonBuilder().setCustomId(transactionsId).setLabel('View in /transactions').setStyle(ButtonStyle.Secondary),
+        )]
+        : [],
       timestamp: true,
     }));
   } catch (error) { await replyError(interaction, error); }
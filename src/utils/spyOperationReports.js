@@ -0,0 +1,48 @@
+const COST_TAIL = String.raw`The operation cost you \$(?<cost>[0-9,]+\.[0-9]{2}) and (?<lost>[0-9,]+) of your spies were captured and executed\.?\s*$`;
+const SUCCESS_REGEX = new RegExp(
+  String.raw`^\s*[A-Za-z]{0,3}\s*successfully (?:assassinated|destroyed|killed|sabotaged) (?<count>[0-9,]+) (?<unit>spies|soldiers|tanks|aircraft|planes|ships|missiles?|nuclear weapons?|nukes?) (?:of|from|belonging to|owned by) (?<target>.+?)\.\s*${COST_TAIL}`,
+  'is',
+);
+const FAILURE_REGEX = /^\s*(?:your\s+)?(?:spy\s+)?operation against (?<target>.+?) (?:has\s+)?failed\b[^]*?(?:The operation cost you \$(?<cost>[0-9,]+\.[0-9]{2}) and )?(?<lost>[0-9,]+) of your spies were captured and executed\.?\s*$/is;
+
+const UNIT_OPERATIONS = Object.freeze({
+  spies: 'spies',
+  soldiers: 'soldiers',
+  tanks: 'tanks',
+  aircraft: 'aircraft',
+  planes: 'aircraft',
+  ships: 'ships',
+  missile: 'missiles',
+  missiles: 'missiles',
+  'nuclear weapon': 'nukes',
+  'nuclear weapons': 'nukes',
+  nuke: 'nukes',
+  nukes: 'nukes',
+});
+
+const whole = (value) => (value === undefined ? null : Number(value.replaceAll(',', '')));
+
+/**
+ * Typed record for a pasted spy operation result other than intelligence
+ * gathering, or null when the text is not one. Operations use the same keys
+ * as `/spy plan`; a failed operation's type is not in the game text, so it is
+ * reported as `unknown` for Nexus to match against the member's plan.
+ * @param {string} content
+ * @returns {{ operation: string, outcome: 'success'|'failure', target_nation_name: string,
+ *   units_destroyed: number|null, cost: number|null, spies_lost: number }|null}
+ */
+export const parseSpyOperationReport = (content) => {
+  if (typeof content !== 'string' || content.length > 2_000) return null;
+  const success = SUCCESS_REGEX.exec(content);
+  const match = success ?? FAILURE_REGEX.exec(content);
+  if (!match) return null;
+  const { count, unit, target, cost, lost } = match.groups;
+  return {
+    operation: success ? UNIT_OPERATIONS[unit.toLowerCase()] : 'unknown',
+    outcome: success ? 'success' : 'failure',
+    target_nation_name: target.trim(),
+    units_destroyed: whole(count),
+    cost: whole(cost),
+    spies_lost: whole(lost),
+  };
+};
@@ -1,4 +1,17 @@
-import { isDiscordSnowflake } from './boundaryValidators.js';
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } from 'discord.js';
+import { isDiscordSnowflake, toPositiveInteger } from './boundaryValidators.js';
+import { escapeMarkdown, formatNumber, titleCase, truncate } from './discordUi.js';
+import { persistentCustomId } from './persistentControls.js';
+
+export const COUNTER_SIGNUP_FIELD = 'Counter sign-ups';
+const MAX_RENDERED_SIGNUPS = 15;
+
+/** Assignment responses sent to Nexus for each war room sign-up button event. */
+export const COUNTER_SIGNUP_RESPONSES = Object.freeze({
+  'room-join': 'joined',
+  'room-leave': 'left',
+  'room-declared': 'declared',
+});
 
 /**
  * Extract a Discord channel/thread id from a war-counter response object.
@@ -28,6 +41,10 @@ export const resolveWarCounterChannelIdFromCounter = (counter) => {
  * @param {boolean} [options.lock=true]
  * @param {string} [options.reason='Nexus AMS war counter archive']
  * @param {object} [options.logContext={}]
+ * @param {(operation: () => Promise<any>, label: string) => Promise<any>} [options.change]
+ *   runs each Discord mutation; queue actions route it through their runtime
+ * @param {(operation: () => Promise<any>, label: string) => Promise<any>} [options.fetch]
+ *   runs each Discord read, likewise
  * @returns {Promise<{ success: boolean, reason?: string, channelId?: string }>}
  */
 export const archiveWarCounterRoom = async ({
@@ -39,6 +56,8 @@ export const archiveWarCounterRoom = async ({
   lock = true,
   reason = 'Nexus AMS war counter archive',
   logContext = {},
+  change = (operation) => operation(),
+  fetch = (operation) => operation(),
 }) => {
   const normalizedChannelId = typeof channelId === 'string' ? channelId.trim() : '';
   const normalizedGuildId = typeof guildId === 'string' ? guildId.trim() : '';
@@ -65,7 +84,7 @@ export const archiveWarCounterRoom = async ({
 
   if (!channel) {
     try {
-      channel = await client.channels.fetch(normalizedChannelId);
+      channel = await fetch(() => client.channels.fetch(normalizedChannelId), 'fetch war counter thread');
     } catch (error) {
       logger.warn('Unable to fetch war counter channel', {
         ...logContext,
@@ -101,15 +120,15 @@ export const archiveWarCounterRoom = async ({
     if (!alreadyPrefixed && prefix) {
       const maxNameLength = 100;
       const nextName = `${prefix}${currentName}`.slice(0, maxNameLength);
-      await channel.setName(nextName, reason);
+      await change(() => channel.setName(nextName, reason), 'rename war counter thread');
     }
 
     if (!channel.archived) {
-      await channel.setArchived(true, reason);
+      await change(() => channel.setArchived(true, reason), 'archive war counter thread');
     }
 
     if (lock && !channel.locked) {
-      await channel.setLocked(true, reason);
+      await change(() => channel.setLocked(true, reason), 'lock war counter thread');
     }
   } catch (error) {
     logger.error('Failed to archive/lock war counter thread', {
@@ -130,3 +149,72 @@ export const archiveWarCounterRoom = async ({
 
   return { success: true, channelId: normalizedChannelId };
 };
+
+/**
+ * Members signed up to a war counter and its Nexus slot limit, from a counter
+ * record or a queue payload. Defenders are listed elsewhere and use no slot.
+ * @param {any} counter
+ * @returns {{ members: object[], slotLimit: number|null }}
+ */
+export const counterSignups = (counter) => ({
+  members: (Array.isArray(counter?.assigned_members) ? counter.assigned_members : [])
+    .filter((member) => member && typeof member === 'object'
+      && `${member.role ?? ''}`.trim().toLowerCase() !== 'defender'),
+  slotLimit: toPositiveInteger(counter?.slot_limit),
+});
+
+/**
+ * Join, leave, and "I've declared" buttons for a war counter room's opening
+ * post. They use persistent ids so they keep working after a restart.
+ * @param {number} warCounterId
+ */
+export const buildCounterSignupComponents = (warCounterId) => [new ActionRowBuilder().addComponents(
+  new ButtonBuilder()
+    .setCustomId(persistentCustomId('war', 'room-join', warCounterId))
+    .setLabel('Join counter')
+    .setStyle(ButtonStyle.Success),
+  new ButtonBuilder()
+    .setCustomId(persistentCustomId('war', 'room-leave', warCounterId))
+    .setLabel('Leave')
+    .setStyle(ButtonStyle.Secondary),
+  new ButtonBuilder()
+    .setCustomId(persistentCustomId('war', 'room-declared', warCounterId))
+    .setLabel("I've declared")
+    .setStyle(ButtonStyle.Primary),
+)];
+
+/**
+ * Embed field listing a counter's signed-up members and slot usage.
+ * @param {{ members: object[], slotLimit: number|null }} signups
+ */
+export const buildCounterSignupField = ({ members, slotLimit }) => {
+  const lines = members.slice(0, MAX_RENDERED_SIGNUPS).map((member) => {
+    const mention = isDiscordSnowflake(member?.discord_id) ? ` (<@${`${member.discord_id}`.trim()}>)` : '';
+    const nation = escapeMarkdown(truncate(member?.nation_name, 80, 'Unknown nation'));
+    return `• ${nation}${mention} — ${escapeMarkdown(titleCase(truncate(member?.status, 40, 'assigned')))}`;
+  });
+  if (members.length > MAX_RENDERED_SIGNUPS) lines.push(`…and ${members.length - MAX_RENDERED_SIGNUPS} more`);
+  const filled = slotLimit
+    ? `**Slots:** ${formatNumber(members.length, { maximumFractionDigits: 0 })} of ${formatNumber(slotLimit, { maximumFractionDigits: 0 })} filled`
+    : `**Signed up:** ${formatNumber(members.length, { maximumFractionDigits: 0 })}`;
+  return {
+    name: COUNTER_SIGNUP_FIELD,
+    value: truncate([filled, ...(lines.length ? lines : ['Nobody has signed up yet.'])].join('\n'), 1024),
+  };
+};
+
+/**
+ * Copy of a room's opening embed with its sign-up field replaced, or appended
+ * when the post predates sign-ups.
+ * @param {import('discord.js').Embed|object} embed
+ * @param {{ members: object[], slotLimit: number|null }} signups
+ * @returns {EmbedBuilder}
+ */
+export const withCounterSignupField = (embed, signups) => {
+  const updated = EmbedBuilder.from(embed);
+  const field = buildCounterSignupField(signups);
+  const index = (updated.data.fields ?? []).findIndex((existing) => existing.name === COUNTER_SIGNUP_FIELD);
+  if (index === -1) updated.addFields(field);
+  else updated.spliceFields(index, 1, field);
+  return updated;
+};
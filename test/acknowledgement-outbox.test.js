@@ -0,0 +1,161 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { AcknowledgementOutbox, outboxKey } from '../src/services/AcknowledgementOutbox.js';
+import { QueueDispatcher } from '../src/services/QueueDispatcher.js';
+import { QueueWorker } from '../src/services/QueueWorker.js';
+import { createLogger, waitFor } from './helpers.js';
+
+const futureLease = () => new Date(Date.now() + 60_000).toISOString();
+
+const leased = (id, action = 'PRIVATE_NOTIFICATION') => ({
+  id,
+  action,
+  lease_token: `lease-${id}`,
+  leased_until: futureLease(),
+  attempts: 1,
+});
+
+const temporaryJournal = async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nexus-outbox-'));
+  return path.join(directory, 'queue-outbox.json');
+};
+
+test('AcknowledgementOutbox persists outcomes privately and reloads them after a restart', async () => {
+  const file = await temporaryJournal();
+  const outbox = new AcknowledgementOutbox({ file, logger: createLogger() });
+  await outbox.load();
+  await outbox.record({
+    item: leased('queue-1'),
+    status: 'complete',
+    outcome: { result: { delivery: 'sent' } },
+    lane: 'side_effects',
+  });
+
+  const stat = await fs.stat(file);
+  assert.equal(stat.mode & 0o777, 0o600);
+
+  const restarted = new AcknowledgementOutbox({ file, logger: createLogger() });
+  assert.equal(await restarted.load(), 1);
+  assert.equal(restarted.lookup('queue-1').status, 'complete');
+  assert.deepEqual(restarted.lookup('queue-1').outcome, { result: { delivery: 'sent' } });
+  assert.equal(restarted.lookup('queue-1', '11111111-2222-4333-8444-555555555555'), null);
+
+  assert.equal(await restarted.markAcknowledged('queue-1'), true);
+  const reloaded = new AcknowledgementOutbox({ file, logger: createLogger() });
+  assert.equal(await reloaded.load(), 0);
+});
+
+test('AcknowledgementOutbox ignores a malformed journal and prunes expired entries', async () => {
+  const file = await temporaryJournal();
+  await fs.writeFile(file, '{not json');
+  const logger = createLogger();
+  const malformed = new AcknowledgementOutbox({ file, logger });
+  assert.equal(await malformed.load(), 0);
+  assert.equal(logger.entries.error[0][0], 'Ignoring malformed queue acknowledgement outbox');
+
+  let now = Date.parse('2026-10-01T00:00:00Z');
+  const outbox = new AcknowledgementOutbox({
+    file,
+    logger: createLogger(),
+    maxAgeMs: 1000,
+    maxEntries: 2,
+    now: () => new Date(now),
+    writeJournal: async () => {},
+  });
+  await outbox.record({ item: leased('old'), status: 'complete', outcome: {} });
+  now += 2000;
+  await outbox.record({ item: leased('new-1'), status: 'complete', outcome: {} });
+  await outbox.record({ item: leased('new-2'), status: 'complete', outcome: {} });
+  await outbox.record({ item: leased('new-3'), status: 'complete', outcome: {} });
+
+  assert.deepEqual(outbox.pending().map((entry) => entry.queue_id), ['new-2', 'new-3']);
+  assert.equal(outboxKey('queue-1', 'ABC'), 'abc:queue-1');
+  assert.equal(outboxKey(''), null);
+});
+
+test('AcknowledgementOutbox replays pending acknowledgements and keeps rejected leases for dedupe', async () => {
+  const outbox = new AcknowledgementOutbox({ file: 'unused', logger: createLogger(), writeJournal: async () => {} });
+  await outbox.record({ item: leased('accepted'), status: 'complete', outcome: { result: { ok: true } } });
+  await outbox.record({ item: leased('expired'), status: 'complete', outcome: {} });
+  await outbox.record({ item: leased('offline'), status: 'complete', outcome: {} });
+  const calls = [];
+  const apiService = {
+    updateDiscordQueueStatus: async (...args) => {
+      calls.push(args);
+      if (args[0] === 'expired') {
+        const error = new Error('conflict');
+        error.response = { status: 409 };
+        throw error;
+      }
+      if (args[0] === 'offline') throw new Error('socket reset');
+    },
+  };
+
+  assert.deepEqual(await outbox.replay(() => apiService), { acknowledged: 1, rejected: 1, deferred: 1 });
+  assert.deepEqual(calls[0], ['accepted', 'complete', 'lease-accepted', { result: { ok: true } }]);
+  assert.equal(outbox.lookup('accepted'), null);
+  assert.equal(outbox.lookup('expired').replay_rejected, true);
+  assert.deepEqual(outbox.getHealthSnapshot(), { pending: 1, journaled: 2 });
+
+  await outbox.replay(() => apiService);
+  assert.equal(calls.filter(([id]) => id === 'expired').length, 1);
+});
+
+test('QueueWorker journals a completed side effect and keeps it when acknowledgement is rejected', async () => {
+  const outbox = new AcknowledgementOutbox({ file: 'unused', logger: createLogger(), writeJournal: async () => {} });
+  const events = [];
+  const claims = [leased('queue-acked'), leased('queue-rejected'), null];
+  const worker = new QueueWorker({
+    apiService: {
+      claimDiscordQueue: async () => ({ data: claims.shift() ?? null }),
+      renewDiscordQueueLease: async () => ({ data: { leased_until: futureLease() } }),
+      updateDiscordQueueStatus: async (id) => {
+        events.push(`ack:${id}:${outbox.lookup(id) ? 'journaled' : 'missing'}`);
+        if (id === 'queue-rejected') {
+          const error = new Error('conflict');
+          error.response = { status: 409 };
+          throw error;
+        }
+      },
+    },
+    dispatcher: { dispatch: async () => ({ success: true, result: { delivery: 'sent' } }) },
+    logger: createLogger(),
+    pollIntervalMs: 60_000,
+    outbox,
+  });
+
+  worker.start();
+  await waitFor(() => events.length === 2);
+  await worker.stop();
+
+  assert.deepEqual(events, ['ack:queue-acked:journaled', 'ack:queue-rejected:journaled']);
+  assert.equal(outbox.lookup('queue-acked'), null);
+  assert.deepEqual(outbox.lookup('queue-rejected').outcome, { result: { delivery: 'sent' } });
+});
+
+test('QueueDispatcher reports a journaled outcome instead of re-executing the action', async () => {
+  const outbox = new AcknowledgementOutbox({ file: 'unused', logger: createLogger(), writeJournal: async () => {} });
+  await outbox.record({
+    item: leased('queue-redelivered'),
+    status: 'complete',
+    outcome: { result: { delivery: 'sent', provider_message_id: '123456789012345678' } },
+  });
+  const dispatcher = new QueueDispatcher({
+    client: {
+      channels: { cache: new Map(), fetch: async () => assert.fail('journaled item must not touch Discord') },
+      users: { fetch: async () => assert.fail('journaled item must not touch Discord') },
+    },
+    logger: createLogger(),
+    guildId: '123456789012345678',
+    outbox,
+  });
+
+  assert.deepEqual(await dispatcher.dispatch({ ...leased('queue-redelivered'), payload: {} }), {
+    success: true,
+    result: { delivery: 'sent', provider_message_id: '123456789012345678' },
+    journaled: true,
+  });
+});
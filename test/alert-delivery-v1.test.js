@@ -1,7 +1,9 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import {
+  coalesceKey,
   execute,
+  executeCoalesced,
   validate,
 } from '../src/services/queueActions/alertDelivery.js';
 import {
@@ -232,3 +234,34 @@ test('alert catalog and manifest contain no proactive war or spy assignment even
     reason: 'assignment_events_not_supported',
   });
 });
+
+test('ALERT_DELIVERY_V1 coalesces alerts in one event family into a single message', async () => {
+  const sends = [];
+  const commands = [
+    { id: 'queue-1', payload: basePayload({ event_key: 'nation.active_wars.changed', data: { subject_label: 'Nation 1', offensive_wars: 1 } }) },
+    { id: 'queue-2', payload: basePayload({ delivery_id: 'delivery-2', event_key: 'nation.active_wars.changed', data: { subject_label: 'Nation 2', defensive_wars: 2 } }) },
+    { id: 'queue-3', payload: basePayload({ delivery_id: 'delivery-3', template_key: 'unknown' }) },
+  ];
+  assert.equal(coalesceKey(commands[0].payload), coalesceKey(commands[1].payload));
+  assert.notEqual(coalesceKey(commands[0].payload), coalesceKey(basePayload({ event_key: 'nation.active_wars.changed', destination: { type: 'dm', discord_user_id: USER_ID }, allowed_role_ids: [] })));
+  assert.equal(coalesceKey(commands[2].payload), null);
+
+  const results = await executeCoalesced(commands, runtimeFor({
+    send: async (_target, command, _step, outgoing) => {
+      sends.push([command.id, outgoing]);
+      return { id: 'provider-message-9', guildId: GUILD_ID, channelId: CHANNEL_ID };
+    },
+  }));
+
+  assert.equal(sends.length, 1);
+  const [[nonceSource, message]] = sends;
+  assert.equal(nonceSource, 'coalesced:delivery-1,delivery-2');
+  assert.equal(message.embeds.length, 1);
+  assert.match(message.embeds[0].data.title, /\(2 updates\)$/);
+  assert.deepEqual(message.embeds[0].data.fields.map((field) => field.value.split('\n')[0]), ['**Nation 1**', '**Nation 2**']);
+  assert.deepEqual(results.slice(0, 2).map(({ result }) => [result.delivery_id, result.provider_message_id, result.coalesced_delivery_ids]), [
+    ['delivery-1', 'provider-message-9', ['delivery-1', 'delivery-2']],
+    ['delivery-2', 'provider-message-9', ['delivery-1', 'delivery-2']],
+  ]);
+  assert.equal(results[2].result.delivery, 'quarantined');
+});
@@ -2,6 +2,7 @@ import test from 'node:test';
 import assert from 'node:assert/strict';
 import * as command from '../src/commands/alerts.js';
 import { InteractionSessionStore } from '../src/services/InteractionSessionStore.js';
+import { resolvePersistentControl } from '../src/utils/persistentControls.js';
 import {
   execute as executePrivateNotification,
   validate as validatePrivateNotification,
@@ -531,3 +532,34 @@ test('watchlist private notification renders the trigger reason', async () => {
   assert.equal(result.success, true);
   assert.match(message.embeds[0].data.description, /Steel crossed above 4000/);
 });
+
+test('beige reminder buttons save a personal Nexus alert with the chosen lead time', async () => {
+  const calls = [];
+  const sessions = new InteractionSessionStore();
+  const apiService = {
+    createAlert: async (actor, payload) => {
+      calls.push({ actor, payload });
+      return { id: 77, remind_at: '2026-07-10T01:50:00Z' };
+    },
+  };
+  const click = componentInteraction();
+  click.replies = [];
+  click.reply = async (payload) => { click.replies.push(payload); };
+
+  await command.button(click, { apiService, sessions, session: resolvePersistentControl('nxp:alerts:beige-remind:99') });
+  assert.equal(click.replies[0].ephemeral, true);
+  assert.equal(embedJson(click.replies[0]).title, 'Beige Reminder');
+  const menu = click.replies[0].components[0].toJSON().components[0];
+  assert.deepEqual(menu.options.map((option) => option.value), ['5', '10', '15', '30', '60']);
+  assert.equal(calls.length, 0);
+
+  const selection = componentInteraction(['15']);
+  await command.select(selection, { apiService, sessions, session: session(click.replies[0], sessions) });
+  assert.equal(calls[0].actor.discordUserId, USER_ID);
+  assert.deepEqual(calls[0].payload, {
+    type: 'beige_reminder', target_id: 99, lead_minutes: 15, delivery_mode: 'immediate', discord_enabled: true,
+  });
+  const confirmation = embedJson(selection.edits[0]);
+  assert.equal(confirmation.title, 'Beige Reminder Set');
+  assert.match(confirmation.description, /15 minutes before nation \*\*#99\*\*[^]*<t:1783648200:/);
+});
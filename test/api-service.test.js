@@ -102,14 +102,75 @@ const endpointCases = [
     invoke: (service) => service.cancelWithdrawal(ACTOR, 'intent / three'),
     method: 'post', pathname: '/api/v1/discord/me/withdrawals/intent%20%2F%20three/cancel', body: {}, relay: 'actor',
   },
+  {
+    name: 'createTransferDraft',
+    invoke: (service) => service.createTransferDraft(ACTOR, { from_account_id: 7, to_account_id: 8 }),
+    method: 'post', pathname: '/api/v1/discord/me/transfers/drafts',
+    body: { from_account_id: 7, to_account_id: 8 }, relay: 'actor',
+  },
+  {
+    name: 'confirmTransfer',
+    invoke: (service) => service.confirmTransfer(ACTOR, 'intent / four'),
+    method: 'post', pathname: '/api/v1/discord/me/transfers/intent%20%2F%20four/confirm', body: {}, relay: 'actor',
+  },
+  {
+    name: 'cancelTransfer',
+    invoke: (service) => service.cancelTransfer(ACTOR, 'intent / four'),
+    method: 'post', pathname: '/api/v1/discord/me/transfers/intent%20%2F%20four/cancel', body: {}, relay: 'actor',
+  },
+  {
+    name: 'getMyWithdrawalPresets',
+    invoke: (service) => service.getMyWithdrawalPresets(ACTOR),
+    method: 'get', pathname: '/api/v1/discord/me/withdrawal-presets', relay: 'actor',
+  },
+  {
+    name: 'createWithdrawalPreset',
+    invoke: (service) => service.createWithdrawalPreset(ACTOR, { name: 'war kit', resources: { munitions: '5000' } }),
+    method: 'post', pathname: '/api/v1/discord/me/withdrawal-presets',
+    body: { name: 'war kit', resources: { munitions: '5000' } }, relay: 'actor',
+  },
+  {
+    name: 'getMyFinanceSchedules',
+    invoke: (service) => service.getMyFinanceSchedules(ACTOR, { type: 'withdrawal', page: 2 }),
+    method: 'get', pathname: '/api/v1/discord/me/finance-schedules', query: { type: 'withdrawal' }, relay: 'actor',
+  },
+  {
+    name: 'createFinanceSchedule',
+    invoke: (service) => service.createFinanceSchedule(ACTOR, { type: 'withdrawal', cadence: 'daily' }),
+    method: 'post', pathname: '/api/v1/discord/me/finance-schedules',
+    body: { type: 'withdrawal', cadence: 'daily' }, relay: 'actor',
+  },
+  {
+    name: 'cancelFinanceSchedule',
+    invoke: (service) => service.cancelFinanceSchedule(ACTOR, 'schedule / 4'),
+    method: 'delete', pathname: '/api/v1/discord/me/finance-schedules/schedule%20%2F%204', relay: 'actor',
+  },
+  {
+    name: 'confirmFinanceScheduleCycle',
+    invoke: (service) => service.confirmFinanceScheduleCycle(ACTOR, 'schedule / 4', 'cycle / 9'),
+    method: 'post',
+    pathname: '/api/v1/discord/me/finance-schedules/schedule%20%2F%204/cycles/cycle%20%2F%209/confirm',
+    body: {},
+    relay: 'actor',
+  },
   {
     name: 'getMyTransactions',
     invoke: (service) => service.getMyTransactions(ACTOR, {
-      account: 'account / primary', type: 'deposit', status: 'complete', page: 3, per_page: 15, scope: 'ignored',
+      account: 'account / primary',
+      type: 'deposit',
+      status: 'complete',
+      from: '2026-07-01',
+      to: '2026-07-31',
+      resource: 'food',
+      page: 3,
+      per_page: 15,
+      scope: 'ignored',
     }),
     method: 'get',
     pathname: '/api/v1/discord/me/accounts/account%20%2F%20primary/transactions',
-    query: { type: 'deposit', status: 'complete', page: '3', per_page: '15' },
+    query: {
+      type: 'deposit', status: 'complete', from: '2026-07-01', to: '2026-07-31', resource: 'food', page: '3', per_page: '15',
+    },
     relay: 'actor',
   },
   {
@@ -169,6 +230,14 @@ const endpointCases = [
     invoke: (service) => service.getMyLoans(ACTOR, { query: 'ignored', loan: 'ignored', limit: 25 }),
     method: 'get', pathname: '/api/v1/discord/me/loans', relay: 'actor',
   },
+  {
+    name: 'getLoanSchedule',
+    invoke: (service) => service.getLoanSchedule(ACTOR, 'loan / 3', { payment: '500.00', payoff: false, page: 2 }),
+    method: 'get',
+    pathname: '/api/v1/discord/me/loans/loan%20%2F%203/schedule',
+    query: { payment: '500.00', payoff: 'false' },
+    relay: 'actor',
+  },
   {
     name: 'previewLoanPayment',
     invoke: (service) => service.previewLoanPayment(ACTOR, { loan_id: 3, amount: '25.00' }),
@@ -223,6 +292,16 @@ const endpointCases = [
     method: 'get', pathname: '/api/v1/discord/me/raids',
     query: { nation_id: '99', sort: 'value', limit: '10' }, relay: 'actor',
   },
+  {
+    name: 'claimRaidTarget',
+    invoke: (service) => service.claimRaidTarget(ACTOR, 'nation / 99', { window_minutes: 60 }),
+    method: 'post', pathname: '/api/v1/discord/me/raids/nation%20%2F%2099/claim', body: { window_minutes: 60 }, relay: 'actor',
+  },
+  {
+    name: 'releaseRaidTarget',
+    invoke: (service) => service.releaseRaidTarget(ACTOR, 'nation / 99'),
+    method: 'delete', pathname: '/api/v1/discord/me/raids/nation%20%2F%2099/claim', relay: 'actor',
+  },
   {
     name: 'getMyWarAssignments',
     invoke: (service) => service.getMyWarAssignments(ACTOR, { status: 'ignored' }),
@@ -249,6 +328,12 @@ const endpointCases = [
     invoke: (service) => service.getWarSimulation(ACTOR, 'war / 11'),
     method: 'get', pathname: '/api/v1/discord/me/wars/war%20%2F%2011/simulation', relay: 'actor',
   },
+  {
+    name: 'compareWarSimulations',
+    invoke: (service) => service.compareWarSimulations(ACTOR, 'war / 11', [['ground', 'air'], ['naval']]),
+    method: 'get', pathname: '/api/v1/discord/me/wars/war%20%2F%2011/simulation/compare',
+    query: { plans: 'ground,air;naval' }, relay: 'actor',
+  },
   {
     name: 'getMilcomAssignments',
     invoke: (service) => service.getMilcomAssignments(ACTOR),
@@ -274,6 +359,11 @@ const endpointCases = [
     method: 'get', pathname: '/api/v1/discord/milcom/readiness',
     query: { nation_id: '77' }, relay: 'actor',
   },
+  {
+    name: 'getMilcomReadinessRoster',
+    invoke: (service) => service.getMilcomReadinessRoster(ACTOR, { gap: 'ignored' }),
+    method: 'get', pathname: '/api/v1/discord/milcom/readiness/roster', relay: 'actor',
+  },
   {
     name: 'getMilcomWarRoom',
     invoke: (service) => service.getMilcomWarRoom(ACTOR, 'objective / 4'),
@@ -284,6 +374,19 @@ const endpointCases = [
     invoke: (service) => service.getMySpyAssignments(ACTOR, { query: 'ignored', page: 2 }),
     method: 'get', pathname: '/api/v1/discord/me/spy-assignments', relay: 'actor',
   },
+  {
+    name: 'previewSpyOperation',
+    invoke: (service) => service.previewSpyOperation(ACTOR, {
+      target_nation_id: 99, operation: 'tanks', safety_level: 3, spies: 60, assignment_id: 7, note: 'ignored',
+    }),
+    method: 'get', pathname: '/api/v1/discord/me/spy-plans/preview',
+    query: { target_nation_id: '99', operation: 'tanks', safety_level: '3', spies: '60', assignment_id: '7' }, relay: 'actor',
+  },
+  {
+    name: 'createSpyPlan',
+    invoke: (service) => service.createSpyPlan(ACTOR, { target_nation_id: 99, operation: 'tanks' }),
+    method: 'post', pathname: '/api/v1/discord/me/spy-plans', body: { target_nation_id: 99, operation: 'tanks' }, relay: 'actor',
+  },
   {
     name: 'getMyAuditFindings',
     invoke: (service) => service.getMyAuditFindings(ACTOR),
@@ -357,6 +460,23 @@ const endpointCases = [
     invoke: (service) => service.getStaffWorkItem(ACTOR, 'loan reviews', 'loan / 42'),
     method: 'get', pathname: '/api/v1/discord/staff/work-items/loan%20reviews/loan%20%2F%2042', relay: 'actor',
   },
+  {
+    name: 'getFailedQueueItems',
+    invoke: (service) => service.getFailedQueueItems(ACTOR, { lane: 'alerts', limit: 10, status: 'ignored' }),
+    method: 'get', pathname: '/api/v1/discord/staff/queue/failed',
+    query: { lane: 'alerts', limit: '10' }, relay: 'actor',
+  },
+  {
+    name: 'getFailedQueueItem',
+    invoke: (service) => service.getFailedQueueItem(ACTOR, 'queue / 7'),
+    method: 'get', pathname: '/api/v1/discord/staff/queue/failed/queue%20%2F%207', relay: 'actor',
+  },
+  {
+    name: 'resolveFailedQueueItem',
+    invoke: (service) => service.resolveFailedQueueItem(ACTOR, 'queue-7', 'discard', { reason: 'Stale target' }),
+    method: 'post', pathname: '/api/v1/discord/staff/queue/failed/queue-7/discard',
+    body: { reason: 'Stale target' }, relay: 'actor',
+  },
   {
     name: 'getDirectoryDiscordUser',
     invoke: (service) => service.getDirectoryDiscordUser(ACTOR, '223456789012345678'),
@@ -513,6 +633,32 @@ const endpointCases = [
     body: { lease_token: 'lease-2', result: { discord_channel_id: '123' } },
     relay: 'service',
   },
+  {
+    name: 'releaseDiscordQueueLease',
+    invoke: (service) => service.releaseDiscordQueueLease('queue / 4', 'lease-4', { reason: 'dry_run', retryAfterMs: 30_000 }),
+    method: 'post', pathname: '/api/v1/discord/queue/queue%20%2F%204/release',
+    body: { lease_token: 'lease-4', reason: 'dry_run', retry_after_ms: 30_000 },
+    relay: 'service',
+  },
+  {
+    name: 'claimDiscordDeliveryBatch',
+    invoke: (service) => service.claimDiscordDeliveryBatch('worker-1', 'request-1', 'alerts', GUILD_ID, service.connectionContext, { maxItems: 25 }),
+    method: 'post', pathname: '/api/v1/discord/delivery/batches/claim',
+    body: {
+      worker_id: 'worker-1', request_id: 'request-1', lanes: ['alerts'], guild_id: GUILD_ID,
+      connection_id: CONNECTION_ID, generation: 1, application_id: APP_ID, max_items: 25,
+    },
+    relay: 'service',
+  },
+  {
+    name: 'submitDeliveryReceipt',
+    invoke: (service) => service.submitDeliveryReceipt({
+      contract: 'delivery-receipt', signature: { algorithm: 'ed25519', value: 'a'.repeat(128) },
+    }),
+    method: 'post', pathname: '/api/v1/discord/delivery/receipts',
+    body: { contract: 'delivery-receipt', signature: { algorithm: 'ed25519', value: 'a'.repeat(128) } },
+    relay: 'service',
+  },
   {
     name: 'updateDiscordQueueStatus',
     invoke: (service) => service.updateDiscordQueueStatus('queue / 3', 'complete', 'lease-3', { result: { sent: true } }),
@@ -624,11 +770,23 @@ const endpointCases = [
     method: 'post', pathname: '/api/v1/discord/applications/messages',
     body: { discord_message_id: '789' }, relay: 'service', explicitBearer: true,
   },
+  {
+    name: 'uploadWarRoomTranscript',
+    invoke: (service) => service.uploadWarRoomTranscript({ discord_channel_id: '123', messages: [] }),
+    method: 'post', pathname: '/api/v1/discord/war-rooms/transcripts',
+    body: { discord_channel_id: '123', messages: [] }, relay: 'service', explicitBearer: true,
+  },
   {
     name: 'sendIntelReport',
     invoke: (service) => service.sendIntelReport({ report: 'intel' }),
     method: 'post', pathname: '/api/v1/discord/intel', body: { report: 'intel' }, relay: 'service', explicitBearer: true,
   },
+  {
+    name: 'sendSpyOperationReport',
+    invoke: (service) => service.sendSpyOperationReport({ report: 'op', operation: 'tanks' }),
+    method: 'post', pathname: '/api/v1/discord/spy-operations',
+    body: { report: 'op', operation: 'tanks' }, relay: 'service', explicitBearer: true,
+  },
 ];
 
 test('ApiService builds queue status update requests', async () => {
@@ -646,6 +804,23 @@ test('ApiService builds queue status update requests', async () => {
   assert.deepEqual(requests[0].data, { status: 'complete', lease_token: 'lease-1' });
 });
 
+test('ApiService claims queue items by priority band with starvation bounds', async () => {
+  const service = createApiService();
+  const requests = [];
+  service.http.request = async (options) => {
+    requests.push(options);
+    return { data: { data: null } };
+  };
+
+  await service.claimDiscordQueue('worker-1', 'request-1', 'alerts', GUILD_ID, service.connectionContext, {
+    priorityBands: ['critical'],
+    maxAgeMs: { normal: 600_000, low: 1_800_000 },
+  });
+
+  assert.deepEqual(requests[0].data.priority_bands, ['critical']);
+  assert.deepEqual(requests[0].data.max_age_ms, { normal: 600_000, low: 1_800_000 });
+});
+
 test('ApiService refuses queue acknowledgements without a lease token', async () => {
   const service = createApiService();
 
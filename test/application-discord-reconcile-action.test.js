@@ -314,6 +314,26 @@ test('preflights durable state before resolving Discord, then checkpoints creati
   ]);
 });
 
+test('carries a dry-run simulated interview channel through checkpoint and intros', async () => {
+  const { runtime, events, checkpoints } = makeRuntime();
+  const simulatedId = '000000000000000004';
+  runtime.applyWithDiscordRetry = async (_operation, label, simulate) => {
+    events.push(['simulated', label]);
+    return simulate(simulatedId);
+  };
+  runtime.send = async (channel, command, stepKey) => {
+    events.push(['send', stepKey, channel.id]);
+    return { id: 'dry-run:1' };
+  };
+  const result = await execute(commandFor(payload()), runtime);
+
+  assert.equal(result.success, true);
+  assert.equal(events.some(([type]) => type === 'channel_create'), false);
+  assert.deepEqual(events.find(([type]) => type === 'simulated'), ['simulated', 'create application interview channel']);
+  assert.equal(checkpoints[1][2].application_reconcile.channel_id, simulatedId);
+  assert.ok(events.some(([type, , channelId]) => type === 'send' && channelId === simulatedId));
+});
+
 test('preflight rejection returns before Discord resolution or mutation', async () => {
   const rejected = makeRuntime({
     checkpoint: async () => { throw new Error('application revision superseded'); },
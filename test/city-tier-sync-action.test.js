@@ -84,6 +84,7 @@ test('CITY_TIER_SYNC creates missing tiers and reconciles only managed role IDs'
   const runtime = {
     logger: createLogger(),
     resolveGuild: async () => guild,
+    fetchWithDiscordRetry: async (operation) => operation(),
     withDiscordRetry: async (operation) => operation(),
     canContinue: () => true,
     apiService: {
@@ -150,6 +151,7 @@ test('CITY_TIER_SYNC resumes from a durable role checkpoint without creating a d
       },
       members: { fetch: async () => new Map() },
     }),
+    fetchWithDiscordRetry: async (operation) => operation(),
     withDiscordRetry: async (operation) => operation(),
     canContinue: () => true,
   };
@@ -183,6 +185,7 @@ test('CITY_TIER_SYNC rejects a persisted role that the bot cannot safely manage'
       },
       members: { fetch: async () => new Map() },
     }),
+    fetchWithDiscordRetry: async (operation) => operation(),
     withDiscordRetry: async (operation) => operation(),
     canContinue: () => true,
   };
@@ -0,0 +1,235 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  createPrivateKey, createPublicKey, generateKeyPairSync, sign, verify,
+} from 'node:crypto';
+import Ajv from 'ajv';
+import { AcknowledgementOutbox } from '../src/services/AcknowledgementOutbox.js';
+import { DeliveryBatchProcessor } from '../src/services/DeliveryBatchProcessor.js';
+import { DiscordRelaySigner } from '../src/services/DiscordRelaySigner.js';
+import { canonicalize } from '../src/services/connection/relayContracts.js';
+import {
+  deliveryReceiptItem,
+  deliveryReceiptState,
+  verifyDeliveryBatch,
+} from '../src/services/connection/deliveryBatches.js';
+import { createLogger } from './helpers.js';
+
+const CONTRACT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../contracts/discord');
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(CONTRACT_DIR, file), 'utf8'));
+
+const batch = readJson('fixtures/valid/delivery-batch-v1.two-items.json');
+const endorsement = readJson('fixtures/valid/route-endorsement-v1.allow.json');
+const keySet = readJson('fixtures/valid/capability-manifest-v1.nexus.json').key_set;
+const receiptSchema = readJson('delivery-receipt-v1.schema.json');
+const NOW = Date.parse('2026-08-08T12:01:00Z');
+const connection = {
+  connectionId: batch.connection_id,
+  applicationId: batch.app_id,
+  guildId: batch.guild_id,
+  generation: batch.generation,
+};
+
+const { privateKey } = generateKeyPairSync('ed25519');
+const signer = new DiscordRelaySigner({
+  privateKeyBase64: privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64'),
+  appId: batch.app_id,
+  guildId: batch.guild_id,
+  connectionId: batch.connection_id,
+  generation: batch.generation,
+  keyId: 'relay-current',
+  clock: () => NOW,
+});
+
+test('delivery batches verify against the Nexus key set and the receipt route endorsement', () => {
+  assert.equal(verifyDeliveryBatch(batch, endorsement, { keySet, connection, now: NOW }).valid, true);
+
+  const tampered = { ...batch, deliveries: batch.deliveries.slice(0, 1) };
+  assert.deepEqual(verifyDeliveryBatch(tampered, endorsement, { keySet, connection, now: NOW }), {
+    valid: false, reason: 'batch_signature_mismatch',
+  });
+  assert.deepEqual(
+    verifyDeliveryBatch(batch, endorsement, { keySet, connection: { ...connection, generation: 8 }, now: NOW }),
+    { valid: false, reason: 'endorsement_binding_generation' },
+  );
+  assert.deepEqual(
+    verifyDeliveryBatch(batch, endorsement, { keySet: { ...keySet, scope: 'discord-relay->nexus' }, connection, now: NOW }),
+    { valid: false, reason: 'unknown_nexus_key' },
+  );
+  assert.deepEqual(
+    verifyDeliveryBatch(batch, endorsement, { keySet, connection, now: Date.parse('2026-08-08T12:10:00Z') }),
+    { valid: false, reason: 'endorsement_stale_contract' },
+  );
+});
+
+test('dispatcher outcomes map onto delivery-receipt-v1 item states', () => {
+  const [delivery] = batch.deliveries;
+  const processedAt = '2026-08-08T12:01:00.000Z';
+  assert.deepEqual(
+    deliveryReceiptItem(delivery, { success: true, result: { delivery: 'delivered', provider_message_id: '523456789012345678' } }, { processedAt }),
+    {
+      delivery_id: delivery.delivery_id,
+      dedupe_key: delivery.dedupe_key,
+      state: 'delivered',
+      processed_at: processedAt,
+      discord_message_id: '523456789012345678',
+    },
+  );
+  assert.equal(
+    deliveryReceiptItem(delivery, { success: true, result: { delivery: 'undeliverable', error_code: 'missing_permissions' } }, { processedAt }).error_code,
+    'discord_forbidden',
+  );
+  assert.equal(deliveryReceiptItem(delivery, { success: false, reason: 'invalid_channel_id' }, { processedAt }).error_code, 'invalid_delivery');
+  assert.equal(deliveryReceiptState([{ state: 'delivered' }, { state: 'duplicate' }]), 'accepted');
+  assert.equal(deliveryReceiptState([{ state: 'delivered' }, { state: 'retryable' }]), 'partial');
+  assert.equal(deliveryReceiptState([{ state: 'expired' }]), 'rejected');
+});
+
+test('DeliveryBatchProcessor executes each delivery and submits one signed receipt', async () => {
+  const dispatched = [];
+  const receipts = [];
+  const processor = new DeliveryBatchProcessor({ logger: createLogger(), nexusKeySet: keySet, clock: () => NOW });
+  const apiService = {
+    relaySigner: signer,
+    submitDeliveryReceipt: async (receipt) => receipts.push(receipt),
+  };
+  const dispatch = async (item) => {
+    dispatched.push(item.action);
+    return item.action === 'WAR_ALERT'
+      ? { success: true }
+      : { success: false, reason: 'rate_limited', result: { retryable: true, retry_after_ms: 4500 } };
+  };
+
+  assert.deepEqual(
+    await processor.process({ batch, endorsement }, { apiService, connection, dispatch, canContinue: () => true }),
+    { verified: true, state: 'partial', submitted: true },
+  );
+  const [receipt] = receipts;
+  const validate = new Ajv({ allErrors: true, strict: true }).compile(receiptSchema);
+  assert.equal(validate(receipt), true, JSON.stringify(validate.errors));
+  assert.equal(receipt.batch_id, batch.batch_id);
+  assert.equal(receipt.lease_token, batch.lease.token);
+  assert.deepEqual(receipt.items.map(({ state, error_code: code, retry_after_seconds: retry }) => [state, code, retry]), [
+    ['delivered', undefined, undefined],
+    ['retryable', 'discord_rate_limited', 5],
+  ]);
+  const { signature, ...unsigned } = receipt;
+  assert.equal(verify(
+    null,
+    Buffer.from(`NEXUS-DISCORD-DELIVERY-RECEIPT-V1\n${canonicalize(unsigned)}`),
+    createPublicKey(privateKey),
+    Buffer.from(signature.value, 'hex'),
+  ), true);
+
+  await processor.process({ batch, endorsement }, { apiService, connection, dispatch, canContinue: () => true });
+  assert.deepEqual(dispatched, ['WAR_ALERT', 'PRIVATE_NOTIFICATION', 'PRIVATE_NOTIFICATION']);
+  assert.equal(receipts[1].items[0].state, 'duplicate');
+});
+
+test('DeliveryBatchProcessor runs nothing from a batch that fails verification', async () => {
+  const processor = new DeliveryBatchProcessor({ logger: createLogger(), nexusKeySet: keySet, clock: () => NOW });
+  const outcome = await processor.process(
+    { batch, endorsement: { ...endorsement, route_template: { method: 'POST', path_template: '/api/v1/discord/queue/claim' } } },
+    {
+      apiService: { submitDeliveryReceipt: async () => assert.fail('unverified batches must not be receipted') },
+      connection,
+      dispatch: async () => assert.fail('unverified batches must not run'),
+      canContinue: () => true,
+    },
+  );
+  assert.deepEqual(outcome, { verified: false, reason: 'endorsement_signature_mismatch' });
+});
+
+// The fixture key set's Nexus key, so a test can sign a modified batch.
+const nexusPrivateKey = createPrivateKey({
+  key: Buffer.concat([
+    Buffer.from('302e020100300506032b657004220420', 'hex'),
+    Buffer.from(Array.from({ length: 32 }, (_, index) => index + 64)),
+  ]),
+  format: 'der',
+  type: 'pkcs8',
+});
+const resign = (document) => {
+  const { signature, ...unsigned } = document;
+  const signingInput = `NEXUS-DISCORD-DELIVERY-BATCH-V1\n${canonicalize(unsigned)}`;
+  return { ...document, signature: { ...signature, value: sign(null, Buffer.from(signingInput), nexusPrivateKey).toString('hex') } };
+};
+
+test('DeliveryBatchProcessor journals delivered items so a restarted process reports them as duplicates', async () => {
+  let journal = null;
+  const createOutbox = () => new AcknowledgementOutbox({
+    file: '/tmp/queue-outbox.json',
+    logger: createLogger(),
+    now: () => new Date(NOW),
+    writeJournal: async (_file, snapshot) => {
+      journal = JSON.stringify(snapshot);
+    },
+    readJournal: async () => journal,
+  });
+  const dispatched = [];
+  const dispatch = async (item) => {
+    dispatched.push(item.action);
+    return { success: true };
+  };
+  const outbox = createOutbox();
+  const crashed = new DeliveryBatchProcessor({ logger: createLogger(), nexusKeySet: keySet, clock: () => NOW, outbox });
+  const offline = {
+    relaySigner: signer,
+    submitDeliveryReceipt: async () => {
+      throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    },
+  };
+  await crashed.process({ batch, endorsement }, { apiService: offline, connection, dispatch, canContinue: () => true });
+  assert.deepEqual(outbox.getHealthSnapshot(), { pending: 0, journaled: 2 });
+  assert.deepEqual(await outbox.replay(() => ({ updateDiscordQueueStatus: async () => assert.fail('receipted, not acknowledged') })), {
+    acknowledged: 0, rejected: 0, deferred: 0,
+  });
+
+  const reloaded = createOutbox();
+  assert.equal(await reloaded.load(), 2);
+  const restarted = new DeliveryBatchProcessor({
+    logger: createLogger(), nexusKeySet: keySet, clock: () => NOW, outbox: reloaded,
+  });
+  const receipts = [];
+  const online = { relaySigner: signer, submitDeliveryReceipt: async (receipt) => receipts.push(receipt) };
+  await restarted.process({ batch, endorsement }, { apiService: online, connection, dispatch, canContinue: () => true });
+
+  assert.deepEqual(dispatched, ['WAR_ALERT', 'PRIVATE_NOTIFICATION']);
+  assert.deepEqual(receipts[0].items.map(({ state }) => state), ['duplicate', 'duplicate']);
+});
+
+test('DeliveryBatchProcessor rejects batched deliveries that need ordering or a later delivery time', async () => {
+  const scheduled = resign({
+    ...batch,
+    deliveries: [
+      { ...batch.deliveries[0], payload: { ...batch.deliveries[0].payload, deliver_after: '2026-08-08T12:03:00Z' } },
+      batch.deliveries[1],
+    ],
+  });
+  const processor = new DeliveryBatchProcessor({ logger: createLogger(), nexusKeySet: keySet, clock: () => NOW });
+  const receipts = [];
+  const dispatched = [];
+
+  const outcome = await processor.process({ batch: scheduled, endorsement }, {
+    apiService: { relaySigner: signer, submitDeliveryReceipt: async (receipt) => receipts.push(receipt) },
+    connection,
+    dispatch: async (item) => {
+      dispatched.push(item.action);
+      return { success: true };
+    },
+    orderingKey: (item) => (item.action === 'PRIVATE_NOTIFICATION' ? 'member:423456789012345678' : null),
+    canContinue: () => true,
+  });
+
+  assert.deepEqual(outcome, { verified: true, state: 'rejected', submitted: true });
+  assert.deepEqual(dispatched, []);
+  assert.deepEqual(receipts[0].items.map(({ state, error_code: code }) => [state, code]), [
+    ['rejected', 'invalid_delivery'],
+    ['rejected', 'invalid_delivery'],
+  ]);
+  const validate = new Ajv({ allErrors: true, strict: true }).compile(receiptSchema);
+  assert.equal(validate(receipts[0]), true, JSON.stringify(validate.errors));
+});
@@ -14,7 +14,7 @@ function sessions() {
   });
 }
 
-function createInteraction({ id, accountId = ACCOUNT_ID, buttonId = null } = {}) {
+function createInteraction({ id, accountId = ACCOUNT_ID, buttonId = null, subcommand = 'request' } = {}) {
   const interaction = {
     id: id ?? '323456789012345678',
     guildId: GUILD_ID,
@@ -24,6 +24,7 @@ function createInteraction({ id, accountId = ACCOUNT_ID, buttonId = null } = {})
     options: {
       getString: () => accountId,
       getFocused: () => '',
+      getSubcommand: () => subcommand,
     },
     deferred: false,
     replied: false,
@@ -161,3 +162,63 @@ test('/deposit preserves Nexus-backed account autocomplete', async () => {
   assert.equal(accountCalls.length, 1);
   assert.deepEqual(interaction.choices, [{ name: 'Operating Account', value: ACCOUNT_ID }]);
 });
+
+test('/deposit schedules lists schedules with cancel buttons and cancels the chosen one', async () => {
+  const sessionStore = sessions();
+  const calls = [];
+  const apiService = {
+    getMyFinanceSchedules: async (actor, params) => {
+      calls.push(['list', actor.discordAction, params]);
+      return {
+        schedules: [{
+          id: 4, type: 'deposit', cadence: 'weekly', time: '18:00', account_id: 7, resources: { food: '5000' },
+        }],
+      };
+    },
+    cancelFinanceSchedule: async (_actor, scheduleId) => {
+      calls.push(['cancel', scheduleId]);
+      return {};
+    },
+  };
+  const interaction = createInteraction({ subcommand: 'schedules' });
+
+  await execute(interaction, { apiService, sessions: sessionStore });
+
+  const embed = embedJson(interaction.edits[0]);
+  assert.equal(embed.title, 'Deposit Schedules');
+  assert.match(embed.fields[0].value, /Weekly at 18:00 UTC/);
+  const cancelButton = interaction.edits[0].components.at(-1).toJSON().components[0];
+  assert.equal(cancelButton.label, 'Cancel 1. #4');
+  const session = sessionStore.resolve(cancelButton.custom_id, USER_ID);
+  const buttonInteraction = createInteraction({ buttonId: cancelButton.custom_id });
+
+  await button(buttonInteraction, { apiService, sessions: sessionStore, session });
+
+  assert.deepEqual(calls, [['list', 'deposit.schedules', { type: 'deposit' }], ['cancel', 4]]);
+  assert.equal(embedJson(buttonInteraction.edits[0]).title, 'Schedule Cancelled');
+});
+
+test('/deposit confirms a scheduled cycle from its direct-message button', async () => {
+  const confirmCalls = [];
+  const apiService = {
+    confirmFinanceScheduleCycle: async (actor, scheduleId, cycleId) => {
+      confirmCalls.push({ actor, scheduleId, cycleId });
+      return { deposit_request: { account_id: 7, deposit_code: 'NEXUS-CYCLE', status: 'pending' }, reused: false };
+    },
+  };
+  const buttonInteraction = createInteraction({ buttonId: `nxp:deposit:cycle-confirm:${GUILD_ID}:4:19` });
+  buttonInteraction.guildId = null;
+  buttonInteraction.nexusGuildId = GUILD_ID;
+
+  await button(buttonInteraction, {
+    apiService,
+    session: { commandName: 'deposit', event: 'cycle-confirm', state: { args: [GUILD_ID, '4', '19'] }, persistent: true },
+  });
+
+  assert.equal(confirmCalls.length, 1);
+  assert.equal(confirmCalls[0].scheduleId, 4);
+  assert.equal(confirmCalls[0].cycleId, 19);
+  assert.equal(confirmCalls[0].actor.discordGuildId, GUILD_ID);
+  assert.equal(embedJson(buttonInteraction.edits[0]).title, 'Deposit Code Created');
+  assert.match(embedJson(buttonInteraction.edits[0]).description, /NEXUS-CYCLE/);
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DiscordRateBudget, RATE_CLASSES, resolveRateBudgets } from '../src/services/DiscordRateBudget.js';
+import { QueueActionRuntime } from '../src/services/queueActions/runtime.js';
+import { DiscordStatusService } from '../src/services/status/DiscordStatusService.js';
+import { renderStatus } from '../src/commands/nexus.js';
+import { createLogger } from './helpers.js';
+
+const GUILD_A = '223456789012345678';
+const GUILD_B = '323456789012345678';
+
+const fakeClock = () => {
+  let now = 0;
+  const sleeps = [];
+  return {
+    clock: () => now,
+    sleep: async (durationMs) => {
+      sleeps.push(durationMs);
+      now += durationMs;
+    },
+    sleeps,
+  };
+};
+
+test('rate budgets merge configured classes over the defaults and clamp invalid values', () => {
+  assert.deepEqual(resolveRateBudgets({
+    bulk_roles: { capacity: 4, per_second: 0.5 },
+    messages: { capacity: -1, per_second: 'fast' },
+  }), {
+    default: { capacity: 20, perSecond: 10 },
+    bulk_roles: { capacity: 4, perSecond: 0.5 },
+    messages: { capacity: 20, perSecond: 10 },
+  });
+});
+
+test('DiscordRateBudget paces one guild and class without throttling other guilds or classes', async () => {
+  const time = fakeClock();
+  const budget = new DiscordRateBudget({
+    budgets: { bulk_roles: { capacity: 2, per_second: 2 } },
+    clock: time.clock,
+    sleep: time.sleep,
+  });
+
+  await budget.acquire(GUILD_A, RATE_CLASSES.BULK_ROLES);
+  await budget.acquire(GUILD_A, RATE_CLASSES.BULK_ROLES);
+  await budget.acquire(GUILD_B, RATE_CLASSES.BULK_ROLES);
+  await budget.acquire(GUILD_A, RATE_CLASSES.DEFAULT);
+  assert.deepEqual(time.sleeps, []);
+
+  await budget.acquire(GUILD_A, RATE_CLASSES.BULK_ROLES);
+  assert.deepEqual(time.sleeps, [500]);
+
+  const [defaults, bulk] = budget.snapshot(GUILD_A);
+  assert.deepEqual(bulk, {
+    class: 'bulk_roles', available: 0, capacity: 2, per_second: 2, waiting: 0, granted: 3, throttled_ms: 500,
+  });
+  assert.equal(defaults.granted, 1);
+  assert.equal(budget.snapshot(GUILD_B)[1].granted, 1);
+});
+
+test('queue runtime spends its action class budget on every Discord attempt, reads included', async () => {
+  const calls = [];
+  const guild = { id: GUILD_A };
+  const runtime = new QueueActionRuntime({
+    client: { guilds: { cache: new Map(), fetch: async () => guild } },
+    logger: createLogger(),
+    guildId: GUILD_A,
+    rateBudget: { acquire: async (...args) => calls.push(args) },
+  }).forExecution({}, { rateClass: RATE_CLASSES.BULK_ROLES });
+
+  assert.equal(await runtime.withDiscordRetry(async () => 'done', 'add role'), 'done');
+  assert.equal(await runtime.fetchWithDiscordRetry(async () => 'members', 'fetch members'), 'members');
+  assert.equal(await runtime.resolveGuild(), guild);
+  assert.deepEqual(calls, [[GUILD_A, 'bulk_roles'], [GUILD_A, 'bulk_roles'], [GUILD_A, 'bulk_roles']]);
+});
+
+test('status reports the current guild budget for /nexus status', () => {
+  const budget = new DiscordRateBudget({ clock: () => 0 });
+  const status = new DiscordStatusService({
+    client: { guilds: { cache: new Map() } },
+    rateBudget: budget,
+    now: () => 0,
+  }).getStatus({ guildId: GUILD_A });
+
+  assert.deepEqual(status.discord.rate_budget.map((entry) => [entry.class, entry.available]), [
+    ['default', 20],
+    ['bulk_roles', 40],
+  ]);
+  assert.match(renderStatus(status), /Queue REST budget: Default 20\/20 \(10\/s\) · Bulk Roles 40\/40 \(20\/s\)/);
+});
@@ -2,6 +2,7 @@ import test from 'node:test';
 import assert from 'node:assert/strict';
 import { Events } from 'discord.js';
 import { registerInteractionListener } from '../src/listeners/interactionCreate.js';
+import { persistentCustomId, resolvePersistentControl } from '../src/utils/persistentControls.js';
 import { createEventClient, createLogger } from './helpers.js';
 
 test('interaction listener ignores commands from foreign guilds without dispatching or replying', async () => {
@@ -82,3 +83,71 @@ test('interaction listener dispatches a user context command through its Nexus c
   assert.equal(resolvedCommand, 'who');
   assert.equal(executed, true);
 });
+
+test('interaction listener routes persistent controls to their command for any member', async () => {
+  const client = createEventClient();
+  let received = null;
+  const commands = new Map([['war', { button: async (_interaction, context) => { received = context.session; } }]]);
+
+  registerInteractionListener(client, commands, createLogger(), {}, '123456789012345678');
+  await client.handlers.get(Events.InteractionCreate)({
+    customId: 'nxp:war:room-join:7',
+    guildId: '123456789012345678',
+    user: { id: '223456789012345678' },
+    isButton: () => true,
+  });
+
+  assert.deepEqual(received, {
+    commandName: 'war', event: 'room-join', state: { args: ['7'] }, persistent: true,
+  });
+  assert.equal(resolvePersistentControl('nxp:war:Room-Join:7'), null);
+  assert.equal(resolvePersistentControl('nxs:war:room-join:7'), null);
+  assert.throws(() => persistentCustomId('war', 'room join', 7), TypeError);
+});
+
+test('interaction listener resolves direct-message controls through the server id they carry', async () => {
+  const client = createEventClient();
+  const guildId = '123456789012345678';
+  const resolved = [];
+  const received = [];
+  const connection = {
+    applicationId: '423456789012345678',
+    guildId,
+    connectionId: 'aaaaaaaa-bbbb-4ccc-8ddd-eeeeeeeeeeee',
+    generation: 1,
+    keyId: 'key-1',
+    capabilities: {},
+  };
+  const commands = new Map([['withdraw', {
+    button: async (interaction, context) => { received.push({ interaction, context }); },
+  }]]);
+  registerInteractionListener(client, commands, createLogger(), {
+    applicationId: connection.applicationId,
+    connectionResolver: {
+      resolve: (options) => {
+        resolved.push(options);
+        return connection;
+      },
+      resolveInteraction: () => { throw Object.assign(new Error('missing guild'), { code: 'MISSING_GUILD' }); },
+    },
+    connectionServiceFactory: () => 'finance-api',
+  });
+  const replies = [];
+  const dmButton = (customId) => ({
+    customId,
+    guildId: null,
+    user: { id: '223456789012345678' },
+    isButton: () => true,
+    reply: async (payload) => { replies.push(payload); },
+  });
+
+  await client.handlers.get(Events.InteractionCreate)(dmButton(persistentCustomId('withdraw', 'cycle-confirm', guildId, 12, 30)));
+  assert.deepEqual(resolved, [{ applicationId: connection.applicationId, guildId }]);
+  assert.equal(received[0].context.apiService, 'finance-api');
+  assert.deepEqual(received[0].context.session.state.args, [guildId, '12', '30']);
+  assert.equal(received[0].interaction.nexusGuildId, guildId);
+
+  await client.handlers.get(Events.InteractionCreate)(dmButton('nxp:withdraw:cycle-confirm:12:30'));
+  assert.equal(received.length, 1);
+  assert.equal(replies[0].embeds[0].toJSON().title, 'Nexus Unavailable');
+});
@@ -1,6 +1,7 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import { autocomplete, execute } from '../src/commands/loan.js';
+import { InteractionSessionStore } from '../src/services/InteractionSessionStore.js';
 import { embedJson } from './helpers.js';
 
 const USER_ID = '123456789012345678';
@@ -79,3 +80,68 @@ test('loan status selects one loan locally without sending a provider filter', a
   assert.equal(calls[0].length, 1);
   assert.deepEqual(embedJson(reply).fields.map(({ name }) => name), ['Loan #202']);
 });
+
+const scheduleInteraction = (options) => {
+  const interaction = {
+    id: INTERACTION_ID,
+    guildId: GUILD_ID,
+    user: { id: USER_ID },
+    options: {
+      getSubcommand: () => 'schedule',
+      getString: (name) => options[name] ?? null,
+      getBoolean: (name) => options[name] ?? null,
+    },
+    deferred: false,
+    deferReply: async () => { interaction.deferred = true; },
+    editReply: async (payload) => { interaction.reply = payload; },
+  };
+  return interaction;
+};
+
+test('loan schedule pages the Nexus amortization table for a custom payment scenario', async () => {
+  const calls = [];
+  const schedule = Array.from({ length: 8 }, (_, index) => ({
+    number: index + 1,
+    due_date: `2026-08-${String(index + 1).padStart(2, '0')}T00:00:00Z`,
+    payment: '500.00',
+    principal: '450.00',
+    interest: '50.00',
+    remaining: `${4000 - index * 450}.00`,
+  }));
+  const apiService = {
+    getLoanSchedule: async (_actor, loanId, params) => {
+      calls.push([loanId, params]);
+      return {
+        loan: { id: 202 },
+        schedule,
+        summary: { total_interest: '400.00', interest_saved: '150.00', payoff_date: '2026-08-08T00:00:00Z' },
+      };
+    },
+  };
+  const interaction = scheduleInteraction({ loan: 'loan-beta', payment: '500.00' });
+
+  await execute(interaction, { apiService, sessions: new InteractionSessionStore() });
+
+  assert.deepEqual(calls, [['loan-beta', { payment: '500.00' }]]);
+  const embed = embedJson(interaction.reply);
+  assert.equal(embed.title, 'Loan #202 Schedule');
+  assert.match(embed.description, /Scenario:\*\* \$500(\.00)? per cycle/);
+  assert.match(embed.description, /Interest saved:\*\* \$150/);
+  assert.equal(embed.fields.length, 6);
+  assert.equal(embed.fields[0].name, 'Payment 1');
+  assert.match(embed.fields[0].value, /\*\*Principal:\*\* \$450/);
+  assert.match(embed.fields[0].value, /\*\*Remaining:\*\* \$4,000/);
+  assert.match(embed.footer.text, /Page 1\/2/);
+});
+
+test('loan schedule rejects a malformed payment or conflicting scenarios before calling Nexus', async () => {
+  const apiService = { getLoanSchedule: async () => assert.fail('invalid scenarios must not reach Nexus') };
+  for (const [options, pattern] of [
+    [{ loan: 'loan-beta', payment: '12.345' }, /positive decimal/],
+    [{ loan: 'loan-beta', payment: '100', payoff: true }, /not both/],
+  ]) {
+    const interaction = scheduleInteraction(options);
+    await execute(interaction, { apiService });
+    assert.match(embedJson(interaction.reply).description, pattern);
+  }
+});
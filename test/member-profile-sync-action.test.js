@@ -127,6 +127,8 @@ const makeRuntime = ({
     canContinue,
     resolveGuild: async () => guild,
     withDiscordRetry: async (operation) => operation(),
+    fetchWithDiscordRetry: async (operation) => operation(),
+    verifyWithDiscordRetry: async (operation) => operation(),
     apiService: {
       checkpointDiscordQueue: async (...args) => {
         checkpoints.push(args);
@@ -3,6 +3,7 @@ import assert from 'node:assert/strict';
 import { Events } from 'discord.js';
 import { registerMessageListener } from '../src/listeners/messageCreate.js';
 import { config } from '../src/utils/config.js';
+import { parseSpyOperationReport } from '../src/utils/spyOperationReports.js';
 import { createEventClient, createLogger, embedJson } from './helpers.js';
 
 test('registerMessageListener skips registration when ApiService is missing', () => {
@@ -151,6 +152,7 @@ test('message listener forwards intel reports and replies with the Nexus intel U
       logApplicationMessage: async () => assert.fail('non-app channel should not be logged'),
       sendIntelReport: async (payload) => {
         intelPayload = payload;
+        return { spy_plan: { id: 12 } };
       },
     };
 
@@ -173,9 +175,15 @@ test('message listener forwards intel reports and replies with the Nexus intel U
       },
     });
 
-    assert.deepEqual(intelPayload, { report: content, source: 'discord' });
+    assert.deepEqual(intelPayload, {
+      report: content,
+      source: 'discord',
+      discord_user_id: 'user-1',
+      discord_message_id: 'message-1',
+    });
     assert.equal(embedJson(replyPayload).title, 'Intel Report Saved');
     assert.match(embedJson(replyPayload).description, /https:\/\/nexus\.example\/defense\/intel/);
+    assert.match(embedJson(replyPayload).description, /Linked to spy plan \*\*#12\*\*/);
     assert.deepEqual(replyPayload.allowedMentions, { parse: [], repliedUser: false });
   } finally {
     config.nexusApi.baseUrl = originalBaseUrl;
@@ -225,3 +233,75 @@ test('message listener tells the user when an intel report cannot be saved', asy
   assert.equal(embedJson(replyPayload).title, 'Intel Report Not Saved');
   assert.equal(logger.entries.warn[0][0], 'Failed to submit intel report to Nexus');
 });
+
+test('message listener forwards other spy operation results as typed records', async () => {
+  const originalBaseUrl = config.nexusApi.baseUrl;
+  config.nexusApi.baseUrl = 'https://nexus.example';
+
+  try {
+    const client = createEventClient();
+    const records = [];
+    const replies = [];
+    registerMessageListener(client, {
+      logApplicationMessage: async () => assert.fail('non-app channel should not be logged'),
+      sendIntelReport: async () => assert.fail('spy operations are not intel reports'),
+      sendSpyOperationReport: async (payload) => {
+        records.push(payload);
+        return records.length === 1 ? { spy_plan: { id: 12 } } : {};
+      },
+    }, createLogger(), 'guild-1');
+    const post = (content) => client.handlers.get(Events.MessageCreate)({
+      guild: { id: 'guild-1' },
+      channel: { name: 'general' },
+      channelId: 'channel-1',
+      id: `message-${records.length + 1}`,
+      author: { id: 'user-1', username: 'User' },
+      content,
+      createdTimestamp: Date.now(),
+      attachments: new Map(),
+      reply: async (payload) => { replies.push(payload); },
+    });
+
+    const destroyed = 'You successfully destroyed 1,250 tanks of Test Nation. The operation cost you $48,200.50 and 3 of your spies were captured and executed.';
+    await post(destroyed);
+    await post('Your operation against Test Nation failed! 12 of your spies were captured and executed.');
+    await post('You successfully destroyed the mood of everyone in chat.');
+
+    assert.deepEqual(records[0], {
+      report: destroyed,
+      operation: 'tanks',
+      outcome: 'success',
+      target_nation_name: 'Test Nation',
+      units_destroyed: 1250,
+      cost: 48200.5,
+      spies_lost: 3,
+      source: 'discord',
+      discord_user_id: 'user-1',
+      discord_message_id: 'message-1',
+    });
+    assert.deepEqual(
+      [records[1].operation, records[1].outcome, records[1].target_nation_name, records[1].cost, records[1].spies_lost],
+      ['unknown', 'failure', 'Test Nation', null, 12],
+    );
+    assert.equal(records.length, 2);
+    assert.equal(embedJson(replies[0]).title, 'Spy Operation Saved');
+    assert.match(embedJson(replies[0]).description, /https:\/\/nexus\.example\/defense\/spy-operations/);
+    assert.match(embedJson(replies[0]).description, /Linked to spy plan \*\*#12\*\*/);
+    assert.doesNotMatch(embedJson(replies[1]).description, /Linked to spy plan/);
+  } finally {
+    config.nexusApi.baseUrl = originalBaseUrl;
+  }
+});
+
+test('parseSpyOperationReport recognizes spy, missile, and nuke results', () => {
+  const tail = 'The operation cost you $1,000.00 and 0 of your spies were captured and executed.';
+  assert.deepEqual(
+    [
+      `You successfully assassinated 14 spies of Target Nation. ${tail}`,
+      `You successfully destroyed 1 missile of Target Nation. ${tail}`,
+      `You successfully destroyed 2 nuclear weapons of Target Nation. ${tail}`,
+    ].map((content) => [parseSpyOperationReport(content).operation, parseSpyOperationReport(content).units_destroyed]),
+    [['spies', 14], ['missiles', 1], ['nukes', 2]],
+  );
+  assert.equal(parseSpyOperationReport(`You successfully gathered intelligence about Target Nation. ${tail}`), null);
+});
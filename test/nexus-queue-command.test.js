@@ -0,0 +1,172 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { button, data, execute } from '../src/commands/nexus.js';
+import { InteractionSessionStore } from '../src/services/InteractionSessionStore.js';
+import { classifyQueueFailure } from '../src/services/queueActions/errorClassification.js';
+import { embedJson } from './helpers.js';
+
+const actor = { id: '234567890123456789' };
+
+const failedItem = (overrides = {}) => ({
+  id: 'queue-41',
+  action: 'ALERT_DELIVERY_V1',
+  lane: 'alerts',
+  attempts: 3,
+  failed_at: '2026-10-18T12:00:00Z',
+  error_code: null,
+  result: { success: false, classification: 'missing_permissions', error_code: 'missing_permissions' },
+  payload: {
+    delivery_id: 'delivery-secret-value',
+    destination: { type: 'channel', channel_id: '345678901234567890' },
+    recipients: { 456789012345678901: 'nation-secret' },
+  },
+  ...overrides,
+});
+
+const makeInteraction = (subcommand, values = {}) => {
+  const replies = [];
+  const interaction = {
+    user: actor,
+    guildId: '123456789012345678',
+    id: '345678901234567890',
+    commandName: 'nexus',
+    deferred: false,
+    replied: false,
+    options: {
+      getSubcommandGroup: () => 'queue',
+      getSubcommand: () => subcommand,
+      getString: (name) => values[name] ?? null,
+    },
+    deferReply: async ({ ephemeral }) => {
+      assert.equal(ephemeral, true);
+      interaction.deferred = true;
+    },
+    editReply: async (payload) => { replies.push(payload); return payload; },
+    replies,
+  };
+  return interaction;
+};
+
+const makeButtonInteraction = (customId) => {
+  const replies = [];
+  const interaction = {
+    customId,
+    user: actor,
+    guildId: '123456789012345678',
+    id: '456789012345678901',
+    deferred: false,
+    replied: false,
+    deferUpdate: async () => { interaction.deferred = true; },
+    update: async (payload) => { replies.push(payload); interaction.replied = true; return payload; },
+    editReply: async (payload) => { replies.push(payload); return payload; },
+    replies,
+  };
+  return interaction;
+};
+
+const sessionStore = () => {
+  let sequence = 0;
+  return new InteractionSessionStore({
+    createToken: () => `nexus${String(sequence += 1).padStart(28, '0')}`,
+  });
+};
+
+test('nexus queue subcommand group exposes failed, inspect, replay, and discard', () => {
+  const command = data.toJSON();
+  const group = command.options.find((option) => option.name === 'queue');
+  assert.equal(group.type, 2);
+  assert.deepEqual(group.options.map((option) => option.name), ['failed', 'inspect', 'replay', 'discard']);
+  assert.deepEqual(group.options[0].options[0].choices.map((choice) => choice.value), [
+    'side_effects', 'alerts', 'digests',
+  ]);
+  assert.equal(group.options[3].options.find((option) => option.name === 'reason').required, true);
+});
+
+test('queue failures are grouped by delivery classification, validation reason, or runtime failure', () => {
+  assert.deepEqual(classifyQueueFailure(failedItem()), {
+    kind: 'delivery', code: 'missing_permissions', retryable: false,
+  });
+  assert.deepEqual(classifyQueueFailure({ result: { classification: 'rate_limited' } }), {
+    kind: 'delivery', code: 'rate_limited', retryable: true,
+  });
+  assert.deepEqual(classifyQueueFailure({ error_code: 'invalid_channel_id' }), {
+    kind: 'validation', code: 'invalid_channel_id', retryable: false,
+  });
+  assert.deepEqual(classifyQueueFailure({ error_code: 'lease_lost' }), {
+    kind: 'runtime', code: 'lease_lost', retryable: true,
+  });
+  assert.deepEqual(classifyQueueFailure({ error_code: 'discord_send_failed' }), {
+    kind: 'execution', code: 'discord_send_failed', retryable: false,
+  });
+});
+
+test('nexus queue failed lists items per lane with classifications and no payload values', async () => {
+  const interaction = makeInteraction('failed', { lane: 'alerts' });
+  const calls = [];
+  await execute(interaction, {
+    apiService: {
+      getFailedQueueItems: async (value, params) => {
+        calls.push([value, params]);
+        return [failedItem(), failedItem({ id: 'queue-42', result: null, error_code: 'invalid_destination' })];
+      },
+    },
+    sessions: sessionStore(),
+  });
+
+  assert.equal(calls[0][0].discordAction, 'nexus.queue.failed');
+  assert.deepEqual(calls[0][1], { lane: 'alerts', limit: 25 });
+  const embed = embedJson(interaction.replies[0]);
+  assert.equal(embed.title, 'Failed Queue Items · Alerts');
+  assert.match(embed.fields[0].value, /Delivery:\*\* missing\\_permissions/);
+  assert.match(embed.fields[1].value, /Validation:\*\* invalid\\_destination/);
+  assert.doesNotMatch(JSON.stringify(interaction.replies[0]), /secret/);
+});
+
+test('nexus queue inspect shows the redacted payload shape', async () => {
+  const interaction = makeInteraction('inspect', { item: ' queue-41 ' });
+  let requestedId;
+  await execute(interaction, {
+    apiService: {
+      getFailedQueueItems: async () => [],
+      getFailedQueueItem: async (_actor, id) => { requestedId = id; return { item: failedItem() }; },
+    },
+    sessions: sessionStore(),
+  });
+
+  assert.equal(requestedId, 'queue-41');
+  const embed = embedJson(interaction.replies[0]);
+  const shape = embed.fields.find((field) => field.name === 'Payload shape').value;
+  assert.match(shape, /destination\.channel_id: string/);
+  assert.match(shape, /recipients\.<id>: string/);
+  const serialized = JSON.stringify(interaction.replies[0]);
+  assert.doesNotMatch(serialized, /secret|345678901234567890|456789012345678901/);
+});
+
+test('nexus queue discard requires confirmation before Nexus permanently discards the item', async () => {
+  const sessions = sessionStore();
+  const calls = [];
+  const apiService = {
+    getFailedQueueItems: async () => [],
+    getFailedQueueItem: async () => failedItem(),
+    resolveFailedQueueItem: async (value, id, resolution, payload) => {
+      calls.push([value.discordAction, id, resolution, payload]);
+      return { message: 'Discarded.' };
+    },
+  };
+
+  const interaction = makeInteraction('discard', { item: 'queue-41', reason: 'Channel deleted' });
+  await execute(interaction, { apiService, sessions });
+  assert.match(embedJson(interaction.replies[0]).title, /Discard Queue Item #queue-41/);
+  assert.deepEqual(calls, []);
+
+  const [confirm, cancel] = interaction.replies[0].components[0].toJSON().components;
+  const cancelled = makeButtonInteraction(cancel.custom_id);
+  await button(cancelled, { apiService, sessions, session: sessions.resolve(cancel.custom_id, actor.id) });
+  assert.equal(embedJson(cancelled.replies[0]).title, 'Queue Action Cancelled');
+  assert.deepEqual(calls, []);
+
+  const confirmed = makeButtonInteraction(confirm.custom_id);
+  await button(confirmed, { apiService, sessions, session: sessions.resolve(confirm.custom_id, actor.id) });
+  assert.deepEqual(calls, [['nexus.queue.discard', 'queue-41', 'discard', { reason: 'Channel deleted' }]]);
+  assert.equal(embedJson(confirmed.replies[0]).title, 'Queue Item Discarded');
+});
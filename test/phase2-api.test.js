@@ -73,6 +73,7 @@ test('ApiService uses the locked v2 queue action names and connection body field
   await service.claimDiscordQueue('worker-1', 'request-1', 'alerts', GUILD_ID, connection);
   await service.renewDiscordQueueLease('delivery-1', 'lease-1');
   await service.checkpointDiscordQueue('delivery-1', 'lease-1', { sent: true });
+  await service.releaseDiscordQueueLease('delivery-1', 'lease-1', { reason: 'dry_run' });
   await service.updateDiscordQueueStatus('delivery-1', 'complete', 'lease-1');
 
   assert.deepEqual(requests[0].data, {
@@ -88,8 +89,10 @@ test('ApiService uses the locked v2 queue action names and connection body field
     'queue.claim',
     'queue.lease',
     'queue.checkpoint',
+    'queue.release',
     'queue.acknowledge',
   ]);
+  assert.deepEqual(requests[3].data, { lease_token: 'lease-1', reason: 'dry_run' });
 });
 
 test('ApiService rejects a non-empty v2 queue claim without a bound item', async () => {
@@ -135,15 +138,19 @@ test('v2 permits every registered service-proof route and uses the exact signed
   await service.getAlertRendererManifest();
   await service.attachWarCounterChannel({ war_counter_id: 'counter-1', discord_channel_id: '523456789012345678' });
   await service.attachMilcomObjectiveRoom({ objective_id: 1, dispatch_id: 2, discord_channel_id: '623456789012345678' });
+  await service.uploadWarRoomTranscript({ discord_channel_id: '523456789012345678', messages: [] });
   await service.logApplicationMessage({ content: 'safe transcript', discord_message_id: '723456789012345678' });
   await service.sendIntelReport({ report: 'safe intel' });
+  await service.sendSpyOperationReport({ report: 'safe operation', operation: 'tanks' });
 
   assert.deepEqual(requests.map(documentFrom).map((document) => document.proof.action), [
     'alerts.manifest',
     'war-counters.attach-channel',
     'milcom.objectives.attach-room',
+    'war-rooms.transcript',
     'applications.message',
     'intel.report',
+    'spy-operations.report',
   ]);
   for (const request of requests) {
     const document = documentFrom(request);
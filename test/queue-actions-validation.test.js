@@ -26,6 +26,7 @@ test('every registered queue action exposes validate and execute boundaries', ()
     'WAR_ALERT',
     'WAR_ROOM_ARCHIVE',
     'WAR_ROOM_CREATE',
+    'WAR_ROOM_STATUS',
   ]);
   for (const action of Object.values(queueActions)) {
     assert.equal(typeof action.validate, 'function');
@@ -128,6 +129,82 @@ test('PRIVATE_NOTIFICATION renders useful audit counts, details, tone, timestamp
   assert.equal(embed.footer, undefined);
 });
 
+test('PRIVATE_NOTIFICATION adds a server-scoped confirm button for a drafted schedule cycle', async () => {
+  const action = queueActions.PRIVATE_NOTIFICATION;
+  const payload = {
+    contract_version: 1,
+    recipient_discord_id: USER_ID,
+    event_type: 'finance_schedule_cycle_ready',
+    notification_id: 'finance-schedule-12-cycle-30',
+    subject: { type: 'withdrawal_schedule', id: 12, label: 'Daily upkeep withdrawal' },
+    occurred_at: '2026-07-10T06:30:00Z',
+    deep_link_path: '/finance/schedules',
+    summary: { status: 'pending', cycle_id: 30, account: 'Operating Account' },
+  };
+  assert.deepEqual(action.validate(payload), { valid: true });
+  const messages = [];
+  const runtime = {
+    guildId: CHANNEL_ID,
+    logger: createLogger(),
+    canContinue: () => true,
+    resolveUser: async (id) => ({ id }),
+    sendDirectMessage: async (_user, _command, _step, outgoing) => {
+      messages.push(outgoing);
+      return { id: `dm-${messages.length}` };
+    },
+  };
+
+  await action.execute({ id: 'queue-schedule', payload }, runtime);
+  assert.equal(messages[0].embeds[0].toJSON().title, 'Scheduled Transfer Ready');
+  assert.match(messages[0].embeds[0].toJSON().description, /Cycle:\*\* 30/);
+  const [button] = messages[0].components[0].toJSON().components;
+  assert.equal(button.label, 'Confirm withdrawal');
+  assert.equal(button.custom_id, `nxp:withdraw:cycle-confirm:${CHANNEL_ID}:12:30`);
+
+  await action.execute({
+    id: 'queue-schedule-deposit',
+    payload: { ...payload, subject: { type: 'deposit_schedule', id: 13 } },
+  }, runtime);
+  assert.equal(messages[1].components[0].toJSON().components[0].custom_id, `nxp:deposit:cycle-confirm:${CHANNEL_ID}:13:30`);
+
+  await action.execute({
+    id: 'queue-schedule-paused',
+    payload: { ...payload, summary: { status: 'paused' } },
+  }, runtime);
+  assert.deepEqual(messages[2].components, []);
+});
+
+test('PRIVATE_NOTIFICATION leaves other schedule events without a confirm button', async () => {
+  const action = queueActions.PRIVATE_NOTIFICATION;
+  const messages = [];
+  const runtime = {
+    guildId: CHANNEL_ID,
+    logger: createLogger(),
+    canContinue: () => true,
+    resolveUser: async (id) => ({ id }),
+    sendDirectMessage: async (_user, _command, _step, outgoing) => {
+      messages.push(outgoing);
+      return { id: `dm-${messages.length}` };
+    },
+  };
+
+  for (const [index, eventType] of ['finance_schedule_cycle_failed', 'finance_schedule_cycle_skipped'].entries()) {
+    const payload = {
+      contract_version: 1,
+      recipient_discord_id: USER_ID,
+      event_type: eventType,
+      notification_id: `finance-schedule-12-cycle-${30 + index}`,
+      subject: { type: 'withdrawal_schedule', id: 12 },
+      occurred_at: '2026-07-10T06:30:00Z',
+      deep_link_path: '/finance/schedules',
+      summary: { status: 'failed', cycle_id: 30 + index },
+    };
+    assert.deepEqual(action.validate(payload), { valid: true });
+    await action.execute({ id: `queue-schedule-${index}`, payload }, runtime);
+    assert.deepEqual(messages[index].components, []);
+  }
+});
+
 test('channel alert action validators distinguish absent, malformed, and valid targets', () => {
   for (const name of ['WAR_ALERT', 'ALLIANCE_DEPARTURE', 'INACTIVITY_ALERT']) {
     assert.deepEqual(queueActions[name].validate(null), { valid: false, reason: 'invalid_payload' });
@@ -245,11 +322,16 @@ test('WAR_ROOM_CREATE validates forum, role, source, and assignment boundaries',
     valid: false,
     reason: 'invalid_reason',
   });
+  assert.deepEqual(validate({ forum_channel_id: CHANNEL_ID, slot_limit: 0 }), {
+    valid: false,
+    reason: 'invalid_slot_limit',
+  });
   assert.deepEqual(validate({
     forum_channel_id: CHANNEL_ID,
     defense_role_id: USER_ID,
     source: { type: 'war_counter', id: 1 },
     assigned_members: [],
+    slot_limit: 3,
   }), { valid: true });
   assert.deepEqual(validate({
     forum_channel_id: CHANNEL_ID,
@@ -292,6 +374,40 @@ test('WAR_ROOM_ARCHIVE validates persisted counter and direct channel targets',
     valid: true,
   });
   assert.deepEqual(validate({ discord_channel_id: CHANNEL_ID, archive: { lock: true } }), { valid: true });
+  assert.deepEqual(validate({ source: { type: 'war_counter', id: 7 }, archive: { transcript: 'yes' } }), {
+    valid: false,
+    reason: 'invalid_transcript_option',
+  });
+  assert.deepEqual(validate({ discord_channel_id: CHANNEL_ID, archive: { transcript: true } }), {
+    valid: false,
+    reason: 'missing_transcript_source',
+  });
+  assert.deepEqual(validate({ source: { type: 'milcom_objective', id: 8 }, archive: { transcript: true } }), {
+    valid: true,
+  });
+});
+
+test('WAR_ROOM_STATUS validates the room, revision, and reported war state', () => {
+  const validate = queueActions.WAR_ROOM_STATUS.validate;
+  const payload = {
+    discord_channel_id: CHANNEL_ID,
+    source: { type: 'war_counter', id: 7 },
+    revision: 3,
+    updated_at: '2026-10-01T12:00:00Z',
+    wars: [{ attacker_resistance: 80 }],
+    assigned_members: [{ nation_name: 'Ally', discord_id: USER_ID }],
+  };
+  assert.deepEqual(validate(payload), { valid: true });
+  assert.deepEqual(validate({ ...payload, discord_channel_id: undefined }), { valid: false, reason: 'missing_channel' });
+  assert.deepEqual(validate({ ...payload, source: { type: 'war_counter' } }), { valid: false, reason: 'invalid_source_id' });
+  assert.deepEqual(validate({ ...payload, status_message_id: 'board' }), { valid: false, reason: 'invalid_status_message' });
+  assert.deepEqual(validate({ ...payload, revision: -1 }), { valid: false, reason: 'invalid_revision' });
+  assert.deepEqual(validate({ ...payload, updated_at: 'soon' }), { valid: false, reason: 'invalid_updated_at' });
+  assert.deepEqual(validate({ ...payload, wars: [null] }), { valid: false, reason: 'invalid_wars' });
+  assert.deepEqual(validate({ ...payload, assigned_members: [{ discord_id: '@everyone' }] }), {
+    valid: false,
+    reason: 'invalid_assigned_members',
+  });
 });
 
 test('QueueActionRuntime creates deterministic nonce-safe messages and strict mention allowlists', () => {
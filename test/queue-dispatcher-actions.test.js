@@ -1,6 +1,7 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import { QueueDispatcher } from '../src/services/QueueDispatcher.js';
+import { buildApplicationChannelTopic } from '../src/utils/applicationChannels.js';
 import { createLogger } from './helpers.js';
 
 function createBaseClient() {
@@ -38,6 +39,50 @@ test('QueueDispatcher rejects invalid and unsupported queue actions', async () =
   });
 });
 
+test('QueueDispatcher refuses a malformed deliver_after before the action runs', async () => {
+  const dispatcher = new QueueDispatcher({
+    client: createBaseClient(),
+    logger: createLogger(),
+    guildId: GUILD_ID,
+  });
+
+  assert.deepEqual(
+    await dispatcher.dispatch({ id: 'queue-1', action: 'BEIGE_ALERT', payload: { deliver_after: 'tomorrow-ish' } }),
+    { success: false, reason: 'invalid_deliver_after' },
+  );
+  const quarantined = await dispatcher.dispatch({
+    id: 'queue-2',
+    action: 'ALERT_DELIVERY_V1',
+    payload: { delivery_id: 'delivery-1', deliver_after: 1_700_000_000 },
+  });
+  assert.equal(quarantined.result.delivery, 'quarantined');
+  assert.equal(quarantined.result.error_code, 'invalid_deliver_after');
+});
+
+test('QueueDispatcher orders war-room create and archive by their Nexus source', () => {
+  const dispatcher = new QueueDispatcher({
+    client: createBaseClient(),
+    logger: createLogger(),
+    guildId: GUILD_ID,
+  });
+  const source = { type: 'war_counter', id: 42 };
+
+  assert.equal(
+    dispatcher.orderingKey({ action: 'WAR_ROOM_CREATE', payload: { source } }),
+    'war_room:war_counter:42',
+  );
+  assert.equal(
+    dispatcher.orderingKey({ action: 'WAR_ROOM_ARCHIVE', payload: { source } }),
+    'war_room:war_counter:42',
+  );
+  assert.equal(
+    dispatcher.orderingKey({ action: 'WAR_ROOM_ARCHIVE', payload: { discord_channel_id: THREAD_ID } }),
+    `war_room:channel:${THREAD_ID}`,
+  );
+  assert.equal(dispatcher.orderingKey({ action: 'WAR_ALERT', payload: {} }), null);
+  assert.equal(dispatcher.orderingKey({ action: 'NOPE' }), null);
+});
+
 test('QueueDispatcher archives a persisted war-counter thread', async () => {
   const logger = createLogger();
   const operations = [];
@@ -87,6 +132,243 @@ test('QueueDispatcher archives a persisted war-counter thread', async () => {
   ]);
 });
 
+test('QueueDispatcher dry-run reports war-room archive changes without touching the thread', async () => {
+  const thread = {
+    id: THREAD_ID,
+    guildId: GUILD_ID,
+    name: 'counter-room',
+    archived: false,
+    locked: false,
+    isThread: () => true,
+    setName: async () => assert.fail('dry-run must not rename'),
+    setArchived: async () => assert.fail('dry-run must not archive'),
+    setLocked: async () => assert.fail('dry-run must not lock'),
+  };
+  const client = createBaseClient();
+  client.channels.cache.set(THREAD_ID, thread);
+  const reports = [];
+  const dispatcher = new QueueDispatcher({
+    client,
+    logger: createLogger(),
+    guildId: GUILD_ID,
+    apiService: {
+      getWarCounter: async () => ({ counter: { discord_channel_id: THREAD_ID } }),
+      archiveWarCounter: async () => assert.fail('dry-run must not write to Nexus'),
+    },
+    dryRun: true,
+    reportDryRun: async (report) => reports.push(report),
+  });
+
+  const result = await dispatcher.dispatch({
+    id: 'queue-1',
+    action: 'WAR_ROOM_ARCHIVE',
+    attempts: 1,
+    payload: { source: { type: 'war_counter', id: 77 } },
+  });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(reports, [{
+    queue_id: 'queue-1',
+    action: 'WAR_ROOM_ARCHIVE',
+    attempts: 1,
+    outcome: { success: true },
+    effects: [
+      { type: 'discord_change', label: 'rename war counter thread' },
+      { type: 'discord_change', label: 'archive war counter thread' },
+      { type: 'discord_change', label: 'lock war counter thread' },
+    ],
+  }]);
+  assert.deepEqual(result.dry_run, reports[0]);
+});
+
+test('QueueDispatcher dry-run follows a member profile sync through to its simulated outcome', async () => {
+  const addRoleId = '623456789012345678';
+  const removeRoleId = '723456789012345678';
+  const makeRole = (id) => ({ id, guildId: GUILD_ID, managed: false, editable: true, manageable: true });
+  let memberFetches = 0;
+  const member = {
+    id: MEMBER_ID,
+    guildId: GUILD_ID,
+    nickname: 'Old Name',
+    manageable: true,
+    roles: {
+      cache: new Map([[removeRoleId, makeRole(removeRoleId)]]),
+      add: async () => assert.fail('dry-run must not add roles'),
+      remove: async () => assert.fail('dry-run must not remove roles'),
+    },
+    setNickname: async () => assert.fail('dry-run must not rename'),
+  };
+  const guild = {
+    id: GUILD_ID,
+    roles: { cache: new Map(), fetch: async (roleId) => makeRole(roleId) },
+    members: {
+      fetch: async () => {
+        memberFetches += 1;
+        return member;
+      },
+    },
+  };
+  const client = createBaseClient();
+  client.guilds.cache.set(GUILD_ID, guild);
+  client.connectionContext = {
+    applicationId: '823456789012345678',
+    connectionId: '123e4567-e89b-12d3-a456-426614174000',
+    generation: 7,
+  };
+  const reports = [];
+  const dispatcher = new QueueDispatcher({
+    client,
+    logger: createLogger(),
+    guildId: GUILD_ID,
+    apiService: { checkpointDiscordQueue: async () => assert.fail('dry-run must not checkpoint') },
+    dryRun: true,
+    reportDryRun: async (report) => reports.push(report),
+  });
+
+  const result = await dispatcher.dispatch({
+    id: 'queue-profile',
+    action: 'MEMBER_PROFILE_SYNC',
+    lease_token: 'lease-1',
+    attempts: 1,
+    payload: {
+      contract_version: 1,
+      installation: {
+        application_id: '823456789012345678',
+        guild_id: GUILD_ID,
+        connection_id: '123e4567-e89b-12d3-a456-426614174000',
+        generation: 7,
+      },
+      member: { discord_user_id: MEMBER_ID, nexus_user_id: 42, nation_id: 9001, profile_revision: 'a'.repeat(64) },
+      desired: {
+        nickname: 'Nexus Leader',
+        roles: { managed: [addRoleId, removeRoleId], add: [addRoleId], remove: [removeRoleId] },
+      },
+    },
+  });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(reports[0].outcome.result.observed, { nickname: 'Nexus Leader', managed_role_ids: [addRoleId] });
+  assert.equal(memberFetches, 1);
+  assert.deepEqual(
+    reports[0].effects.filter((effect) => effect.type === 'discord_change').map((effect) => effect.label),
+    [
+      'update MEMBER_PROFILE_SYNC nickname',
+      'add MEMBER_PROFILE_SYNC roles',
+      'remove MEMBER_PROFILE_SYNC roles',
+    ],
+  );
+  assert.ok(reports[0].effects.some((effect) => effect.method === 'checkpointDiscordQueue'));
+});
+
+test('QueueDispatcher runs strict-schema actions whose payload carries deliver_after', async () => {
+  const applicationId = '823456789012345678';
+  const connectionId = '123e4567-e89b-12d3-a456-426614174000';
+  const staffRoleId = '623456789012345678';
+  const installation = { application_id: applicationId, guild_id: GUILD_ID, connection_id: connectionId, generation: 7 };
+  const member = {
+    id: MEMBER_ID,
+    guildId: GUILD_ID,
+    nickname: 'Nexus Leader',
+    manageable: true,
+    roles: { cache: new Map() },
+  };
+  const guild = {
+    id: GUILD_ID,
+    roles: { everyone: { id: GUILD_ID }, cache: new Map([[staffRoleId, { id: staffRoleId }]]) },
+    members: { fetch: async () => member },
+    channels: { cache: new Map(), fetch: async () => new Map(), create: async () => assert.fail('dry-run must not create') },
+  };
+  const client = createBaseClient();
+  client.guilds.cache.set(GUILD_ID, guild);
+  client.connectionContext = { applicationId, connectionId, generation: 7 };
+  const dispatcher = new QueueDispatcher({
+    client,
+    logger: createLogger(),
+    guildId: GUILD_ID,
+    apiService: { checkpointDiscordQueue: async () => assert.fail('dry-run must not checkpoint') },
+    dryRun: true,
+    reportDryRun: async () => undefined,
+  });
+  const deliver_after = '2020-01-01T00:00:00Z';
+
+  const profile = await dispatcher.dispatch({
+    id: 'queue-profile',
+    action: 'MEMBER_PROFILE_SYNC',
+    lease_token: 'lease-1',
+    payload: {
+      contract_version: 1,
+      installation,
+      member: { discord_user_id: MEMBER_ID, nexus_user_id: 42, nation_id: 9001, profile_revision: 'a'.repeat(64) },
+      desired: { nickname: 'Nexus Leader', roles: { managed: [], add: [], remove: [] } },
+      deliver_after,
+    },
+  });
+  const application = await dispatcher.dispatch({
+    id: 'queue-application',
+    action: 'APPLICATION_DISCORD_RECONCILE',
+    lease_token: 'lease-2',
+    payload: {
+      contract_version: 1,
+      installation,
+      application: { id: 42, state: 'pending', discord_user_id: MEMBER_ID, nation_id: 9001, revision: 12 },
+      desired: {
+        channel: {
+          mode: 'ensure',
+          name: 'application-42-9001',
+          topic: buildApplicationChannelTopic(42, 9001),
+          staff_role_ids: [staffRoleId],
+          intro_messages: [],
+        },
+        roles: { add: [], remove: [] },
+        notifications: [],
+      },
+      deliver_after,
+    },
+  });
+
+  assert.equal(profile.success, true);
+  assert.equal(application.success, true);
+});
+
+test('QueueDispatcher dry-run reports rendered messages and validation failures', async () => {
+  const channel = {
+    id: THREAD_ID,
+    guildId: GUILD_ID,
+    isTextBased: () => true,
+    send: async () => assert.fail('dry-run must not send'),
+  };
+  const client = createBaseClient();
+  client.channels.cache.set(THREAD_ID, channel);
+  const reports = [];
+  const dispatcher = new QueueDispatcher({
+    client,
+    logger: createLogger(),
+    guildId: GUILD_ID,
+    dryRun: true,
+    reportDryRun: async (report) => reports.push(report),
+  });
+
+  await dispatcher.dispatch({ id: 'queue-invalid', action: 'WAR_ALERT', payload: {} });
+  await dispatcher.dispatch({
+    id: 'queue-war',
+    action: 'WAR_ALERT',
+    payload: {
+      channel_id: THREAD_ID,
+      war: { id: 1, war_type: 'RAID' },
+      attacker: { id: 10, nation_name: 'Attacker' },
+      defender: { id: 20, nation_name: 'Defender' },
+    },
+  });
+
+  assert.equal(reports[0].outcome.success, false);
+  assert.equal(typeof reports[0].outcome.reason, 'string');
+  assert.deepEqual(reports[0].effects, []);
+  assert.ok(reports[1].effects.length > 0);
+  assert.equal(reports[1].effects[0].type, 'message');
+  assert.equal(reports[1].effects[0].channel_id, THREAD_ID);
+  assert.ok(reports[1].effects[0].payload.embeds.length > 0);
+});
+
 test('QueueDispatcher ignores a stale archive payload channel in favor of the current Nexus record', async () => {
   const staleThreadId = '323456789012345678';
   const operations = [];
@@ -437,6 +719,9 @@ test('QueueDispatcher delivers richly formatted alert actions with inert default
   assert.match(sent[2].content, /\[Target Nation\]\(https:\/\/politicsandwar\.com\/nation\/id=99\)/);
   assert.match(sent[2].content, /\*\*Part:\*\* 1 of 1/);
   assert.doesNotMatch(sent[2].content, /🪖|🛡️|✈️|🚢|🕵️|🎯|☢️/);
+  assert.deepEqual(sent[2].components[0].toJSON().components.map(({ label, custom_id: id }) => [label, id]), [
+    ['⏰ Target Nation', 'nxp:alerts:beige-remind:99'],
+  ]);
 
   const beigeExitEmbed = sent[3].embeds[0].toJSON();
   assert.match(beigeExitEmbed.title, /Beige Exit — Target Nation/);
@@ -445,6 +730,7 @@ test('QueueDispatcher delivers richly formatted alert actions with inert default
     'Alliance', 'Score', 'Cities', 'Previous beige', 'Military',
   ]);
   assert.equal(beigeExitEmbed.footer, undefined);
+  assert.equal(sent[3].components, undefined);
 });
 
 test('BEIGE_ALERT paginates complete safe nation blocks within Discord limits', async () => {
@@ -493,6 +779,10 @@ test('BEIGE_ALERT paginates complete safe nation blocks within Discord limits',
   assert.ok(sent.every((message) => /## 🟨 Beige Watch/.test(message.content)));
   assert.ok(sent.every((message) => /\*\*Part:\*\* \d+ of \d+/.test(message.content)));
   assert.equal(sent.reduce((count, message) => count + (message.content.match(/^### /gm)?.length ?? 0), 0), nations.length);
+  assert.ok(sent.every((message) => (
+    message.components.flatMap((row) => row.toJSON().components).length === (message.content.match(/^### /gm)?.length ?? 0)
+  )));
+  assert.equal(sent[0].components[0].toJSON().components[0].custom_id, 'nxp:alerts:beige-remind:1');
   assert.doesNotMatch(sent.map((message) => message.content).join('\n'), /\]\(https:\/\/evil\.example\)/);
 });
 
@@ -516,3 +806,95 @@ test('QueueDispatcher rejects foreign-guild channels without sending', async ()
   assert.deepEqual(result, { success: false, reason: 'channel_unavailable' });
   assert.equal(sends, 0);
 });
+
+test('WAR_ROOM_STATUS posts and pins one board, then edits it in place and ignores stale revisions', async () => {
+  const BOT_ID = '623456789012345678';
+  const BOARD_ID = '723456789012345678';
+  const operations = [];
+  const checkpoints = [];
+  let board = null;
+  const thread = {
+    id: THREAD_ID,
+    guildId: GUILD_ID,
+    archived: false,
+    locked: false,
+    isThread: () => true,
+    send: async (payload) => {
+      operations.push('send');
+      board = {
+        id: BOARD_ID,
+        author: { id: BOT_ID },
+        pinned: false,
+        embeds: payload.embeds.map((embed) => embed.toJSON()),
+        edit: async (next) => {
+          operations.push('edit');
+          board.embeds = next.embeds.map((embed) => embed.toJSON());
+        },
+        pin: async () => {
+          operations.push('pin');
+          board.pinned = true;
+        },
+      };
+      return board;
+    },
+    messages: {
+      fetch: async () => assert.fail('no board id was provided'),
+      fetchPins: async () => ({ items: board ? [{ message: board }] : [] }),
+    },
+  };
+  const client = createBaseClient();
+  client.user = { id: BOT_ID };
+  client.channels.cache.set(THREAD_ID, thread);
+  const dispatcher = new QueueDispatcher({
+    client,
+    logger: createLogger(),
+    guildId: GUILD_ID,
+    apiService: { checkpointDiscordQueue: async (...args) => checkpoints.push(args) },
+  });
+  const update = (id, revision, extra = {}) => dispatcher.dispatch({
+    id,
+    action: 'WAR_ROOM_STATUS',
+    lease_token: 'lease',
+    payload: {
+      discord_channel_id: THREAD_ID,
+      source: { type: 'war_counter', id: 7 },
+      revision,
+      status: 'active',
+      target: { nation_name: 'Target Nation', leader_name: 'Leader', beige_turns: 0 },
+      wars: [{
+        attacker: { nation_name: 'Ally' },
+        defender: { nation_name: 'Target Nation' },
+        attacker_resistance: 90,
+        defender_resistance: 40,
+        attacker_maps: 6,
+        defender_maps: 2,
+        turns_left: 50,
+      }],
+      assigned_members: [{ nation_name: 'Ally', discord_id: MEMBER_ID, status: 'declared' }],
+      progress: { declared: 1, required: 3 },
+      ...extra,
+    },
+  });
+
+  assert.deepEqual(await update('status-1', 2), {
+    success: true,
+    result: { status_message_id: BOARD_ID, revision: 2 },
+  });
+  assert.deepEqual(operations, ['send', 'pin']);
+  assert.deepEqual(checkpoints, [['status-1', 'lease', { status_message_id: BOARD_ID }]]);
+  const fields = Object.fromEntries(board.embeds[0].fields.map((field) => [field.name, field.value]));
+  assert.match(fields.Wars, /Resistance 90\/40 · MAPs 6\/2 · 50 turns left/);
+  assert.equal(fields['Counter progress'], '1 of 3 declared (33%)');
+  assert.match(fields['Assigned members'], new RegExp(`\\(<@${MEMBER_ID}>\\) — Declared`));
+  assert.equal(board.embeds[0].footer.text, 'Live status board · revision 2');
+
+  await update('status-2', 3, { progress: { declared: 3, required: 3 } });
+  assert.deepEqual(operations, ['send', 'pin', 'edit']);
+  assert.match(board.embeds[0].fields.find((field) => field.name === 'Counter progress').value, /100%/);
+
+  assert.deepEqual(await update('status-stale', 2), {
+    success: true,
+    result: { status_message_id: BOARD_ID, skipped: 'stale_revision' },
+  });
+  assert.deepEqual(operations, ['send', 'pin', 'edit']);
+});
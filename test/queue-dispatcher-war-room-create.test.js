@@ -26,6 +26,7 @@ function createWarRoomContext({
   onCheckpoint,
   onAttach,
   onMilcomAttach,
+  warRooms = null,
 } = {}) {
   const logger = createLogger();
   const sentMessages = [];
@@ -78,6 +79,7 @@ function createWarRoomContext({
       attachMilcomObjectiveRoom: async (payload) => onMilcomAttach?.(payload),
       checkpointDiscordQueue: async (...args) => onCheckpoint?.(...args),
     },
+    warRooms,
   });
 
   return { dispatcher, logger, sentMessages, thread };
@@ -176,6 +178,7 @@ test('WAR_ROOM_CREATE delivers a fully rendered Milcom counter after checkpoint
   });
   assert.deepEqual(starterPayload.appliedTags, [TAG_ID]);
   assert.match(starterPayload.message.content, /## Milcom Objective Ready/);
+  assert.equal(starterPayload.message.components, undefined);
   assert.match(starterPayload.message.content, /Coalition @everyone Dawn/);
   assert.deepEqual(starterPayload.message.allowedMentions, {
     parse: [],
@@ -265,7 +268,14 @@ test('WAR_ROOM_CREATE reuses a Milcom checkpoint and deterministic nonces on dup
 
 test('WAR_ROOM_CREATE checkpoints before attaching and sending follow-up steps', async () => {
   const events = [];
+  const tracked = [];
   const { dispatcher } = createWarRoomContext({
+    warRooms: {
+      track: async (room) => {
+        events.push('track');
+        tracked.push(room);
+      },
+    },
     onThreadCreate: (_payload, thread) => {
       events.push('create');
       return thread;
@@ -289,6 +299,8 @@ test('WAR_ROOM_CREATE checkpoints before attaching and sending follow-up steps',
   assert.equal(result.success, true);
   assert.deepEqual(events.slice(0, 3), ['create', 'checkpoint', 'attach']);
   assert.equal(events.includes('send'), true);
+  assert.equal(events.at(-1), 'track');
+  assert.deepEqual(tracked, [{ channelId: THREAD_ID, sourceType: 'war_counter', sourceId: 77, connection: null }]);
 });
 
 test('WAR_ROOM_CREATE resumes the checkpointed thread and rejects a wrong forum parent', async () => {
@@ -470,9 +482,14 @@ test('WAR_ROOM_CREATE without defense_role_id does not attempt role ping', async
   const starterEmbed = starterPayload.message.embeds[0].toJSON();
   assert.match(starterEmbed.title, /Target Brief — Target Nation/);
   assert.deepEqual(starterEmbed.fields.map((field) => field.name), [
-    'Objective', 'Target status', 'Military',
+    'Objective', 'Target status', 'Military', 'Counter sign-ups',
   ]);
   assert.match(starterEmbed.fields[0].value, /Attack type:\*\* Raid/);
+  assert.equal(starterEmbed.fields[3].value, '**Signed up:** 1\n• Friendly Nation (<@623456789012345678>) — Assigned');
+  assert.deepEqual(
+    starterPayload.message.components[0].toJSON().components.map((component) => component.custom_id),
+    ['nxp:war:room-join:88', 'nxp:war:room-leave:88', 'nxp:war:room-declared:88'],
+  );
   const mentionMessage = sentMessages.find((message) => /Participant Notifications/.test(message.content));
   const assignmentMessage = sentMessages.find((message) => /## Assignments/.test(message.content));
   assert.ok(mentionMessage);
@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MetricsServer } from '../src/services/MetricsServer.js';
+import { QueueMetrics, healthGauges } from '../src/services/QueueMetrics.js';
+import { QueueWorker } from '../src/services/QueueWorker.js';
+import { QueueActionRuntime } from '../src/services/queueActions/runtime.js';
+import { createLogger, waitFor } from './helpers.js';
+
+const futureLease = () => new Date(Date.now() + 60_000).toISOString();
+
+test('QueueMetrics renders counters, histograms, and health gauges in Prometheus text format', async () => {
+  const health = {
+    status: 'ready',
+    queue: {
+      workers: [{ lane: 'alerts', in_flight: 2, concurrency: 4, backoff_attempts: 0, lease_healthy: true }],
+      outbox: { pending: 3, journaled: 3 },
+    },
+  };
+  const scheduler = { snapshot: () => [{ connection_id: 'conn-a', deficit: 1.5 }] };
+  let now = 0;
+  const metrics = new QueueMetrics({
+    collect: () => healthGauges(health, [{ lane: 'alerts', scheduler }]),
+    clock: () => now,
+  });
+
+  metrics.increment('nexus_queue_claims_total', { lane: 'alerts', outcome: 'item' });
+  metrics.increment('nexus_queue_claims_total', { lane: 'alerts', outcome: 'item' });
+  metrics.observe('nexus_queue_item_duration_seconds', { lane: 'alerts', action: 'WAR_ALERT' }, 0.3);
+  assert.throws(() => metrics.increment('nexus_unknown_total'), /Unknown counter metric/);
+
+  const text = metrics.render();
+  assert.match(text, /# TYPE nexus_queue_claims_total counter\nnexus_queue_claims_total\{lane="alerts",outcome="item"\} 2\n/);
+  assert.match(text, /nexus_queue_item_duration_seconds_bucket\{lane="alerts",action="WAR_ALERT",le="0.25"\} 0\n/);
+  assert.match(text, /nexus_queue_item_duration_seconds_bucket\{lane="alerts",action="WAR_ALERT",le="0.5"\} 1\n/);
+  assert.match(text, /nexus_queue_item_duration_seconds_count\{lane="alerts",action="WAR_ALERT"\} 1\n/);
+  assert.match(text, /nexus_process_status\{status="ready"\} 1\n/);
+  assert.match(text, /nexus_queue_in_flight\{lane="alerts"\} 2\n/);
+  assert.match(text, /nexus_queue_lease_healthy\{lane="alerts"\} 1\n/);
+  assert.match(text, /nexus_queue_outbox_pending 3\n/);
+  assert.match(text, /nexus_queue_scheduler_deficit\{lane="alerts",connection_id="conn-a"\} 1.5\n/);
+  assert.doesNotMatch(text, /nexus_queue_checkpoints_total/);
+
+  await metrics.time('nexus_discord_rest_duration_seconds', { rate_class: 'default' }, async () => {
+    now = 1500;
+  });
+  assert.match(metrics.render(), /nexus_discord_rest_duration_seconds_sum\{rate_class="default",outcome="ok"\} 1.5\n/);
+});
+
+test('MetricsServer serves GET /metrics on loopback and nothing else', async () => {
+  const server = new MetricsServer({
+    metrics: { render: () => 'nexus_queue_outbox_pending 0\n' },
+    logger: createLogger(),
+    port: 0,
+  });
+  const { address, port } = await server.start();
+  try {
+    assert.equal(address, '127.0.0.1');
+    const response = await fetch(`http://127.0.0.1:${port}/metrics`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+    assert.equal(await response.text(), 'nexus_queue_outbox_pending 0\n');
+    assert.equal((await fetch(`http://127.0.0.1:${port}/health`)).status, 404);
+    assert.equal((await fetch(`http://127.0.0.1:${port}/metrics`, { method: 'POST' })).status, 405);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('QueueWorker and the action runtime record claims, renewals, outcomes, checkpoints, and REST latency', async () => {
+  const metrics = new QueueMetrics();
+  const claims = [{ id: 'queue-1', action: 'CITY_TIER_SYNC', lease_token: 'lease-1', leased_until: futureLease() }];
+  const worker = new QueueWorker({
+    apiService: {
+      claimDiscordQueue: async () => ({ data: claims.shift() ?? null }),
+      renewDiscordQueueLease: async () => ({ data: { leased_until: futureLease() } }),
+      updateDiscordQueueStatus: async () => ({}),
+    },
+    dispatcher: {
+      dispatch: async () => {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        return { success: false, reason: 'role_hierarchy_blocked' };
+      },
+    },
+    logger: createLogger(),
+    pollIntervalMs: 60_000,
+    leaseRenewIntervalMs: 5,
+    metrics,
+  });
+  worker.start();
+  await waitFor(() => metrics.render().includes('outcome="empty"'));
+  await worker.stop();
+
+  const runtime = new QueueActionRuntime({
+    client: {},
+    logger: createLogger(),
+    guildId: '123456789012345678',
+    apiService: { checkpointDiscordQueue: async () => ({ ok: true }), baseUrl: 'https://nexus.example' },
+    metrics,
+  }).forExecution({}, { action: 'CITY_TIER_SYNC' });
+  assert.equal(runtime.apiService.baseUrl, 'https://nexus.example');
+  await runtime.apiService.checkpointDiscordQueue('queue-1', 'lease-1', {});
+  await runtime.withDiscordRetry(async () => 'sent', 'send');
+
+  const text = metrics.render();
+  assert.match(text, /nexus_queue_claims_total\{lane="side_effects",outcome="item"\} 1\n/);
+  assert.match(text, /nexus_queue_claims_total\{lane="side_effects",outcome="empty"\} 1\n/);
+  assert.match(text, /nexus_queue_lease_renewals_total\{lane="side_effects",outcome="renewed"\} \d+\n/);
+  assert.match(
+    text,
+    /nexus_queue_outcomes_total\{lane="side_effects",action="CITY_TIER_SYNC",status="failed",classification="execution"\} 1\n/,
+  );
+  assert.match(text, /nexus_queue_checkpoints_total\{action="CITY_TIER_SYNC",outcome="ok"\} 1\n/);
+  assert.match(text, /nexus_discord_rest_duration_seconds_count\{rate_class="default",outcome="ok"\} 1\n/);
+});
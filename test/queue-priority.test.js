@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PRIORITY_BANDS,
+  QueuePriorityGate,
+  priorityBand,
+  resolvePriorityMaxAges,
+} from '../src/services/QueuePriority.js';
+
+test('priorityBand takes the more urgent of alert priority and severity', () => {
+  assert.equal(priorityBand({ payload: { priority: 'low', severity: 'critical' } }, 'alerts'), 'critical');
+  assert.equal(priorityBand({ payload: { priority: 'high', severity: 'info' } }, 'alerts'), 'high');
+  assert.equal(priorityBand({ priority_band: 'urgent', payload: { priority: 'low' } }, 'alerts'), 'critical');
+  assert.equal(priorityBand({ payload: { priority: 7 } }, 'alerts'), 'normal');
+  assert.equal(priorityBand({ payload: {} }, 'digests'), 'low');
+});
+
+test('priority starvation bounds merge over defaults within limits', () => {
+  assert.deepEqual(resolvePriorityMaxAges({ low: 120_000, high: 5, normal: 'soon' }), {
+    normal: 600_000,
+    low: 120_000,
+    high: 1000,
+  });
+});
+
+test('QueuePriorityGate defers digest claims for critical work no longer than the low band maximum age', () => {
+  let now = 0;
+  const gate = new QueuePriorityGate({ maxAgeMs: { low: 60_000 }, clock: () => now });
+  assert.equal(gate.shouldDefer('digests'), false);
+
+  const release = gate.begin(PRIORITY_BANDS.CRITICAL);
+  assert.equal(gate.shouldDefer('alerts'), false);
+  assert.equal(gate.shouldDefer('digests'), true);
+  now = 59_999;
+  assert.equal(gate.shouldDefer('digests'), true);
+  now = 60_000;
+  assert.equal(gate.shouldDefer('digests'), false);
+
+  release();
+  release();
+  assert.equal(gate.snapshot().find((entry) => entry.band === 'critical').in_flight, 0);
+  assert.equal(gate.shouldDefer('digests'), false);
+});
@@ -1,6 +1,8 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import { QueueWorker } from '../src/services/QueueWorker.js';
+import { QueuePriorityGate } from '../src/services/QueuePriority.js';
+import { AlertCoalescer } from '../src/services/AlertCoalescer.js';
 import { createLogger, waitFor } from './helpers.js';
 
 const futureLease = () => new Date(Date.now() + 60_000).toISOString();
@@ -18,6 +20,8 @@ test('QueueWorker health snapshot exposes no worker, queue, or lease identifiers
     stopped: false,
     polling: false,
     active_item: false,
+    in_flight: 0,
+    concurrency: 1,
     lease_healthy: null,
     backoff_attempts: 0,
   });
@@ -92,6 +96,35 @@ test('QueueWorker propagates successful queue action results in completion ackno
   ]);
 });
 
+test('QueueWorker in dry-run mode releases items without acknowledging them', async () => {
+  const releases = [];
+  let claimed = false;
+  const outbox = { record: async () => assert.fail('dry-run outcomes must not be journaled') };
+  const worker = new QueueWorker({
+    apiService: {
+      claimDiscordQueue: async () => {
+        if (claimed) return { data: null };
+        claimed = true;
+        return { data: leased('queue-shadow', 'WAR_ALERT') };
+      },
+      renewDiscordQueueLease: async () => ({ data: { leased_until: futureLease() } }),
+      releaseDiscordQueueLease: async (...args) => releases.push(args),
+      updateDiscordQueueStatus: async () => assert.fail('dry-run items must not be acknowledged'),
+    },
+    dispatcher: { dispatch: async () => ({ success: true, dry_run: { effects: [] } }) },
+    logger: createLogger(),
+    pollIntervalMs: 60_000,
+    outbox,
+    dryRun: true,
+  });
+
+  worker.start();
+  await waitFor(() => releases.length === 1);
+  await worker.stop();
+  assert.deepEqual(releases[0], ['queue-shadow', 'lease-queue-shadow', { reason: 'dry_run' }]);
+  assert.equal(worker.inFlight.size, 0);
+});
+
 test('QueueWorker rejects malformed claim responses without dispatching', async () => {
   const logger = createLogger();
   const apiService = {
@@ -465,11 +498,10 @@ test('QueueWorker default shutdown deadline stays inside the active lease safety
     logger: createLogger(),
     leaseSafetyMs: 10,
   });
-  worker.activeLease = {
-    healthy: true,
-    expiresAt: Date.now() + 60,
-  };
-  worker.currentWork = new Promise((resolve) => { releaseWork = resolve; });
+  worker.inFlight.set('queue-active', {
+    lease: { healthy: true, expiresAt: Date.now() + 60 },
+    promise: new Promise((resolve) => { releaseWork = resolve; }),
+  });
 
   const startedAt = Date.now();
   const result = await worker.stop();
@@ -480,3 +512,423 @@ test('QueueWorker default shutdown deadline stays inside the active lease safety
   assert.equal(elapsedMs >= 10, true);
   assert.equal(elapsedMs < 500, true);
 });
+
+test('QueueWorker keeps up to the lane concurrency in flight with independent acknowledgements', async () => {
+  const statuses = [];
+  const releases = new Map();
+  let claims = 0;
+  let maxInFlight = 0;
+  const worker = new QueueWorker({
+    apiService: {
+      claimDiscordQueue: async () => {
+        claims += 1;
+        return { data: claims <= 4 ? leased(`queue-${claims}`, 'ALERT') : null };
+      },
+      renewDiscordQueueLease: async () => ({ data: { leased_until: futureLease() } }),
+      updateDiscordQueueStatus: async (...args) => statuses.push(args),
+    },
+    dispatcher: {
+      dispatch: async (item) => {
+        maxInFlight = Math.max(maxInFlight, worker.getHealthSnapshot().in_flight);
+        await new Promise((resolve) => releases.set(item.id, resolve));
+        return { success: item.id !== 'queue-2', reason: 'test_failure' };
+      },
+    },
+    logger: createLogger(),
+    pollIntervalMs: 60_000,
+    concurrency: 3,
+  });
+
+  worker.start();
+  await waitFor(() => releases.size === 3);
+  assert.equal(claims, 3);
+  assert.equal(worker.getHealthSnapshot().in_flight, 3);
+
+  releases.get('queue-2')();
+  await waitFor(() => releases.size === 4);
+  releases.get('queue-3')();
+  releases.get('queue-1')();
+  releases.get('queue-4')();
+  await waitFor(() => statuses.length === 4);
+  await worker.stop();
+
+  assert.equal(maxInFlight, 3);
+  assert.deepEqual(statuses[0].slice(0, 3), ['queue-2', 'failed', 'lease-queue-2']);
+  assert.deepEqual(
+    statuses.map(([id, status, token]) => [id, status, token]).sort(),
+    [
+      ['queue-1', 'complete', 'lease-queue-1'],
+      ['queue-2', 'failed', 'lease-queue-2'],
+      ['queue-3', 'complete', 'lease-queue-3'],
+      ['queue-4', 'complete', 'lease-queue-4'],
+    ],
+  );
+});
+
+test('QueueWorker renews each in-flight lease independently', async () => {
+  const renewed = new Set();
+  const releases = [];
+  let claims = 0;
+  const worker = new QueueWorker({
+    apiService: {
+      claimDiscordQueue: async () => {
+        claims += 1;
+        return { data: claims <= 2 ? leased(`queue-${claims}`, 'SLOW') : null };
+      },
+      renewDiscordQueueLease: async (id) => {
+        renewed.add(id);
+        if (id === 'queue-2') throw new Error('lease service unavailable');
+        return { data: { leased_until: futureLease() } };
+      },
+      updateDiscordQueueStatus: async () => {},
+    },
+    dispatcher: {
+      dispatch: async (_item, execution) => {
+        await new Promise((resolve) => releases.push(resolve));
+        return { success: execution.canContinue() };
+      },
+    },
+    logger: createLogger(),
+    pollIntervalMs: 60_000,
+    leaseRenewIntervalMs: 1,
+    concurrency: 2,
+  });
+
+  worker.start();
+  await waitFor(() => renewed.size === 2 && releases.length === 2);
+  assert.equal(worker.getHealthSnapshot().lease_healthy, false);
+  releases.forEach((release) => release());
+  await worker.stop();
+});
+
+test('QueueWorker serializes items that share an ordering key while others proceed', async () => {
+  const events = [];
+  const releases = new Map();
+  const items = [
+    { ...leased('queue-create', 'WAR_ROOM_CREATE'), payload: { key: 'war_room:war_counter:7' } },
+    { ...leased('queue-alert', 'ALERT'), payload: {} },
+    { ...leased('queue-archive', 'WAR_ROOM_ARCHIVE'), payload: { key: 'war_room:war_counter:7' } },
+  ];
+  const worker = new QueueWorker({
+    apiService: {
+      claimDiscordQueue: async () => ({ data: items.shift() ?? null }),
+      renewDiscordQueueLease: async () => ({ data: { leased_until: futureLease() } }),
+      updateDiscordQueueStatus: async (id) => events.push(`ack:${id}`),
+    },
+    dispatcher: {
+      orderingKey: (item) => item.payload.key ?? null,
+      dispatch: async (item) => {
+        events.push(`start:${item.id}`);
+        await new Promise((resolve) => releases.set(item.id, resolve));
+        return { success: true };
+      },
+    },
+    logger: createLogger(),
+    pollIntervalMs: 60_000,
+    concurrency: 3,
+  });
+
+  worker.start();
+  await waitFor(() => releases.has('queue-create') && releases.has('queue-alert'));
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.equal(worker.getHealthSnapshot().in_flight, 3);
+  assert.equal(events.includes('start:queue-archive'), false);
+
+  releases.get('queue-alert')();
+  await waitFor(() => events.includes('ack:queue-alert'));
+  assert.equal(events.includes('start:queue-archive'), false);
+
+  releases.get('queue-create')();
+  await waitFor(() => releases.has('queue-archive'));
+  releases.get('queue-archive')();
+  await waitFor(() => events.includes('ack:queue-archive'));
+  await worker.stop();
+
+  assert.ok(events.indexOf('ack:queue-create') < events.indexOf('start:queue-archive'));
+});
+
+test('QueueWorker lets one critical alert preempt a full lane of digest work', async () => {
+  const claimOptions = [];
+  const releases = new Map();
+  const acknowledged = [];
+  const items = [
+    { ...leased('queue-digest', 'ALERT_DELIVERY_V1'), payload: { priority: 'low' } },
+    { ...leased('queue-war', 'ALERT_DELIVERY_V1'), payload: { severity: 'critical' } },
+  ];
+  const worker = new QueueWorker({
+    apiService: {
+      claimDiscordQueue: async (...args) => {
+        claimOptions.push(args[5]);
+        return { data: items.shift() ?? null };
+      },
+      renewDiscordQueueLease: async () => ({ data: { leased_until: futureLease() } }),
+      updateDiscordQueueStatus: async (id) => acknowledged.push(id),
+    },
+    dispatcher: {
+      dispatch: async (item) => {
+        if (item.id === 'queue-digest') await new Promise((resolve) => releases.set(item.id, resolve));
+        return { success: true };
+      },
+    },
+    logger: createLogger(),
+    lane: 'alerts',
+    pollIntervalMs: 5,
+    priorityGate: new QueuePriorityGate(),
+  });
+
+  worker.start();
+  await waitFor(() => acknowledged.includes('queue-war'));
+  assert.deepEqual(claimOptions[0].priorityBands, ['critical', 'high', 'normal', 'low']);
+  assert.deepEqual(claimOptions[1].priorityBands, ['critical']);
+  assert.equal(acknowledged.includes('queue-digest'), false);
+
+  releases.get('queue-digest')();
+  await waitFor(() => acknowledged.includes('queue-digest'));
+  await worker.stop();
+});
+
+test('QueueWorker digest lane holds its claims while critical work is in flight', async () => {
+  const gate = new QueuePriorityGate();
+  const releaseCritical = gate.begin('critical');
+  let claims = 0;
+  const worker = new QueueWorker({
+    apiService: {
+      claimDiscordQueue: async () => {
+        claims += 1;
+        return { data: null };
+      },
+    },
+    dispatcher: {},
+    logger: createLogger(),
+    lane: 'digests',
+    pollIntervalMs: 5,
+    priorityGate: gate,
+  });
+
+  worker.start();
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal(claims, 0);
+
+  releaseCritical();
+  await waitFor(() => claims > 0);
+  await worker.stop();
+});
+
+test('QueueWorker claims delivery batches and hands them to the batch processor without per-item acknowledgements', async () => {
+  const claims = [];
+  const processed = [];
+  const dispatched = [];
+  const batch = {
+    batch_id: '88888888-9999-4888-8999-000000000000',
+    lease: { token: 'lease-batch', expires_at: futureLease() },
+    deliveries: [{ delivery_id: 'delivery-1' }],
+  };
+  let claimed = false;
+  const worker = new QueueWorker({
+    apiService: {
+      claimDiscordQueue: async () => assert.fail('batch lanes must not claim single items'),
+      claimDiscordDeliveryBatch: async (...args) => {
+        claims.push(args[5]);
+        if (claimed) return { data: null };
+        claimed = true;
+        return { data: { batch, endorsement: { route_id: 'delivery.receipt' } } };
+      },
+      renewDiscordQueueLease: async () => assert.fail('batch leases are not renewed'),
+      updateDiscordQueueStatus: async () => assert.fail('batches are answered by one receipt'),
+    },
+    dispatcher: { dispatch: async (item, execution) => dispatched.push([item.id, execution.canContinue()]) },
+    logger: createLogger(),
+    lane: 'alerts',
+    pollIntervalMs: 60_000,
+    leaseRenewIntervalMs: 1,
+    deliveryBatches: {
+      maxItems: 25,
+      process: async (claimedBatch, context) => {
+        processed.push(claimedBatch);
+        await context.dispatch({ id: 'delivery-1', action: 'ALERT_DELIVERY_V1' });
+        return { verified: true, state: 'accepted', submitted: true };
+      },
+    },
+  });
+
+  worker.start();
+  await waitFor(() => processed.length === 1);
+  await worker.stop();
+
+  assert.deepEqual(claims[0], { maxItems: 25 });
+  assert.equal(processed[0].batch, batch);
+  assert.deepEqual(dispatched, [['delivery-1', true]]);
+});
+
+test('QueueWorker holds alerts with a shared coalesce key and acknowledges each with the merged result', async () => {
+  const statuses = [];
+  const coalesced = [];
+  const claims = [leased('queue-a', 'ALERT'), leased('queue-b', 'ALERT'), leased('queue-c', 'OTHER')];
+  const worker = new QueueWorker({
+    apiService: {
+      claimDiscordQueue: async () => ({ data: claims.shift() ?? null }),
+      renewDiscordQueueLease: async () => ({ data: { leased_until: futureLease() } }),
+      updateDiscordQueueStatus: async (...args) => statuses.push(args),
+    },
+    dispatcher: {
+      coalesceKey: (item) => (item.action === 'ALERT' ? 'dm:1:family' : null),
+      dispatch: async () => ({ success: true, result: { delivery: 'delivered', provider_message_id: 'single' } }),
+      dispatchCoalesced: async (items, execution) => {
+        coalesced.push([items.map((item) => item.id), execution.canContinue()]);
+        return items.map(() => ({ success: true, result: { delivery: 'delivered', provider_message_id: 'merged' } }));
+      },
+    },
+    logger: createLogger(),
+    lane: 'alerts',
+    concurrency: 4,
+    pollIntervalMs: 60_000,
+    alertCoalescer: new AlertCoalescer({ logger: createLogger(), windowMs: 50 }),
+  });
+
+  worker.start();
+  await waitFor(() => statuses.length === 3);
+  await worker.stop();
+
+  assert.deepEqual(coalesced, [[['queue-a', 'queue-b'], true]]);
+  const messageIds = Object.fromEntries(statuses.map(([id, , , outcome]) => [id, outcome.result.provider_message_id]));
+  assert.deepEqual(messageIds, { 'queue-a': 'merged', 'queue-b': 'merged', 'queue-c': 'single' });
+});
+
+test('QueueWorker coalesces alerts at the default lane concurrency of one', async () => {
+  const statuses = [];
+  const sends = [];
+  const claims = [leased('queue-a', 'ALERT'), leased('queue-b', 'ALERT')];
+  const worker = new QueueWorker({
+    apiService: {
+      claimDiscordQueue: async () => ({ data: claims.shift() ?? null }),
+      renewDiscordQueueLease: async () => ({ data: { leased_until: futureLease() } }),
+      updateDiscordQueueStatus: async (...args) => statuses.push(args),
+    },
+    dispatcher: {
+      coalesceKey: () => 'dm:1:family',
+      dispatch: async (item) => {
+        sends.push([item.id]);
+        return { success: true };
+      },
+      dispatchCoalesced: async (items) => {
+        sends.push(items.map((item) => item.id));
+        return items.map(() => ({ success: true }));
+      },
+    },
+    logger: createLogger(),
+    lane: 'alerts',
+    pollIntervalMs: 60_000,
+    alertCoalescer: new AlertCoalescer({ logger: createLogger(), windowMs: 50 }),
+  });
+
+  worker.start();
+  await waitFor(() => statuses.length === 2);
+  await worker.stop();
+
+  assert.equal(worker.concurrency, 1);
+  assert.deepEqual(sends, [['queue-a', 'queue-b']]);
+});
+
+test('AlertCoalescer flushes a full group at once and reports lost leases individually', async () => {
+  const batches = [];
+  const coalescer = new AlertCoalescer({ logger: createLogger(), windowMs: 30_000, maxGroupSize: 2 });
+  const dispatcher = {
+    dispatch: async () => ({ success: true }),
+    dispatchCoalesced: async (items) => {
+      batches.push(items.map((item) => item.id));
+      return items.map(() => ({ success: true }));
+    },
+  };
+  const lost = coalescer.hold('key', { item: { id: 'lost' }, execution: { canContinue: () => false }, dispatcher });
+  const results = await Promise.all([
+    lost,
+    coalescer.hold('key', { item: { id: 'kept-1' }, execution: { canContinue: () => true }, dispatcher }),
+  ]);
+  assert.deepEqual(results, [{ success: false, reason: 'lease_lost' }, { success: true }]);
+  assert.deepEqual(batches, []);
+
+  const pair = Promise.all([
+    coalescer.hold('key', { item: { id: 'kept-2' }, execution: {}, dispatcher }),
+    coalescer.hold('key', { item: { id: 'kept-3' }, execution: {}, dispatcher }),
+  ]);
+  assert.deepEqual(await pair, [{ success: true }, { success: true }]);
+  assert.deepEqual(batches, [['kept-2', 'kept-3']]);
+  assert.deepEqual(coalescer.getHealthSnapshot(), { window_ms: 30_000, groups: 0, held: 0 });
+});
+
+test('QueueWorker holds an item until a near deliver_after and releases a distant one with a retry-after', async () => {
+  const dispatched = [];
+  const releases = [];
+  const statuses = [];
+  const soon = Date.now() + 80;
+  const claims = [
+    { ...leased('queue-later', 'OK'), payload: { deliver_after: new Date(Date.now() + 10 * 60_000).toISOString() } },
+    { ...leased('queue-soon', 'OK'), payload: { deliver_after: new Date(soon).toISOString() } },
+  ];
+  const worker = new QueueWorker({
+    apiService: {
+      claimDiscordQueue: async () => ({ data: claims.shift() ?? null }),
+      renewDiscordQueueLease: async () => ({ data: { leased_until: futureLease() } }),
+      releaseDiscordQueueLease: async (...args) => releases.push(args),
+      updateDiscordQueueStatus: async (...args) => statuses.push(args),
+    },
+    dispatcher: {
+      dispatch: async (item) => {
+        dispatched.push([item.id, Date.now()]);
+        return { success: true };
+      },
+    },
+    logger: createLogger(),
+    concurrency: 2,
+    pollIntervalMs: 60_000,
+    scheduleHoldMs: 60_000,
+  });
+
+  worker.start();
+  await waitFor(() => statuses.length === 1);
+  await worker.stop();
+
+  assert.equal(releases.length, 1);
+  const [id, leaseToken, { reason, retryAfterMs }] = releases[0];
+  assert.deepEqual([id, leaseToken, reason], ['queue-later', 'lease-queue-later', 'scheduled']);
+  assert.ok(retryAfterMs > 9 * 60_000 && retryAfterMs <= 9.5 * 60_000);
+  assert.deepEqual(dispatched.map(([dispatchedId]) => dispatchedId), ['queue-soon']);
+  assert.ok(dispatched[0][1] >= soon);
+  assert.equal(statuses[0][0], 'queue-soon');
+});
+
+test('QueueWorker releases a near scheduled item on a one-slot lane so other work is not blocked', async () => {
+  const dispatched = [];
+  const releases = [];
+  const claims = [
+    { ...leased('queue-soon', 'OK'), payload: { deliver_after: new Date(Date.now() + 30_000).toISOString() } },
+    leased('queue-now', 'OK'),
+  ];
+  const worker = new QueueWorker({
+    apiService: {
+      claimDiscordQueue: async () => ({ data: claims.shift() ?? null }),
+      renewDiscordQueueLease: async () => ({ data: { leased_until: futureLease() } }),
+      releaseDiscordQueueLease: async (...args) => releases.push(args),
+      updateDiscordQueueStatus: async () => undefined,
+    },
+    dispatcher: {
+      dispatch: async (item) => {
+        dispatched.push(item.id);
+        return { success: true };
+      },
+    },
+    logger: createLogger(),
+    pollIntervalMs: 60_000,
+    scheduleHoldMs: 60_000,
+  });
+
+  worker.start();
+  await waitFor(() => dispatched.length === 1);
+  await worker.stop();
+
+  assert.deepEqual(dispatched, ['queue-now']);
+  assert.equal(releases.length, 1);
+  const [id, , { reason, retryAfterMs }] = releases[0];
+  assert.deepEqual([id, reason], ['queue-soon', 'scheduled']);
+  assert.ok(retryAfterMs > 29_000 && retryAfterMs <= 30_000);
+});
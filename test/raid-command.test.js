@@ -1,7 +1,9 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { execute } from '../src/commands/raid.js';
+import { button, execute } from '../src/commands/raid.js';
 import { InteractionSessionStore } from '../src/services/InteractionSessionStore.js';
+import { collectionPageMessage } from '../src/utils/commandSupport.js';
+import { embedJson } from './helpers.js';
 
 const target = (id) => ({
   nation_id: id,
@@ -61,3 +63,111 @@ test('/raid defaults to ten results and returns a rich paginated plain-text targ
   assert.match(reply.content, /1–2 of 4 targets · Page 1\/2/);
   assert.equal(reply.components[0].toJSON().components.length, 2);
 });
+
+test('/raid claim buttons reserve a target, redraw the card, and show who holds the others', async () => {
+  const userId = '234567890123456789';
+  const otherId = '334567890123456789';
+  const calls = [];
+  let reply = null;
+  const interaction = {
+    id: '345678901234567890',
+    guildId: '123456789012345678',
+    user: { id: userId },
+    options: {
+      getInteger: (name) => (name === 'claim_window' ? 60 : null),
+      getString: () => null,
+    },
+    deferReply: async () => {},
+    editReply: async (payload) => { reply = payload; },
+  };
+  const sessions = new InteractionSessionStore();
+  const claims = new Map([
+    [2, { claimed_by: { discord_id: otherId, nation_name: 'Other Nation' }, expires_at: '2999-01-01T00:00:00Z' }],
+    [3, { claimed_by: { discord_id: userId, nation_name: 'My Nation' }, expires_at: '2999-01-01T00:00:00Z' }],
+  ]);
+  const apiService = {
+    getMyRaidAssignments: async () => [1, 2, 3].map((id) => (claims.has(id) ? { ...target(id), claim: claims.get(id) } : target(id))),
+    claimRaidTarget: async (...args) => {
+      calls.push(['claim', ...args.slice(1)]);
+      claims.set(args[1], { claimed_by: { discord_id: userId, nation_name: 'My Nation' }, expires_at: '2999-01-01T00:00:00Z' });
+      return { claim: { nation_id: 1, nation_name: 'Nation 1', expires_at: '2999-01-01T00:00:00Z' } };
+    },
+    releaseRaidTarget: async (...args) => {
+      calls.push(['release', ...args.slice(1)]);
+      claims.delete(args[1]);
+      return { released: true };
+    },
+  };
+
+  await execute(interaction, { apiService, sessions });
+  assert.match(reply.content, /Claimed by:\*\* Other Nation \(<@334567890123456789>\) until <t:32472144000:R>/);
+  const claimRow = reply.components[1].toJSON().components;
+  assert.deepEqual(claimRow.map(({ label, disabled }) => [label, disabled]), [
+    ['Claim 1. Nation 1', false],
+    ['2. Claimed', true],
+  ]);
+
+  const click = async (customId) => {
+    const buttonInteraction = {
+      ...interaction,
+      customId,
+      deferUpdate: async () => {},
+      editReply: async (payload) => { buttonInteraction.card = payload; },
+      followUp: async (payload) => { buttonInteraction.followUp = payload; },
+    };
+    await button(buttonInteraction, { apiService, sessions, session: sessions.resolve(customId, userId) });
+    return buttonInteraction;
+  };
+  const claimed = await click(claimRow[0].custom_id);
+  assert.equal(claimed.followUp.ephemeral, true);
+  assert.equal(embedJson(claimed.followUp).title, 'Target Claimed');
+  assert.match(embedJson(claimed.followUp).description, /\*\*Nation 1\*\* is reserved for you until/);
+  assert.deepEqual(calls, [['claim', 1, { window_minutes: 60 }]]);
+  const redrawn = claimed.card.components[1].toJSON().components;
+  assert.equal(redrawn[0].label, 'Release 1. Nation 1');
+  assert.equal(sessions.resolve(redrawn[0].custom_id, userId)?.event, 'release-target');
+
+  await execute(interaction, { apiService, sessions });
+  const nextPage = sessions.resolve(reply.components[0].toJSON().components[1].custom_id, userId);
+  const secondPage = collectionPageMessage({ state: nextPage.state, sessions, userId });
+  const release = secondPage.components[1].toJSON().components[0];
+  assert.equal(release.label, 'Release 3. Nation 3');
+  const released = await click(release.custom_id);
+  assert.equal(embedJson(released.followUp).title, 'Target Released');
+  assert.deepEqual(calls[1], ['release', 3]);
+  assert.match(released.card.content, /Page 2\/2/);
+  assert.equal(released.card.components[1].toJSON().components[0].label, 'Claim 3. Nation 3');
+});
+
+test('/raid keeps the card when a claim fails and reports the failure separately', async () => {
+  const userId = '234567890123456789';
+  const sessions = new InteractionSessionStore();
+  const interaction = {
+    id: '345678901234567890',
+    guildId: '123456789012345678',
+    user: { id: userId },
+    options: { getInteger: () => null, getString: () => null },
+    deferReply: async () => {},
+    editReply: async (payload) => { interaction.card = payload; },
+  };
+  const apiService = {
+    getMyRaidAssignments: async () => [target(1)],
+    claimRaidTarget: async () => {
+      throw Object.assign(new Error('Someone else claimed this target.'), { code: 'CONFLICT' });
+    },
+  };
+  await execute(interaction, { apiService, sessions });
+  const customId = interaction.card.components[0].toJSON().components[0].custom_id;
+
+  const buttonInteraction = {
+    ...interaction,
+    deferUpdate: async () => {},
+    editReply: async (payload) => { buttonInteraction.card = payload; },
+    followUp: async (payload) => { buttonInteraction.followUp = payload; },
+  };
+  await button(buttonInteraction, { apiService, sessions, session: sessions.resolve(customId, userId) });
+
+  assert.equal(embedJson(buttonInteraction.followUp).title, 'Claim Failed');
+  assert.equal(buttonInteraction.followUp.ephemeral, true);
+  assert.equal(buttonInteraction.card.components[0].toJSON().components[0].label, 'Claim 1. Nation 1');
+});
@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { autocomplete, button, execute } from '../src/commands/spy.js';
+import { InteractionSessionStore } from '../src/services/InteractionSessionStore.js';
+import { embedJson } from './helpers.js';
+
+const USER_ID = '234567890123456789';
+
+const interactionFor = (options = {}) => {
+  const interaction = {
+    id: '345678901234567890',
+    guildId: '123456789012345678',
+    commandName: 'spy',
+    user: { id: USER_ID },
+    edits: [],
+    options: {
+      getSubcommand: () => 'plan',
+      getInteger: (name) => options[name] ?? null,
+      getString: (name) => options[name] ?? null,
+      getFocused: () => options.focused ?? '',
+    },
+    deferReply: async () => { interaction.deferred = true; },
+    deferUpdate: async () => { interaction.deferred = true; },
+    editReply: async (payload) => { interaction.edits.push(payload); },
+    update: async (payload) => { interaction.edits.push(payload); },
+  };
+  return interaction;
+};
+
+test('/spy plan previews odds, kills, and cost from Nexus, then records the plan on confirm', async () => {
+  const calls = [];
+  const sessions = new InteractionSessionStore();
+  const apiService = {
+    previewSpyOperation: async (actor, params) => {
+      calls.push(['preview', actor.discordAction, params]);
+      return {
+        target: { nation_id: 99, nation_name: 'Target Nation' },
+        operation: 'tanks',
+        safety_level: 3,
+        spies: 60,
+        odds: 0.725,
+        expected_kills: 412,
+        cost: 184500,
+        assignment: { id: 7, operation: 'tanks' },
+      };
+    },
+    createSpyPlan: async (actor, payload) => {
+      calls.push(['create', actor.discordUserId, payload]);
+      return { plan: { id: 31, operation: 'tanks', target: { nation_id: 99, nation_name: 'Target Nation' } } };
+    },
+  };
+  const interaction = interactionFor({ target: 99, operation: 'tanks', safety: 3, assignment: 7 });
+
+  await execute(interaction, { apiService, sessions });
+  const body = { target_nation_id: 99, operation: 'tanks', safety_level: 3, assignment_id: 7 };
+  assert.deepEqual(calls, [['preview', 'spy.plan', body]]);
+  const preview = embedJson(interaction.edits[0]);
+  assert.equal(preview.title, 'Spy Operation Plan');
+  const fields = Object.fromEntries(preview.fields.map((field) => [field.name, field.value]));
+  assert.equal(fields.Operation, 'Destroy tanks');
+  assert.equal(fields.Safety, 'Covert');
+  assert.equal(fields['Success odds'], '72.5%');
+  assert.equal(fields['Expected kills'], '412');
+  assert.equal(fields.Cost, '$184,500');
+  assert.equal(fields.Assignment, '#7 · Destroy tanks');
+
+  const [confirm, discard] = interaction.edits[0].components[0].toJSON().components;
+  assert.equal(discard.label, 'Discard');
+  const click = interactionFor();
+  await button(click, { apiService, sessions, session: sessions.resolve(confirm.custom_id, USER_ID) });
+  assert.deepEqual(calls[1], ['create', USER_ID, body]);
+  const recorded = embedJson(click.edits[0]);
+  assert.equal(recorded.title, 'Spy Plan Recorded');
+  assert.match(recorded.description, /Plan \*\*#31\*\* — Destroy tanks against Target Nation/);
+  assert.equal(sessions.resolve(confirm.custom_id, USER_ID), null);
+});
+
+test('/spy plan autocompletes the member\'s spy assignments', async () => {
+  const choices = [];
+  const interaction = interactionFor({ focused: 'tank' });
+  interaction.respond = async (values) => choices.push(...values);
+  await autocomplete(interaction, {
+    apiService: {
+      getMySpyAssignments: async () => ({ data: [
+        { id: 7, operation: 'tanks', target: { nation_name: 'Target Nation' } },
+        { id: 8, operation: 'intel', target: { nation_name: 'Other Nation' } },
+      ] }),
+    },
+  });
+  assert.deepEqual(choices, [{ name: '#7 · Tanks → Target Nation', value: 7 }]);
+});
@@ -44,15 +44,22 @@ const createService = () => new ApiService({
 
 test('queue worker definitions are always explicit and preserve side effects when alerts degrade', () => {
   assert.deepEqual(buildQueueWorkerDefinitions({ alertLanesEnabled: true }), [
-    { lane: 'side_effects', enabled: true },
-    { lane: 'alerts', enabled: true },
-    { lane: 'digests', enabled: true },
+    { lane: 'side_effects', enabled: true, concurrency: 1 },
+    { lane: 'alerts', enabled: true, concurrency: 1 },
+    { lane: 'digests', enabled: true, concurrency: 1 },
   ]);
   assert.deepEqual(buildQueueWorkerDefinitions({ alertLanesEnabled: false }), [
-    { lane: 'side_effects', enabled: true },
-    { lane: 'alerts', enabled: false },
-    { lane: 'digests', enabled: false },
+    { lane: 'side_effects', enabled: true, concurrency: 1 },
+    { lane: 'alerts', enabled: false, concurrency: 1 },
+    { lane: 'digests', enabled: false, concurrency: 1 },
   ]);
+  assert.deepEqual(
+    buildQueueWorkerDefinitions({
+      alertLanesEnabled: true,
+      concurrency: { alerts: 8, digests: 500, side_effects: 'many' },
+    }).map(({ lane, concurrency }) => [lane, concurrency]),
+    [['side_effects', 1], ['alerts', 8], ['digests', 32]],
+  );
   assert.equal(buildQueueWorkerDefinitions({ alertLanesEnabled: false }).some(({ lane }) => lane === null), false);
 });
 
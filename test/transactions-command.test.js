@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { button, execute } from '../src/commands/transactions.js';
+import { InteractionSessionStore } from '../src/services/InteractionSessionStore.js';
+import { embedJson } from './helpers.js';
+
+const USER_ID = '223456789012345678';
+
+function createInteraction({ options = {}, customId = null } = {}) {
+  const interaction = {
+    id: '323456789012345678',
+    guildId: '123456789012345678',
+    user: { id: USER_ID },
+    commandName: customId ? undefined : 'transactions',
+    nexusCommandName: customId ? 'transactions' : undefined,
+    customId,
+    options: { getString: (name) => options[name] ?? null },
+    deferred: false,
+    edits: [],
+    deferReply: async () => { interaction.deferred = true; },
+    deferUpdate: async () => { interaction.deferred = true; },
+    editReply: async (payload) => { interaction.edits.push(payload); },
+  };
+  return interaction;
+}
+
+const transaction = (id) => ({
+  id, type: 'withdrawal', direction: 'out', status: 'completed', created_at: '2026-07-02T10:00:00Z',
+  resources: { money: '1000.00', food: '250' },
+});
+
+test('/transactions sends date and resource filters and shows Nexus range totals', async () => {
+  const calls = [];
+  const apiService = {
+    getMyTransactions: async (_actor, filters) => {
+      calls.push(filters);
+      return { transactions: [transaction(1)], totals: { money: '-1000.00', food: '-250' } };
+    },
+  };
+  const interaction = createInteraction({
+    options: { account: '7', from: '2026-07-01', to: '2026-07-31', resource: 'food' },
+  });
+
+  await execute(interaction, { apiService, sessions: new InteractionSessionStore() });
+
+  assert.deepEqual(calls, [{
+    account: '7', type: 'all', status: 'all', from: '2026-07-01', to: '2026-07-31', resource: 'food', page: 1,
+  }]);
+  const embed = embedJson(interaction.edits[0]);
+  assert.match(embed.description, /Dates: 2026-07-01 to 2026-07-31 · Resource: Food/);
+  assert.match(embed.description, /\*\*Range totals\*\*/);
+  assert.match(embed.description, /\*\*Food:\*\* -250/);
+  const exportLabels = interaction.edits[0].components.at(-1).toJSON().components.map(({ label }) => label);
+  assert.deepEqual(exportLabels, ['Export CSV', 'Export JSON']);
+});
+
+test('/transactions rejects impossible or reversed date ranges before calling Nexus', async () => {
+  for (const [options, pattern] of [
+    [{ account: '7', from: '2026-02-30' }, /`from` must be a date/],
+    [{ account: '7', from: '2026-08-01', to: '2026-07-01' }, /on or before `to`/],
+  ]) {
+    const interaction = createInteraction({ options });
+    await execute(interaction, {
+      apiService: { getMyTransactions: async () => assert.fail('invalid filters must not reach Nexus') },
+      sessions: new InteractionSessionStore(),
+    });
+    assert.match(embedJson(interaction.edits[0]).description, pattern);
+  }
+});
+
+test('/transactions export reads every filtered page into a CSV or JSON attachment', async () => {
+  const sessions = new InteractionSessionStore();
+  const calls = [];
+  const apiService = {
+    getMyTransactions: async (_actor, filters) => {
+      calls.push(filters);
+      const page = filters.page ?? 1;
+      return {
+        transactions: [transaction(page * 10), transaction(page * 10 + 1)],
+        totals: { money: '-4000.00' },
+        pagination: { current_page: page, last_page: 2, per_page: 2, total: 4 },
+      };
+    },
+  };
+  const command = createInteraction({ options: { account: '7', type: 'withdrawal', from: '2026-07-01' } });
+  await execute(command, { apiService, sessions });
+  const [csvButton, jsonButton] = command.edits[0].components.at(-1).toJSON().components;
+  calls.length = 0;
+
+  const csvClick = createInteraction({ customId: csvButton.custom_id });
+  await button(csvClick, { apiService, sessions, session: sessions.resolve(csvButton.custom_id, USER_ID) });
+
+  assert.deepEqual(calls.map(({ page, per_page: perPage, from, type }) => [page, perPage, from, type]), [
+    [1, 100, '2026-07-01', 'withdrawal'],
+    [2, 100, '2026-07-01', 'withdrawal'],
+  ]);
+  assert.equal(embedJson(csvClick.edits[0]).title, 'Transactions Exported');
+  assert.match(embedJson(csvClick.edits[0]).description, /^4 transactions/);
+  const csv = csvClick.edits[0].files[0];
+  assert.equal(csv.name, 'transactions.csv');
+  const lines = csv.attachment.toString('utf8').trimEnd().split('\r\n');
+  assert.equal(lines.length, 5);
+  assert.match(lines[0], /^id,created_at,type,direction,status,money,/);
+  assert.match(lines[1], /^10,2026-07-02T10:00:00Z,withdrawal,out,completed,1000\.00,/);
+
+  const jsonClick = createInteraction({ customId: jsonButton.custom_id });
+  await button(jsonClick, { apiService, sessions, session: sessions.resolve(jsonButton.custom_id, USER_ID) });
+
+  const json = jsonClick.edits[0].files[0];
+  assert.equal(json.name, 'transactions.json');
+  const document = JSON.parse(json.attachment.toString('utf8'));
+  assert.deepEqual(document.filters, { account: '7', type: 'withdrawal', status: 'all', from: '2026-07-01' });
+  assert.deepEqual(document.totals, { money: '-4000.00' });
+  assert.deepEqual(document.transactions.map(({ id }) => id), [10, 11, 20, 21]);
+  assert.equal(document.truncated, false);
+});
@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { data, button, execute, modal, select } from '../src/commands/transfer.js';
+import { button as transactionsButton } from '../src/commands/transactions.js';
+import { InteractionSessionStore } from '../src/services/InteractionSessionStore.js';
+import { embedJson } from './helpers.js';
+
+const USER_ID = '223456789012345678';
+
+function createInteraction({ options = {}, customId = null, commandName = 'transfer' } = {}) {
+  const interaction = {
+    id: '323456789012345678',
+    guildId: '123456789012345678',
+    user: { id: USER_ID },
+    commandName: customId ? undefined : commandName,
+    nexusCommandName: customId ? commandName : undefined,
+    customId,
+    options: { getString: (name) => options[name] ?? null },
+    deferred: false,
+    replied: false,
+    edits: [],
+    replies: [],
+    deferReply: async () => { interaction.deferred = true; },
+    deferUpdate: async () => { interaction.deferred = true; },
+    editReply: async (payload) => { interaction.edits.push(payload); },
+    reply: async (payload) => {
+      interaction.replied = true;
+      interaction.replies.push(payload);
+    },
+    showModal: async (payload) => { interaction.modal = payload; },
+  };
+  return interaction;
+}
+
+const componentIds = (payload) => payload.components.flatMap((row) => row.toJSON().components);
+
+test('/transfer autocompletes both accounts', () => {
+  const options = data.toJSON().options;
+  assert.deepEqual(options.map(({ name, required, autocomplete }) => ({ name, required, autocomplete })), [
+    { name: 'from', required: true, autocomplete: true },
+    { name: 'to', required: true, autocomplete: true },
+  ]);
+});
+
+test('/transfer drafts, confirms, and links the transaction back to /transactions', async () => {
+  const sessions = new InteractionSessionStore();
+  const calls = [];
+  const apiService = {
+    createTransferDraft: async (_actor, payload) => {
+      calls.push(['draft', payload]);
+      return { transfer: { id: 'transfer-intent', from_account_id: 7, to_account_id: 12, resources: payload.resources } };
+    },
+    confirmTransfer: async (_actor, intentToken) => {
+      calls.push(['confirm', intentToken]);
+      return {
+        transfer: { from_account_id: 4007, to_account_id: 12 },
+        transaction: { id: 91, type: 'member-transfer', status: 'completed', resources: { steel: '800' } },
+      };
+    },
+    getMyTransactions: async (_actor, filters) => {
+      calls.push(['transactions', filters]);
+      return { transactions: [] };
+    },
+  };
+  const command = createInteraction({ options: { from: '7', to: ' 12 ' } });
+
+  await execute(command, { apiService, sessions });
+
+  const picker = embedJson(command.replies[0]);
+  assert.equal(picker.title, 'Transfer Resource Draft');
+  assert.deepEqual(picker.fields.map(({ name, value }) => [name, value]), [
+    ['Source account', 'Account #7'],
+    ['Destination account', 'Account #12'],
+  ]);
+  const selectId = componentIds(command.replies[0])[0].custom_id;
+  const chosen = createInteraction({ customId: selectId });
+  chosen.values = ['steel'];
+  await select(chosen, { apiService, sessions, session: sessions.resolve(selectId, USER_ID) });
+
+  const modalJson = chosen.modal.toJSON();
+  const fieldId = modalJson.components[0].components[0].custom_id;
+  const submitted = createInteraction({ customId: modalJson.custom_id });
+  submitted.fields = { getTextInputValue: (id) => (id === fieldId ? '800' : '') };
+  await modal(submitted, { apiService, sessions, session: sessions.resolve(modalJson.custom_id, USER_ID) });
+
+  const reviewButton = componentIds(submitted.replies[0]).find((component) => component.label === 'Review');
+  const reviewClick = createInteraction({ customId: reviewButton.custom_id });
+  await button(reviewClick, { apiService, sessions, session: sessions.resolve(reviewButton.custom_id, USER_ID) });
+
+  assert.equal(calls[0][1].from_account_id, 7);
+  assert.equal(calls[0][1].to_account_id, 12);
+  assert.equal(calls[0][1].resources.steel, '800');
+  assert.equal(embedJson(reviewClick.edits[0]).title, 'Confirm Transfer');
+  const confirmButton = componentIds(reviewClick.edits[0]).find((component) => component.label === 'Confirm');
+  const confirmClick = createInteraction({ customId: confirmButton.custom_id });
+  await button(confirmClick, { apiService, sessions, session: sessions.resolve(confirmButton.custom_id, USER_ID) });
+
+  assert.deepEqual(calls[1], ['confirm', 'transfer-intent']);
+  const result = embedJson(confirmClick.edits[0]);
+  assert.equal(result.title, 'Transfer Submitted');
+  assert.equal(result.fields.find(({ name }) => name === 'Transaction').value, '#91');
+  const [linkButton] = componentIds(confirmClick.edits[0]);
+  assert.equal(linkButton.label, 'View in /transactions');
+  const linkSession = sessions.resolve(linkButton.custom_id, USER_ID);
+  assert.equal(linkSession.commandName, 'transactions');
+
+  const linkClick = createInteraction({ customId: linkButton.custom_id, commandName: 'transactions' });
+  await transactionsButton(linkClick, { apiService, sessions, session: linkSession });
+  assert.deepEqual(calls[2], ['transactions', { account: '7', type: 'member-transfer', status: 'all', page: 1 }]);
+  assert.equal(embedJson(linkClick.edits[0]).title, 'Transactions');
+});
+
+test('/transfer rejects moving funds to the source account', async () => {
+  const command = createInteraction({ options: { from: '7', to: '7' } });
+
+  await execute(command, { apiService: {}, sessions: new InteractionSessionStore() });
+
+  const embed = embedJson(command.replies[0]);
+  assert.equal(embed.title, 'Request Failed');
+  assert.match(embed.description, /differs from the source account/);
+});
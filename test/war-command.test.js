@@ -2,6 +2,7 @@ import test from 'node:test';
 import assert from 'node:assert/strict';
 import { autocomplete, button, data, execute, modal } from '../src/commands/war.js';
 import { InteractionSessionStore } from '../src/services/InteractionSessionStore.js';
+import { resolvePersistentControl } from '../src/utils/persistentControls.js';
 import { embedJson } from './helpers.js';
 
 const USER_ID = '123456789012345678';
@@ -70,7 +71,7 @@ const assignment = (overrides = {}) => ({
 
 test('/war keeps Milcom responses inside the assignments view instead of legacy subcommands', () => {
   const subcommands = data.toJSON().options.map((option) => option.name);
-  assert.deepEqual(subcommands, ['active', 'assignments', 'readiness', 'room', 'counter', 'simulate']);
+  assert.deepEqual(subcommands, ['active', 'assignments', 'readiness', 'roster', 'room', 'counter', 'simulate']);
 });
 
 test('/war autocomplete filters active wars locally without provider query parameters', async () => {
@@ -208,6 +209,67 @@ test('/war assignment acknowledgement uses Nexus preview then opaque-intent conf
   assert.match(embedJson(confirm.replies[0]).title, /Assignment Acknowledged/);
 });
 
+test('/war room sign-up buttons respond for the clicking member and refresh the roster', async () => {
+  const calls = [];
+  const counter = (members) => ({
+    counter: {
+      id: 7,
+      slot_limit: 2,
+      assigned_members: members.map((discordId, index) => ({
+        discord_id: discordId, nation_name: `Nation ${index + 1}`, status: 'joined',
+      })),
+    },
+  });
+  let members = ['623456789012345678'];
+  const apiService = {
+    getWarCounter: async (id) => {
+      calls.push(['counter', id]);
+      return counter(members);
+    },
+    respondToWarAssignment: async (actor, type, id, payload) => {
+      calls.push(['respond', actor.discordUserId, type, id, payload]);
+      members = [...members, USER_ID];
+      return counter(members);
+    },
+  };
+  const signupInteraction = (customId) => {
+    const interaction = buttonInteraction(customId);
+    interaction.deferReply = async ({ ephemeral }) => {
+      assert.equal(ephemeral, true);
+      interaction.deferred = true;
+    };
+    interaction.message = {
+      embeds: [{ title: 'Target Brief', fields: [{ name: 'Objective', value: 'Raid' }] }],
+      edits: [],
+      edit: async (payload) => { interaction.message.edits.push(payload); },
+    };
+    return interaction;
+  };
+  const session = resolvePersistentControl('nxp:war:room-join:7');
+
+  const join = signupInteraction('nxp:war:room-join:7');
+  await button(join, { apiService, session });
+  assert.deepEqual(calls, [['counter', 7], ['respond', USER_ID, 'counter', 7, { response: 'joined' }]]);
+  assert.equal(embedJson(join.replies[0]).title, 'Joined Counter');
+  const roster = join.message.edits[0].embeds[0].toJSON().fields;
+  assert.deepEqual(roster.map((field) => field.name), ['Objective', 'Counter sign-ups']);
+  assert.match(roster[1].value, /^\*\*Slots:\*\* 2 of 2 filled\n• Nation 1 \(<@623456789012345678>\) — Joined/);
+
+  calls.length = 0;
+  members = ['623456789012345678', '723456789012345678'];
+  const full = signupInteraction('nxp:war:room-join:7');
+  await button(full, { apiService, session });
+  assert.deepEqual(calls, [['counter', 7]]);
+  assert.equal(embedJson(full.replies[0]).title, 'Counter Full');
+  assert.deepEqual(full.message.edits, []);
+
+  calls.length = 0;
+  const declared = signupInteraction('nxp:war:room-declared:7');
+  await button(declared, { apiService, session: resolvePersistentControl('nxp:war:room-declared:7') });
+  assert.deepEqual(calls[0], ['respond', USER_ID, 'counter', 7, { response: 'declared' }]);
+  assert.equal(embedJson(declared.replies[0]).title, 'Declaration Recorded');
+});
+
 test('/war unavailable response requires a modal reason before Nexus preview', async () => {
   const store = sessions();
   const calls = [];
@@ -335,6 +397,63 @@ test('/war readiness does not calculate policy in Discord', async () => {
   assert.deepEqual(calls[0][1], {});
 });
 
+test('/war roster groups members by readiness gap and attaches the full roster as CSV', async () => {
+  const replies = [];
+  const member = (id, overrides) => ({
+    nation_id: id,
+    nation_name: `Nation ${id}`,
+    leader_name: `Leader ${id}`,
+    score: 1000 + id,
+    cities: 10 + id,
+    maps: 12,
+    free_slots: 2,
+    gaps: [],
+    ...overrides,
+  });
+  const members = [
+    member(1),
+    member(2, { gaps: ['low_maps'], maps: 3 }),
+    member(3, { gaps: ['no_slots', 'missing_units'], free_slots: 0, missing_units: { tanks: 250 } }),
+    member(4, { gaps: ['missing_units'], missing_units: { aircraft: 90 }, nation_name: '=HYPERLINK("x")' }),
+  ];
+  const interaction = (options) => ({
+    id: '323456789012345678',
+    guildId: GUILD_ID,
+    user: { id: USER_ID },
+    options: {
+      getSubcommand: () => 'roster',
+      getString: (name) => options[name] ?? null,
+    },
+    deferReply: async () => {},
+    editReply: async (payload) => { replies.push(payload); },
+  });
+  const context = { apiService: { getMilcomReadinessRoster: async () => ({ data: members }) }, sessions: sessions() };
+
+  await execute(interaction({}), context);
+  const embed = embedJson(replies[0]);
+  assert.equal(embed.title, 'Readiness Roster');
+  assert.match(embed.description, /\*\*Missing units:\*\* 2 · \*\*Low MAPs:\*\* 1 · \*\*No war slots:\*\* 1 · \*\*Ready:\*\* 1/);
+  assert.deepEqual(embed.fields.map((field) => field.name), [
+    '1. =HYPERLINK("x")', '2. Nation 3', '3. Nation 2', '4. Nation 1',
+  ]);
+  assert.match(embed.fields[1].value, /Missing units · No war slots/);
+  assert.match(embed.fields[1].value, /Tanks:\*\* 250/);
+
+  const [attachment] = replies[0].files;
+  assert.equal(attachment.name, 'readiness-roster.csv');
+  const rows = attachment.attachment.toString('utf8').trim().split('\r\n');
+  assert.equal(rows.length, 5);
+  assert.match(rows[0], /^nation_id,nation_name,leader_name,discord_id,gaps,score,cities,maps,free_slots,soldiers/);
+  assert.match(rows[3], /^3,Nation 3,Leader 3,,Missing units; No war slots,1003,13,12,0,/);
+  assert.match(rows[4], /^4,"'=HYPERLINK\(""x""\)",/);
+
+  await execute(interaction({ gap: 'missing_units', sort: 'name' }), context);
+  const filtered = embedJson(replies[1]);
+  assert.equal(filtered.title, 'Readiness Roster · Missing units');
+  assert.deepEqual(filtered.fields.map((field) => field.name), ['1. =HYPERLINK("x")', '2. Nation 3']);
+  assert.equal(replies[1].files[0].attachment.toString('utf8').trim().split('\r\n').length, 5);
+});
+
 test('/war room renders the actor-safe Nexus summary', async () => {
   const replies = [];
   const calls = [];
@@ -385,7 +504,7 @@ test('/war simulate uses readable plain-message continuation parts for long summ
     user: { id: USER_ID },
     options: {
       getSubcommand: () => 'simulate',
-      getString: () => 'war-token',
+      getString: (name) => (name === 'war' ? 'war-token' : null),
     },
     deferReply: async () => {},
     editReply: async (payload) => { replies.push(payload); },
@@ -406,3 +525,56 @@ test('/war simulate uses readable plain-message continuation parts for long summ
   assert.match(messages.at(-1).content, /Verify the live war state before acting/);
   assert.ok(followUps.every((message) => message.ephemeral === true));
 });
+
+test('/war simulate compares attack plans side by side and switches the baseline', async () => {
+  const store = sessions();
+  const calls = [];
+  const replies = [];
+  const plans = { war: 'war-token', plan_a: 'Ground, ground, air', plan_b: 'air air air', plan_c: null };
+  const interaction = {
+    id: '323456789012345678',
+    guildId: GUILD_ID,
+    user: { id: USER_ID },
+    options: { getSubcommand: () => 'simulate', getString: (name) => plans[name] ?? null },
+    deferReply: async () => { interaction.deferred = true; },
+    editReply: async (payload) => { replies.push(payload); },
+  };
+  const apiService = {
+    compareWarSimulations: async (...args) => {
+      calls.push(args.slice(1));
+      return {
+        war: { label: 'Alpha vs Target' },
+        plans: [
+          { infrastructure_damage: 300, loot: { money: 1_000_000 }, resistance_change: -30, unit_losses: { attacker: { soldiers: 500 } } },
+          { infrastructure_damage: 450, loot: 750_000, resistance_change: -36, unit_losses: { defender: { aircraft: 90 } } },
+        ],
+      };
+    },
+  };
+
+  await execute(interaction, { apiService, sessions: store });
+  assert.deepEqual(calls, [['war-token', [['ground', 'ground', 'air'], ['air', 'air', 'air']]]]);
+  const first = embedJson(replies[0]);
+  assert.equal(first.title, 'War Simulation Comparison');
+  assert.deepEqual(first.fields.map((field) => field.name), ['⭐ Plan A · baseline', 'Plan B']);
+  assert.match(first.fields[0].value, /Attacks:\*\* Ground → Ground → Air/);
+  assert.match(first.fields[1].value, /Infra damage:\*\* 450 \(\+150\)/);
+  assert.match(first.fields[1].value, /Loot:\*\* \$750,000 \(−\$250,000\)/);
+  assert.match(first.fields[1].value, /Their losses:\*\* \*\*Aircraft:\*\* 90/);
+  const controls = replies[0].components[0].toJSON().components;
+  assert.deepEqual(controls.map((control) => control.disabled ?? false), [true, false]);
+
+  const switched = buttonInteraction(controls[1].custom_id);
+  await button(switched, { apiService, sessions: store, session: store.resolve(controls[1].custom_id, USER_ID) });
+  const second = embedJson(switched.replies[0]);
+  assert.deepEqual(second.fields.map((field) => field.name), ['Plan A', '⭐ Plan B · baseline']);
+  assert.match(second.fields[0].value, /Infra damage:\*\* 300 \(−150\)/);
+
+  plans.plan_b = 'ground,nuke';
+  await execute(interaction, { apiService, sessions: store });
+  assert.match(embedJson(replies.at(-1)).description, /1 to 6 attacks/);
+  plans.plan_b = null;
+  await execute(interaction, { apiService, sessions: store });
+  assert.match(embedJson(replies.at(-1)).description, /at least two plans/);
+  assert.equal(calls.length, 1);
+});
@@ -0,0 +1,386 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { QueueDispatcher } from '../src/services/QueueDispatcher.js';
+import {
+  WarRoomLifecycle, snowflakeTime, warRoomSourceClosed, warRoomSourceEnded,
+} from '../src/services/WarRoomLifecycle.js';
+import { WarRoomRegistry } from '../src/services/WarRoomRegistry.js';
+import { createLogger, embedJson } from './helpers.js';
+
+const GUILD_ID = '123456789012345678';
+const THREAD_ID = '223456789012345678';
+const OTHER_THREAD_ID = '233456789012345678';
+const MEMBER_ID = '523456789012345678';
+const HOUR = 60 * 60 * 1000;
+const CREATED = Date.parse('2026-10-01T00:00:00Z');
+
+const snowflakeAt = (ms) => `${(BigInt(ms) - 1_420_070_400_000n) << 22n}`;
+
+const createRegistry = (writes = []) => new WarRoomRegistry({
+  file: '/tmp/war-rooms.json',
+  logger: createLogger(),
+  now: () => new Date(CREATED),
+  writeRegistry: async (_file, snapshot) => writes.push(structuredClone(snapshot)),
+});
+
+const createThread = ({ lastMessageAt = CREATED, messages = [], clock = () => CREATED } = {}) => {
+  const thread = {
+    id: THREAD_ID,
+    guildId: GUILD_ID,
+    name: 'counter-room',
+    archived: false,
+    locked: false,
+    lastMessageId: snowflakeAt(lastMessageAt),
+    messageCount: messages.length,
+    sent: [],
+    operations: [],
+    isThread: () => true,
+    send: async (payload) => {
+      thread.sent.push(payload);
+      // Discord stamps the post after the sweep read its clock.
+      thread.lastMessageId = snowflakeAt(clock() + 5_000);
+      return { id: thread.lastMessageId };
+    },
+    messages: { fetch: async () => new Map(messages.map((message, index) => [`${index}`, message])) },
+    setName: async (name) => {
+      thread.operations.push('setName');
+      thread.name = name;
+    },
+    setArchived: async (archived) => {
+      thread.operations.push('setArchived');
+      thread.archived = archived;
+    },
+    setLocked: async (locked) => {
+      thread.operations.push('setLocked');
+      thread.locked = locked;
+    },
+  };
+  return thread;
+};
+
+const createClient = (thread) => ({
+  channels: {
+    cache: new Map(thread ? [[thread.id, thread]] : []),
+    fetch: async () => {
+      throw Object.assign(new Error('Unknown Channel'), { code: 10003 });
+    },
+  },
+});
+
+test('WarRoomRegistry persists tracked rooms and keeps the original creation time', async () => {
+  const writes = [];
+  const registry = createRegistry(writes);
+
+  assert.equal(await registry.track({ channelId: 'nope', sourceType: 'war_counter', sourceId: 7 }), null);
+  assert.equal(await registry.track({ channelId: THREAD_ID, sourceType: 'war_plan', sourceId: 7 }), null);
+  const entry = await registry.track({
+    channelId: THREAD_ID,
+    sourceType: 'war_counter',
+    sourceId: 7,
+    connection: { connectionId: 'Conn-A', applicationId: 'app', guildId: GUILD_ID, generation: 2 },
+  });
+  assert.equal(entry.key, `conn-a:${THREAD_ID}`);
+  await registry.markProposed(entry.key, '2026-10-03T00:00:00.000Z');
+  registry.now = () => new Date(CREATED + HOUR);
+  const again = await registry.track({ channelId: THREAD_ID, sourceType: 'war_counter', sourceId: 7, connection: { connectionId: 'conn-a' } });
+  assert.equal(again.created_at, new Date(CREATED).toISOString());
+  assert.equal(again.proposed_at, '2026-10-03T00:00:00.000Z');
+
+  const reloaded = new WarRoomRegistry({
+    file: '/tmp/war-rooms.json',
+    logger: createLogger(),
+    readRegistry: async () => JSON.stringify(writes.at(-1)),
+  });
+  assert.equal(await reloaded.load(), 1);
+  assert.deepEqual(reloaded.getHealthSnapshot(), { tracked: 1, proposed: 1 });
+  assert.equal(await registry.untrack(THREAD_ID, 'conn-a'), true);
+  assert.deepEqual(writes.at(-1).entries, []);
+});
+
+test('WarRoomLifecycle proposes archival once for a quiet room and clears it when members post again', async () => {
+  const registry = createRegistry();
+  await registry.track({ channelId: THREAD_ID, sourceType: 'war_counter', sourceId: 7 });
+  let now = CREATED + 48 * HOUR;
+  const thread = createThread({
+    lastMessageAt: CREATED + HOUR,
+    messages: [
+      { author: { id: MEMBER_ID, bot: false } },
+      { author: { id: MEMBER_ID, bot: false } },
+      { author: { id: '999999999999999999', bot: true } },
+    ],
+    clock: () => now,
+  });
+  const lifecycle = new WarRoomLifecycle({
+    client: createClient(thread),
+    registry,
+    logger: createLogger(),
+    resolveApiService: () => ({ getWarCounter: async () => ({ counter: { status: 'active' } }) }),
+    guildId: GUILD_ID,
+    mode: 'propose',
+    inactiveAfterMs: 48 * HOUR,
+    now: () => now,
+  });
+
+  assert.equal((await lifecycle.sweep()).open, 1);
+  now = CREATED + 49 * HOUR + 1;
+  assert.equal((await lifecycle.sweep()).proposed, 1);
+  const embed = embedJson(thread.sent[0]);
+  assert.equal(embed.title, '🗄️ War Room Ready to Archive');
+  assert.match(embed.description, /\/archivecounter war_counter_id:7/);
+  assert.equal(embed.fields.find((field) => field.name === 'Recent participants').value, `<@${MEMBER_ID}>`);
+  assert.deepEqual(thread.sent[0].allowedMentions, { parse: [] });
+
+  now += 100 * HOUR;
+  assert.equal((await lifecycle.sweep()).proposed, 1);
+  now += 100 * HOUR;
+  assert.equal((await lifecycle.sweep()).proposed, 1);
+  assert.equal(thread.sent.length, 1);
+  assert.deepEqual(thread.operations, []);
+
+  thread.lastMessageId = snowflakeAt(now + 1);
+  now += 2;
+  assert.equal((await lifecycle.sweep()).open, 1);
+  assert.equal(registry.list()[0].proposed_at, null);
+});
+
+test('WarRoomLifecycle backfills open counter rooms the bot created before tracking began', async () => {
+  const registry = createRegistry();
+  const BOT_ID = '623456789012345678';
+  const starter = (customId) => ({ components: [{ components: [{ customId }] }] });
+  const activeThread = (id, { ownerId = BOT_ID, message = null, locked = false } = {}) => ({
+    id,
+    ownerId,
+    locked,
+    createdTimestamp: CREATED - 5 * HOUR,
+    fetchStarterMessage: async () => {
+      if (!message) throw Object.assign(new Error('Unknown Message'), { code: 10008 });
+      return message;
+    },
+  });
+  const threads = new Map([
+    [THREAD_ID, activeThread(THREAD_ID, { message: starter('nxp:war:room-join:41') })],
+    [OTHER_THREAD_ID, activeThread(OTHER_THREAD_ID, { ownerId: MEMBER_ID, message: starter('nxp:war:room-join:42') })],
+    ['243456789012345678', activeThread('243456789012345678', { message: starter('nxs:session') })],
+    ['253456789012345678', activeThread('253456789012345678')],
+  ]);
+  const client = {
+    ...createClient(null),
+    user: { id: BOT_ID },
+    guilds: { cache: new Map([[GUILD_ID, { channels: { fetchActiveThreads: async () => ({ threads }) } }]]) },
+  };
+  const lifecycle = new WarRoomLifecycle({
+    client,
+    registry,
+    logger: createLogger(),
+    resolveApiService: () => ({}),
+    guildId: GUILD_ID,
+    mode: 'propose',
+  });
+
+  assert.equal(await lifecycle.backfill(), 1);
+  assert.deepEqual(registry.list().map(({ channel_id: channelId, source_type: type, source_id: id, created_at: createdAt }) => (
+    [channelId, type, id, createdAt]
+  )), [[THREAD_ID, 'war_counter', 41, new Date(CREATED - 5 * HOUR).toISOString()]]);
+  assert.equal(await lifecycle.backfill(), 0);
+});
+
+test('WarRoomLifecycle archives rooms whose objective Nexus closed and forgets rooms that are gone', async () => {
+  const registry = createRegistry();
+  await registry.track({ channelId: THREAD_ID, sourceType: 'milcom_objective', sourceId: 12 });
+  await registry.track({ channelId: OTHER_THREAD_ID, sourceType: 'war_counter', sourceId: 8 });
+  const thread = createThread();
+  const lifecycle = new WarRoomLifecycle({
+    client: createClient(thread),
+    registry,
+    logger: createLogger(),
+    resolveApiService: () => ({
+      getMilcomObjective: async (id) => ({
+        data: { objective: { id, status: 'closed', war: { ended_at: '2026-10-01T06:00:00Z' } } },
+      }),
+    }),
+    guildId: GUILD_ID,
+    mode: 'archive',
+    now: () => CREATED + 7 * HOUR,
+  });
+
+  assert.deepEqual(await lifecycle.sweep(), { open: 0, proposed: 0, archived: 1, removed: 1, deferred: 0 });
+  assert.match(embedJson(thread.sent[0]).description, /Nexus has closed the objective linked to this room/);
+  assert.equal(embedJson(thread.sent[0]).title, '🗄️ War Room Archived');
+  assert.deepEqual(thread.operations, ['setName', 'setArchived', 'setLocked']);
+  assert.deepEqual(registry.list(), []);
+
+  assert.equal(warRoomSourceClosed({ status: 'active', war: { status: 'ended' } }), false);
+  assert.equal(warRoomSourceClosed({ archived_at: '2026-10-01T06:00:00Z' }), true);
+  assert.equal(warRoomSourceEnded({ status: 'Completed' }), true);
+  assert.equal(warRoomSourceEnded({ status: 'active', expires_at: '2999-01-01T00:00:00Z' }), false);
+  assert.equal(snowflakeTime(snowflakeAt(CREATED)), CREATED);
+});
+
+test('WarRoomLifecycle in archive mode only proposes rooms whose counter Nexus has not closed', async () => {
+  const registry = createRegistry();
+  await registry.track({ channelId: THREAD_ID, sourceType: 'war_counter', sourceId: 7 });
+  let counter = { id: 7, status: 'active', war: { status: 'ended' } };
+  const lookups = [];
+  let now = CREATED + 7 * HOUR;
+  const thread = createThread({ clock: () => now });
+  const lifecycle = new WarRoomLifecycle({
+    client: createClient(thread),
+    registry,
+    logger: createLogger(),
+    resolveApiService: () => ({
+      getWarCounter: async (id) => {
+        lookups.push(id);
+        return { counter };
+      },
+      archiveWarCounter: async () => assert.fail('the sweep must not close counters in Nexus'),
+    }),
+    guildId: GUILD_ID,
+    mode: 'archive',
+    now: () => now,
+  });
+
+  assert.equal((await lifecycle.sweep()).proposed, 1);
+  assert.deepEqual(lookups, [7]);
+  assert.equal(embedJson(thread.sent[0]).title, '🗄️ War Room Ready to Archive');
+  assert.match(embedJson(thread.sent[0]).description, /\/archivecounter war_counter_id:7/);
+  assert.deepEqual(thread.operations, []);
+
+  counter = { ...counter, status: 'archived' };
+  now += HOUR;
+  assert.equal((await lifecycle.sweep()).archived, 1);
+  assert.deepEqual(lookups, [7, 7]);
+  assert.equal(thread.sent.length, 1);
+  assert.deepEqual(thread.operations, ['setName', 'setArchived', 'setLocked']);
+  assert.deepEqual(registry.list(), []);
+});
+
+test('WAR_ROOM_ARCHIVE forgets the archived room; dry-run never touches the registry', async () => {
+  const untracked = [];
+  const warRooms = { untrack: async (...args) => untracked.push(args) };
+  const thread = createThread();
+  const options = {
+    client: createClient(thread),
+    logger: createLogger(),
+    guildId: GUILD_ID,
+    apiService: { getWarCounter: async () => ({ counter: { discord_channel_id: THREAD_ID } }) },
+    warRooms,
+  };
+  const command = { id: 'queue-1', action: 'WAR_ROOM_ARCHIVE', payload: { source: { type: 'war_counter', id: 7 } } };
+
+  await new QueueDispatcher({ ...options, dryRun: true, reportDryRun: async () => undefined }).dispatch(command);
+  assert.deepEqual(untracked, []);
+  assert.deepEqual(await new QueueDispatcher(options).dispatch(command), { success: true });
+  assert.deepEqual(untracked, [[THREAD_ID, null]]);
+});
+
+test('WAR_ROOM_ARCHIVE uploads a text-only transcript before archiving and skips it on retry', async () => {
+  const message = (id, minutes, content, author = { id: MEMBER_ID, bot: false, tag: 'member' }) => ({
+    id,
+    content,
+    author,
+    createdTimestamp: CREATED + minutes * 60_000,
+  });
+  const thread = createThread({
+    messages: [
+      message('3', 3, 'Hitting them now'),
+      message('2', 2, '', undefined),
+      message('1', 1, 'Status board updated', { id: '999999999999999999', bot: true }),
+      message('0', 0, 'Declaring on the target'),
+    ],
+  });
+  const uploads = [];
+  const checkpoints = [];
+  const options = {
+    client: createClient(thread),
+    logger: createLogger(),
+    guildId: GUILD_ID,
+    apiService: {
+      getWarCounter: async () => ({ counter: { discord_channel_id: THREAD_ID } }),
+      uploadWarRoomTranscript: async (payload) => {
+        uploads.push({ payload, operations: [...thread.operations] });
+        return { data: { id: 1 } };
+      },
+      checkpointDiscordQueue: async (...args) => checkpoints.push(args),
+    },
+  };
+  const command = {
+    id: 'queue-1',
+    action: 'WAR_ROOM_ARCHIVE',
+    lease_token: 'lease-1',
+    payload: { source: { type: 'war_counter', id: 7 }, archive: { transcript: true } },
+  };
+
+  const reports = [];
+  await new QueueDispatcher({ ...options, dryRun: true, reportDryRun: async (report) => reports.push(report) })
+    .dispatch(command);
+  assert.deepEqual(uploads, []);
+  assert.match(JSON.stringify(reports), /uploadWarRoomTranscript/);
+
+  assert.deepEqual(await new QueueDispatcher(options).dispatch(command), {
+    success: true,
+    result: { transcript: { uploaded: true, message_count: 2, truncated: false } },
+  });
+  assert.equal(uploads.length, 1);
+  assert.deepEqual(uploads[0].operations, []);
+  assert.deepEqual(uploads[0].payload.source, { type: 'war_counter', id: 7 });
+  assert.equal(uploads[0].payload.idempotency_key, 'war-room-transcript:queue-1');
+  assert.equal(uploads[0].payload.discord_thread_name, 'counter-room');
+  assert.deepEqual(uploads[0].payload.messages.map((entry) => entry.content), [
+    'Declaring on the target',
+    'Hitting them now',
+  ]);
+  assert.deepEqual(checkpoints, [['queue-1', 'lease-1', { transcript_uploaded: true }]]);
+
+  await new QueueDispatcher(options).dispatch({ ...command, result: { transcript_uploaded: true } });
+  assert.equal(uploads.length, 1);
+});
+
+test('WAR_ROOM_ARCHIVE leaves the room open when the transcript checkpoint fails and retries with the same key', async () => {
+  const thread = createThread({ messages: [{ id: '0', content: 'hello', author: { id: MEMBER_ID }, createdTimestamp: CREATED }] });
+  const keys = [];
+  const dispatcher = new QueueDispatcher({
+    client: createClient(thread),
+    logger: createLogger(),
+    guildId: GUILD_ID,
+    apiService: {
+      getWarCounter: async () => ({ counter: { discord_channel_id: THREAD_ID } }),
+      uploadWarRoomTranscript: async (payload) => keys.push(payload.idempotency_key),
+      checkpointDiscordQueue: async () => {
+        throw Object.assign(new Error('unavailable'), { response: { status: 503 } });
+      },
+    },
+  });
+  const command = {
+    id: 'queue-1',
+    action: 'WAR_ROOM_ARCHIVE',
+    lease_token: 'lease-1',
+    payload: { source: { type: 'war_counter', id: 7 }, archive: { transcript: true } },
+  };
+
+  assert.deepEqual(await dispatcher.dispatch(command), { success: false, reason: 'checkpoint_failed' });
+  assert.deepEqual(thread.operations, []);
+  await dispatcher.dispatch(command);
+  assert.deepEqual(keys, ['war-room-transcript:queue-1', 'war-room-transcript:queue-1']);
+});
+
+test('WAR_ROOM_ARCHIVE leaves the room open when the transcript upload fails', async () => {
+  const thread = createThread({ messages: [{ id: '0', content: 'hello', author: { id: MEMBER_ID }, createdTimestamp: CREATED }] });
+  const dispatcher = new QueueDispatcher({
+    client: createClient(thread),
+    logger: createLogger(),
+    guildId: GUILD_ID,
+    apiService: {
+      getWarCounter: async () => ({ counter: { discord_channel_id: THREAD_ID } }),
+      uploadWarRoomTranscript: async () => {
+        throw Object.assign(new Error('unavailable'), { response: { status: 503 } });
+      },
+    },
+  });
+
+  assert.deepEqual(await dispatcher.dispatch({
+    id: 'queue-1',
+    action: 'WAR_ROOM_ARCHIVE',
+    payload: { source: { type: 'war_counter', id: 7 }, archive: { transcript: true } },
+  }), { success: false, reason: 'transcript_upload_failed' });
+  assert.deepEqual(thread.operations, []);
+});
@@ -0,0 +1,196 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { button, execute, modal, select } from '../src/commands/withdraw.js';
+import { InteractionSessionStore } from '../src/services/InteractionSessionStore.js';
+import { embedJson } from './helpers.js';
+
+const GUILD_ID = '123456789012345678';
+const USER_ID = '223456789012345678';
+
+function createInteraction({ subcommand = 'schedule', options = {}, customId = null } = {}) {
+  const interaction = {
+    id: '323456789012345678',
+    guildId: GUILD_ID,
+    user: { id: USER_ID },
+    commandName: customId ? undefined : 'withdraw',
+    nexusCommandName: customId ? 'withdraw' : undefined,
+    customId,
+    options: {
+      getSubcommand: () => subcommand,
+      getString: (name) => options[name] ?? null,
+    },
+    deferred: false,
+    replied: false,
+    edits: [],
+    replies: [],
+    updates: [],
+    deferReply: async () => { interaction.deferred = true; },
+    deferUpdate: async () => { interaction.deferred = true; },
+    editReply: async (payload) => { interaction.edits.push(payload); },
+    reply: async (payload) => {
+      interaction.replied = true;
+      interaction.replies.push(payload);
+    },
+    update: async (payload) => { interaction.updates.push(payload); },
+    showModal: async (payload) => { interaction.modal = payload; },
+  };
+  return interaction;
+}
+
+const componentIds = (payload) => payload.components.flatMap((row) => row.toJSON().components);
+
+test('/withdraw schedule walks the resource picker and saves a recurring template instead of a draft', async () => {
+  const sessions = new InteractionSessionStore();
+  const created = [];
+  const apiService = {
+    createFinanceSchedule: async (actor, payload) => {
+      created.push({ actor, payload });
+      return { schedule: { id: 12, cadence: 'daily', time: '06:30', next_run_at: '2026-07-11T06:30:00Z' } };
+    },
+    createWithdrawalDraft: async () => assert.fail('a schedule must not create a withdrawal draft'),
+    getMyWithdrawalPresets: async () => ({ presets: [] }),
+  };
+  const command = createInteraction({ options: { account: '7', cadence: 'daily', time: '6:30' } });
+
+  await execute(command, { apiService, sessions });
+
+  assert.equal(embedJson(command.edits[0]).title, 'Withdrawal Schedule Draft');
+  assert.equal(command.edits[0].components.length, 1);
+  const selectId = componentIds(command.edits[0])[0].custom_id;
+  const picker = createInteraction({ customId: selectId });
+  picker.values = ['food'];
+  await select(picker, { apiService, sessions, session: sessions.resolve(selectId, USER_ID) });
+
+  const modalJson = picker.modal.toJSON();
+  const fieldId = modalJson.components[0].components[0].custom_id;
+  const submitted = createInteraction({ customId: modalJson.custom_id });
+  submitted.fields = { getTextInputValue: (id) => (id === fieldId ? '2500' : '') };
+  await modal(submitted, { apiService, sessions, session: sessions.resolve(modalJson.custom_id, USER_ID) });
+
+  const review = submitted.replies[0];
+  assert.equal(embedJson(review).title, 'Review Withdrawal Schedule');
+  const saveButton = componentIds(review).find((component) => component.label === 'Save schedule');
+  const reviewClick = createInteraction({ customId: saveButton.custom_id });
+  await button(reviewClick, { apiService, sessions, session: sessions.resolve(saveButton.custom_id, USER_ID) });
+
+  assert.equal(created.length, 1);
+  assert.equal(created[0].payload.type, 'withdrawal');
+  assert.equal(created[0].payload.account_id, 7);
+  assert.equal(created[0].payload.cadence, 'daily');
+  assert.equal(created[0].payload.time, '06:30');
+  assert.equal(created[0].payload.resources.food, '2500');
+  assert.equal(created[0].payload.resources.money, '0');
+  const saved = embedJson(reviewClick.edits[0]);
+  assert.equal(saved.title, 'Withdrawal Schedule Saved');
+  assert.equal(saved.fields.find(({ name }) => name === 'Cadence').value, 'Daily at 06:30 UTC');
+});
+
+test('/withdraw schedule rejects a malformed time before opening the picker', async () => {
+  const command = createInteraction({ options: { account: '7', cadence: 'weekly', time: '25:00' } });
+
+  await execute(command, { apiService: {}, sessions: new InteractionSessionStore() });
+
+  const embed = embedJson(command.edits[0]);
+  assert.equal(embed.title, 'Request Failed');
+  assert.match(embed.description, /24-hour UTC time/);
+});
+
+test('/withdraw confirms a scheduled cycle from its direct-message button', async () => {
+  const calls = [];
+  const apiService = {
+    confirmFinanceScheduleCycle: async (_actor, scheduleId, cycleId) => {
+      calls.push([scheduleId, cycleId]);
+      return {
+        withdrawal: { account_id: 7 },
+        transaction: { id: 88, status: 'completed', resources: { food: '2500' } },
+      };
+    },
+  };
+  const click = createInteraction({ customId: `nxp:withdraw:cycle-confirm:${GUILD_ID}:12:30` });
+
+  await button(click, {
+    apiService,
+    session: { commandName: 'withdraw', event: 'cycle-confirm', state: { args: [GUILD_ID, '12', '30'] }, persistent: true },
+  });
+
+  assert.deepEqual(calls, [[12, 30]]);
+  const embed = embedJson(click.edits[0]);
+  assert.equal(embed.title, 'Withdrawal Submitted');
+  assert.equal(embed.fields.find(({ name }) => name === 'Transaction').value, '#88');
+
+  const forged = createInteraction({ customId: 'nxs:forged' });
+  await button(forged, {
+    apiService,
+    session: { commandName: 'withdraw', event: 'cycle-confirm', state: { args: [GUILD_ID, '12', '30'] } },
+  });
+  assert.equal(calls.length, 1);
+  assert.equal(embedJson(forged.edits[0]).title, 'Scheduled Transfer Not Confirmed');
+});
+
+test('/withdraw request pre-fills the review from a saved preset and still creates a draft to confirm', async () => {
+  const sessions = new InteractionSessionStore();
+  const drafts = [];
+  const apiService = {
+    getMyWithdrawalPresets: async () => ({
+      presets: [
+        { id: 3, name: 'war kit', resources: { munitions: '5000', gasoline: 2500, steel: '0' } },
+        { id: 4, name: 'empty', resources: { money: '0' } },
+      ],
+    }),
+    createWithdrawalDraft: async (_actor, payload) => {
+      drafts.push(payload);
+      return { withdrawal: { id: 'intent-1', account_id: 7, resources: payload.resources } };
+    },
+  };
+  const command = createInteraction({ subcommand: 'request', options: { account: '7' } });
+
+  await execute(command, { apiService, sessions });
+
+  const presetMenu = command.edits[0].components[1].toJSON().components[0];
+  assert.deepEqual(presetMenu.options.map(({ label, value, description }) => ({ label, value, description })), [
+    { label: 'war kit', value: '3', description: 'gasoline, munitions' },
+  ]);
+  const picked = createInteraction({ customId: presetMenu.custom_id });
+  picked.values = ['3'];
+  await select(picked, { apiService, sessions, session: sessions.resolve(presetMenu.custom_id, USER_ID) });
+
+  const review = embedJson(picked.updates[0]);
+  assert.equal(review.title, 'Review Withdrawal Draft');
+  assert.equal(review.fields.find(({ name }) => name === 'Preset').value, 'war kit');
+  const reviewButton = componentIds(picked.updates[0]).find((component) => component.label === 'Review');
+  const reviewClick = createInteraction({ customId: reviewButton.custom_id });
+  await button(reviewClick, { apiService, sessions, session: sessions.resolve(reviewButton.custom_id, USER_ID) });
+
+  assert.equal(drafts.length, 1);
+  assert.equal(drafts[0].resources.munitions, '5000');
+  assert.equal(drafts[0].resources.gasoline, '2500');
+  assert.equal(drafts[0].resources.steel, '0');
+  assert.equal(embedJson(reviewClick.edits[0]).title, 'Confirm Withdrawal');
+});
+
+test('/withdraw saves the reviewed amounts as a named preset', async () => {
+  const sessions = new InteractionSessionStore();
+  const saved = [];
+  const apiService = {
+    createWithdrawalPreset: async (_actor, payload) => {
+      saved.push(payload);
+      return { preset: { id: 9, ...payload } };
+    },
+  };
+  const session = { commandName: 'withdraw', event: 'preset-save', state: { account: '7', kind: 'withdrawal', amounts: { food: '1200' } } };
+  const click = createInteraction({ customId: 'nxs:preset-save' });
+
+  await button(click, { apiService, sessions, session });
+
+  const modalJson = click.modal.toJSON();
+  const nameId = modalJson.components[0].components[0].custom_id;
+  const submitted = createInteraction({ customId: modalJson.custom_id });
+  submitted.fields = { getTextInputValue: (id) => (id === nameId ? ' city build 20 ' : '') };
+  await modal(submitted, { apiService, sessions, session: sessions.resolve(modalJson.custom_id, USER_ID) });
+
+  assert.equal(saved.length, 1);
+  assert.equal(saved[0].name, 'city build 20');
+  assert.equal(saved[0].resources.food, '1200');
+  assert.equal(saved[0].resources.money, '0');
+  assert.equal(embedJson(submitted.edits[0]).title, 'Preset Saved');
+});